@@ -0,0 +1,129 @@
+// IndexedDB cache of parsed bars for BTCUSD Chart Application
+// Entries are stored as typed-array columns with the validators needed to
+// detect an unchanged file (ETag/Last-Modified) or an append-only change (tail hash)
+
+const BarCache = {
+    STORE: 'bars',
+
+    /**
+     * Bump when the entry shape changes; older entries are ignored and rebuilt
+     */
+    FORMAT_VERSION: 1,
+
+    /**
+     * Bytes at the end of the cached file that are hashed to recognise it again
+     * and re-read to find where appended rows start
+     */
+    TAIL_BYTES: 1024,
+
+    COLUMN_NAMES: ['time', 'open', 'high', 'low', 'close', 'volume'],
+
+    /**
+     * Typed arrays only survive a round trip through IndexedDB, not the localStorage fallback
+     * @returns {boolean} True if bars can be cached
+     */
+    isAvailable: function() {
+        return typeof AppStorage !== 'undefined' && AppStorage.isIndexedDBAvailable();
+    },
+
+    /**
+     * FNV-1a hash of a byte array
+     * @param {Uint8Array} bytes - Bytes to hash
+     * @returns {string} 8-digit hex hash
+     */
+    hashBytes: function(bytes) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    },
+
+    /**
+     * Read a cache entry
+     * @param {string} key - Source key (path or local file id)
+     * @returns {Promise<Object|null>} Entry, or null when missing, outdated or unreadable
+     */
+    get: async function(key) {
+        if (!this.isAvailable()) return null;
+
+        try {
+            const entry = await AppStorage.get(this.STORE, key);
+            if (!entry || entry.version !== this.FORMAT_VERSION || !entry.columns) return null;
+            return entry;
+        } catch (error) {
+            console.warn('BarCache: Failed to read cache entry:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Store parsed bars with their source validators
+     * @param {string} key - Source key
+     * @param {Array} data - Time-sorted bars
+     * @param {Object} source - { size, etag, lastModified, tailHash, dialect, sampleLines }
+     * @returns {Promise<boolean>} True if stored
+     */
+    set: async function(key, data, source) {
+        if (!this.isAvailable() || !source || !source.tailHash) return false;
+
+        try {
+            await AppStorage.set(this.STORE, key, {
+                version: this.FORMAT_VERSION,
+                savedAt: Date.now(),
+                size: source.size,
+                etag: source.etag || null,
+                lastModified: source.lastModified || null,
+                tailHash: source.tailHash,
+                dialect: source.dialect || null,
+                sampleLines: source.sampleLines || [],
+                count: data.length,
+                lastTime: data.length > 0 ? data[data.length - 1].time : null,
+                columns: this.toColumns(data)
+            });
+            return true;
+        } catch (error) {
+            console.warn('BarCache: Failed to store cache entry:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Drop a cache entry
+     * @param {string} key - Source key
+     */
+    remove: async function(key) {
+        if (!this.isAvailable()) return;
+
+        try {
+            await AppStorage.remove(this.STORE, key);
+        } catch (error) {
+            console.warn('BarCache: Failed to remove cache entry:', error);
+        }
+    },
+
+    /**
+     * Convert bars to typed-array columns
+     * @param {Array} data - Bars
+     * @returns {Object} { time, open, high, low, close, volume } Float64Arrays
+     */
+    toColumns: function(data) {
+        const columns = {};
+        this.COLUMN_NAMES.forEach(name => {
+            const column = new Float64Array(data.length);
+            for (let i = 0; i < data.length; i++) {
+                column[i] = data[i][name] || 0;
+            }
+            columns[name] = column;
+        });
+        return columns;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BarCache;
+} else if (typeof window !== 'undefined') {
+    window.BarCache = BarCache;
+}
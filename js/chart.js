@@ -6,6 +6,7 @@ class BTCUSDChart {
         this.container = document.getElementById(containerId);
         this.chart = null;
         this.candlestickSeries = null;
+        this.volumeSeries = null;
         this.data = [];
         this.isInitialized = false;
 
@@ -13,6 +14,15 @@ class BTCUSDChart {
         this.drawingManager = null;
         this.drawingsEnabled = false;
 
+        // Color theme from BTCUSDChart.THEMES
+        this.theme = 'dark';
+
+        // Technical indicators from IndicatorRegistry, following setData()/updateData()
+        this.indicators = null;
+
+        // Volume profile of the visible range (VolumeProfilePrimitive), off until enabled
+        this.volumeProfile = null;
+
         // Default chart options
         this.defaultOptions = {
             layout: {
@@ -83,8 +93,20 @@ class BTCUSDChart {
             }
         };
 
+        // Volume histogram settings, kept apart from the options passed to createChart
+        const { volume: volumeOptions, ...chartOptions } = options;
+        this.volumeOptions = {
+            visible: true,
+            upColor: 'rgba(38, 166, 154, 0.5)',
+            downColor: 'rgba(239, 83, 80, 0.5)',
+            // Volume sits in the bottom fifth; candles keep clear of it while it is shown
+            scaleMargins: { top: 0.8, bottom: 0 },
+            candleScaleMargins: { top: 0.1, bottom: 0.25 },
+            ...volumeOptions
+        };
+
         // Merge user options with defaults
-        this.options = this.mergeOptions(this.defaultOptions, options);
+        this.options = this.mergeOptions(this.defaultOptions, chartOptions);
 
         this.initializeChart();
         this.setupEventListeners();
@@ -103,7 +125,7 @@ class BTCUSDChart {
             }
 
             // Create the chart using TradingView Lightweight Charts
-            const { createChart, CandlestickSeries } = window.LightweightCharts;
+            const { createChart, CandlestickSeries, HistogramSeries } = window.LightweightCharts;
             this.chart = createChart(this.container, this.options);
 
             // Add candlestick series
@@ -116,6 +138,27 @@ class BTCUSDChart {
                 priceScaleId: 'right'
             });
 
+            // Add volume histogram on its own overlay scale under the candles
+            this.volumeSeries = this.chart.addSeries(HistogramSeries, {
+                priceFormat: { type: 'volume' },
+                priceScaleId: 'volume',
+                lastValueVisible: false,
+                priceLineVisible: false
+            });
+            this.volumeSeries.priceScale().applyOptions({
+                scaleMargins: this.volumeOptions.scaleMargins
+            });
+            this.applyVolumeVisibility();
+
+            if (typeof IndicatorManager !== 'undefined') {
+                this.indicators = new IndicatorManager(this);
+            }
+
+            if (typeof VolumeProfilePrimitive !== 'undefined') {
+                this.volumeProfile = new VolumeProfilePrimitive(this);
+                this.candlestickSeries.attachPrimitive(this.volumeProfile);
+            }
+
             this.isInitialized = true;
             console.log('BTCUSD Chart initialized successfully');
 
@@ -128,8 +171,11 @@ class BTCUSDChart {
     /**
      * Set data for the chart
      * @param {Array} data - OHLC data array
+     * @param {Object} options - { fitContent: false to keep the current view }
      */
-    setData(data) {
+    setData(data, options = {}) {
+        const { fitContent = true } = options;
+
         try {
             if (!this.isInitialized) {
                 throw new Error('Chart not initialized');
@@ -141,11 +187,17 @@ class BTCUSDChart {
 
             this.data = data;
 
-            // Set data to the candlestick series
+            // Set data to the candlestick and volume series
             this.candlestickSeries.setData(data);
+            this.volumeSeries.setData(DataProcessor.toVolumeData(data, this.volumeOptions));
+            if (this.indicators) {
+                this.indicators.setData(data);
+            }
 
             // Fit content to show all data
-            this.chart.timeScale().fitContent();
+            if (fitContent) {
+                this.chart.timeScale().fitContent();
+            }
 
             console.log(`Chart loaded with ${data.length} data points`);
 
@@ -170,6 +222,21 @@ class BTCUSDChart {
             }
 
             this.candlestickSeries.update(dataPoint);
+            if (this.volumeSeries) {
+                this.volumeSeries.update(DataProcessor.toVolumePoint(dataPoint, this.volumeOptions));
+            }
+
+            // Keep this.data in step so volume consumers see the live bar
+            const last = this.data[this.data.length - 1];
+            if (last && last.time === dataPoint.time) {
+                this.data[this.data.length - 1] = dataPoint;
+            } else if (!last || dataPoint.time > last.time) {
+                this.data.push(dataPoint);
+            }
+
+            if (this.indicators) {
+                this.indicators.update(dataPoint);
+            }
 
         } catch (error) {
             console.error('Failed to update chart data:', error);
@@ -216,6 +283,158 @@ class BTCUSDChart {
         return this.candlestickSeries;
     }
 
+    /**
+     * Get the indicator manager
+     * @returns {IndicatorManager|null} Indicator manager, or null if indicators are not loaded
+     */
+    getIndicators() {
+        return this.indicators;
+    }
+
+    /**
+     * Get volume histogram series instance
+     * @returns {Object} Histogram series instance
+     */
+    getVolumeSeries() {
+        return this.volumeSeries;
+    }
+
+    /**
+     * @returns {boolean} True if the visible-range volume profile is shown
+     */
+    isVolumeProfileVisible() {
+        return !!this.volumeProfile && this.volumeProfile.getOptions().visible;
+    }
+
+    /**
+     * Get the volume of every bar currently on the chart
+     * @returns {Array} Array of { time, volume }
+     */
+    getVolumeData() {
+        return this.data.map(item => ({ time: item.time, volume: item.volume || 0 }));
+    }
+
+    /**
+     * Get the volume of the bar at a given time
+     * @param {number} time - Bar time (unix seconds)
+     * @returns {number|null} Volume, or null if there is no bar at that time
+     */
+    getVolumeAt(time) {
+        const index = Utils.findBarIndex(this.data, time);
+        return index === -1 ? null : (this.data[index].volume || 0);
+    }
+
+    /**
+     * Show or hide the volume histogram
+     * @param {boolean} visible - Whether volume should be visible
+     */
+    setVolumeVisible(visible) {
+        this.volumeOptions.visible = !!visible;
+        this.applyVolumeVisibility();
+
+        if (window.eventBus) {
+            window.eventBus.emit('volume-visibility-changed', { visible: this.volumeOptions.visible });
+        }
+    }
+
+    /**
+     * Toggle the volume histogram
+     * @returns {boolean} New visibility
+     */
+    toggleVolume() {
+        this.setVolumeVisible(!this.volumeOptions.visible);
+        return this.volumeOptions.visible;
+    }
+
+    /**
+     * @returns {boolean} True if the volume histogram is shown
+     */
+    isVolumeVisible() {
+        return this.volumeOptions.visible;
+    }
+
+    /**
+     * Apply volume visibility to the series and make room for it under the candles
+     */
+    applyVolumeVisibility() {
+        if (!this.volumeSeries) return;
+
+        const visible = this.volumeOptions.visible;
+        this.volumeSeries.applyOptions({ visible });
+        this.candlestickSeries.priceScale().applyOptions({
+            scaleMargins: visible
+                ? this.volumeOptions.candleScaleMargins
+                : this.options.rightPriceScale.scaleMargins
+        });
+    }
+
+    /**
+     * Color theme and scale settings that make up the chart's part of a workspace
+     * @returns {Object} { theme, priceScaleMode, volumeVisible }
+     */
+    getLayoutOptions() {
+        const priceScale = this.candlestickSeries ? this.candlestickSeries.priceScale().options() : {};
+        return {
+            theme: this.theme,
+            priceScaleMode: typeof priceScale.mode === 'number' ? priceScale.mode : 0,
+            volumeVisible: this.isVolumeVisible(),
+            volumeProfile: this.isVolumeProfileVisible(),
+            profileRowSize: this.volumeProfile ? this.volumeProfile.getOptions().rowSize : 0
+        };
+    }
+
+    /**
+     * Apply layout options; missing or unknown values are left as they are
+     * @param {Object} layout - { theme, priceScaleMode, volumeVisible, volumeProfile,
+     *   profileRowSize (price per profile row, 0 for automatic rows) }
+     */
+    applyLayoutOptions(layout = {}) {
+        if (!this.chart) return;
+
+        const theme = BTCUSDChart.THEMES[layout.theme];
+        if (theme) {
+            this.theme = layout.theme;
+            this.chart.applyOptions({
+                layout: {
+                    background: { type: 'solid', color: theme.background },
+                    textColor: theme.textColor
+                },
+                grid: {
+                    vertLines: { color: theme.gridColor },
+                    horzLines: { color: theme.gridColor }
+                },
+                timeScale: { borderColor: theme.borderColor },
+                rightPriceScale: { borderColor: theme.borderColor }
+            });
+        }
+
+        // LightweightCharts.PriceScaleMode: 0 normal, 1 logarithmic, 2 percentage, 3 indexed to 100
+        if (Number.isInteger(layout.priceScaleMode) && layout.priceScaleMode >= 0 && layout.priceScaleMode <= 3) {
+            this.candlestickSeries.priceScale().applyOptions({ mode: layout.priceScaleMode });
+        }
+
+        if (typeof layout.volumeVisible === 'boolean' && layout.volumeVisible !== this.isVolumeVisible()) {
+            this.setVolumeVisible(layout.volumeVisible);
+        }
+
+        if (this.volumeProfile) {
+            const profile = {};
+            if (typeof layout.volumeProfile === 'boolean') {
+                profile.visible = layout.volumeProfile;
+            }
+            if (typeof layout.profileRowSize === 'number' && Number.isFinite(layout.profileRowSize) && layout.profileRowSize >= 0) {
+                profile.rowSize = layout.profileRowSize;
+            }
+            if (Object.keys(profile).length > 0) {
+                this.volumeProfile.setOptions(profile);
+            }
+        }
+
+        if (window.eventBus) {
+            window.eventBus.emit('chart-layout-changed', { layout: this.getLayoutOptions() });
+        }
+    }
+
     /**
      * Set chart visibility
      * @param {boolean} visible - Whether chart should be visible
@@ -292,12 +511,14 @@ class BTCUSDChart {
 
     /**
      * Import drawings
-     * @param {Array} drawings - Array of drawing objects
+     * @param {Array|Object} drawings - Exported drawings array or versioned payload
+     * @returns {Object|null} Import result { imported, rejected } or null without drawing support
      */
     importDrawings(drawings) {
         if (this.drawingManager) {
-            this.drawingManager.importDrawings(drawings);
+            return this.drawingManager.importDrawings(drawings);
         }
+        return null;
     }
 
     /**
@@ -311,10 +532,21 @@ class BTCUSDChart {
                 this.drawingManager = null;
             }
 
+            if (this.indicators) {
+                this.indicators.destroy();
+                this.indicators = null;
+            }
+
+            if (this.volumeProfile) {
+                this.candlestickSeries.detachPrimitive(this.volumeProfile);
+                this.volumeProfile = null;
+            }
+
             if (this.chart) {
                 this.chart.remove();
                 this.chart = null;
                 this.candlestickSeries = null;
+                this.volumeSeries = null;
                 this.data = [];
                 this.isInitialized = false;
                 this.drawingsEnabled = false;
@@ -587,7 +819,13 @@ class BTCUSDChart {
             if (timeScale) {
                 // For Lightweight Charts, use timeToCoordinate
                 const x = timeScale.timeToCoordinate(time);
-                return x; // Returns pixel coordinate or undefined if outside visible range
+                if (x !== null) {
+                    return x;
+                }
+
+                // Times that are not a bar on the current timeframe map between bars
+                const logical = this.timeToLogical(time);
+                return logical === null ? null : timeScale.logicalToCoordinate(logical);
             }
             return null;
         } catch (error) {
@@ -596,6 +834,52 @@ class BTCUSDChart {
         }
     }
 
+    /**
+     * Convert a time to a fractional logical index by interpolating between bars,
+     * extrapolating with the bar interval outside the data
+     * @param {number} time - Time value
+     * @returns {number|null} Logical index or null with fewer than two bars
+     */
+    timeToLogical(time) {
+        const data = this.data;
+        if (!data || data.length < 2 || typeof time !== 'number') return null;
+
+        const last = data.length - 1;
+        const index = Utils.findBarIndexAtOrBefore(data, time);
+
+        if (index === -1) {
+            return (time - data[0].time) / (data[1].time - data[0].time);
+        }
+        if (index === last) {
+            return last + (time - data[last].time) / (data[last].time - data[last - 1].time);
+        }
+        return index + (time - data[index].time) / (data[index + 1].time - data[index].time);
+    }
+
+    /**
+     * Get the visible time range
+     * @returns {Object|null} { from, to } in unix seconds, or null before data is set
+     */
+    getVisibleRange() {
+        const timeScale = this.getTimeScale();
+        return timeScale ? timeScale.getVisibleRange() : null;
+    }
+
+    /**
+     * Show a time range
+     * @param {Object} range - { from, to } in unix seconds
+     */
+    setVisibleRange(range) {
+        try {
+            const timeScale = this.getTimeScale();
+            if (timeScale && range) {
+                timeScale.setVisibleRange(range);
+            }
+        } catch (error) {
+            console.warn('BTCUSDChart: Failed to set visible range:', error);
+        }
+    }
+
     /**
      * Convert price to screen Y coordinate
      * @param {number} price - Price value
@@ -674,6 +958,24 @@ class BTCUSDChart {
     }
 }
 
+/**
+ * Chart color themes for applyLayoutOptions()
+ */
+BTCUSDChart.THEMES = {
+    dark: {
+        background: '#000000',
+        textColor: '#d1d4dc',
+        gridColor: 'rgba(42, 46, 57, 0.5)',
+        borderColor: 'rgba(42, 46, 57, 0.5)'
+    },
+    light: {
+        background: '#ffffff',
+        textColor: '#191919',
+        gridColor: 'rgba(197, 203, 206, 0.5)',
+        borderColor: 'rgba(197, 203, 206, 0.8)'
+    }
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = BTCUSDChart;
@@ -0,0 +1,186 @@
+/**
+ * AppStorage - Promise-based key/value persistence for application state
+ * Uses IndexedDB when available and falls back to localStorage otherwise
+ */
+const AppStorage = (() => {
+    const DB_NAME = 'btcusd-chart';
+    const DB_VERSION = 5;
+    const STORES = ['drawings', 'settings', 'recentFiles', 'bars', 'workspaces'];
+    const FALLBACK_PREFIX = 'btcusd-chart';
+
+    let dbPromise = null;
+
+    const isIndexedDBAvailable = () => typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+    const isLocalStorageAvailable = () => {
+        try {
+            return typeof localStorage !== 'undefined' && localStorage !== null;
+        } catch {
+            return false;
+        }
+    };
+
+    const assertStore = (storeName) => {
+        if (!STORES.includes(storeName)) {
+            throw new Error(`AppStorage: Unknown store '${storeName}'`);
+        }
+    };
+
+    const openDatabase = () => {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                STORES.forEach((storeName) => {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName);
+                    }
+                });
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('AppStorage: Database upgrade blocked by another tab'));
+        }).catch((error) => {
+            // Allow a later call to retry, and fall back to localStorage meanwhile
+            dbPromise = null;
+            throw error;
+        });
+
+        return dbPromise;
+    };
+
+    const runRequest = async (storeName, mode, operation) => {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    };
+
+    const fallbackKey = (storeName, key) => `${FALLBACK_PREFIX}:${storeName}:${key}`;
+
+    const fallbackGet = (storeName, key) => {
+        if (!isLocalStorageAvailable()) return undefined;
+        const raw = localStorage.getItem(fallbackKey(storeName, key));
+        return raw === null ? undefined : JSON.parse(raw);
+    };
+
+    const fallbackSet = (storeName, key, value) => {
+        if (!isLocalStorageAvailable()) {
+            throw new Error('AppStorage: No persistent storage available');
+        }
+        localStorage.setItem(fallbackKey(storeName, key), JSON.stringify(value));
+    };
+
+    const fallbackRemove = (storeName, key) => {
+        if (isLocalStorageAvailable()) {
+            localStorage.removeItem(fallbackKey(storeName, key));
+        }
+    };
+
+    const fallbackKeys = (storeName) => {
+        if (!isLocalStorageAvailable()) return [];
+        const prefix = fallbackKey(storeName, '');
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(prefix)) {
+                keys.push(key.slice(prefix.length));
+            }
+        }
+        return keys;
+    };
+
+    /**
+     * Run an IndexedDB operation, falling back to localStorage if IndexedDB fails
+     */
+    const withFallback = async (indexedDBOperation, fallbackOperation) => {
+        if (isIndexedDBAvailable()) {
+            try {
+                return await indexedDBOperation();
+            } catch (error) {
+                console.warn('AppStorage: IndexedDB unavailable, using localStorage:', error);
+            }
+        }
+        return fallbackOperation();
+    };
+
+    /**
+     * Read a value
+     * @param {string} storeName - Store name
+     * @param {string} key - Record key
+     * @returns {Promise<*>} Stored value or undefined
+     */
+    const get = (storeName, key) => {
+        assertStore(storeName);
+        return withFallback(
+            () => runRequest(storeName, 'readonly', (store) => store.get(key)),
+            () => fallbackGet(storeName, key)
+        );
+    };
+
+    /**
+     * Write a value (must be structured-cloneable and JSON-serializable)
+     * @param {string} storeName - Store name
+     * @param {string} key - Record key
+     * @param {*} value - Value to store
+     * @returns {Promise<void>}
+     */
+    const set = (storeName, key, value) => {
+        assertStore(storeName);
+        return withFallback(
+            () => runRequest(storeName, 'readwrite', (store) => store.put(value, key)),
+            () => fallbackSet(storeName, key, value)
+        );
+    };
+
+    /**
+     * Delete a value
+     * @param {string} storeName - Store name
+     * @param {string} key - Record key
+     * @returns {Promise<void>}
+     */
+    const remove = (storeName, key) => {
+        assertStore(storeName);
+        return withFallback(
+            () => runRequest(storeName, 'readwrite', (store) => store.delete(key)),
+            () => fallbackRemove(storeName, key)
+        );
+    };
+
+    /**
+     * List all keys in a store
+     * @param {string} storeName - Store name
+     * @returns {Promise<Array<string>>} Keys
+     */
+    const keys = (storeName) => {
+        assertStore(storeName);
+        return withFallback(
+            () => runRequest(storeName, 'readonly', (store) => store.getAllKeys()),
+            () => fallbackKeys(storeName)
+        );
+    };
+
+    return {
+        get,
+        set,
+        remove,
+        keys,
+        isIndexedDBAvailable,
+        STORES: STORES.slice()
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AppStorage;
+}
+if (typeof window !== 'undefined') {
+    window.AppStorage = AppStorage;
+}
@@ -0,0 +1,232 @@
+/**
+ * DeepLink - Encodes the chart view into a URL hash and reads it back
+ *
+ *   #v=1&tf=1h&from=1700000000&to=1700090000&type=candles&ind=sma:20,macd:12:26:9&d=z.<data>
+ *
+ * Every parameter is optional except v. Drawings (d) are JSON, deflated when the browser has
+ * CompressionStream ('z.') or plain ('j.'), then base64url encoded. Parameters are checked with
+ * Sanitizer.filterParams; anything unknown or malformed is dropped and reported, never applied.
+ */
+const DeepLink = (() => {
+    const VERSION = 1;
+    const MAX_HASH_LENGTH = 64 * 1024;
+    // Upper bound on the decoded drawings JSON, in bytes
+    const MAX_DRAWINGS_JSON = 256 * 1024;
+    const CHART_TYPES = ['candles'];
+    const MAX_INDICATORS = 12;
+
+    const INDICATOR_PATTERN = '[a-z][a-z0-9]{1,15}(?::\\d{1,4}(?:\\.\\d{1,4})?){0,4}';
+    const PARAMS = {
+        v: { pattern: /^\d{1,3}$/, maxLength: 3 },
+        tf: { pattern: /^\d{1,6}[smhDW]$/, maxLength: 7 },
+        from: { pattern: /^\d{1,12}$/, maxLength: 12 },
+        to: { pattern: /^\d{1,12}$/, maxLength: 12 },
+        type: { pattern: new RegExp(`^(?:${CHART_TYPES.join('|')})$`), maxLength: 16 },
+        ind: {
+            pattern: new RegExp(`^${INDICATOR_PATTERN}(?:,${INDICATOR_PATTERN}){0,${MAX_INDICATORS - 1}}$`),
+            maxLength: 512
+        },
+        d: { pattern: /^[zj]\.[A-Za-z0-9_-]+$/, maxLength: MAX_HASH_LENGTH }
+    };
+
+    const canCompress = () => typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+    const toBase64Url = (bytes) => {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    };
+
+    const fromBase64Url = (text) => {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    };
+
+    const pipeBytes = async (bytes, stream) => {
+        const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+        return new Uint8Array(await response.arrayBuffer());
+    };
+
+    /**
+     * Inflate deflate-raw bytes, giving up as soon as the output passes maxBytes so a small
+     * link cannot expand into a huge buffer
+     * @returns {Promise<Uint8Array>} Inflated bytes
+     * @throws {Error} If the output is larger than maxBytes
+     */
+    const inflateBytes = async (bytes, maxBytes) => {
+        const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+        const chunks = [];
+        let length = 0;
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            length += value.length;
+            if (length > maxBytes) {
+                await reader.cancel();
+                throw new Error('drawings are too large');
+            }
+            chunks.push(value);
+        }
+
+        const result = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return result;
+    };
+
+    /**
+     * @param {Array} drawings - Serialized drawings from DrawingManager.exportDrawings()
+     * @returns {Promise<string>} Value of the d parameter
+     */
+    const encodeDrawings = async (drawings) => {
+        const bytes = new TextEncoder().encode(JSON.stringify(drawings));
+        if (canCompress()) {
+            return `z.${toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+        }
+        return `j.${toBase64Url(bytes)}`;
+    };
+
+    /**
+     * @param {string} value - Value of the d parameter (already pattern-checked)
+     * @returns {Promise<Array>} Drawings for DrawingManager.importDrawings(), still unvalidated
+     * @throws {Error} If the value does not decode to a JSON array
+     */
+    const decodeDrawings = async (value) => {
+        let bytes = fromBase64Url(value.slice(2));
+        if (value[0] === 'z') {
+            if (!canCompress()) {
+                throw new Error('this browser cannot decompress drawings');
+            }
+            bytes = await inflateBytes(bytes, MAX_DRAWINGS_JSON);
+        }
+        if (bytes.length > MAX_DRAWINGS_JSON) {
+            throw new Error('drawings are too large');
+        }
+
+        const json = new TextDecoder().decode(bytes);
+        if (Sanitizer.hasXSSPayload(json)) {
+            throw new Error('drawings contain unsafe content');
+        }
+
+        const drawings = JSON.parse(json);
+        if (!Array.isArray(drawings)) {
+            throw new Error('drawings are not a list');
+        }
+        return drawings;
+    };
+
+    /**
+     * @param {Array} indicators - { id, params: [numbers] }
+     * @returns {string} Value of the ind parameter, e.g. 'sma:20,macd:12:26:9'
+     */
+    const encodeIndicators = (indicators) => indicators
+        .slice(0, MAX_INDICATORS)
+        .map(indicator => [indicator.id].concat(indicator.params || []).join(':'))
+        .join(',');
+
+    const decodeIndicators = (value) => value.split(',').map(item => {
+        const [id, ...params] = item.split(':');
+        return { id, params: params.map(Number) };
+    });
+
+    /**
+     * Build the hash for a chart view
+     * @param {Object} state - { timeframe, from, to, chartType, indicators, drawings }; drawings
+     *                         are only included when given
+     * @returns {Promise<string>} Hash including the leading '#'
+     */
+    const encode = async (state) => {
+        const params = new URLSearchParams();
+        params.set('v', String(VERSION));
+
+        if (state.timeframe) params.set('tf', state.timeframe);
+        if (Number.isFinite(state.from) && Number.isFinite(state.to)) {
+            params.set('from', String(Math.floor(state.from)));
+            params.set('to', String(Math.ceil(state.to)));
+        }
+        if (state.chartType) params.set('type', state.chartType);
+        if (state.indicators && state.indicators.length > 0) {
+            params.set('ind', encodeIndicators(state.indicators));
+        }
+        if (state.drawings && state.drawings.length > 0) {
+            params.set('d', await encodeDrawings(state.drawings));
+        }
+
+        const hash = `#${params.toString()}`;
+        if (hash.length > MAX_HASH_LENGTH) {
+            throw new Error('The link would be too long; share it without drawings');
+        }
+        return hash;
+    };
+
+    /**
+     * Read a chart view from a hash
+     * @param {string} hash - location.hash
+     * @returns {Promise<Object|null>} { state, rejected: [{ name, reason }] }, or null when the hash
+     *          is not a chart link
+     */
+    const decode = async (hash) => {
+        const text = String(hash || '').replace(/^#/, '');
+        if (!text || !/(^|&)v=/.test(text)) return null;
+        if (text.length > MAX_HASH_LENGTH) {
+            return { state: {}, rejected: [{ name: 'hash', reason: 'link too long' }] };
+        }
+
+        const { values, rejected } = Sanitizer.filterParams(new URLSearchParams(text), PARAMS);
+        if (Number(values.v) !== VERSION) {
+            return { state: {}, rejected: rejected.concat([{ name: 'v', reason: 'unsupported link version' }]) };
+        }
+
+        const state = {};
+        if (values.tf) state.timeframe = values.tf;
+        if (values.from && values.to) {
+            const from = Number(values.from);
+            const to = Number(values.to);
+            if (from < to) {
+                state.from = from;
+                state.to = to;
+            } else {
+                rejected.push({ name: 'from', reason: 'range ends before it starts' });
+            }
+        } else if (values.from || values.to) {
+            rejected.push({ name: values.from ? 'from' : 'to', reason: 'range needs both from and to' });
+        }
+        if (values.type) state.chartType = values.type;
+        if (values.ind) state.indicators = decodeIndicators(values.ind);
+        if (values.d) {
+            try {
+                state.drawings = await decodeDrawings(values.d);
+            } catch (error) {
+                rejected.push({ name: 'd', reason: error.message });
+            }
+        }
+
+        return { state, rejected };
+    };
+
+    return {
+        encode,
+        decode,
+        VERSION,
+        CHART_TYPES,
+        MAX_HASH_LENGTH
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeepLink;
+}
+if (typeof window !== 'undefined') {
+    window.DeepLink = DeepLink;
+}
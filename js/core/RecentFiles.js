@@ -0,0 +1,94 @@
+/**
+ * RecentFiles - Most recently opened local data files, kept through AppStorage
+ * Entries keep the File itself so it can be reopened without picking it again
+ * (only when IndexedDB is available; the localStorage fallback keeps metadata only)
+ */
+const RecentFiles = (() => {
+    const STORE = 'recentFiles';
+    const MAX_ENTRIES = 8;
+
+    /**
+     * Build a stable id for a file from its name, size and modification time
+     * @param {File} file - Local file
+     * @returns {string} Entry id
+     */
+    const fileId = (file) => `${file.name}::${file.size}::${file.lastModified || 0}`;
+
+    /**
+     * List recent files, most recent first
+     * @returns {Promise<Array>} Entries { id, name, size, type, lastModified, openedAt, file }
+     */
+    const list = async () => {
+        const ids = await AppStorage.keys(STORE);
+        const entries = await Promise.all(ids.map(id => AppStorage.get(STORE, id)));
+        return entries
+            .filter(entry => entry && typeof entry.name === 'string')
+            .sort((a, b) => b.openedAt - a.openedAt);
+    };
+
+    /**
+     * Record a file as just opened, trimming the list to MAX_ENTRIES
+     * @param {File} file - Local file
+     * @returns {Promise<Object>} Stored entry
+     */
+    const add = async (file) => {
+        const entry = {
+            id: fileId(file),
+            name: file.name,
+            size: file.size,
+            type: file.type,
+            lastModified: file.lastModified || 0,
+            openedAt: Date.now(),
+            file
+        };
+
+        await AppStorage.set(STORE, entry.id, entry);
+
+        const entries = await list();
+        await Promise.all(entries.slice(MAX_ENTRIES).map(old => AppStorage.remove(STORE, old.id)));
+
+        eventBus.emit('recent-files-changed');
+        return entry;
+    };
+
+    /**
+     * Get a recent file entry
+     * @param {string} id - Entry id
+     * @returns {Promise<Object|undefined>} Entry
+     */
+    const get = (id) => AppStorage.get(STORE, id);
+
+    /**
+     * Forget a recent file
+     * @param {string} id - Entry id
+     * @returns {Promise<void>}
+     */
+    const remove = async (id) => {
+        await AppStorage.remove(STORE, id);
+        eventBus.emit('recent-files-changed');
+    };
+
+    /**
+     * Check whether an entry still holds a readable file
+     * @param {Object} entry - Recent file entry
+     * @returns {boolean} True if the file can be reopened
+     */
+    const hasFile = (entry) => !!(entry && entry.file && typeof entry.file.text === 'function');
+
+    return {
+        list,
+        add,
+        get,
+        remove,
+        hasFile,
+        fileId,
+        MAX_ENTRIES
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecentFiles;
+}
+if (typeof window !== 'undefined') {
+    window.RecentFiles = RecentFiles;
+}
@@ -0,0 +1,255 @@
+/**
+ * Workspaces - Named chart layouts kept through AppStorage
+ *
+ * A workspace records the data source, timeframe, visible range, chart layout (theme, price
+ * scale mode, volume, volume profile), toolbar position/visibility, indicators and the
+ * drawings, so a setup such as "intraday scalping" or "weekly structure" can be brought back
+ * in one step. Workspaces are exported and imported as single JSON files; everything read back
+ * is validated here, and the drawings again by DrawingManager when applied.
+ */
+const Workspaces = (() => {
+    const STORE = 'workspaces';
+    const FORMAT_VERSION = 1;
+    const MAX_FILE_BYTES = 2 * 1024 * 1024;
+    const MAX_NAME_LENGTH = 60;
+    const TOOLBAR_POSITIONS = ['position-top-left', 'position-top-right', 'position-bottom-left', 'position-bottom-right'];
+    const THEMES = ['dark', 'light'];
+    const MAX_INDICATORS = 12;
+
+    const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+    const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+    const isSafeString = (value, maxLength) =>
+        typeof value === 'string' && value.length <= maxLength && !Sanitizer.hasXSSPayload(value);
+
+    /**
+     * An indicator entry { id, params: [numbers], styles? }; IndicatorManager checks the values
+     * against the indicator's inputs when it is added
+     */
+    const isValidIndicator = (indicator) => {
+        if (!isPlainObject(indicator) || typeof indicator.id !== 'string' || !/^[a-z][a-z0-9]{1,15}$/.test(indicator.id)) {
+            return false;
+        }
+        if (!Array.isArray(indicator.params) || indicator.params.length > 8 || !indicator.params.every(isFiniteNumber)) {
+            return false;
+        }
+        if (indicator.styles == null) return true;
+        return isPlainObject(indicator.styles) && Object.values(indicator.styles).every(style =>
+            isPlainObject(style) &&
+            (style.color == null || isSafeString(style.color, 64)) &&
+            (style.lineWidth == null || Number.isInteger(style.lineWidth)));
+    };
+
+    /**
+     * Trim a workspace name and check it is usable as a key
+     * @param {string} name - Name as typed
+     * @returns {string|null} Clean name, or null if it is empty, too long or unsafe
+     */
+    const normalizeName = (name) => {
+        const clean = String(name == null ? '' : name).replace(/[\u0000-\u001f\u007f]/g, '').trim();
+        return clean && isSafeString(clean, MAX_NAME_LENGTH) ? clean : null;
+    };
+
+    /**
+     * Validate a workspace read from storage or a file
+     * @param {Object} payload - Parsed workspace
+     * @returns {Object} { valid, errors: [string], workspace } with only the known fields kept
+     */
+    const validate = (payload) => {
+        const errors = [];
+        if (!isPlainObject(payload)) {
+            return { valid: false, errors: ['workspace must be an object'], workspace: null };
+        }
+        if (payload.version !== FORMAT_VERSION) {
+            errors.push(`unsupported workspace version ${payload.version}`);
+        }
+
+        const name = normalizeName(payload.name);
+        if (!name) errors.push('name is missing or invalid');
+
+        const source = payload.dataSource;
+        if (!isPlainObject(source) || !isSafeString(source.path, 512) || !source.path) {
+            errors.push('dataSource.path is missing or invalid');
+        } else {
+            if (source.name != null && !isSafeString(source.name, 256)) errors.push('dataSource.name is invalid');
+            if (source.recentFileId != null && !isSafeString(source.recentFileId, 512)) errors.push('dataSource.recentFileId is invalid');
+        }
+
+        if (typeof payload.timeframe !== 'string' || !/^\d{1,6}[smhDW]$/.test(payload.timeframe)) {
+            errors.push('timeframe is invalid');
+        }
+
+        const range = payload.visibleRange;
+        if (range != null && (!isPlainObject(range) || !isFiniteNumber(range.from) || !isFiniteNumber(range.to) || range.from >= range.to)) {
+            errors.push('visibleRange is invalid');
+        }
+
+        const chart = payload.chart;
+        if (!isPlainObject(chart)) {
+            errors.push('chart is missing');
+        } else {
+            if (!THEMES.includes(chart.theme)) errors.push('chart.theme is invalid');
+            if (!Number.isInteger(chart.priceScaleMode) || chart.priceScaleMode < 0 || chart.priceScaleMode > 3) {
+                errors.push('chart.priceScaleMode is invalid');
+            }
+            if (typeof chart.volumeVisible !== 'boolean') errors.push('chart.volumeVisible is invalid');
+            // Workspaces saved before the volume profile existed have no profile settings
+            if (chart.volumeProfile != null && typeof chart.volumeProfile !== 'boolean') errors.push('chart.volumeProfile is invalid');
+            if (chart.profileRowSize != null && (!isFiniteNumber(chart.profileRowSize) || chart.profileRowSize < 0)) {
+                errors.push('chart.profileRowSize is invalid');
+            }
+        }
+
+        const toolbar = payload.toolbar;
+        if (toolbar != null) {
+            if (!isPlainObject(toolbar)) {
+                errors.push('toolbar is invalid');
+            } else {
+                if (toolbar.position != null && !TOOLBAR_POSITIONS.includes(toolbar.position)) errors.push('toolbar.position is invalid');
+                if (toolbar.theme != null && !THEMES.includes(toolbar.theme)) errors.push('toolbar.theme is invalid');
+                if (typeof toolbar.visible !== 'boolean') errors.push('toolbar.visible is invalid');
+            }
+        }
+
+        // Workspaces saved before indicators existed have none
+        const indicators = payload.indicators == null ? [] : payload.indicators;
+        if (!Array.isArray(indicators) || indicators.length > MAX_INDICATORS) {
+            errors.push(`indicators must be an array of at most ${MAX_INDICATORS}`);
+        } else {
+            indicators.forEach((indicator, index) => {
+                if (!isValidIndicator(indicator)) errors.push(`indicators[${index}] is invalid`);
+            });
+        }
+
+        if (!Array.isArray(payload.drawings)) {
+            errors.push('drawings must be an array');
+        }
+
+        if (errors.length > 0) {
+            return { valid: false, errors, workspace: null };
+        }
+
+        return {
+            valid: true,
+            errors: [],
+            workspace: {
+                version: FORMAT_VERSION,
+                name,
+                savedAt: isFiniteNumber(payload.savedAt) ? payload.savedAt : Date.now(),
+                dataSource: {
+                    path: source.path,
+                    name: source.name || null,
+                    recentFileId: source.recentFileId || null
+                },
+                timeframe: payload.timeframe,
+                visibleRange: range ? { from: range.from, to: range.to } : null,
+                chart: {
+                    theme: chart.theme,
+                    priceScaleMode: chart.priceScaleMode,
+                    volumeVisible: chart.volumeVisible,
+                    volumeProfile: chart.volumeProfile === true,
+                    profileRowSize: chart.profileRowSize || 0
+                },
+                toolbar: toolbar ? {
+                    position: toolbar.position || null,
+                    theme: toolbar.theme || null,
+                    visible: toolbar.visible
+                } : null,
+                indicators: indicators.map(indicator => ({
+                    id: indicator.id,
+                    params: indicator.params.slice(),
+                    styles: indicator.styles || {}
+                })),
+                drawings: payload.drawings
+            }
+        };
+    };
+
+    /**
+     * List saved workspaces, most recently saved first
+     * @returns {Promise<Array>} Valid workspaces
+     */
+    const list = async () => {
+        const names = await AppStorage.keys(STORE);
+        const entries = await Promise.all(names.map(name => AppStorage.get(STORE, name)));
+        return entries
+            .map(entry => validate(entry).workspace)
+            .filter(Boolean)
+            .sort((a, b) => b.savedAt - a.savedAt);
+    };
+
+    /**
+     * @param {string} name - Workspace name
+     * @returns {Promise<Object|null>} Validated workspace, or null if missing or invalid
+     */
+    const get = async (name) => {
+        const entry = await AppStorage.get(STORE, name);
+        return entry === undefined ? null : validate(entry).workspace;
+    };
+
+    /**
+     * Save a workspace under its name, replacing one with the same name
+     * @param {Object} workspace - Workspace to save
+     * @returns {Promise<Object>} The stored workspace
+     * @throws {Error} If the workspace is invalid
+     */
+    const save = async (workspace) => {
+        const result = validate({ ...workspace, version: FORMAT_VERSION, savedAt: Date.now() });
+        if (!result.valid) {
+            throw new Error(`Invalid workspace: ${result.errors.join('; ')}`);
+        }
+        await AppStorage.set(STORE, result.workspace.name, result.workspace);
+        return result.workspace;
+    };
+
+    const remove = (name) => AppStorage.remove(STORE, name);
+
+    /**
+     * Size-check, parse and validate the text of a workspace file
+     * @param {string} text - File contents
+     * @returns {Object} { valid, errors, workspace }
+     */
+    const parseFile = (text) => {
+        if (typeof text !== 'string') {
+            return { valid: false, errors: ['file could not be read'], workspace: null };
+        }
+        if (text.length > MAX_FILE_BYTES) {
+            return { valid: false, errors: [`file is larger than ${Math.round(MAX_FILE_BYTES / 1024 / 1024)} MB`], workspace: null };
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (error) {
+            return { valid: false, errors: ['file is not valid JSON'], workspace: null };
+        }
+        return validate(payload);
+    };
+
+    /**
+     * @param {Object} workspace - Workspace to export
+     * @returns {string} Pretty-printed JSON for a workspace file
+     */
+    const toFileText = (workspace) => JSON.stringify(workspace, null, 2);
+
+    return {
+        list,
+        get,
+        save,
+        remove,
+        validate,
+        normalizeName,
+        parseFile,
+        toFileText,
+        FORMAT_VERSION,
+        MAX_NAME_LENGTH,
+        THEMES
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Workspaces;
+}
+if (typeof window !== 'undefined') {
+    window.Workspaces = Workspaces;
+}
@@ -0,0 +1,452 @@
+// CSV dialect detection and row parsing for BTCUSD Chart Application
+// Shared by DataProcessor on the main thread and the CSV parser worker
+
+const CSVDialect = {
+    /**
+     * Delimiters tried during detection, most likely first
+     */
+    DELIMITERS: ['\t', ',', ';'],
+
+    /**
+     * Fields a row is mapped into; volume is optional
+     */
+    FIELDS: ['time', 'open', 'high', 'low', 'close', 'volume'],
+    REQUIRED_FIELDS: ['time', 'open', 'high', 'low', 'close'],
+
+    /**
+     * Header names recognised for each field, compared lowercased with
+     * everything but letters and digits removed
+     */
+    HEADER_ALIASES: {
+        time: ['time', 'date', 'datetime', 'timestamp', 'opentime', 'gmttime', 'localtime', 'unix', 'ts'],
+        open: ['open', 'o', 'openprice'],
+        high: ['high', 'h', 'highprice'],
+        low: ['low', 'l', 'lowprice'],
+        close: ['close', 'c', 'closeprice', 'last'],
+        volume: ['volume', 'vol', 'v', 'tickvolume', 'basevolume', 'volumebtc']
+    },
+
+    /**
+     * Timestamp formats
+     * - epoch-s: unix seconds
+     * - epoch-ms: unix milliseconds
+     * - iso: ISO 8601 with a 'T' separator, with or without a UTC offset
+     * - datetime: "YYYY-MM-DD HH:mm[:ss]" (also with '.' or '/' date separators) or a bare date
+     */
+    TIMESTAMP_FORMATS: ['epoch-s', 'epoch-ms', 'iso', 'datetime'],
+
+    /**
+     * 'local' keeps the browser's timezone, which is how the app has always read its CSV
+     */
+    DEFAULT_TIMEZONE: 'local',
+
+    SAMPLE_LINES: 50,
+
+    // Share of sample rows that must parse for detection to be trusted
+    MIN_VALID_RATIO: 0.9,
+
+    ISO_PATTERN: /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?(Z|[+-]\d{2}:?\d{2})?$/,
+    DATETIME_PATTERN: /^(\d{4})[-./](\d{2})[-./](\d{2})(?:[ ](\d{2}):(\d{2})(?::(\d{2}))?)?$/,
+    EPOCH_PATTERN: /^\d+(?:\.\d+)?$/,
+
+    // Per-timezone formatter and offset caches for wall-clock conversion
+    formatters: new Map(),
+    offsetCache: new Map(),
+
+    /**
+     * Check whether a timezone can be used as a source timezone
+     * @param {string} timezone - 'local', 'UTC' or an IANA name such as 'America/New_York'
+     * @returns {boolean} True if supported
+     */
+    isValidTimezone: function(timezone) {
+        if (timezone === 'local' || timezone === 'UTC') return true;
+        if (typeof timezone !== 'string' || timezone.length === 0) return false;
+
+        try {
+            this.getFormatter(timezone);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Get a cached formatter that reports wall-clock parts in a timezone
+     * @param {string} timezone - IANA timezone name
+     * @returns {Intl.DateTimeFormat} Formatter
+     */
+    getFormatter: function(timezone) {
+        if (!this.formatters.has(timezone)) {
+            this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            }));
+        }
+        return this.formatters.get(timezone);
+    },
+
+    /**
+     * Offset of a timezone from UTC at an instant, in milliseconds
+     * @param {number} instant - Unix time in milliseconds
+     * @param {string} timezone - IANA timezone name
+     * @returns {number} Offset in milliseconds (positive east of UTC)
+     */
+    getTimezoneOffset: function(instant, timezone) {
+        // Offsets only change on whole quarter hours, so cache per quarter hour
+        const key = `${timezone}|${Math.floor(instant / 900000)}`;
+        if (this.offsetCache.has(key)) return this.offsetCache.get(key);
+
+        const parts = {};
+        this.getFormatter(timezone).formatToParts(new Date(instant)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        const wallClock = Date.UTC(
+            Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+            Number(parts.hour), Number(parts.minute), Number(parts.second)
+        );
+        const offset = wallClock - Math.floor(instant / 1000) * 1000;
+
+        if (this.offsetCache.size > 100000) this.offsetCache.clear();
+        this.offsetCache.set(key, offset);
+        return offset;
+    },
+
+    /**
+     * Convert a wall-clock time in a timezone to unix seconds
+     * @returns {number} Unix seconds, or NaN for an impossible date
+     */
+    wallClockToUnix: function(year, month, day, hour, minute, second, timezone) {
+        if (timezone === 'local') {
+            return Math.floor(new Date(year, month - 1, day, hour, minute, second).getTime() / 1000);
+        }
+
+        const asUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+        if (timezone === 'UTC') return Math.floor(asUTC / 1000);
+
+        // Apply the offset, then re-check it at the result to get DST transitions right
+        let instant = asUTC - this.getTimezoneOffset(asUTC, timezone);
+        const offset = this.getTimezoneOffset(instant, timezone);
+        instant = asUTC - offset;
+        return Math.floor(instant / 1000);
+    },
+
+    /**
+     * Work out which formats a timestamp value could be in
+     * @param {string} value - Raw timestamp
+     * @returns {string|null} Format name or null if unrecognised
+     */
+    detectTimestampFormat: function(value) {
+        const text = String(value).trim();
+
+        if (this.EPOCH_PATTERN.test(text)) {
+            const number = parseFloat(text);
+            // Seconds until the year 5138, milliseconds from 1973 onwards
+            if (number >= 1e11) return 'epoch-ms';
+            if (number >= 1e8) return 'epoch-s';
+            return null;
+        }
+        if (this.ISO_PATTERN.test(text)) return 'iso';
+        if (this.DATETIME_PATTERN.test(text)) return 'datetime';
+        return null;
+    },
+
+    /**
+     * Parse a timestamp to unix seconds
+     * @param {string} value - Raw timestamp
+     * @param {string} format - One of TIMESTAMP_FORMATS
+     * @param {string} timezone - Source timezone for values without an offset
+     * @returns {number} Unix seconds, or NaN if the value does not match the format
+     */
+    parseTimestamp: function(value, format, timezone = this.DEFAULT_TIMEZONE) {
+        const text = String(value).trim();
+
+        switch (format) {
+            case 'epoch-s':
+                return this.EPOCH_PATTERN.test(text) ? Math.floor(parseFloat(text)) : NaN;
+            case 'epoch-ms':
+                return this.EPOCH_PATTERN.test(text) ? Math.floor(parseFloat(text) / 1000) : NaN;
+            case 'iso': {
+                const match = this.ISO_PATTERN.exec(text);
+                if (!match) return NaN;
+                // An explicit offset wins over the source timezone
+                if (match[8]) {
+                    return Math.floor(Date.parse(text) / 1000);
+                }
+                return this.wallClockToUnix(+match[1], +match[2], +match[3], +match[4], +match[5], +(match[6] || 0), timezone);
+            }
+            case 'datetime': {
+                const match = this.DATETIME_PATTERN.exec(text);
+                if (!match) return NaN;
+                return this.wallClockToUnix(+match[1], +match[2], +match[3], +(match[4] || 0), +(match[5] || 0), +(match[6] || 0), timezone);
+            }
+            default:
+                return NaN;
+        }
+    },
+
+    /**
+     * Split a line into trimmed fields, dropping surrounding quotes
+     * @param {string} line - Raw line
+     * @param {string} delimiter - Field delimiter
+     * @returns {Array<string>} Fields
+     */
+    splitLine: function(line, delimiter) {
+        return line.split(delimiter).map(field => field.trim().replace(/^"(.*)"$/, '$1'));
+    },
+
+    normalizeHeader: function(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+    },
+
+    /**
+     * Map header names to column indexes
+     * @param {Array<string>} headers - Header fields
+     * @returns {Object} Field to column index (-1 when not found)
+     */
+    mapHeaders: function(headers) {
+        const normalized = headers.map(name => this.normalizeHeader(name));
+        const columns = {};
+
+        this.FIELDS.forEach(field => {
+            const aliases = this.HEADER_ALIASES[field];
+            columns[field] = normalized.findIndex(name => aliases.includes(name));
+        });
+
+        return columns;
+    },
+
+    /**
+     * The column order the app has always assumed: datetime, open, high, low, close, volume
+     * @param {number} columnCount - Number of columns in the file
+     * @returns {Object} Field to column index
+     */
+    defaultColumns: function(columnCount) {
+        return { time: 0, open: 1, high: 2, low: 3, close: 4, volume: columnCount > 5 ? 5 : -1 };
+    },
+
+    /**
+     * Pick the delimiter that splits the sample into a consistent number of columns
+     * @param {Array<string>} lines - Sample lines
+     * @returns {Object} { delimiter, columnCount, consistency }
+     */
+    detectDelimiter: function(lines) {
+        let best = { delimiter: this.DELIMITERS[0], columnCount: 0, consistency: 0 };
+
+        this.DELIMITERS.forEach(delimiter => {
+            const counts = new Map();
+            lines.forEach(line => {
+                const count = line.split(delimiter).length;
+                counts.set(count, (counts.get(count) || 0) + 1);
+            });
+
+            counts.forEach((occurrences, columnCount) => {
+                if (columnCount < 5) return;
+                const consistency = occurrences / lines.length;
+                if (consistency > best.consistency ||
+                    (consistency === best.consistency && columnCount > best.columnCount)) {
+                    best = { delimiter, columnCount, consistency };
+                }
+            });
+        });
+
+        return best;
+    },
+
+    /**
+     * Detect the dialect of a CSV sample
+     * @param {string} sampleText - Start of the file
+     * @param {Object} options - { timezone }
+     * @returns {Object} Detection { dialect, confidence: 'high'|'low', issues, headers, sampleLines, validRatio }
+     */
+    detect: function(sampleText, options = {}) {
+        const timezone = options.timezone || this.DEFAULT_TIMEZONE;
+        const lines = String(sampleText)
+            .split('\n')
+            .map(line => line.replace(/\r$/, ''))
+            .filter(line => line.trim().length > 0);
+
+        // The last line of a partial sample may be cut off
+        const sampleLines = lines.slice(0, this.SAMPLE_LINES + 1);
+        const issues = [];
+
+        if (sampleLines.length === 0) {
+            return {
+                dialect: this.createDialect({ timezone }),
+                confidence: 'low',
+                issues: ['The file has no rows'],
+                headers: [],
+                sampleLines,
+                validRatio: 0
+            };
+        }
+
+        const { delimiter, columnCount, consistency } = this.detectDelimiter(sampleLines);
+        if (columnCount === 0) {
+            issues.push('Could not find a delimiter that gives at least 5 columns');
+        } else if (consistency < this.MIN_VALID_RATIO) {
+            issues.push('Rows have an inconsistent number of columns');
+        }
+
+        const firstRow = this.splitLine(sampleLines[0], delimiter);
+        const numericFields = firstRow.filter(field => field !== '' && !isNaN(Number(field))).length;
+        const hasHeader = this.detectTimestampFormat(firstRow[0]) === null && numericFields < 4;
+
+        let columns;
+        if (hasHeader) {
+            columns = this.mapHeaders(firstRow);
+            const missing = this.REQUIRED_FIELDS.filter(field => columns[field] === -1);
+            if (missing.length > 0) {
+                issues.push(`No header matched ${missing.join(', ')}`);
+            }
+        } else {
+            columns = this.defaultColumns(Math.max(columnCount, firstRow.length));
+        }
+
+        const dataLines = sampleLines.slice(hasHeader ? 1 : 0);
+        const timestampFormat = this.detectColumnFormat(dataLines, delimiter, columns.time);
+        if (!timestampFormat) {
+            issues.push('Could not recognise the timestamp format');
+        }
+
+        const dialect = this.createDialect({ delimiter, hasHeader, columns, timestampFormat, timezone });
+        const validRatio = this.measureValidRatio(dataLines, dialect);
+        if (validRatio < this.MIN_VALID_RATIO) {
+            issues.push(`Only ${Math.round(validRatio * 100)}% of sample rows parse with this mapping`);
+        }
+
+        return {
+            dialect,
+            confidence: issues.length === 0 ? 'high' : 'low',
+            issues,
+            headers: hasHeader ? firstRow : [],
+            sampleLines,
+            validRatio
+        };
+    },
+
+    /**
+     * Find the one timestamp format shared by a column's sample values
+     * @returns {string|null} Format, or null when values disagree or are unrecognised
+     */
+    detectColumnFormat: function(lines, delimiter, columnIndex) {
+        if (columnIndex < 0) return null;
+
+        const formats = new Map();
+        lines.slice(0, this.SAMPLE_LINES).forEach(line => {
+            const value = this.splitLine(line, delimiter)[columnIndex];
+            const format = value === undefined ? null : this.detectTimestampFormat(value);
+            formats.set(format, (formats.get(format) || 0) + 1);
+        });
+
+        let best = null;
+        let bestCount = 0;
+        formats.forEach((count, format) => {
+            if (format && count > bestCount) {
+                best = format;
+                bestCount = count;
+            }
+        });
+
+        return best;
+    },
+
+    /**
+     * Share of lines that parse into valid bars with a dialect
+     */
+    measureValidRatio: function(lines, dialect) {
+        const sample = lines.slice(0, this.SAMPLE_LINES);
+        if (sample.length === 0) return 0;
+
+        const parseRow = this.createRowParser(dialect);
+        const valid = sample.filter(line => typeof parseRow(line) !== 'string').length;
+        return valid / sample.length;
+    },
+
+    /**
+     * Fill in a complete dialect from partial settings
+     * @param {Object} settings - Partial dialect
+     * @returns {Object} Dialect { delimiter, hasHeader, columns, timestampFormat, timezone }
+     */
+    createDialect: function(settings = {}) {
+        return {
+            delimiter: settings.delimiter || '\t',
+            hasHeader: !!settings.hasHeader,
+            columns: { ...this.defaultColumns(6), ...settings.columns },
+            timestampFormat: settings.timestampFormat || 'datetime',
+            timezone: settings.timezone || this.DEFAULT_TIMEZONE
+        };
+    },
+
+    /**
+     * Check a dialect supplied from outside (dialog, storage) before using it
+     * @param {Object} dialect - Dialect to check
+     * @returns {Array<string>} Problems, empty when usable
+     */
+    validateDialect: function(dialect) {
+        const errors = [];
+        if (!dialect || typeof dialect !== 'object') return ['Mapping is missing'];
+
+        if (!this.DELIMITERS.includes(dialect.delimiter)) errors.push('Unsupported delimiter');
+        if (!this.TIMESTAMP_FORMATS.includes(dialect.timestampFormat)) errors.push('Unsupported timestamp format');
+        if (!this.isValidTimezone(dialect.timezone)) errors.push('Unknown timezone');
+
+        const columns = dialect.columns || {};
+        this.REQUIRED_FIELDS.forEach(field => {
+            if (!Number.isInteger(columns[field]) || columns[field] < 0) {
+                errors.push(`No column chosen for ${field}`);
+            }
+        });
+
+        return errors;
+    },
+
+    /**
+     * Build a row parser for a dialect
+     * @param {Object} dialect - Dialect from detect() or createDialect()
+     * @returns {Function} (line) => bar { time, open, high, low, close, volume } or a string reason it was skipped
+     */
+    createRowParser: function(dialect) {
+        const { delimiter, columns, timestampFormat, timezone } = dialect;
+        const needed = Math.max(columns.time, columns.open, columns.high, columns.low, columns.close) + 1;
+
+        return (line) => {
+            const fields = this.splitLine(line, delimiter);
+            if (fields.length < needed) {
+                return 'insufficient columns';
+            }
+
+            const time = this.parseTimestamp(fields[columns.time], timestampFormat, timezone);
+            const open = parseFloat(fields[columns.open]);
+            const high = parseFloat(fields[columns.high]);
+            const low = parseFloat(fields[columns.low]);
+            const close = parseFloat(fields[columns.close]);
+            const rawVolume = columns.volume >= 0 ? parseFloat(fields[columns.volume]) : 0;
+            const volume = Number.isFinite(rawVolume) && rawVolume >= 0 ? rawVolume : 0;
+
+            if (isNaN(open) || isNaN(high) || isNaN(low) || isNaN(close)) {
+                return 'invalid numeric values';
+            }
+            if (high < low || high < open || high < close || low > open || low > close) {
+                return 'invalid OHLC relationships';
+            }
+            if (!Number.isFinite(time) || time <= 0) {
+                return 'invalid timestamp';
+            }
+
+            return { time, open, high, low, close, volume };
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVDialect;
+} else if (typeof window !== 'undefined') {
+    window.CSVDialect = CSVDialect;
+}
@@ -1,31 +1,67 @@
 // Data processing utilities for BTCUSD Chart Application
 
 const DataProcessor = {
+    /**
+     * Worker script that streams and parses CSV files off the main thread
+     */
+    WORKER_URL: 'js/workers/csvParser.worker.js',
+
+    /**
+     * Largest local file accepted from drag-and-drop or the file picker
+     */
+    MAX_LOCAL_FILE_BYTES: 512 * 1024 * 1024,
+
     /**
      * Load CSV data from file
-     * @param {string} filePath - Path to CSV file
+     * @param {string|File} filePath - Path to CSV file, or a local File
+     * @param {Object} options - Loading options
+     * @param {Object} [options.dialect] - Known CSV dialect; skips detection
+     * @param {string} [options.timezone] - Source timezone used while detecting
+     * @param {Function} [options.resolveMapping] - (detection) => Promise<dialect|null>, called when detection is unsure
+     * @param {Function} [options.onDialect] - (dialect, sampleLines) => void, called with the dialect that was used
+     * @param {Function} [options.onSource] - (source) => void, called with the worker's BarCache validators
      * @returns {Promise<Array>} Promise resolving to parsed data
      */
-    loadCSVData: async function(filePath) {
+    loadCSVData: async function(filePath, options = {}) {
         const startTime = performance.now();
+        const loadOptions = {
+            resolveMapping: (detection) => this.resolveMapping(detection),
+            onDialect: () => {},
+            onSource: () => {},
+            ...options
+        };
 
         try {
-            Utils.setLoading('Fetching data file...');
+            if (this.canUseWorker()) {
+                Utils.setLoading('Loading data... 0%');
+                const parsedData = await this.parseCSVInWorker(filePath, loadOptions);
+
+                const metrics = Utils.getPerformanceMetrics(startTime, parsedData.length);
+                console.log('Data loading metrics (worker):', metrics);
 
-            const response = await fetch(filePath);
-            if (!response.ok) {
-                throw new Error(`Failed to fetch data file: ${response.status} ${response.statusText}`);
+                return parsedData;
             }
 
             Utils.setLoading('Reading CSV data...');
-            const csvText = await response.text();
+            const csvText = await this.readSourceText(filePath);
 
             if (!csvText || csvText.trim().length === 0) {
                 throw new Error('CSV file is empty or could not be read');
             }
 
+            const detection = CSVDialect.detect(csvText.slice(0, 64 * 1024), { timezone: loadOptions.timezone });
+            let dialect = loadOptions.dialect || detection.dialect;
+            if (!loadOptions.dialect && detection.confidence !== 'high') {
+                Utils.setLoading('Waiting for column mapping...');
+                dialect = await loadOptions.resolveMapping(detection);
+                if (!dialect) {
+                    throw new Error('CSV import cancelled');
+                }
+            }
+            loadOptions.onDialect(dialect, detection.sampleLines);
+
             Utils.setLoading('Parsing and transforming data...');
-            const parsedData = this.parseCSV(csvText);
+            const parsedData = this.parseCSV(csvText, dialect);
 
             const metrics = Utils.getPerformanceMetrics(startTime, parsedData.length);
             console.log('Data loading metrics:', metrics);
@@ -39,57 +75,691 @@ const DataProcessor = {
         }
     },
 
+    /**
+     * Load a local data file with the importer its contents match (see ImporterRegistry)
+     * @param {File} file - File from drag-and-drop or a file picker
+     * @param {Object} options - Loading options, as for loadCSVData
+     * @param {Object} [options.importer] - Importer already picked by detectImporter()
+     * @returns {Promise<Array>} Promise resolving to parsed data
+     */
+    loadDataFile: async function(file, options = {}) {
+        this.checkLocalFile(file);
+
+        const importer = options.importer || await this.detectImporter(file);
+        if (!importer.streaming) {
+            try {
+                Utils.setLoading(`Reading ${file.name} as ${importer.label}...`);
+                return ImporterRegistry.parse(importer, await file.text(), options);
+            } catch (error) {
+                console.error(`Error loading ${importer.label} data:`, error);
+                Utils.showError(`Failed to load data: ${error.message}`);
+                throw error;
+            }
+        }
+
+        // Exchange exports are often newest-first
+        return this.normalizeData(await this.loadCSVData(file, options));
+    },
+
+    /**
+     * Reject missing, empty and oversized local files
+     * @param {File} file - Local file
+     */
+    checkLocalFile: function(file) {
+        if (!file || typeof file.size !== 'number') {
+            throw new Error('No file selected');
+        }
+        if (file.size === 0) {
+            throw new Error(`${file.name} is empty`);
+        }
+        if (file.size > this.MAX_LOCAL_FILE_BYTES) {
+            throw new Error(`${file.name} is larger than ${Math.round(this.MAX_LOCAL_FILE_BYTES / 1024 / 1024)} MB`);
+        }
+    },
+
+    /**
+     * Load CSV data through BarCache: an unchanged source is read from the cache, and a
+     * source that only grew has just its new rows parsed and merged into the cached bars
+     * @param {string|File} source - Path to CSV file, or a local File
+     * @param {Object} options - Loading options, as for loadCSVData
+     * @param {string} options.cacheKey - Key of the cache entry for this source
+     * @returns {Promise<Object>} { data, appended, fromCache } where appended holds the bars
+     *          at or after the cached last time (null when the whole source was parsed)
+     */
+    loadCachedCSVData: async function(source, options = {}) {
+        if (typeof source !== 'string') {
+            this.checkLocalFile(source);
+        }
+
+        const entry = options.cacheKey ? await BarCache.get(options.cacheKey) : null;
+        const sameDialect = entry && (!options.dialect ||
+            JSON.stringify(options.dialect) === JSON.stringify(entry.dialect));
+
+        if (sameDialect) {
+            try {
+                const update = await this.readCacheUpdate(source, entry);
+                if (update) {
+                    const result = this.applyCacheUpdate(entry, update);
+                    (options.onDialect || (() => {}))(entry.dialect, entry.sampleLines);
+
+                    if (update.source) {
+                        await BarCache.set(options.cacheKey, result.data, {
+                            ...update.source,
+                            dialect: entry.dialect,
+                            sampleLines: entry.sampleLines
+                        });
+                    }
+                    console.log(`DataProcessor: Read ${result.data.length} bars from cache, ${result.appended.length} new or updated`);
+                    return { ...result, fromCache: true };
+                }
+            } catch (error) {
+                console.warn('DataProcessor: Cache update failed, reparsing source:', error);
+            }
+        }
+
+        let sourceInfo = null;
+        let dialect = null;
+        let sampleLines = [];
+        const parsed = await this.loadCSVData(source, {
+            ...options,
+            onDialect: (used, lines) => {
+                dialect = used;
+                sampleLines = lines || [];
+                if (options.onDialect) options.onDialect(used, lines);
+            },
+            onSource: (info) => {
+                sourceInfo = info;
+            }
+        });
+
+        // Exchange exports are often newest-first
+        const data = typeof source === 'string' ? parsed : this.normalizeData(parsed);
+        if (options.cacheKey && sourceInfo) {
+            await BarCache.set(options.cacheKey, data, { ...sourceInfo, dialect, sampleLines });
+        }
+
+        return { data, appended: null, fromCache: false };
+    },
+
+    /**
+     * Compare a source with its cache entry, fetching only the bytes past the cached end
+     * @param {string|File} source - Path or local File
+     * @param {Object} entry - BarCache entry
+     * @returns {Promise<Object|null>} { bytes, overlap, source } where bytes starts overlap bytes
+     *          before the cached end (null bytes when unchanged), or null if the cache is stale
+     */
+    readCacheUpdate: async function(source, entry) {
+        const overlapStart = Math.max(0, entry.size - BarCache.TAIL_BYTES);
+        const overlap = entry.size - overlapStart;
+        let bytes;
+        let info;
+
+        if (typeof source !== 'string') {
+            const lastModified = source.lastModified ? String(source.lastModified) : null;
+            if (source.size === entry.size && lastModified === entry.lastModified) {
+                return { bytes: null, overlap, source: null };
+            }
+            if (source.size < entry.size) return null;
+
+            bytes = new Uint8Array(await source.slice(overlapStart).arrayBuffer());
+            info = { size: source.size, etag: null, lastModified };
+        } else {
+            const headers = { Range: `bytes=${overlapStart}-` };
+            if (entry.etag) headers['If-None-Match'] = entry.etag;
+            if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+            const response = await fetch(source, { headers, cache: 'no-store' });
+            if (response.status === 304) {
+                return { bytes: null, overlap, source: null };
+            }
+            if (response.status !== 206) {
+                // No range support or the file shrank; parse it from scratch
+                if (response.body) response.body.cancel();
+                return null;
+            }
+
+            bytes = new Uint8Array(await response.arrayBuffer());
+            const range = /\/(\d+)$/.exec(response.headers.get('Content-Range') || '');
+            info = {
+                size: range ? parseInt(range[1], 10) : overlapStart + bytes.byteLength,
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified')
+            };
+        }
+
+        // The bytes that ended the cached file must still be there for this to be an append
+        if (bytes.byteLength < overlap || BarCache.hashBytes(bytes.subarray(0, overlap)) !== entry.tailHash) {
+            return null;
+        }
+
+        info.tailHash = BarCache.hashBytes(bytes.subarray(Math.max(0, bytes.byteLength - BarCache.TAIL_BYTES)));
+        return { bytes, overlap, source: info };
+    },
+
+    /**
+     * Parse the rows added since a cache entry was stored and merge them into its bars
+     * @param {Object} entry - BarCache entry
+     * @param {Object} update - Result of readCacheUpdate()
+     * @returns {Object} { data, appended }
+     */
+    applyCacheUpdate: function(entry, update) {
+        const data = this.fromColumns(entry.columns, entry.count);
+        if (!update.bytes || update.bytes.byteLength === update.overlap) {
+            return { data, appended: [] };
+        }
+
+        // Start at the last cached line so a row that was still being written is read again
+        const lines = new TextDecoder().decode(update.bytes).split('\n');
+        if (update.overlap < entry.size) {
+            lines.shift();
+        }
+
+        const parseRow = CSVDialect.createRowParser(entry.dialect);
+        const rows = [];
+        lines.forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line) return;
+
+            const bar = parseRow(line);
+            if (typeof bar !== 'string' && bar.time >= entry.lastTime && Utils.validateOHLC(bar)) {
+                rows.push(bar);
+            }
+        });
+
+        const appended = this.normalizeData(rows);
+        while (appended.length > 0 && data.length > 0 && data[data.length - 1].time >= appended[0].time) {
+            data.pop();
+        }
+        appended.forEach(bar => data.push(bar));
+
+        return { data, appended };
+    },
+
+    /**
+     * Pick the importer for a data source by sniffing the start of a local file
+     * Paths are the CSV feed and always use the CSV importer
+     * @param {string|File} source - Path or local File
+     * @returns {Promise<Object>} Importer
+     */
+    detectImporter: async function(source) {
+        const csv = ImporterRegistry.get('csv');
+        if (typeof source === 'string') return csv;
+
+        const importer = ImporterRegistry.detect(await ImporterRegistry.readSample(source), source.name);
+        if (!importer) {
+            throw new Error(`${source.name} is not in a recognised data format`);
+        }
+        console.log(`DataProcessor: Reading ${source.name} as ${importer.label}`);
+        return importer;
+    },
+
+    /**
+     * Read the whole text of a URL or local File
+     * @param {string|File} source - Path or File
+     * @returns {Promise<string>} File contents
+     */
+    readSourceText: async function(source) {
+        if (typeof source !== 'string') {
+            return source.text();
+        }
+
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch data file: ${response.status} ${response.statusText}`);
+        }
+        return response.text();
+    },
+
+    /**
+     * Parse JSON bars: an array (or { data: [...] }) of objects with time/open/high/low/close[/volume]
+     * fields, or of [time, open, high, low, close, volume] arrays
+     * @param {string} jsonText - Raw JSON text
+     * @param {Object} options - { timezone } for timestamps without an offset
+     * @returns {Array} Parsed data array, sorted by time
+     */
+    parseJSON: function(jsonText, options = {}) {
+        let payload;
+        try {
+            payload = JSON.parse(jsonText);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+
+        const rows = Array.isArray(payload) ? payload : (payload && (payload.data || payload.bars || payload.candles));
+        if (!Array.isArray(rows)) {
+            throw new Error('JSON must be an array of bars or an object with a "data" array');
+        }
+
+        const timezone = options.timezone || CSVDialect.DEFAULT_TIMEZONE;
+        const data = [];
+        let skipped = 0;
+
+        rows.forEach((row, index) => {
+            const dataPoint = this.parseJSONBar(row, timezone);
+            if (dataPoint && Utils.validateOHLC(dataPoint)) {
+                data.push(dataPoint);
+            } else {
+                skipped++;
+                if (skipped <= 5) {
+                    console.warn(`Skipping invalid JSON bar at index ${index}:`, row);
+                }
+            }
+        });
+
+        console.log(`Parsed ${data.length} valid data points from ${rows.length} JSON rows`);
+
+        if (data.length === 0) {
+            throw new Error('No valid data points found in JSON file');
+        }
+
+        return this.normalizeData(data);
+    },
+
+    /**
+     * Convert one JSON row to a bar
+     * @param {Object|Array} row - Bar object or array
+     * @param {string} timezone - Source timezone
+     * @returns {Object|null} Bar, or null if it cannot be read
+     */
+    parseJSONBar: function(row, timezone) {
+        let fields;
+        if (Array.isArray(row)) {
+            fields = { time: row[0], open: row[1], high: row[2], low: row[3], close: row[4], volume: row[5] };
+        } else if (row && typeof row === 'object') {
+            fields = {};
+            Object.keys(row).forEach(key => {
+                const name = CSVDialect.normalizeHeader(key);
+                const field = CSVDialect.FIELDS.find(candidate => CSVDialect.HEADER_ALIASES[candidate].includes(name));
+                if (field && fields[field] === undefined) {
+                    fields[field] = row[key];
+                }
+            });
+        } else {
+            return null;
+        }
+
+        const time = this.parseJSONTime(fields.time, timezone);
+        const volume = parseFloat(fields.volume);
+
+        return {
+            time,
+            open: parseFloat(fields.open),
+            high: parseFloat(fields.high),
+            low: parseFloat(fields.low),
+            close: parseFloat(fields.close),
+            volume: Number.isFinite(volume) && volume >= 0 ? volume : 0
+        };
+    },
+
+    /**
+     * Parse a JSON timestamp (epoch seconds/ms as number or string, ISO or date/time string)
+     * @returns {number} Unix seconds, or NaN
+     */
+    parseJSONTime: function(value, timezone) {
+        if (value === undefined || value === null) return NaN;
+
+        const format = CSVDialect.detectTimestampFormat(String(value));
+        return format ? CSVDialect.parseTimestamp(String(value), format, timezone) : NaN;
+    },
+
+    /**
+     * Sort bars by time and drop duplicate times, keeping the last bar seen for a time
+     * @param {Array} data - Bars
+     * @returns {Array} Sorted, de-duplicated bars
+     */
+    normalizeData: function(data) {
+        const byTime = new Map();
+        data.forEach(item => byTime.set(item.time, item));
+        return Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+    },
+
+    /**
+     * Merge extra bars into a series; bars from extra replace bars at the same time
+     * @param {Array} base - Existing bars
+     * @param {Array} extra - Bars to add
+     * @returns {Array} Merged bars sorted by time
+     */
+    mergeData: function(base, extra) {
+        return this.normalizeData(base.concat(extra));
+    },
+
+    /**
+     * Cleaning applied to the base series before it is charted
+     *   gaps: 'leave', 'forward-fill' (flat bars at the previous close, zero volume)
+     *         or 'interpolate' (bars stepping linearly to the next open, zero volume)
+     *   dropOutliers: drop bars whose longer wick is more than sigma standard deviations
+     *                 above the mean wick (as a fraction of the close)
+     *   maxFillBars: longer gaps are left as they are
+     */
+    CLEANING_DEFAULTS: {
+        gaps: 'leave',
+        dropOutliers: false,
+        sigma: 6,
+        maxFillBars: 2880
+    },
+
+    GAP_POLICIES: ['leave', 'forward-fill', 'interpolate'],
+
+    /**
+     * Fill in and validate a cleaning policy
+     * @param {Object} policy - Partial policy
+     * @returns {Object} Complete policy with defaults for missing or invalid fields
+     */
+    normalizeCleaningPolicy: function(policy = {}) {
+        const defaults = this.CLEANING_DEFAULTS;
+        const source = policy || {};
+        const sigma = Number(source.sigma);
+        const maxFillBars = Number(source.maxFillBars);
+
+        return {
+            gaps: this.GAP_POLICIES.includes(source.gaps) ? source.gaps : defaults.gaps,
+            dropOutliers: source.dropOutliers === true,
+            sigma: Number.isFinite(sigma) && sigma > 0 ? sigma : defaults.sigma,
+            maxFillBars: Number.isInteger(maxFillBars) && maxFillBars > 0 ? maxFillBars : defaults.maxFillBars
+        };
+    },
+
+    /**
+     * Check whether a policy changes anything
+     * @param {Object} policy - Cleaning policy
+     * @returns {boolean} True if the policy leaves the data as it is
+     */
+    isNoopCleaningPolicy: function(policy) {
+        const normalized = this.normalizeCleaningPolicy(policy);
+        return normalized.gaps === 'leave' && !normalized.dropOutliers;
+    },
+
+    /**
+     * Apply a cleaning policy, recording every change in an audit log
+     * @param {Array} data - Time-sorted, de-duplicated bars
+     * @param {Object} policy - Cleaning policy (see CLEANING_DEFAULTS)
+     * @param {Object} options - { interval, wickStats } where wickStats ({ mean, deviation })
+     *                           come from an earlier run when cleaning appended bars
+     * @returns {Object} { data, audit } where audit is { policy, interval, wickStats, inputCount,
+     *          outputCount, createdAt, changes: [{ action, time, endTime?, bars?, detail, bar? }] }
+     */
+    cleanData: function(data, policy, options = {}) {
+        const settings = this.normalizeCleaningPolicy(policy);
+        const interval = options.interval || Resampler.detectInterval(data);
+        const wickStats = options.wickStats || this.getWickStats(data);
+        const changes = [];
+
+        let bars = data;
+
+        if (settings.dropOutliers && wickStats.deviation > 0) {
+            bars = bars.filter(bar => {
+                const wick = this.getWickRatio(bar);
+                const zScore = (wick - wickStats.mean) / wickStats.deviation;
+                if (zScore <= settings.sigma) return true;
+
+                changes.push({
+                    action: 'drop-outlier',
+                    time: bar.time,
+                    detail: `Wick ${(wick * 100).toFixed(2)}% of close (${zScore.toFixed(1)}σ)`,
+                    bar: { ...bar }
+                });
+                return false;
+            });
+        }
+
+        if (settings.gaps !== 'leave' && interval) {
+            bars = this.fillGaps(bars, interval, settings, changes);
+        }
+
+        return {
+            data: bars,
+            audit: {
+                policy: settings,
+                interval,
+                wickStats,
+                inputCount: data.length,
+                outputCount: bars.length,
+                createdAt: new Date().toISOString(),
+                changes
+            }
+        };
+    },
+
+    /**
+     * Fill missing bars according to the gap policy
+     * @param {Array} bars - Time-sorted bars
+     * @param {number} interval - Bar interval in seconds
+     * @param {Object} settings - Normalized cleaning policy
+     * @param {Array} changes - Audit entries, appended to
+     * @returns {Array} Bars with gaps filled
+     */
+    fillGaps: function(bars, interval, settings, changes) {
+        const result = [];
+
+        bars.forEach((bar, index) => {
+            const previous = index > 0 ? bars[index - 1] : null;
+            const missing = previous ? Math.round((bar.time - previous.time) / interval) - 1 : 0;
+
+            if (missing > settings.maxFillBars) {
+                changes.push({
+                    action: 'leave-gap',
+                    time: previous.time,
+                    endTime: bar.time,
+                    bars: missing,
+                    detail: `Gap of ${missing} bars is longer than ${settings.maxFillBars}`
+                });
+            } else if (missing > 0) {
+                let open = previous.close;
+                for (let k = 1; k <= missing; k++) {
+                    const close = settings.gaps === 'interpolate'
+                        ? previous.close + (bar.open - previous.close) * (k / (missing + 1))
+                        : previous.close;
+                    result.push({
+                        time: previous.time + k * interval,
+                        open,
+                        high: Math.max(open, close),
+                        low: Math.min(open, close),
+                        close,
+                        volume: 0
+                    });
+                    open = close;
+                }
+
+                const count = `${missing} bar${missing === 1 ? '' : 's'}`;
+                changes.push({
+                    action: settings.gaps,
+                    time: previous.time + interval,
+                    endTime: previous.time + missing * interval,
+                    bars: missing,
+                    detail: settings.gaps === 'interpolate'
+                        ? `Interpolated ${count} from ${previous.close} to ${bar.open}`
+                        : `Filled ${count} with flat bars at ${previous.close}`
+                });
+            }
+
+            result.push(bar);
+        });
+
+        return result;
+    },
+
+    /**
+     * Longer of a bar's two wicks as a fraction of its close
+     * @param {Object} bar - OHLC bar
+     * @returns {number} Wick ratio
+     */
+    getWickRatio: function(bar) {
+        if (!(bar.close > 0)) return 0;
+
+        const upper = bar.high - Math.max(bar.open, bar.close);
+        const lower = Math.min(bar.open, bar.close) - bar.low;
+        return Math.max(upper, lower) / bar.close;
+    },
+
+    /**
+     * Mean and standard deviation of wick ratios
+     * @param {Array} data - Bars
+     * @returns {Object} { mean, deviation }
+     */
+    getWickStats: function(data) {
+        if (!data || data.length === 0) return { mean: 0, deviation: 0 };
+
+        let sum = 0;
+        let sumSquares = 0;
+        data.forEach(bar => {
+            const wick = this.getWickRatio(bar);
+            sum += wick;
+            sumSquares += wick * wick;
+        });
+
+        const mean = sum / data.length;
+        return { mean, deviation: Math.sqrt(Math.max(0, sumSquares / data.length - mean * mean)) };
+    },
+
+    /**
+     * Check whether CSV parsing can run in a worker
+     * @returns {boolean} True if workers and streamed fetch bodies are available
+     */
+    canUseWorker: function() {
+        return typeof Worker !== 'undefined' &&
+            typeof ReadableStream !== 'undefined' &&
+            window.location.protocol !== 'file:';
+    },
+
+    /**
+     * Ask the user to confirm the column mapping when detection is unsure
+     * @param {Object} detection - Result of CSVDialect.detect()
+     * @returns {Promise<Object|null>} Dialect, or null if cancelled
+     */
+    resolveMapping: function(detection) {
+        if (typeof CSVMappingDialog === 'undefined') {
+            console.warn('DataProcessor: No mapping dialog available, using detected dialect:', detection.issues);
+            return Promise.resolve(detection.dialect);
+        }
+        return CSVMappingDialog.show(detection);
+    },
+
+    /**
+     * Stream and parse a CSV file in a worker, reporting progress to the loading indicator
+     * @param {string|File} filePath - Path to CSV file, or a local File
+     * @param {Object} options - Options from loadCSVData
+     * @returns {Promise<Array>} Promise resolving to parsed data
+     */
+    parseCSVInWorker: function(filePath, options) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(this.WORKER_URL);
+            const finish = (callback) => {
+                worker.terminate();
+                callback();
+            };
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+
+                switch (message.type) {
+                    case 'progress':
+                        Utils.setLoading(message.total
+                            ? `Loading data... ${Math.min(99, Math.floor((message.loaded / message.total) * 100))}%`
+                            : `Loading data... ${message.rows.toLocaleString()} rows`);
+                        break;
+                    case 'needs-mapping':
+                        Utils.setLoading('Waiting for column mapping...');
+                        Promise.resolve(options.resolveMapping(message.detection))
+                            .catch(() => null)
+                            .then(dialect => worker.postMessage({ type: 'mapping', dialect }));
+                        break;
+                    case 'cancelled':
+                        finish(() => reject(new Error('CSV import cancelled')));
+                        break;
+                    case 'done':
+                        finish(() => {
+                            options.onDialect(message.dialect, message.sampleLines);
+                            options.onSource(message.source);
+                            Utils.setLoading('Loading data... 100%');
+                            console.log(`Parsed ${message.count} valid data points from ${message.lines} lines (${message.skipped} skipped)`);
+                            try {
+                                resolve(this.fromColumns(message.columns, message.count));
+                            } catch (error) {
+                                reject(error);
+                            }
+                        });
+                        break;
+                    case 'error':
+                        finish(() => reject(new Error(message.message)));
+                        break;
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish(() => reject(new Error(event.message || 'CSV parser worker failed')));
+            };
+
+            // Files are cloned to the worker; the worker resolves relative URLs against
+            // its own location, so paths are sent as absolute URLs
+            const source = typeof filePath === 'string'
+                ? { url: new URL(filePath, document.baseURI).href }
+                : { file: filePath };
+
+            worker.postMessage({
+                type: 'parse',
+                ...source,
+                dialect: options.dialect || null,
+                timezone: options.timezone
+            });
+        });
+    },
+
+    /**
+     * Build OHLCV data points from the worker's typed-array columns
+     * @param {Object} columns - { time, open, high, low, close, volume } Float64Arrays
+     * @param {number} count - Number of rows
+     * @returns {Array} Parsed data array
+     */
+    fromColumns: function(columns, count) {
+        if (!count) {
+            throw new Error('No valid data points found in CSV file');
+        }
+
+        const data = new Array(count);
+        for (let i = 0; i < count; i++) {
+            data[i] = {
+                time: columns.time[i],
+                open: columns.open[i],
+                high: columns.high[i],
+                low: columns.low[i],
+                close: columns.close[i],
+                volume: columns.volume[i]
+            };
+        }
+        return data;
+    },
+
     /**
      * Parse CSV text into array of objects
      * @param {string} csvText - Raw CSV text
+     * @param {Object} dialect - Dialect from CSVDialect; detected from the text when omitted
      * @returns {Array} Parsed data array
      */
-    parseCSV: function(csvText) {
+    parseCSV: function(csvText, dialect = null) {
+        if (!dialect) {
+            const detection = CSVDialect.detect(csvText.slice(0, 64 * 1024));
+            if (detection.confidence !== 'high') {
+                console.warn('DataProcessor: Unsure about CSV dialect:', detection.issues);
+            }
+            dialect = detection.dialect;
+        }
+
         const lines = csvText.split('\n').filter(line => line.trim().length > 0);
+        const parseRow = CSVDialect.createRowParser(dialect);
         const data = [];
 
-        for (let i = 0; i < lines.length; i++) {
+        for (let i = dialect.hasHeader ? 1 : 0; i < lines.length; i++) {
             try {
                 const line = lines[i].trim();
                 if (!line) continue;
 
-                // Parse tab-separated values
-                const columns = line.split('\t');
-
-                if (columns.length < 5) {
-                    console.warn(`Skipping malformed line ${i + 1}: insufficient columns`);
-                    continue;
-                }
-
-                // Extract values: datetime, open, high, low, close, volume
-                const datetime = columns[0].trim();
-                const open = parseFloat(columns[1]);
-                const high = parseFloat(columns[2]);
-                const low = parseFloat(columns[3]);
-                const close = parseFloat(columns[4]);
-                const volume = columns[5] ? parseInt(columns[5]) : 0;
-
-                // Validate parsed values
-                if (isNaN(open) || isNaN(high) || isNaN(low) || isNaN(close)) {
-                    console.warn(`Skipping line ${i + 1}: invalid numeric values`);
-                    continue;
-                }
-
-                // Validate OHLC relationships
-                if (high < low || high < open || high < close || low > open || low > close) {
-                    console.warn(`Skipping line ${i + 1}: invalid OHLC relationships`);
+                const dataPoint = parseRow(line);
+                if (typeof dataPoint === 'string') {
+                    console.warn(`Skipping line ${i + 1}: ${dataPoint}`);
                     continue;
                 }
 
-                const dataPoint = {
-                    time: this.formatDateTimeForTradingView(datetime),
-                    open: open,
-                    high: high,
-                    low: low,
-                    close: close,
-                    volume: volume
-                };
-
                 // Validate the complete data point
                 if (Utils.validateOHLC(dataPoint)) {
                     data.push(dataPoint);
@@ -135,17 +805,42 @@ const DataProcessor = {
      * @returns {Array} TradingView formatted data
      */
     convertToTradingViewFormat: function(data) {
-        // Data is already in correct format from parsing
-        // This method exists for future extensibility
+        // Volume is carried along for the volume pane and volume-based studies;
+        // the candlestick series ignores it
         return data.map(item => ({
             time: item.time,
             open: item.open,
             high: item.high,
             low: item.low,
-            close: item.close
+            close: item.close,
+            volume: Number.isFinite(item.volume) ? item.volume : 0
         }));
     },
 
+    /**
+     * Build histogram data for the volume series, colored by candle direction
+     * @param {Array} data - OHLCV data array
+     * @param {Object} colors - { upColor, downColor }
+     * @returns {Array} Histogram data { time, value, color }
+     */
+    toVolumeData: function(data, colors) {
+        return data.map(item => this.toVolumePoint(item, colors));
+    },
+
+    /**
+     * Convert a single OHLCV bar to a volume histogram point
+     * @param {Object} item - OHLCV data point
+     * @param {Object} colors - { upColor, downColor }
+     * @returns {Object} Histogram point { time, value, color }
+     */
+    toVolumePoint: function(item, colors) {
+        return {
+            time: item.time,
+            value: Number.isFinite(item.volume) ? item.volume : 0,
+            color: item.close >= item.open ? colors.upColor : colors.downColor
+        };
+    },
+
     /**
      * Get data statistics
      * @param {Array} data - Data array
@@ -204,6 +899,7 @@ const DataProcessor = {
 
         const errors = [];
         let invalidPoints = 0;
+        let unorderedPoints = 0;
 
         data.forEach((item, index) => {
             if (!Utils.validateOHLC(item)) {
@@ -213,21 +909,21 @@ const DataProcessor = {
                 }
             }
 
-            // Check for chronological order
-            if (index > 0) {
-                const current = new Date(item.time);
-                const previous = new Date(data[index - 1].time);
-
-                if (current <= previous) {
+            // Check for chronological order; times are unix seconds, so compare them directly
+            if (index > 0 && item && data[index - 1] && item.time <= data[index - 1].time) {
+                unorderedPoints++;
+                if (unorderedPoints <= 5) {
                     errors.push(`Data not in chronological order at index ${index}`);
                 }
             }
         });
 
+        // The full breakdown (gaps, duplicates, outliers) is in DataQuality.analyze()
         return {
-            valid: errors.length === 0,
+            valid: invalidPoints === 0 && unorderedPoints === 0,
             errors: errors,
             invalidPoints: invalidPoints,
+            unorderedPoints: unorderedPoints,
             validPoints: data.length - invalidPoints
         };
     }
@@ -0,0 +1,215 @@
+// Data quality checks for BTCUSD Chart Application
+// Finds missing intervals, duplicate timestamps, out-of-order rows, invalid,
+// zero-range and spiky bars, and price jumps far outside the usual returns
+
+const DataQuality = {
+    /**
+     * Issue types, in the order the report lists them
+     */
+    ISSUE_TYPES: {
+        gap: 'Missing bars',
+        duplicate: 'Duplicate timestamp',
+        order: 'Out of order',
+        invalid: 'Invalid OHLC',
+        zeroRange: 'Zero-range bar',
+        spike: 'Spike',
+        outlier: 'Price jump'
+    },
+
+    DEFAULT_OPTIONS: {
+        // Bar interval in seconds; detected from the data when null
+        interval: null,
+        // A bar whose high-low range exceeds this multiple of the median range is a spike
+        spikeMultiplier: 10,
+        // A close-to-close log return further than this many standard deviations from the mean is an outlier
+        sigma: 6
+    },
+
+    /**
+     * Analyze bars in the order they were loaded
+     * @param {Array} data - Parsed bars, possibly unsorted
+     * @param {Object} options - See DEFAULT_OPTIONS
+     * @returns {Object} { interval, barCount, counts, issues, gaps } where issues are
+     *          { type, time, endTime?, message } sorted by time and gaps are { from, to, missing }
+     */
+    analyze: function(data, options = {}) {
+        const settings = { ...this.DEFAULT_OPTIONS, ...options };
+        const counts = {};
+        Object.keys(this.ISSUE_TYPES).forEach(type => {
+            counts[type] = 0;
+        });
+
+        const report = { interval: null, barCount: data ? data.length : 0, counts, issues: [], gaps: [] };
+        if (!data || data.length === 0) return report;
+
+        const addIssue = (type, time, message, extra = {}) => {
+            counts[type]++;
+            report.issues.push({ type, time, message, ...extra });
+        };
+
+        // Ordering and duplicates only show in the rows as loaded
+        const seen = new Set();
+        let unordered = false;
+        data.forEach((bar, index) => {
+            if (!Utils.validateOHLC(bar)) {
+                addIssue('invalid', bar && bar.time, `Row ${index + 1}: open/high/low/close do not form a valid bar`);
+                return;
+            }
+            if (seen.has(bar.time)) {
+                addIssue('duplicate', bar.time, `Row ${index + 1} repeats an earlier timestamp`);
+            }
+            seen.add(bar.time);
+
+            if (index > 0 && data[index - 1] && bar.time < data[index - 1].time) {
+                unordered = true;
+                addIssue('order', bar.time, `Row ${index + 1} is earlier than the row before it`);
+            }
+        });
+
+        const bars = this.sortBars(data.filter(bar => Utils.validateOHLC(bar)), unordered || counts.duplicate > 0);
+        report.interval = settings.interval || Resampler.detectInterval(bars);
+
+        this.findGaps(bars, report.interval).forEach(gap => {
+            report.gaps.push(gap);
+            addIssue('gap', gap.from, `${gap.missing.toLocaleString()} missing bar${gap.missing === 1 ? '' : 's'}`, {
+                endTime: gap.to,
+                missing: gap.missing
+            });
+        });
+
+        this.findRangeIssues(bars, settings.spikeMultiplier).forEach(issue => {
+            addIssue(issue.type, issue.time, issue.message);
+        });
+
+        this.findReturnOutliers(bars, settings.sigma).forEach(issue => {
+            addIssue('outlier', issue.time, issue.message, { zScore: issue.zScore });
+        });
+
+        report.issues.sort((a, b) => (a.time || 0) - (b.time || 0));
+        return report;
+    },
+
+    /**
+     * Sort bars by time and keep the last bar for each time
+     * @param {Array} bars - Valid bars
+     * @param {boolean} needed - False when the bars are known to be sorted and unique
+     * @returns {Array} Sorted bars
+     */
+    sortBars: function(bars, needed) {
+        if (!needed) return bars;
+
+        const byTime = new Map();
+        bars.forEach(bar => byTime.set(bar.time, bar));
+        return Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+    },
+
+    /**
+     * Find runs of missing bars
+     * @param {Array} bars - Time-sorted bars
+     * @param {number} interval - Bar interval in seconds
+     * @returns {Array} Gaps { from, to, missing } between the bars either side
+     */
+    findGaps: function(bars, interval) {
+        const gaps = [];
+        if (!interval) return gaps;
+
+        for (let i = 1; i < bars.length; i++) {
+            const step = bars[i].time - bars[i - 1].time;
+            if (step > interval) {
+                gaps.push({
+                    from: bars[i - 1].time,
+                    to: bars[i].time,
+                    missing: Math.round(step / interval) - 1
+                });
+            }
+        }
+        return gaps.filter(gap => gap.missing > 0);
+    },
+
+    /**
+     * Find zero-range bars and bars whose range is far above the median range
+     * @param {Array} bars - Time-sorted bars
+     * @param {number} multiplier - Spike threshold as a multiple of the median range
+     * @returns {Array} Issues { type, time, message }
+     */
+    findRangeIssues: function(bars, multiplier) {
+        const issues = [];
+        const ranges = bars.map(bar => bar.high - bar.low);
+        const median = this.median(ranges.filter(range => range > 0));
+
+        bars.forEach((bar, index) => {
+            const range = ranges[index];
+            if (range === 0) {
+                issues.push({ type: 'zeroRange', time: bar.time, message: `High equals low (${bar.high})` });
+            } else if (median > 0 && range > median * multiplier) {
+                issues.push({
+                    type: 'spike',
+                    time: bar.time,
+                    message: `Range ${Utils.formatNumber(range)} is ${Math.round(range / median)}× the median`
+                });
+            }
+        });
+        return issues;
+    },
+
+    /**
+     * Find close-to-close moves more than sigma standard deviations from the mean log return
+     * @param {Array} bars - Time-sorted bars
+     * @param {number} sigma - Threshold in standard deviations
+     * @returns {Array} Issues { time, zScore, message }
+     */
+    findReturnOutliers: function(bars, sigma) {
+        const returns = [];
+        for (let i = 1; i < bars.length; i++) {
+            const previous = bars[i - 1].close;
+            returns.push(previous > 0 && bars[i].close > 0 ? Math.log(bars[i].close / previous) : 0);
+        }
+        if (returns.length < 2) return [];
+
+        const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+        const variance = returns.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / returns.length;
+        const deviation = Math.sqrt(variance);
+        if (!deviation) return [];
+
+        const issues = [];
+        returns.forEach((value, index) => {
+            const zScore = (value - mean) / deviation;
+            if (Math.abs(zScore) > sigma) {
+                issues.push({
+                    time: bars[index + 1].time,
+                    zScore,
+                    message: `Close moved ${(value * 100).toFixed(2)}% (${Math.abs(zScore).toFixed(1)}σ)`
+                });
+            }
+        });
+        return issues;
+    },
+
+    /**
+     * @param {Array<number>} values - Numbers
+     * @returns {number} Median, or 0 for no values
+     */
+    median: function(values) {
+        if (values.length === 0) return 0;
+
+        const sorted = Float64Array.from(values).sort();
+        const middle = sorted.length >> 1;
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    },
+
+    /**
+     * Count all issues in a report
+     * @param {Object} report - Result of analyze()
+     * @returns {number} Issue count
+     */
+    countIssues: function(report) {
+        return report ? report.issues.length : 0;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataQuality;
+} else if (typeof window !== 'undefined') {
+    window.DataQuality = DataQuality;
+}
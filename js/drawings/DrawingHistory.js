@@ -0,0 +1,101 @@
+/**
+ * DrawingHistory - Bounded undo/redo stack of drawing commands
+ * Each command is a plain object { type, drawingId, undo(), redo() }
+ */
+
+class DrawingHistory {
+    constructor(options = {}) {
+        this.maxDepth = options.maxDepth || 100;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isApplying = false;
+    }
+
+    /**
+     * Record a command that has already been applied
+     * @param {Object} command - Command with undo() and redo() functions
+     */
+    push(command) {
+        if (this.isApplying) return;
+
+        if (!command || typeof command.undo !== 'function' || typeof command.redo !== 'function') {
+            throw new Error('History command must implement undo() and redo()');
+        }
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.maxDepth) {
+            this.undoStack.shift();
+        }
+
+        // A new action invalidates anything that was undone
+        this.redoStack = [];
+    }
+
+    /**
+     * Undo the most recent command
+     * @returns {Object|null} The command that was undone
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        this.apply(() => command.undo());
+        this.redoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Redo the most recently undone command
+     * @returns {Object|null} The command that was redone
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        this.apply(() => command.redo());
+        this.undoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Run a command step without recording nested commands
+     * @param {Function} step - Undo or redo function
+     */
+    apply(step) {
+        this.isApplying = true;
+        try {
+            step();
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    /**
+     * @returns {boolean} True if there is something to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean} True if there is something to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Drop all recorded commands
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DrawingHistory;
+} else if (typeof window !== 'undefined') {
+    window.DrawingHistory = DrawingHistory;
+}
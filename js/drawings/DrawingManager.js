@@ -13,6 +13,10 @@ class DrawingManager {
         this.currentDrawing = null;
         this.isDrawing = false;
 
+        // Selection / drag state for existing drawings
+        this.selectedDrawingId = null;
+        this.dragState = null;
+
         // Default options
         this.options = {
             lineWidth: 2,
@@ -21,10 +25,23 @@ class DrawingManager {
             snapToPrice: true,
             snapToTime: true,
             enableUndo: true,
+            maxHistory: 100,
             maxDrawings: 100,
+            persist: true,
             ...options
         };
 
+        // Undo/redo history of drawing commands
+        this.history = new DrawingHistory({ maxDepth: this.options.maxHistory });
+
+        // Autosave per dataset (context is set once data is known)
+        this.persistence = this.options.persist && typeof DrawingPersistence !== 'undefined'
+            ? new DrawingPersistence(this)
+            : null;
+
+        // Saved entries that could not be restored, kept so autosave writes them back
+        this.unrestored = [];
+
         // Primitive-based drawing system
         this.primitives = new Map(); // Map of drawingId -> primitiveInstance
 
@@ -88,11 +105,59 @@ class DrawingManager {
             } else {
                 console.warn('DrawingManager: TrendLineTool not available');
             }
+
+            // Register HorizontalLine tool if available
+            if (typeof HorizontalLineTool !== 'undefined') {
+                this.tools.set('horizontal', new HorizontalLineTool());
+                console.log('DrawingManager: horizontal tool registered');
+            } else {
+                console.warn('DrawingManager: HorizontalLineTool not available');
+            }
+
+            // Register FibRetracement tool if available
+            if (typeof FibRetracementTool !== 'undefined') {
+                this.tools.set('fibonacci', new FibRetracementTool());
+                console.log('DrawingManager: fibonacci tool registered');
+            } else {
+                console.warn('DrawingManager: FibRetracementTool not available');
+            }
+
+            // Register AnchoredVWAP tool if available
+            if (typeof AnchoredVWAPTool !== 'undefined') {
+                this.tools.set('avwap', this.createAnchoredVWAPTool());
+                console.log('DrawingManager: avwap tool registered');
+            } else {
+                console.warn('DrawingManager: AnchoredVWAPTool not available');
+            }
+
+            // Register VolumeProfile tool if available
+            if (typeof VolumeProfileTool !== 'undefined') {
+                this.tools.set('vprofile', this.createVolumeProfileTool());
+                console.log('DrawingManager: vprofile tool registered');
+            } else {
+                console.warn('DrawingManager: VolumeProfileTool not available');
+            }
         } catch (error) {
             console.warn('DrawingManager: Failed to initialize tools:', error);
         }
     }
 
+    /**
+     * Create the anchored VWAP tool, which reads the chart's bars to compute the line
+     * @returns {AnchoredVWAPTool} Tool instance
+     */
+    createAnchoredVWAPTool() {
+        return new AnchoredVWAPTool({}, () => this.chart.getData() || []);
+    }
+
+    /**
+     * Create the fixed-range volume profile tool, which reads the chart's bars
+     * @returns {VolumeProfileTool} Tool instance
+     */
+    createVolumeProfileTool() {
+        return new VolumeProfileTool({}, () => this.chart.getData() || []);
+    }
+
     /**
      * Initialize coordinate mapper for primitive system
      */
@@ -100,9 +165,8 @@ class DrawingManager {
         this.coordinateMapper = {
             timeToScreen: (time) => {
                 try {
-                    const timeScale = this.chart.chart.timeScale();
-                    const x = timeScale.timeToCoordinate(time);
-                    return x;
+                    // Interpolates times that fall between bars (e.g. drawn on a lower timeframe)
+                    return this.chart.timeToScreen(time);
                 } catch (error) {
                     console.warn('DrawingManager: timeToScreen failed:', error);
                     return undefined;
@@ -160,6 +224,18 @@ class DrawingManager {
         this.handleTouchMove = this.handleTouchMove.bind(this);
         this.handleTouchEnd = this.handleTouchEnd.bind(this);
 
+        // Selection mode is always listening while no drawing tool is active.
+        // mousedown is captured so a hit on a drawing never starts a chart pan.
+        this.handleSelectionMouseDown = this.handleSelectionMouseDown.bind(this);
+        this.handleSelectionMouseMove = this.handleSelectionMouseMove.bind(this);
+        this.handleSelectionMouseUp = this.handleSelectionMouseUp.bind(this);
+        this.handleSelectionHover = this.handleSelectionHover.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+
+        this.chartContainer.addEventListener('mousedown', this.handleSelectionMouseDown, true);
+        this.chartContainer.addEventListener('mousemove', this.handleSelectionHover);
+        document.addEventListener('keydown', this.handleKeyDown);
+
         // Window resize
         const debouncedResize = Utils.debounce(() => {
             // Trigger chart update which will redraw primitives
@@ -274,6 +350,7 @@ class DrawingManager {
         this.isActive = !!tool;
 
         if (tool) {
+            this.deselectDrawing();
             tool.activate();
             this.chartContainer.style.cursor = tool.getCursor() || 'crosshair';
             this.addChartEventListeners(); // Enable drawing when tool is active
@@ -366,12 +443,19 @@ class DrawingManager {
      */
     handleMouseDown(event) {
         if (!this.isActive || !this.currentTool) return;
+        if (this.getRemainingCapacity() === 0) {
+            this.emitLimitReached();
+            return;
+        }
 
         event.preventDefault();
         const coords = this.screenToChart(event.clientX, event.clientY);
 
         this.isDrawing = true;
-        this.currentDrawing = this.currentTool.startDrawing(coords, this.options);
+        // Styling comes from each tool's own defaults; the manager only passes behavioural options
+        this.currentDrawing = this.currentTool.startDrawing(coords, {
+            snapToPrice: this.options.snapToPrice
+        });
 
         // Disable navigation when starting to draw
         this.disableNavigation();
@@ -417,30 +501,32 @@ class DrawingManager {
         // Finalize the drawing data
         this.currentTool.finishDrawing(this.currentDrawing, coords);
 
-        // Create primitive from drawing data
-        let primitive = null;
+        // Create primitive from drawing data, unless the chart filled up meanwhile (e.g. an import)
         const toolName = this.currentTool.getName();
-
-        if (toolName === 'TrendLine' || toolName === 'trendline') {
-            primitive = this.createTrendLinePrimitive(this.currentDrawing);
+        const atLimit = this.getRemainingCapacity() === 0;
+        const primitive = atLimit ? null : this.createPrimitive(toolName, this.currentDrawing);
+        if (atLimit) {
+            this.emitLimitReached();
         }
 
         if (primitive) {
             // Generate drawing ID and store primitive
             const drawingId = this.generateDrawingId();
-            this.drawings.set(drawingId, {
+            const drawing = {
                 id: drawingId,
                 tool: toolName,
                 data: this.currentDrawing,
                 primitive: primitive,
                 timestamp: Date.now()
-            });
-
-            // Attach primitive to the series
-            this.chart.candlestickSeries.attachPrimitive(primitive);
+            };
 
-            // Trigger chart update to redraw primitive
-            this.chart.chart.applyOptions({});
+            this.attachDrawing(drawing);
+            this.recordHistory({
+                type: 'create',
+                drawingId,
+                undo: () => this.detachDrawing(drawing),
+                redo: () => this.attachDrawing(drawing)
+            });
 
             console.log(`DrawingManager: Created and attached ${toolName} primitive`, drawingId);
         }
@@ -458,6 +544,35 @@ class DrawingManager {
         });
     }
 
+    /**
+     * Create the series primitive matching a tool
+     * @param {string} toolName - Tool name as returned by getName()
+     * @param {Object} drawingData - Drawing data from tool
+     * @returns {Object|null} Created primitive or null
+     */
+    createPrimitive(toolName, drawingData) {
+        switch (toolName) {
+            case 'TrendLine':
+            case 'trendline':
+                return this.createTrendLinePrimitive(drawingData);
+            case 'HorizontalLine':
+            case 'horizontal':
+                return this.createHorizontalLinePrimitive(drawingData);
+            case 'FibRetracement':
+            case 'fibonacci':
+                return this.createFibRetracementPrimitive(drawingData);
+            case 'AnchoredVWAP':
+            case 'avwap':
+                return this.createAnchoredVWAPPrimitive(drawingData);
+            case 'VolumeProfile':
+            case 'vprofile':
+                return this.createVolumeProfilePrimitive(drawingData);
+            default:
+                console.warn(`DrawingManager: No primitive available for tool '${toolName}'`);
+                return null;
+        }
+    }
+
     /**
      * Create a TrendLinePrimitive from drawing data
      * @param {Object} drawingData - Drawing data from tool
@@ -470,7 +585,7 @@ class DrawingManager {
         }
 
         try {
-            const primitive = new TrendLinePrimitive(this.chart.candlestickSeries, this.chart.chart, drawingData);
+            const primitive = new TrendLinePrimitive(this.chart.candlestickSeries, this.chart.chart, drawingData, this.coordinateMapper);
             return primitive;
         } catch (error) {
             console.error('DrawingManager: Failed to create TrendLine primitive:', error);
@@ -478,6 +593,84 @@ class DrawingManager {
         }
     }
 
+    /**
+     * Create a HorizontalLinePrimitive from drawing data
+     * @param {Object} drawingData - Drawing data from tool
+     * @returns {HorizontalLinePrimitive|null} Created primitive or null
+     */
+    createHorizontalLinePrimitive(drawingData) {
+        if (!drawingData || typeof drawingData.price !== 'number' || !Number.isFinite(drawingData.price)) {
+            console.warn('DrawingManager: Invalid drawing data for primitive creation');
+            return null;
+        }
+
+        try {
+            return new HorizontalLinePrimitive(this.chart.candlestickSeries, this.chart.chart, drawingData, this.coordinateMapper);
+        } catch (error) {
+            console.error('DrawingManager: Failed to create HorizontalLine primitive:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Create a FibRetracementPrimitive from drawing data
+     * @param {Object} drawingData - Drawing data from tool
+     * @returns {FibRetracementPrimitive|null} Created primitive or null
+     */
+    createFibRetracementPrimitive(drawingData) {
+        if (!drawingData || !drawingData.startPoint || !drawingData.endPoint || !Array.isArray(drawingData.levels)) {
+            console.warn('DrawingManager: Invalid drawing data for primitive creation');
+            return null;
+        }
+
+        try {
+            return new FibRetracementPrimitive(this.chart.candlestickSeries, this.chart.chart, drawingData, this.coordinateMapper);
+        } catch (error) {
+            console.error('DrawingManager: Failed to create FibRetracement primitive:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Create an AnchoredVWAPPrimitive from drawing data
+     * @param {Object} drawingData - Drawing data from tool
+     * @returns {AnchoredVWAPPrimitive|null} Created primitive or null
+     */
+    createAnchoredVWAPPrimitive(drawingData) {
+        const tool = this.getToolInstance('avwap');
+        if (!drawingData || !tool || !tool.isValidDrawing(drawingData)) {
+            console.warn('DrawingManager: Invalid drawing data for primitive creation');
+            return null;
+        }
+
+        try {
+            return new AnchoredVWAPPrimitive(this.chart.candlestickSeries, this.chart.chart, drawingData, this.coordinateMapper, tool);
+        } catch (error) {
+            console.error('DrawingManager: Failed to create AnchoredVWAP primitive:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Create a VolumeProfileRangePrimitive from drawing data
+     * @param {Object} drawingData - Drawing data from tool
+     * @returns {VolumeProfileRangePrimitive|null} Created primitive or null
+     */
+    createVolumeProfilePrimitive(drawingData) {
+        const tool = this.getToolInstance('vprofile');
+        if (!drawingData || !tool || !tool.isValidDrawing(drawingData)) {
+            console.warn('DrawingManager: Invalid drawing data for primitive creation');
+            return null;
+        }
+
+        try {
+            return new VolumeProfileRangePrimitive(this.chart.candlestickSeries, this.chart.chart, drawingData, this.coordinateMapper, tool);
+        } catch (error) {
+            console.error('DrawingManager: Failed to create VolumeProfile primitive:', error);
+            return null;
+        }
+    }
+
     /**
      * Handle mouse leave event
      */
@@ -497,6 +690,231 @@ class DrawingManager {
         }
     }
 
+    /**
+     * Find the registered tool that owns a drawing
+     * @param {Object} drawing - Drawing entry
+     * @returns {BaseTool|null} Tool instance
+     */
+    getToolForDrawing(drawing) {
+        for (const tool of this.tools.values()) {
+            if (tool.getName() === drawing.tool) {
+                return tool;
+            }
+        }
+        return this.getToolInstance(drawing.tool);
+    }
+
+    /**
+     * Get a drawing's handles in pane pixel coordinates
+     * @param {BaseTool} tool - Tool owning the drawing
+     * @param {Object} data - Drawing data
+     * @param {number} paneWidth - Pane width in pixels
+     * @returns {Array} Handles [{id, x, y}]
+     */
+    getScreenHandles(tool, data, paneWidth) {
+        return tool.getHandles(data).map(handle => ({
+            id: handle.id,
+            x: handle.time === null ? paneWidth / 2 : this.coordinateMapper.timeToScreen(handle.time),
+            y: this.coordinateMapper.priceToScreen(handle.price)
+        })).filter(handle => Number.isFinite(handle.x) && Number.isFinite(handle.y));
+    }
+
+    /**
+     * Find the topmost drawing (and handle) under a pane position
+     * @param {number} x - Pane X coordinate
+     * @param {number} y - Pane Y coordinate
+     * @returns {Object|null} Hit {drawingId, handleId} or null
+     */
+    hitTest(x, y) {
+        const handleRadius = 8;
+        const tolerance = 6;
+        const paneWidth = this.chart.chart.timeScale().width();
+        const drawings = Array.from(this.drawings.values()).reverse();
+
+        // Handles of the selected drawing win over everything else
+        if (this.selectedDrawingId && this.drawings.has(this.selectedDrawingId)) {
+            drawings.sort((a, b) => (b.id === this.selectedDrawingId) - (a.id === this.selectedDrawingId));
+        }
+
+        for (const drawing of drawings) {
+            const tool = this.getToolForDrawing(drawing);
+            if (!tool) continue;
+
+            const handles = this.getScreenHandles(tool, drawing.data, paneWidth);
+            const handle = handles.find(h => Math.hypot(h.x - x, h.y - y) <= handleRadius);
+            if (handle) {
+                return { drawingId: drawing.id, handleId: handle.id };
+            }
+
+            const projected = tool.projectToScreen(drawing.data, this.coordinateMapper, paneWidth);
+            if (projected && tool.isPointInside(projected, { x, y }, tolerance)) {
+                return { drawingId: drawing.id, handleId: null };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Select a drawing and show its handles
+     * @param {string} drawingId - Drawing ID
+     */
+    selectDrawing(drawingId) {
+        if (this.selectedDrawingId === drawingId) return;
+
+        this.deselectDrawing();
+
+        const drawing = this.drawings.get(drawingId);
+        if (!drawing) return;
+
+        this.selectedDrawingId = drawingId;
+        if (drawing.primitive && drawing.primitive.setSelected) {
+            drawing.primitive.setSelected(true);
+        }
+
+        this.scheduleRedraw();
+        eventBus.emit('drawing-selected', { drawingId, tool: drawing.tool });
+    }
+
+    /**
+     * Clear the current selection
+     */
+    deselectDrawing() {
+        if (!this.selectedDrawingId) return;
+
+        const drawingId = this.selectedDrawingId;
+        const drawing = this.drawings.get(drawingId);
+        this.selectedDrawingId = null;
+
+        if (drawing && drawing.primitive && drawing.primitive.setSelected) {
+            drawing.primitive.setSelected(false);
+        }
+
+        this.scheduleRedraw();
+        eventBus.emit('drawing-deselected', { drawingId });
+    }
+
+    /**
+     * Get the selected drawing entry
+     * @returns {Object|null} Selected drawing or null
+     */
+    getSelectedDrawing() {
+        return this.selectedDrawingId ? this.drawings.get(this.selectedDrawingId) || null : null;
+    }
+
+    /**
+     * Handle mouse down in selection mode - select and start dragging
+     */
+    handleSelectionMouseDown(event) {
+        if (this.currentTool || event.button !== 0) return;
+
+        const coords = this.screenToChart(event.clientX, event.clientY);
+        const hit = this.hitTest(coords.screenX, coords.screenY);
+
+        if (!hit) {
+            this.deselectDrawing();
+            return;
+        }
+
+        // Keep the chart from panning while a drawing is dragged
+        event.preventDefault();
+        event.stopPropagation();
+
+        this.selectDrawing(hit.drawingId);
+
+        const drawing = this.drawings.get(hit.drawingId);
+        this.dragState = {
+            drawingId: hit.drawingId,
+            handleId: hit.handleId,
+            startCoords: coords,
+            origin: this.cloneDrawingData(drawing.data),
+            moved: false
+        };
+
+        this.disableNavigation();
+        document.addEventListener('mousemove', this.handleSelectionMouseMove);
+        document.addEventListener('mouseup', this.handleSelectionMouseUp);
+    }
+
+    /**
+     * Handle mouse move while dragging a drawing body or handle
+     */
+    handleSelectionMouseMove(event) {
+        if (!this.dragState) return;
+
+        const drawing = this.drawings.get(this.dragState.drawingId);
+        const tool = drawing ? this.getToolForDrawing(drawing) : null;
+        if (!tool) return;
+
+        const coords = this.screenToChart(event.clientX, event.clientY);
+        const start = this.dragState.startCoords;
+        const data = this.cloneDrawingData(this.dragState.origin);
+
+        if (this.dragState.handleId) {
+            tool.moveHandle(data, this.dragState.handleId, coords);
+        } else {
+            const hasTime = coords.time !== null && coords.time !== undefined &&
+                            start.time !== null && start.time !== undefined;
+            const hasPrice = Number.isFinite(coords.price) && Number.isFinite(start.price);
+            const deltaTime = hasTime ? coords.time - start.time : 0;
+            const deltaPrice = hasPrice ? coords.price - start.price : 0;
+            tool.translateDrawing(data, deltaTime, deltaPrice);
+        }
+
+        this.dragState.moved = true;
+        this.applyDrawingData(this.dragState.drawingId, data);
+    }
+
+    /**
+     * Handle mouse up - finish the drag and record it for undo
+     */
+    handleSelectionMouseUp() {
+        document.removeEventListener('mousemove', this.handleSelectionMouseMove);
+        document.removeEventListener('mouseup', this.handleSelectionMouseUp);
+
+        const dragState = this.dragState;
+        this.dragState = null;
+        this.restoreNavigation();
+
+        if (dragState && dragState.moved) {
+            this.recordDrawingChange(dragState.drawingId, dragState.origin, dragState.handleId ? 'edit' : 'move');
+        }
+    }
+
+    /**
+     * Update the cursor when hovering drawings in selection mode
+     */
+    handleSelectionHover(event) {
+        if (this.currentTool || this.dragState) return;
+
+        const coords = this.screenToChart(event.clientX, event.clientY);
+        const hit = this.drawings.size > 0 ? this.hitTest(coords.screenX, coords.screenY) : null;
+
+        if (!hit) {
+            this.chartContainer.style.cursor = 'default';
+        } else {
+            this.chartContainer.style.cursor = hit.handleId ? 'pointer' : 'move';
+        }
+    }
+
+    /**
+     * Handle Delete/Backspace and Escape for the selected drawing
+     */
+    handleKeyDown(event) {
+        if (!this.selectedDrawingId) return;
+        const target = event.target;
+        if (target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable)) {
+            return;
+        }
+
+        if (event.key === 'Delete' || event.key === 'Backspace') {
+            event.preventDefault();
+            this.removeDrawing(this.selectedDrawingId);
+        } else if (event.key === 'Escape') {
+            this.deselectDrawing();
+        }
+    }
+
     /**
      * Touch event handlers (pass through to mouse handlers)
      */
@@ -548,6 +966,30 @@ class DrawingManager {
             return trendLineTool;
         }
 
+        if ((toolName === 'horizontal' || toolName === 'HorizontalLine') && typeof HorizontalLineTool !== 'undefined') {
+            const horizontalLineTool = new HorizontalLineTool();
+            this.tools.set('horizontal', horizontalLineTool);
+            return horizontalLineTool;
+        }
+
+        if ((toolName === 'fibonacci' || toolName === 'FibRetracement') && typeof FibRetracementTool !== 'undefined') {
+            const fibRetracementTool = new FibRetracementTool();
+            this.tools.set('fibonacci', fibRetracementTool);
+            return fibRetracementTool;
+        }
+
+        if ((toolName === 'avwap' || toolName === 'AnchoredVWAP') && typeof AnchoredVWAPTool !== 'undefined') {
+            const anchoredVWAPTool = this.createAnchoredVWAPTool();
+            this.tools.set('avwap', anchoredVWAPTool);
+            return anchoredVWAPTool;
+        }
+
+        if ((toolName === 'vprofile' || toolName === 'VolumeProfile') && typeof VolumeProfileTool !== 'undefined') {
+            const volumeProfileTool = this.createVolumeProfileTool();
+            this.tools.set('vprofile', volumeProfileTool);
+            return volumeProfileTool;
+        }
+
         console.warn(`DrawingManager: Tool '${toolName}' not found in registry`);
         return null;
     }
@@ -560,23 +1002,218 @@ class DrawingManager {
         return `drawing_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    /**
+     * Store a drawing and attach its primitive to the series
+     * @param {Object} drawing - Drawing entry {id, tool, data, primitive, timestamp}
+     */
+    attachDrawing(drawing) {
+        this.drawings.set(drawing.id, drawing);
+
+        if (drawing.primitive) {
+            this.chart.candlestickSeries.attachPrimitive(drawing.primitive);
+        }
+
+        this.scheduleRedraw();
+    }
+
+    /**
+     * Detach a drawing's primitive and forget the drawing
+     * @param {Object} drawing - Drawing entry
+     */
+    detachDrawing(drawing) {
+        if (drawing.id === this.selectedDrawingId) {
+            this.deselectDrawing();
+        }
+
+        if (drawing.primitive) {
+            this.chart.candlestickSeries.detachPrimitive(drawing.primitive);
+        }
+
+        this.drawings.delete(drawing.id);
+        this.scheduleRedraw();
+    }
+
+    /**
+     * Replace a drawing's data and push it to its primitive
+     * @param {string} drawingId - Drawing ID
+     * @param {Object} data - New drawing data
+     */
+    applyDrawingData(drawingId, data) {
+        const drawing = this.drawings.get(drawingId);
+        if (!drawing) return;
+
+        drawing.data = data;
+        if (drawing.primitive && drawing.primitive.updateDrawingData) {
+            drawing.primitive.updateDrawingData(data);
+        }
+
+        this.scheduleRedraw();
+        eventBus.emit('drawing-updated', { drawingId });
+    }
+
+    /**
+     * Update a drawing and record the change for undo
+     * @param {string} drawingId - Drawing ID
+     * @param {Object} data - New drawing data
+     * @param {string} type - History type ('edit' or 'move')
+     */
+    updateDrawing(drawingId, data, type = 'edit') {
+        const drawing = this.drawings.get(drawingId);
+        if (!drawing) return;
+
+        const before = this.cloneDrawingData(drawing.data);
+        this.applyDrawingData(drawingId, data);
+        this.recordDrawingChange(drawingId, before, type);
+    }
+
+    /**
+     * Record a change that has already been applied to a drawing
+     * @param {string} drawingId - Drawing ID
+     * @param {Object} before - Snapshot of the data before the change
+     * @param {string} type - History type ('edit' or 'move')
+     */
+    recordDrawingChange(drawingId, before, type = 'edit') {
+        const drawing = this.drawings.get(drawingId);
+        if (!drawing) return;
+
+        const after = this.cloneDrawingData(drawing.data);
+        this.recordHistory({
+            type,
+            drawingId,
+            undo: () => this.applyDrawingData(drawingId, this.cloneDrawingData(before)),
+            redo: () => this.applyDrawingData(drawingId, this.cloneDrawingData(after))
+        });
+    }
+
+    /**
+     * Deep copy drawing data so history snapshots are not mutated by tools
+     * @param {Object} data - Drawing data
+     * @returns {Object} Copy of the data
+     */
+    cloneDrawingData(data) {
+        return data ? JSON.parse(JSON.stringify(data)) : data;
+    }
+
+    /**
+     * Push a command onto the undo history when undo is enabled
+     * @param {Object} command - Command with undo() and redo()
+     */
+    recordHistory(command) {
+        if (this.options.enableUndo) {
+            this.history.push(command);
+            this.emitHistoryChanged();
+        }
+
+        this.notifyDrawingsChanged();
+    }
+
+    /**
+     * Announce that the set of drawings or their data changed, and autosave
+     */
+    notifyDrawingsChanged() {
+        if (this.persistence) {
+            this.persistence.markDirty();
+        }
+
+        eventBus.emit('drawings-changed', { count: this.drawings.size });
+    }
+
+    /**
+     * Set the dataset drawings are saved under and restore its drawings
+     * @param {string} dataset - Dataset identifier
+     * @param {string} timeframe - Timeframe shown
+     * @returns {Promise<number>} Number of drawings restored
+     */
+    setPersistenceContext(dataset, timeframe) {
+        if (!this.persistence) return Promise.resolve(0);
+        return this.persistence.setContext(dataset, timeframe);
+    }
+
+    /**
+     * Record a timeframe switch; drawings are saved per dataset, so they stay as they are
+     * @param {string} timeframe - Timeframe identifier
+     */
+    setPersistenceTimeframe(timeframe) {
+        if (this.persistence) {
+            this.persistence.setTimeframe(timeframe);
+        }
+    }
+
+    /**
+     * Undo the last drawing command
+     * @returns {boolean} True if something was undone
+     */
+    undo() {
+        if (!this.options.enableUndo || this.isDrawing) return false;
+
+        const command = this.history.undo();
+        if (!command) return false;
+
+        this.emitHistoryChanged();
+        this.notifyDrawingsChanged();
+        eventBus.emit('drawing-undone', { type: command.type, drawingId: command.drawingId });
+        return true;
+    }
+
+    /**
+     * Redo the last undone drawing command
+     * @returns {boolean} True if something was redone
+     */
+    redo() {
+        if (!this.options.enableUndo || this.isDrawing) return false;
+
+        const command = this.history.redo();
+        if (!command) return false;
+
+        this.emitHistoryChanged();
+        this.notifyDrawingsChanged();
+        eventBus.emit('drawing-redone', { type: command.type, drawingId: command.drawingId });
+        return true;
+    }
+
+    /**
+     * Notify listeners (e.g. the toolbar) about undo/redo availability
+     */
+    emitHistoryChanged() {
+        eventBus.emit('drawing-history-changed', {
+            canUndo: this.history.canUndo(),
+            canRedo: this.history.canRedo()
+        });
+    }
+
+    /**
+     * Request a chart repaint so primitives redraw
+     */
+    scheduleRedraw() {
+        if (this.chart.chart) {
+            this.chart.chart.applyOptions({});
+        }
+    }
+
     /**
      * Clear all drawings by detaching primitives
      */
     clearAllDrawings() {
-        // Detach all primitives from the series
-        this.drawings.forEach((drawing) => {
-            if (drawing.primitive) {
-                this.chart.candlestickSeries.detachPrimitive(drawing.primitive);
-            }
-        });
+        const cleared = Array.from(this.drawings.values());
+
+        // Detach all primitives from the series; saved drawings that could not be shown go too
+        cleared.forEach((drawing) => this.detachDrawing(drawing));
+        const droppedUnrestored = this.unrestored.length > 0;
+        this.unrestored = [];
 
-        this.drawings.clear();
         this.isDrawing = false;
         this.currentDrawing = null;
 
-        // Trigger chart update to reflect cleared drawings
-        this.chart.chart.applyOptions({});
+        if (cleared.length > 0) {
+            this.recordHistory({
+                type: 'clear',
+                drawingId: null,
+                undo: () => cleared.forEach((drawing) => this.attachDrawing(drawing)),
+                redo: () => cleared.forEach((drawing) => this.detachDrawing(drawing))
+            });
+        } else if (droppedUnrestored) {
+            this.notifyDrawingsChanged();
+        }
 
         eventBus.emit('all-drawings-cleared');
     }
@@ -589,50 +1226,268 @@ class DrawingManager {
         if (this.drawings.has(drawingId)) {
             const drawing = this.drawings.get(drawingId);
 
-            // Detach primitive if it exists
-            if (drawing.primitive) {
-                this.chart.candlestickSeries.detachPrimitive(drawing.primitive);
+            this.detachDrawing(drawing);
+            this.recordHistory({
+                type: 'delete',
+                drawingId,
+                undo: () => this.attachDrawing(drawing),
+                redo: () => this.detachDrawing(drawing)
+            });
+
+            eventBus.emit('drawing-removed', { drawingId });
+        }
+    }
+
+    /**
+     * Serialize drawings through each tool's toJSON()
+     * @returns {Array} Array of { tool, data, timestamp }
+     */
+    serializeDrawings() {
+        return Array.from(this.drawings.values()).map(drawing => {
+            const tool = this.getToolForDrawing(drawing);
+            return {
+                tool: drawing.tool,
+                data: tool ? tool.toJSON(drawing.data) : this.cloneDrawingData(drawing.data),
+                timestamp: drawing.timestamp
+            };
+        });
+    }
+
+    /**
+     * Replace all drawings with saved ones, rebuilding their primitives.
+     * Not recorded in the undo history. Entries that fail the schema, exceed maxDrawings or
+     * cannot be rebuilt are reported with 'drawings-restore-failed' and kept for
+     * getUnrestoredDrawings().
+     * @param {Array} entries - Array of { tool, data, timestamp }
+     * @returns {number} Number of drawings restored
+     */
+    restoreDrawings(entries) {
+        this.drawings.forEach((drawing) => this.detachDrawing(drawing));
+        this.history.clear();
+        this.emitHistoryChanged();
+
+        let restored = 0;
+        const failed = [];
+        (entries || []).forEach((entry, index) => {
+            try {
+                // Stored data is checked like an imported file, and held to the same limit
+                if (restored >= this.options.maxDrawings) {
+                    throw new Error(`More than ${this.options.maxDrawings} drawings`);
+                }
+                const validation = DrawingSchema.validateDrawings([entry]);
+                if (!validation.valid) {
+                    const error = validation.errors[0];
+                    throw new Error(`${error.path.replace('drawings[0]', `drawings[${index}]`)} ${error.message}`);
+                }
+                this.attachDrawing(this.buildDrawingFromJSON(validation.drawings[0]));
+                restored++;
+            } catch (error) {
+                console.warn('DrawingManager: Failed to restore drawing:', error.message);
+                failed.push({ index, reason: error.message, entry });
             }
+        });
+        this.unrestored = failed.map(failure => failure.entry);
 
-            this.drawings.delete(drawingId);
+        eventBus.emit('drawings-changed', { count: this.drawings.size });
+        if (failed.length > 0) {
+            eventBus.emit('drawings-restore-failed', {
+                count: failed.length,
+                rejected: failed.map(({ index, reason }) => ({ index, reason }))
+            });
+        }
+        return restored;
+    }
 
-            // Trigger chart update to reflect removal
-            this.chart.chart.applyOptions({});
+    /**
+     * Saved entries the last restoreDrawings() could not rebuild (e.g. a tool that is not
+     * loaded), as they were stored
+     * @returns {Array} Serialized drawings
+     */
+    getUnrestoredDrawings() {
+        return this.unrestored.slice();
+    }
 
-            eventBus.emit('drawing-removed', { drawingId });
+    /**
+     * Build a drawing entry (data + primitive) from a serialized { tool, data, timestamp }
+     * @param {Object} entry - Serialized drawing
+     * @returns {Object} Drawing entry ready for attachDrawing()
+     * @throws {Error} With the reason the entry was rejected
+     */
+    buildDrawingFromJSON(entry) {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            throw new Error('Entry is not an object');
         }
+        if (typeof entry.tool !== 'string' || !entry.tool) {
+            throw new Error('Missing tool name');
+        }
+        if (!entry.data || typeof entry.data !== 'object') {
+            throw new Error('Missing drawing data');
+        }
+
+        const tool = this.getToolForDrawing(entry);
+        if (!tool) {
+            throw new Error(`Unknown tool '${entry.tool}'`);
+        }
+
+        let data;
+        try {
+            data = tool.fromJSON({ ...entry.data, type: tool.getName() }, this.coordinateMapper);
+        } catch (error) {
+            throw new Error(`Invalid ${tool.getName()} data: ${error.message}`);
+        }
+
+        if (!tool.isValidDrawing(data)) {
+            throw new Error(`Invalid ${tool.getName()} data`);
+        }
+
+        const primitive = this.createPrimitive(tool.getName(), data);
+        if (!primitive) {
+            throw new Error(`Could not create ${tool.getName()} primitive`);
+        }
+
+        return {
+            id: this.generateDrawingId(),
+            tool: tool.getName(),
+            data,
+            primitive,
+            timestamp: Number.isFinite(entry.timestamp) ? entry.timestamp : Date.now()
+        };
+    }
+
+    /**
+     * Identity of a serialized drawing: its tool and data as JSON with object keys sorted,
+     * so the same drawing matches whatever order its properties were written in
+     * @param {Object} entry - Serialized { tool, data, timestamp }
+     * @returns {string} Key equal for drawings that differ only in id or timestamp
+     */
+    getDrawingIdentity(entry) {
+        const canonical = (value) => {
+            if (Array.isArray(value)) return value.map(canonical);
+            if (!value || typeof value !== 'object') return value;
+            return Object.keys(value).sort().reduce((result, key) => {
+                result[key] = canonical(value[key]);
+                return result;
+            }, {});
+        };
+        return JSON.stringify(canonical([entry?.tool, entry?.data]));
     }
 
     /**
      * Get all drawings as JSON for persistence
-     * @returns {Array} Array of drawing objects
+     * @returns {Array} Array of drawing objects, loadable with importDrawings()
      */
     exportDrawings() {
-        return Array.from(this.drawings.values()).map(drawing => ({
-            tool: drawing.tool,
-            data: drawing.data,
-            timestamp: drawing.timestamp
-        }));
+        return this.serializeDrawings();
     }
 
     /**
-     * Import drawings from JSON
-     * @param {Array} drawingsData - Array of drawing objects
+     * Import drawings from JSON, rebuilding and attaching their primitives.
+     * The payload is schema-validated first and applied all-or-nothing;
+     * the whole import is a single undoable step.
+     * @param {Array|Object} drawingsData - Exported array or versioned save payload
+     * @returns {Object} Result { imported: Array<string>, rejected: Array<{index, path, reason}> }
      */
     importDrawings(drawingsData) {
-        if (!Array.isArray(drawingsData)) return;
+        const result = { imported: [], rejected: [] };
+
+        const { added, errors } = this.prepareDrawings(drawingsData, this.getRemainingCapacity());
+        if (errors.length > 0) {
+            result.rejected = errors;
+            console.warn('DrawingManager: Rejected drawings import:', errors);
+            eventBus.emit('drawings-imported', { count: 0, rejected: errors });
+            return result;
+        }
 
-        drawingsData.forEach((drawingData) => {
-            const drawingId = this.generateDrawingId();
-            this.drawings.set(drawingId, {
-                id: drawingId,
-                ...drawingData
-            });
+        added.forEach((drawing) => {
+            this.attachDrawing(drawing);
+            result.imported.push(drawing.id);
         });
 
-        // Trigger chart update to redraw primitives
-        this.chart.chart.applyOptions({});
-        eventBus.emit('drawings-imported', { count: drawingsData.length });
+        if (added.length > 0) {
+            this.recordHistory({
+                type: 'create',
+                drawingId: null,
+                undo: () => added.forEach((drawing) => this.detachDrawing(drawing)),
+                redo: () => added.forEach((drawing) => this.attachDrawing(drawing))
+            });
+        }
+
+        eventBus.emit('drawings-imported', { count: added.length, rejected: result.rejected });
+        return result;
+    }
+
+    /**
+     * @returns {number} How many more drawings fit under options.maxDrawings
+     */
+    getRemainingCapacity() {
+        return Math.max(0, this.options.maxDrawings - this.drawings.size);
+    }
+
+    emitLimitReached() {
+        console.warn(`DrawingManager: Drawing limit of ${this.options.maxDrawings} reached`);
+        eventBus.emit('drawing-limit-reached', { maxDrawings: this.options.maxDrawings });
+    }
+
+    /**
+     * Replace all drawings with a validated set, e.g. from a workspace. All-or-nothing like
+     * importDrawings(), but clears the undo history and autosaves the result.
+     * @param {Array|Object} drawingsData - Exported array or versioned save payload
+     * @returns {Object} Result { imported: Array<string>, rejected: Array<{index, path, reason}> }
+     */
+    replaceDrawings(drawingsData) {
+        const { added, errors } = this.prepareDrawings(drawingsData, this.options.maxDrawings);
+        if (errors.length > 0) {
+            console.warn('DrawingManager: Rejected drawings:', errors);
+            return { imported: [], rejected: errors };
+        }
+
+        this.drawings.forEach((drawing) => this.detachDrawing(drawing));
+        this.unrestored = [];
+        this.history.clear();
+        this.emitHistoryChanged();
+
+        added.forEach((drawing) => this.attachDrawing(drawing));
+        this.notifyDrawingsChanged();
+        return { imported: added.map(drawing => drawing.id), rejected: [] };
+    }
+
+    /**
+     * Migrate, schema-validate and build serialized drawings without attaching them
+     * @param {Array|Object} drawingsData - Exported array or versioned save payload
+     * @param {number} maxDrawings - How many drawings may be added
+     * @returns {Object} { added: drawing entries, errors: [{index, path, reason}] }
+     */
+    prepareDrawings(drawingsData, maxDrawings) {
+        let entries;
+        try {
+            entries = DrawingPersistence.migrate(drawingsData).drawings;
+        } catch (error) {
+            return { added: [], errors: [{ index: null, path: 'file', reason: error.message }] };
+        }
+
+        const validation = DrawingSchema.validateDrawings(entries, { maxDrawings });
+        if (!validation.valid) {
+            return {
+                added: [],
+                errors: validation.errors.map(error => ({
+                    index: error.index,
+                    path: error.path,
+                    reason: `${error.path} ${error.message}`
+                }))
+            };
+        }
+
+        // Build everything before attaching anything so a failure applies nothing
+        const added = [];
+        for (let index = 0; index < validation.drawings.length; index++) {
+            try {
+                added.push(this.buildDrawingFromJSON(validation.drawings[index]));
+            } catch (error) {
+                return { added: [], errors: [{ index, path: `drawings[${index}]`, reason: error.message }] };
+            }
+        }
+
+        return { added, errors: [] };
     }
 
     /**
@@ -643,10 +1498,21 @@ class DrawingManager {
         this.restoreNavigation();
 
         // Detach all primitives
-        this.clearAllDrawings();
+        this.drawings.forEach((drawing) => this.detachDrawing(drawing));
+        this.history.clear();
+
+        if (this.persistence) {
+            this.persistence.destroy();
+            this.persistence = null;
+        }
 
         // Remove event listeners
         this.removeChartEventListeners();
+        this.chartContainer.removeEventListener('mousedown', this.handleSelectionMouseDown, true);
+        this.chartContainer.removeEventListener('mousemove', this.handleSelectionHover);
+        document.removeEventListener('mousemove', this.handleSelectionMouseMove);
+        document.removeEventListener('mouseup', this.handleSelectionMouseUp);
+        document.removeEventListener('keydown', this.handleKeyDown);
 
         // Clear references
         this.drawings.clear();
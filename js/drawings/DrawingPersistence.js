@@ -0,0 +1,233 @@
+/**
+ * DrawingPersistence - Autosaves drawings per dataset and restores them
+ * Drawings are in time/price, so every timeframe of a dataset shares one saved set.
+ * Saves a versioned payload through AppStorage and migrates older payloads on load
+ */
+
+class DrawingPersistence {
+    constructor(drawingManager, options = {}) {
+        this.drawingManager = drawingManager;
+        this.options = {
+            storeName: 'drawings',
+            saveDelay: 500,
+            ...options
+        };
+
+        this.dataset = null;
+        this.timeframe = null;
+        this.isRestoring = false;
+        this.isDirty = false;
+
+        this.scheduleSave = Utils.debounce(() => this.save(), this.options.saveDelay);
+
+        // Flush pending changes when the page goes away
+        this.handlePageHide = () => this.save();
+        window.addEventListener('pagehide', this.handlePageHide);
+    }
+
+    /**
+     * Mark drawings as changed and schedule an autosave
+     */
+    markDirty() {
+        if (this.isRestoring) return;
+
+        this.isDirty = true;
+        this.scheduleSave();
+    }
+
+    /**
+     * Build the storage key for a dataset
+     * @param {string} dataset - Dataset identifier (e.g. data file path)
+     * @returns {string} Storage key
+     */
+    static storageKey(dataset) {
+        return dataset;
+    }
+
+    /**
+     * Key drawings were saved under when each timeframe had its own set; read when a
+     * dataset has no shared set yet
+     * @param {string} dataset - Dataset identifier
+     * @param {string} timeframe - Timeframe identifier (e.g. '15m')
+     * @returns {string} Storage key
+     */
+    static legacyStorageKey(dataset, timeframe) {
+        return `${dataset}::${timeframe}`;
+    }
+
+    /**
+     * Point persistence at a dataset and restore what was saved for it
+     * @param {string} dataset - Dataset identifier
+     * @param {string} timeframe - Timeframe shown, recorded in the payload
+     * @returns {Promise<number>} Number of drawings restored
+     */
+    async setContext(dataset, timeframe) {
+        // Flush anything still pending for the old key first
+        await this.save();
+
+        this.dataset = dataset;
+        this.timeframe = timeframe;
+        return this.restore();
+    }
+
+    /**
+     * Follow a timeframe switch; the drawings on the chart stay and keep their key
+     * @param {string} timeframe - Timeframe identifier
+     */
+    setTimeframe(timeframe) {
+        this.timeframe = timeframe;
+    }
+
+    /**
+     * @returns {boolean} True once a dataset/timeframe has been set
+     */
+    hasContext() {
+        return !!(this.dataset && this.timeframe);
+    }
+
+    /**
+     * Serialize the manager's drawings into the current save format
+     * @returns {Object} Versioned payload
+     */
+    serialize() {
+        return {
+            version: DrawingPersistence.FORMAT_VERSION,
+            dataset: this.dataset,
+            timeframe: this.timeframe,
+            savedAt: Date.now(),
+            // Drawings that failed to restore are written back rather than lost
+            drawings: this.drawingManager.serializeDrawings().concat(this.drawingManager.getUnrestoredDrawings())
+        };
+    }
+
+    /**
+     * Save the current drawings immediately
+     * @returns {Promise<boolean>} True if saved
+     */
+    async save() {
+        if (!this.hasContext() || this.isRestoring || !this.isDirty) return false;
+
+        try {
+            const key = DrawingPersistence.storageKey(this.dataset);
+            this.isDirty = false;
+            await AppStorage.set(this.options.storeName, key, this.serialize());
+            eventBus.emit('drawings-saved', { dataset: this.dataset, timeframe: this.timeframe });
+            return true;
+        } catch (error) {
+            this.isDirty = true;
+            console.error('DrawingPersistence: Failed to save drawings:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load, migrate and restore the drawings saved for the current context
+     * @returns {Promise<number>} Number of drawings restored
+     */
+    async restore() {
+        if (!this.hasContext()) return 0;
+
+        const key = DrawingPersistence.storageKey(this.dataset);
+        this.isRestoring = true;
+
+        try {
+            let stored = await AppStorage.get(this.options.storeName, key);
+            if (stored === undefined) {
+                stored = await AppStorage.get(this.options.storeName, DrawingPersistence.legacyStorageKey(this.dataset, this.timeframe));
+            }
+            const payload = stored === undefined ? null : DrawingPersistence.migrate(stored);
+            const drawings = payload ? payload.drawings : [];
+
+            const restored = this.drawingManager.restoreDrawings(drawings);
+            eventBus.emit('drawings-restored', {
+                dataset: this.dataset,
+                timeframe: this.timeframe,
+                count: restored
+            });
+
+            console.log(`DrawingPersistence: Restored ${restored} drawings for ${key}`);
+            return restored;
+        } catch (error) {
+            console.error('DrawingPersistence: Failed to restore drawings:', error);
+            return 0;
+        } finally {
+            this.isRestoring = false;
+        }
+    }
+
+    /**
+     * Stop listening for page lifecycle events
+     */
+    destroy() {
+        window.removeEventListener('pagehide', this.handlePageHide);
+    }
+
+    /**
+     * Upgrade a stored payload to the current format version
+     * @param {Object|Array} payload - Stored payload
+     * @returns {Object} Payload in the current format
+     */
+    static migrate(payload) {
+        let current = payload;
+        let version = DrawingPersistence.detectVersion(current);
+
+        if (version > DrawingPersistence.FORMAT_VERSION) {
+            throw new Error(`Saved drawings use newer format v${version}`);
+        }
+
+        while (version < DrawingPersistence.FORMAT_VERSION) {
+            const migration = DrawingPersistence.MIGRATIONS[version];
+            if (!migration) {
+                throw new Error(`No migration from drawing format v${version}`);
+            }
+            current = migration(current);
+            version = current.version;
+        }
+
+        return current;
+    }
+
+    /**
+     * Work out the format version of a stored payload
+     * @param {Object|Array} payload - Stored payload
+     * @returns {number} Version (0 for the bare array written by exportDrawings)
+     */
+    static detectVersion(payload) {
+        if (Array.isArray(payload)) return 0;
+        if (payload && Number.isInteger(payload.version) && Array.isArray(payload.drawings)) {
+            return payload.version;
+        }
+        throw new Error('Unrecognized drawing save format');
+    }
+}
+
+/**
+ * Current save format version. Bump it and add a migration when the payload
+ * shape or a tool's saved options change.
+ */
+DrawingPersistence.FORMAT_VERSION = 1;
+
+/**
+ * Migrations keyed by the version they upgrade from
+ */
+DrawingPersistence.MIGRATIONS = {
+    // v0: bare array of { tool, data, timestamp } as produced by exportDrawings()
+    0: (drawings) => ({
+        version: 1,
+        dataset: null,
+        timeframe: null,
+        savedAt: Date.now(),
+        drawings: drawings.map(entry => ({
+            tool: entry.tool,
+            data: entry.data,
+            timestamp: entry.timestamp
+        }))
+    })
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DrawingPersistence;
+} else if (typeof window !== 'undefined') {
+    window.DrawingPersistence = DrawingPersistence;
+}
@@ -0,0 +1,269 @@
+/**
+ * AnchoredVWAPPrimitive - Lightweight Charts primitive for anchored VWAP drawings
+ * Draws the VWAP from the anchor bar with its standard-deviation bands, and labels the
+ * latest VWAP on the price axis. The values come from AnchoredVWAPTool.computeVWAP().
+ */
+
+/**
+ * Renderer for drawing the anchored VWAP on the chart pane
+ */
+class AnchoredVWAPPaneRenderer {
+    constructor(primitive) {
+        this._primitive = primitive;
+    }
+
+    draw(target) {
+        if (this._primitive.isValid()) {
+            this._primitive.drawVWAP(target);
+        }
+    }
+}
+
+/**
+ * Pane view for anchored VWAP primitive
+ */
+class AnchoredVWAPPaneView {
+    constructor(primitive) {
+        this._primitive = primitive;
+        this._renderer = new AnchoredVWAPPaneRenderer(primitive);
+    }
+
+    renderer() {
+        return this._primitive.isValid() ? this._renderer : null;
+    }
+}
+
+/**
+ * Price axis label showing the VWAP of the last bar
+ */
+class AnchoredVWAPPriceAxisView {
+    constructor(primitive) {
+        this._primitive = primitive;
+    }
+
+    coordinate() {
+        const value = this._primitive.getLastValue();
+        const y = value === null ? null : this._primitive.series.priceToCoordinate(value);
+        return y === null ? -1 : y;
+    }
+
+    text() {
+        const value = this._primitive.getLastValue();
+        return value === null ? '' : `$${value.toFixed(2)}`;
+    }
+
+    textColor() {
+        return '#ffffff';
+    }
+
+    backColor() {
+        return this._primitive.options.lineColor;
+    }
+
+    visible() {
+        return this._primitive.isValid() &&
+               this._primitive.options.showPrice !== false &&
+               this._primitive.getLastValue() !== null;
+    }
+
+    tickVisible() {
+        return true;
+    }
+}
+
+class AnchoredVWAPPrimitive {
+    /**
+     * @param {Object} series - Candlestick series the primitive is attached to
+     * @param {Object} chart - Lightweight Charts chart
+     * @param {Object} drawingData - Anchored VWAP drawing data
+     * @param {Object} coordinateMapper - Coordinate mapping functions
+     * @param {AnchoredVWAPTool} tool - Tool that computes the VWAP from the chart's bars
+     */
+    constructor(series, chart, drawingData = null, coordinateMapper = null, tool = null) {
+        this.series = series;
+        this.chart = chart;
+        this.drawingData = drawingData;
+        this.coordinateMapper = coordinateMapper;
+        this.tool = tool;
+        this.options = {
+            lineColor: '#e040fb',
+            lineWidth: 2,
+            bandColor: 'rgba(224, 64, 251, 0.5)',
+            bands: 2,
+            showPrice: true,
+            ...drawingData?.options
+        };
+        this.selected = false;
+        this._paneView = new AnchoredVWAPPaneView(this);
+        this._priceAxisView = new AnchoredVWAPPriceAxisView(this);
+    }
+
+    /**
+     * Required method for ISeriesPrimitive interface
+     */
+    paneViews() {
+        return this.isValid() ? [this._paneView] : [];
+    }
+
+    /**
+     * Price axis label for the latest VWAP
+     */
+    priceAxisViews() {
+        return this.isValid() ? [this._priceAxisView] : [];
+    }
+
+    /**
+     * @returns {Object} { bars, startIndex, values } from the tool
+     */
+    getVWAP() {
+        return this.tool.computeVWAP(this.drawingData.anchor.time);
+    }
+
+    /**
+     * @returns {number|null} VWAP of the last bar on the chart
+     */
+    getLastValue() {
+        const { values } = this.getVWAP();
+        const last = values[values.length - 1];
+        return last ? last.value : null;
+    }
+
+    /**
+     * Draw the VWAP and its bands over the visible bars from the anchor on
+     * @param {CanvasRenderingTarget2D} target - Lightweight Charts rendering target
+     */
+    drawVWAP(target) {
+        target.useMediaCoordinateSpace((mediaScope) => {
+            const { context: ctx } = mediaScope;
+            const { bars, startIndex, values } = this.getVWAP();
+            if (values.length === 0) return;
+
+            const timeScale = this.chart.timeScale();
+            const range = timeScale.getVisibleLogicalRange();
+            if (!range) return;
+
+            // Logical indexes are bar indexes; one bar either side keeps the line to the edge
+            const from = Math.max(startIndex, Math.floor(range.from) - 1);
+            const to = Math.min(bars.length - 1, Math.ceil(range.to) + 1);
+            if (from > to) return;
+
+            const xs = [];
+            for (let i = from; i <= to; i++) {
+                xs.push(timeScale.timeToCoordinate(bars[i].time));
+            }
+            const path = (offset) => {
+                ctx.beginPath();
+                let started = false;
+                for (let i = from; i <= to; i++) {
+                    const point = values[i - startIndex];
+                    const x = xs[i - from];
+                    const y = point ? this.series.priceToCoordinate(point.value + point.deviation * offset) : null;
+                    if (x === null || y === null) {
+                        started = false;
+                        continue;
+                    }
+                    if (started) {
+                        ctx.lineTo(x, y);
+                    } else {
+                        ctx.moveTo(x, y);
+                        started = true;
+                    }
+                }
+                ctx.stroke();
+            };
+
+            ctx.save();
+
+            try {
+                ctx.lineCap = 'butt';
+                ctx.lineJoin = 'round';
+
+                ctx.strokeStyle = this.options.bandColor;
+                ctx.lineWidth = 1;
+                ctx.setLineDash([4, 4]);
+                for (let band = 1; band <= this.options.bands; band++) {
+                    path(band);
+                    path(-band);
+                }
+
+                ctx.strokeStyle = this.options.lineColor;
+                ctx.lineWidth = this.options.lineWidth;
+                ctx.setLineDash([]);
+                path(0);
+
+                if (this.selected && from === startIndex && values[0]) {
+                    const x = xs[0];
+                    const y = this.series.priceToCoordinate(values[0].value);
+                    if (x !== null && y !== null) {
+                        this.drawHandle(ctx, x, y);
+                    }
+                }
+            } finally {
+                ctx.restore();
+            }
+        });
+    }
+
+    /**
+     * Mark the primitive as selected so it renders drag handles
+     * @param {boolean} selected - Selection state
+     */
+    setSelected(selected) {
+        this.selected = !!selected;
+    }
+
+    /**
+     * Draw a square drag handle
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    drawHandle(ctx, x, y) {
+        const size = 8;
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = this.options.lineColor;
+        ctx.lineWidth = 2;
+        ctx.fillRect(x - size / 2, y - size / 2, size, size);
+        ctx.strokeRect(x - size / 2, y - size / 2, size, size);
+    }
+
+    /**
+     * Update the drawing data and trigger chart update
+     * @param {Object} drawingData - New drawing data
+     */
+    updateDrawingData(drawingData) {
+        this.drawingData = drawingData;
+        this.options = {
+            ...this.options,
+            ...drawingData?.options
+        };
+    }
+
+    /**
+     * Get the current drawing data
+     * @returns {Object} Current drawing data
+     */
+    getDrawingData() {
+        return this.drawingData;
+    }
+
+    /**
+     * Check if the primitive has valid drawing data
+     * @returns {boolean} True if valid drawing data exists
+     */
+    isValid() {
+        return !!(this.tool &&
+                 this.drawingData &&
+                 this.drawingData.anchor &&
+                 typeof this.drawingData.anchor.time === 'number' &&
+                 Number.isFinite(this.drawingData.anchor.time));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnchoredVWAPPrimitive;
+} else if (typeof window !== 'undefined') {
+    window.AnchoredVWAPPrimitive = AnchoredVWAPPrimitive;
+}
@@ -0,0 +1,314 @@
+/**
+ * FibRetracementPrimitive - Lightweight Charts primitive for Fibonacci retracements
+ * Implements ISeriesPrimitive with a pane view and one price-axis label per level
+ */
+
+/**
+ * Renderer for drawing the retracement on the chart pane
+ */
+class FibRetracementPaneRenderer {
+    constructor(primitive) {
+        this._primitive = primitive;
+    }
+
+    draw(target) {
+        if (this._primitive.isValid()) {
+            this._primitive.drawFibRetracement(target);
+        }
+    }
+}
+
+/**
+ * Pane view for Fibonacci retracement primitive
+ */
+class FibRetracementPaneView {
+    constructor(primitive) {
+        this._primitive = primitive;
+        this._renderer = new FibRetracementPaneRenderer(primitive);
+    }
+
+    renderer() {
+        return this._primitive.isValid() ? this._renderer : null;
+    }
+}
+
+/**
+ * Price axis label for a single Fibonacci level
+ */
+class FibRetracementPriceAxisView {
+    constructor(primitive, index) {
+        this._primitive = primitive;
+        this._index = index;
+    }
+
+    level() {
+        return this._primitive.drawingData.levels[this._index];
+    }
+
+    coordinate() {
+        const level = this.level();
+        const y = level ? this._primitive.series.priceToCoordinate(level.price) : null;
+        return y === null ? -1 : y;
+    }
+
+    text() {
+        const level = this.level();
+        return level ? `$${level.price.toFixed(2)}` : '';
+    }
+
+    textColor() {
+        return '#000000';
+    }
+
+    backColor() {
+        const level = this.level();
+        return level ? level.color : this._primitive.options.lineColor;
+    }
+
+    visible() {
+        return !!this.level();
+    }
+
+    tickVisible() {
+        return false;
+    }
+}
+
+class FibRetracementPrimitive {
+    constructor(series, chart, drawingData = null, coordinateMapper = null) {
+        this.series = series;
+        this.chart = chart;
+        this.drawingData = drawingData;
+        this.coordinateMapper = coordinateMapper;
+        this.options = {
+            lineColor: '#9B59B6',
+            lineWidth: 1,
+            fillColor: 'rgba(155, 89, 182, 0.1)',
+            showLabels: true,
+            showPercentage: true,
+            ...drawingData?.options
+        };
+        this.selected = false;
+        this._paneView = new FibRetracementPaneView(this);
+        this._priceAxisViews = [];
+        this.syncPriceAxisViews();
+    }
+
+    /**
+     * Required method for ISeriesPrimitive interface
+     */
+    paneViews() {
+        return this.isValid() ? [this._paneView] : [];
+    }
+
+    /**
+     * Price axis labels, one per level
+     */
+    priceAxisViews() {
+        return this.isValid() ? this._priceAxisViews : [];
+    }
+
+    /**
+     * Keep one axis view per level when the level set changes
+     */
+    syncPriceAxisViews() {
+        const count = this.drawingData && Array.isArray(this.drawingData.levels) ? this.drawingData.levels.length : 0;
+        this._priceAxisViews = [];
+        for (let i = 0; i < count; i++) {
+            this._priceAxisViews.push(new FibRetracementPriceAxisView(this, i));
+        }
+    }
+
+    /**
+     * Map a time to an x coordinate, going through the coordinate mapper when one
+     * was given so times between bars (e.g. after a timeframe switch) still map
+     * @param {number} time - Unix time in seconds
+     * @returns {number|null} X coordinate
+     */
+    timeToCoordinate(time) {
+        const x = this.coordinateMapper
+            ? this.coordinateMapper.timeToScreen(time)
+            : this.chart.timeScale().timeToCoordinate(time);
+        return x === undefined ? null : x;
+    }
+
+    /**
+     * Draw the retracement levels, fills, labels and the anchoring trend line
+     * @param {CanvasRenderingTarget2D} target - Lightweight Charts rendering target
+     */
+    drawFibRetracement(target) {
+        target.useMediaCoordinateSpace((mediaScope) => {
+            const { context: ctx } = mediaScope;
+            const startX = this.timeToCoordinate(this.drawingData.startPoint.time);
+            const startY = this.series.priceToCoordinate(this.drawingData.startPoint.price);
+            const endX = this.timeToCoordinate(this.drawingData.endPoint.time);
+            const endY = this.series.priceToCoordinate(this.drawingData.endPoint.price);
+
+            if (startX === null || startY === null || endX === null || endY === null) {
+                return;
+            }
+
+            const levels = this.drawingData.levels
+                .map(level => ({ ...level, y: this.series.priceToCoordinate(level.price) }))
+                .filter(level => level.y !== null);
+
+            const padding = 50;
+            const minX = Math.min(startX, endX) - padding;
+            const maxX = Math.max(startX, endX) + padding;
+
+            ctx.save();
+
+            try {
+                // Fill bands between adjacent levels
+                if (this.options.fillColor) {
+                    const sorted = [...levels].sort((a, b) => a.y - b.y);
+                    ctx.fillStyle = this.options.fillColor;
+                    for (let i = 1; i < sorted.length; i++) {
+                        ctx.fillRect(minX, sorted[i - 1].y, maxX - minX, sorted[i].y - sorted[i - 1].y);
+                    }
+                }
+
+                // Level lines
+                ctx.lineWidth = this.options.lineWidth;
+                ctx.setLineDash([]);
+                levels.forEach(level => {
+                    ctx.strokeStyle = level.color;
+                    ctx.beginPath();
+                    ctx.moveTo(minX, level.y);
+                    ctx.lineTo(maxX, level.y);
+                    ctx.stroke();
+                });
+
+                // Dashed anchoring line between the two points
+                ctx.strokeStyle = this.options.lineColor;
+                ctx.setLineDash([5, 3]);
+                ctx.beginPath();
+                ctx.moveTo(startX, startY);
+                ctx.lineTo(endX, endY);
+                ctx.stroke();
+                ctx.setLineDash([]);
+
+                this.drawEndpoint(ctx, startX, startY, this.options.lineColor);
+                this.drawEndpoint(ctx, endX, endY, this.options.lineColor);
+
+                if (this.options.showLabels) {
+                    this.drawLabels(ctx, levels, minX);
+                }
+
+                if (this.selected) {
+                    this.drawHandle(ctx, startX, startY);
+                    this.drawHandle(ctx, endX, endY);
+                }
+            } finally {
+                ctx.restore();
+            }
+        });
+    }
+
+    /**
+     * Draw endpoint circle with a white center
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {string} color - Circle color
+     */
+    drawEndpoint(ctx, x, y, color) {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.arc(x, y, 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * Draw level percentage labels at the left end of each level line
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Array} levels - Levels with screen Y coordinates
+     * @param {number} x - Left edge of the level lines
+     */
+    drawLabels(ctx, levels, x) {
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+
+        levels.forEach(level => {
+            const text = this.options.showPercentage
+                ? `${level.percentage}% (${level.price.toFixed(2)})`
+                : level.price.toFixed(2);
+            ctx.fillStyle = level.color;
+            ctx.fillText(text, x + 4, level.y - 2);
+        });
+    }
+
+    /**
+     * Mark the primitive as selected so it renders drag handles
+     * @param {boolean} selected - Selection state
+     */
+    setSelected(selected) {
+        this.selected = !!selected;
+    }
+
+    /**
+     * Draw a square drag handle
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    drawHandle(ctx, x, y) {
+        const size = 8;
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = this.options.lineColor;
+        ctx.lineWidth = 2;
+        ctx.fillRect(x - size / 2, y - size / 2, size, size);
+        ctx.strokeRect(x - size / 2, y - size / 2, size, size);
+    }
+
+    /**
+     * Update the drawing data and trigger chart update
+     * @param {Object} drawingData - New drawing data
+     */
+    updateDrawingData(drawingData) {
+        this.drawingData = drawingData;
+        this.options = {
+            ...this.options,
+            ...drawingData?.options
+        };
+        this.syncPriceAxisViews();
+    }
+
+    /**
+     * Get the current drawing data
+     * @returns {Object} Current drawing data
+     */
+    getDrawingData() {
+        return this.drawingData;
+    }
+
+    /**
+     * Check if the primitive has valid drawing data
+     * @returns {boolean} True if valid drawing data exists
+     */
+    isValid() {
+        return !!(this.drawingData &&
+                 this.drawingData.startPoint &&
+                 this.drawingData.endPoint &&
+                 this.drawingData.startPoint.time !== undefined &&
+                 this.drawingData.startPoint.price !== undefined &&
+                 this.drawingData.endPoint.time !== undefined &&
+                 this.drawingData.endPoint.price !== undefined &&
+                 Array.isArray(this.drawingData.levels) &&
+                 this.drawingData.levels.length > 0);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FibRetracementPrimitive;
+} else if (typeof window !== 'undefined') {
+    window.FibRetracementPrimitive = FibRetracementPrimitive;
+}
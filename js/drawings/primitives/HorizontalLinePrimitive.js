@@ -0,0 +1,214 @@
+/**
+ * HorizontalLinePrimitive - Lightweight Charts primitive for horizontal price lines
+ * Implements ISeriesPrimitive with a pane view and a price-axis label
+ */
+
+/**
+ * Renderer for drawing the horizontal line on the chart pane
+ */
+class HorizontalLinePaneRenderer {
+    constructor(primitive) {
+        this._primitive = primitive;
+    }
+
+    draw(target) {
+        if (this._primitive.isValid()) {
+            this._primitive.drawHorizontalLine(target);
+        }
+    }
+}
+
+/**
+ * Pane view for horizontal line primitive
+ */
+class HorizontalLinePaneView {
+    constructor(primitive) {
+        this._primitive = primitive;
+        this._renderer = new HorizontalLinePaneRenderer(primitive);
+    }
+
+    renderer() {
+        return this._primitive.isValid() ? this._renderer : null;
+    }
+}
+
+/**
+ * Price axis label showing the line's price
+ */
+class HorizontalLinePriceAxisView {
+    constructor(primitive) {
+        this._primitive = primitive;
+    }
+
+    coordinate() {
+        const y = this._primitive.series.priceToCoordinate(this._primitive.drawingData.price);
+        return y === null ? -1 : y;
+    }
+
+    text() {
+        return `$${this._primitive.drawingData.price.toFixed(2)}`;
+    }
+
+    textColor() {
+        return '#ffffff';
+    }
+
+    backColor() {
+        return this._primitive.options.lineColor;
+    }
+
+    visible() {
+        return this._primitive.isValid() && this._primitive.options.showPrice !== false;
+    }
+
+    tickVisible() {
+        return true;
+    }
+}
+
+class HorizontalLinePrimitive {
+    constructor(series, chart, drawingData = null, coordinateMapper = null) {
+        this.series = series;
+        this.chart = chart;
+        this.drawingData = drawingData;
+        this.coordinateMapper = coordinateMapper;
+        this.options = {
+            lineColor: '#4ECDC4',
+            lineWidth: 2,
+            lineStyle: 'solid',
+            showPrice: true,
+            ...drawingData?.options
+        };
+        this.selected = false;
+        this._paneView = new HorizontalLinePaneView(this);
+        this._priceAxisView = new HorizontalLinePriceAxisView(this);
+    }
+
+    /**
+     * Required method for ISeriesPrimitive interface
+     */
+    paneViews() {
+        return this.isValid() ? [this._paneView] : [];
+    }
+
+    /**
+     * Price axis label for the line's price
+     */
+    priceAxisViews() {
+        return this.isValid() ? [this._priceAxisView] : [];
+    }
+
+    /**
+     * Draw the horizontal line across the full pane width
+     * @param {CanvasRenderingTarget2D} target - Lightweight Charts rendering target
+     */
+    drawHorizontalLine(target) {
+        target.useMediaCoordinateSpace((mediaScope) => {
+            const { context: ctx, mediaSize } = mediaScope;
+
+            const y = this.series.priceToCoordinate(this.drawingData.price);
+            if (y === null) {
+                return;
+            }
+
+            ctx.save();
+
+            try {
+                ctx.strokeStyle = this.options.lineColor;
+                ctx.lineWidth = this.options.lineWidth;
+                ctx.lineCap = 'butt';
+                ctx.setLineDash(this.getLineDash(this.options.lineStyle));
+
+                ctx.beginPath();
+                ctx.moveTo(0, y);
+                ctx.lineTo(mediaSize.width, y);
+                ctx.stroke();
+
+                // Single handle in the middle of the pane
+                if (this.selected) {
+                    this.drawHandle(ctx, mediaSize.width / 2, y);
+                }
+            } finally {
+                ctx.restore();
+            }
+        });
+    }
+
+    /**
+     * Map the tool's line style names to a canvas dash pattern
+     * @param {string} lineStyle - 'solid', 'dashed' or 'dotted'
+     * @returns {Array<number>} Dash pattern
+     */
+    getLineDash(lineStyle) {
+        switch (lineStyle) {
+            case 'dashed':
+                return [8, 4];
+            case 'dotted':
+                return [2, 3];
+            case 'solid':
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Mark the primitive as selected so it renders drag handles
+     * @param {boolean} selected - Selection state
+     */
+    setSelected(selected) {
+        this.selected = !!selected;
+    }
+
+    /**
+     * Draw a square drag handle
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    drawHandle(ctx, x, y) {
+        const size = 8;
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = this.options.lineColor;
+        ctx.lineWidth = 2;
+        ctx.fillRect(x - size / 2, y - size / 2, size, size);
+        ctx.strokeRect(x - size / 2, y - size / 2, size, size);
+    }
+
+    /**
+     * Update the drawing data and trigger chart update
+     * @param {Object} drawingData - New drawing data
+     */
+    updateDrawingData(drawingData) {
+        this.drawingData = drawingData;
+        this.options = {
+            ...this.options,
+            ...drawingData?.options
+        };
+    }
+
+    /**
+     * Get the current drawing data
+     * @returns {Object} Current drawing data
+     */
+    getDrawingData() {
+        return this.drawingData;
+    }
+
+    /**
+     * Check if the primitive has valid drawing data
+     * @returns {boolean} True if valid drawing data exists
+     */
+    isValid() {
+        return !!(this.drawingData &&
+                 typeof this.drawingData.price === 'number' &&
+                 Number.isFinite(this.drawingData.price));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HorizontalLinePrimitive;
+} else if (typeof window !== 'undefined') {
+    window.HorizontalLinePrimitive = HorizontalLinePrimitive;
+}
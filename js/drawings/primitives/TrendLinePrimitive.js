@@ -33,16 +33,18 @@ class TrendLinePaneView {
 }
 
 class TrendLinePrimitive {
-    constructor(series, chart, drawingData = null) {
+    constructor(series, chart, drawingData = null, coordinateMapper = null) {
         this.series = series;
         this.chart = chart;
         this.drawingData = drawingData;
+        this.coordinateMapper = coordinateMapper;
         this.options = {
             lineColor: '#FF6B6B',
             lineWidth: 2,
             lineStyle: LightweightCharts.LineStyle.Solid,
             ...drawingData?.options
         };
+        this.selected = false;
         this._paneView = new TrendLinePaneView(this);
     }
 
@@ -54,6 +56,19 @@ class TrendLinePrimitive {
         return this.isValid() ? [this._paneView] : [];
     }
 
+    /**
+     * Map a time to an x coordinate, going through the coordinate mapper when one
+     * was given so times between bars (e.g. after a timeframe switch) still map
+     * @param {number} time - Unix time in seconds
+     * @returns {number|null} X coordinate
+     */
+    timeToCoordinate(time) {
+        const x = this.coordinateMapper
+            ? this.coordinateMapper.timeToScreen(time)
+            : this.chart.timeScale().timeToCoordinate(time);
+        return x === undefined ? null : x;
+    }
+
     /**
      * Draw the trend line using the official primitive rendering approach
      * @param {CanvasRenderingTarget2D} target - Lightweight Charts rendering target
@@ -68,9 +83,9 @@ class TrendLinePrimitive {
             const { context: ctx, mediaSize } = mediaScope;
 
             // Convert drawing data time/price to screen coordinates
-            const startX = this.chart.timeScale().timeToCoordinate(this.drawingData.startPoint.time);
+            const startX = this.timeToCoordinate(this.drawingData.startPoint.time);
             const startY = this.series.priceToCoordinate(this.drawingData.startPoint.price);
-            const endX = this.chart.timeScale().timeToCoordinate(this.drawingData.endPoint.time);
+            const endX = this.timeToCoordinate(this.drawingData.endPoint.time);
             const endY = this.series.priceToCoordinate(this.drawingData.endPoint.price);
 
             // Skip if coordinates are invalid
@@ -112,6 +127,11 @@ class TrendLinePrimitive {
                     this.drawLabel(ctx, startX, startY, endX, endY);
                 }
 
+                if (this.selected) {
+                    this.drawHandle(ctx, startX, startY);
+                    this.drawHandle(ctx, endX, endY);
+                }
+
             } finally {
                 // Restore canvas state
                 ctx.restore();
@@ -182,6 +202,30 @@ class TrendLinePrimitive {
         ctx.fillText(text, midX, midY - padding);
     }
 
+    /**
+     * Mark the primitive as selected so it renders drag handles
+     * @param {boolean} selected - Selection state
+     */
+    setSelected(selected) {
+        this.selected = !!selected;
+    }
+
+    /**
+     * Draw a square drag handle
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    drawHandle(ctx, x, y) {
+        const size = 8;
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = this.options.lineColor;
+        ctx.lineWidth = 2;
+        ctx.fillRect(x - size / 2, y - size / 2, size, size);
+        ctx.strokeRect(x - size / 2, y - size / 2, size, size);
+    }
+
     /**
      * Update the drawing data and trigger chart update
      * @param {Object} drawingData - New drawing data
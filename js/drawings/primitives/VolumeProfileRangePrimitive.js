@@ -0,0 +1,176 @@
+/**
+ * VolumeProfileRangePrimitive - Lightweight Charts primitive for fixed-range volume profiles
+ * Shades the dragged time range and draws its profile growing from the left edge, with
+ * the POC and value area lines across the range. The profile comes from
+ * VolumeProfileTool.computeProfile() and is drawn by VolumeProfilePrimitive.drawProfile().
+ */
+
+/**
+ * Renderer for drawing the fixed-range profile on the chart pane
+ */
+class VolumeProfileRangePaneRenderer {
+    constructor(primitive) {
+        this._primitive = primitive;
+    }
+
+    draw(target) {
+        if (this._primitive.isValid()) {
+            this._primitive.drawRangeProfile(target);
+        }
+    }
+}
+
+/**
+ * Pane view for fixed-range profile primitive
+ */
+class VolumeProfileRangePaneView {
+    constructor(primitive) {
+        this._primitive = primitive;
+        this._renderer = new VolumeProfileRangePaneRenderer(primitive);
+    }
+
+    renderer() {
+        return this._primitive.isValid() ? this._renderer : null;
+    }
+}
+
+class VolumeProfileRangePrimitive {
+    /**
+     * @param {Object} series - Candlestick series the primitive is attached to
+     * @param {Object} chart - Lightweight Charts chart
+     * @param {Object} drawingData - Volume profile drawing data
+     * @param {Object} coordinateMapper - Coordinate mapping functions
+     * @param {VolumeProfileTool} tool - Tool that computes the profile from the chart's bars
+     */
+    constructor(series, chart, drawingData = null, coordinateMapper = null, tool = null) {
+        this.series = series;
+        this.chart = chart;
+        this.drawingData = drawingData;
+        this.coordinateMapper = coordinateMapper;
+        this.tool = tool;
+        this.options = {
+            lineColor: '#FFCA28',
+            lineWidth: 1,
+            fillColor: 'rgba(255, 202, 40, 0.06)',
+            // Longest row as a share of the range width
+            width: 0.5,
+            ...drawingData?.options
+        };
+        this.selected = false;
+        this._paneView = new VolumeProfileRangePaneView(this);
+    }
+
+    /**
+     * Required method for ISeriesPrimitive interface
+     */
+    paneViews() {
+        return this.isValid() ? [this._paneView] : [];
+    }
+
+    /**
+     * Draw the range box, the profile and, when selected, the range handles
+     * @param {CanvasRenderingTarget2D} target - Lightweight Charts rendering target
+     */
+    drawRangeProfile(target) {
+        target.useMediaCoordinateSpace((mediaScope) => {
+            const { context: ctx } = mediaScope;
+
+            const profile = this.tool.computeProfile(this.drawingData);
+            if (!profile) return;
+
+            const x1 = this.coordinateMapper.timeToScreen(this.drawingData.startPoint.time);
+            const x2 = this.coordinateMapper.timeToScreen(this.drawingData.endPoint.time);
+            const top = this.series.priceToCoordinate(profile.rows[profile.rows.length - 1].price + profile.rowSize);
+            const bottom = this.series.priceToCoordinate(profile.rows[0].price);
+            if (![x1, x2, top, bottom].every(value => typeof value === 'number' && Number.isFinite(value))) return;
+
+            const left = Math.min(x1, x2);
+            const right = Math.max(x1, x2);
+
+            ctx.save();
+
+            try {
+                ctx.fillStyle = this.options.fillColor;
+                ctx.fillRect(left, Math.min(top, bottom), right - left, Math.abs(bottom - top));
+                ctx.strokeStyle = this.options.lineColor;
+                ctx.lineWidth = this.options.lineWidth;
+                ctx.setLineDash([]);
+                ctx.strokeRect(left, Math.min(top, bottom), right - left, Math.abs(bottom - top));
+
+                VolumeProfilePrimitive.drawProfile(ctx, this.series, profile, {
+                    left,
+                    right,
+                    width: (right - left) * this.options.width,
+                    align: 'left',
+                    colors: { ...VolumeProfilePrimitive.COLORS, poc: this.options.lineColor }
+                });
+
+                if (this.selected) {
+                    this.drawHandle(ctx, x1, bottom);
+                    this.drawHandle(ctx, x2, bottom);
+                }
+            } finally {
+                ctx.restore();
+            }
+        });
+    }
+
+    /**
+     * Mark the primitive as selected so it renders drag handles
+     * @param {boolean} selected - Selection state
+     */
+    setSelected(selected) {
+        this.selected = !!selected;
+    }
+
+    /**
+     * Draw a square drag handle
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    drawHandle(ctx, x, y) {
+        const size = 8;
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = this.options.lineColor;
+        ctx.lineWidth = 2;
+        ctx.fillRect(x - size / 2, y - size / 2, size, size);
+        ctx.strokeRect(x - size / 2, y - size / 2, size, size);
+    }
+
+    /**
+     * Update the drawing data and trigger chart update
+     * @param {Object} drawingData - New drawing data
+     */
+    updateDrawingData(drawingData) {
+        this.drawingData = drawingData;
+        this.options = {
+            ...this.options,
+            ...drawingData?.options
+        };
+    }
+
+    /**
+     * Get the current drawing data
+     * @returns {Object} Current drawing data
+     */
+    getDrawingData() {
+        return this.drawingData;
+    }
+
+    /**
+     * Check if the primitive has valid drawing data
+     * @returns {boolean} True if valid drawing data exists
+     */
+    isValid() {
+        return !!(this.tool && this.tool.isValidDrawing(this.drawingData));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VolumeProfileRangePrimitive;
+} else if (typeof window !== 'undefined') {
+    window.VolumeProfileRangePrimitive = VolumeProfileRangePrimitive;
+}
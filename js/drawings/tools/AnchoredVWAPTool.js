@@ -0,0 +1,307 @@
+/**
+ * AnchoredVWAPTool - VWAP anchored to a bar the user clicks
+ * Extends BaseTool; the drawing stores only the anchor, and the VWAP line and its
+ * standard-deviation bands are computed from the chart's bars whenever they are needed
+ */
+
+class AnchoredVWAPTool extends BaseTool {
+    /**
+     * @param {Object} options - Drawing option defaults
+     * @param {Function} getBars - Returns the bars on the chart (with volume)
+     */
+    constructor(options = {}, getBars = null) {
+        super('AnchoredVWAP', {
+            lineWidth: 2,
+            lineColor: '#e040fb',
+            bandColor: 'rgba(224, 64, 251, 0.5)',
+            bands: 2,
+            showPrice: true,
+            ...options
+        });
+
+        this.getBars = getBars || (() => []);
+        this.cursor = 'crosshair';
+
+        // Computed VWAP per anchor time, dropped whenever the chart gets a new bar array.
+        // Dragging an anchor visits many times, so only the most recent few are kept.
+        this.cache = new Map();
+        this.cacheBars = null;
+        this.maxCached = 8;
+    }
+
+    /**
+     * Create an anchored VWAP at the clicked bar
+     * @param {Object} coords - Starting coordinates
+     * @param {Object} options - Drawing options
+     * @returns {Object} Anchored VWAP drawing data
+     */
+    createDrawing(coords, options) {
+        return {
+            type: 'AnchoredVWAP',
+            anchor: this.snapToBar(coords.time) || { time: null, price: null },
+            options: { ...this.options, ...options },
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Follow the pointer to another bar until the button is released
+     * @param {Object} drawing - Anchored VWAP drawing data
+     * @param {Object} coords - Current coordinates
+     */
+    updateDrawingData(drawing, coords) {
+        this.moveHandle(drawing, 'anchor', coords);
+    }
+
+    /**
+     * Finalize anchored VWAP drawing
+     * @param {Object} drawing - Anchored VWAP drawing data
+     * @param {Object} coords - Final coordinates
+     */
+    finalizeDrawingData(drawing, coords) {
+        this.updateDrawingData(drawing, coords);
+    }
+
+    /**
+     * The primitive renders anchored VWAPs; there is nothing to draw on a plain canvas
+     */
+    draw() {}
+
+    /**
+     * Find the bar at or before a time
+     * @param {number} time - Chart time
+     * @returns {Object|null} Anchor { time, price } on that bar's typical price, or null
+     */
+    snapToBar(time) {
+        const bars = this.getBars() || [];
+        if (!this.isFiniteNumber(time) || bars.length === 0) return null;
+
+        const index = Math.max(0, Utils.findBarIndexAtOrBefore(bars, time));
+        const bar = bars[index];
+        return { time: bar.time, price: (bar.high + bar.low + bar.close) / 3 };
+    }
+
+    /**
+     * VWAP from the anchor bar to the last bar. Bars appended to the same array (live
+     * updates) only step the kept state; the last bar is always recomputed as it may
+     * still be forming.
+     * @param {number} anchorTime - Anchor time
+     * @returns {Object} { bars, startIndex, values: [{ value, deviation } | null] } where
+     *   values[i] belongs to bars[startIndex + i]
+     */
+    computeVWAP(anchorTime) {
+        const bars = this.getBars() || [];
+        if (bars !== this.cacheBars) {
+            this.cache.clear();
+            this.cacheBars = bars;
+        }
+
+        let entry = this.cache.get(anchorTime);
+        if (!entry || bars.length < entry.startIndex + entry.closed + 1) {
+            entry = {
+                startIndex: this.findAnchorIndex(bars, anchorTime),
+                state: IndicatorMath.vwap(),
+                closed: 0,
+                values: []
+            };
+            this.cache.delete(anchorTime);
+            this.cache.set(anchorTime, entry);
+            if (this.cache.size > this.maxCached) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+        }
+
+        const last = bars.length - 1;
+        entry.values.length = entry.closed;
+        for (let i = entry.startIndex + entry.closed; i < last; i++) {
+            entry.values.push(IndicatorMath.nextVWAP(entry.state, bars[i]));
+            entry.closed++;
+        }
+        if (last >= entry.startIndex) {
+            entry.values.push(IndicatorMath.nextVWAP({ ...entry.state }, bars[last]));
+        }
+
+        return { bars, startIndex: entry.startIndex, values: entry.values };
+    }
+
+    /**
+     * Index of the bar an anchor falls in: the bar at or before it, the first bar for an
+     * anchor before the data, and none (bars.length) for one past the last bar's interval,
+     * e.g. while bar replay hides the anchor bar
+     * @param {Array} bars - Chart bars
+     * @param {number} anchorTime - Anchor time
+     * @returns {number} Bar index
+     */
+    findAnchorIndex(bars, anchorTime) {
+        const index = Utils.findBarIndexAtOrBefore(bars, anchorTime);
+        const last = bars.length - 1;
+        if (index === last && last > 0 && anchorTime >= 2 * bars[last].time - bars[last - 1].time) {
+            return bars.length;
+        }
+        return Math.max(0, index);
+    }
+
+    /**
+     * Get the anchor handle, on the VWAP's first value
+     * @param {Object} drawing - Anchored VWAP drawing data
+     * @returns {Array} Handles [{id, time, price}]
+     */
+    getHandles(drawing) {
+        if (!this.isValidDrawing(drawing)) return [];
+
+        const { bars, startIndex, values } = this.computeVWAP(drawing.anchor.time);
+        const first = values[0];
+        return [{
+            id: 'anchor',
+            time: startIndex < bars.length ? bars[startIndex].time : drawing.anchor.time,
+            price: first ? first.value : drawing.anchor.price
+        }];
+    }
+
+    /**
+     * Re-anchor on the bar at or before the pointer
+     * @param {Object} drawing - Anchored VWAP drawing data
+     * @param {string} handleId - Handle id ('anchor')
+     * @param {Object} coords - Chart coordinates {time, price}
+     */
+    moveHandle(drawing, handleId, coords) {
+        if (handleId !== 'anchor') return;
+
+        const anchor = this.snapToBar(coords.time);
+        if (anchor) {
+            drawing.anchor = anchor;
+        }
+    }
+
+    /**
+     * Shift the anchor in time (the line's price comes from the bars, so price is ignored)
+     * @param {Object} drawing - Anchored VWAP drawing data
+     * @param {number} deltaTime - Time offset in seconds
+     * @param {number} deltaPrice - Price offset (ignored)
+     */
+    translateDrawing(drawing, deltaTime, deltaPrice) {
+        this.moveHandle(drawing, 'anchor', { time: drawing.anchor.time + deltaTime });
+    }
+
+    /**
+     * Copy anchored VWAP with the screen points of its visible VWAP line for hit testing
+     * @param {Object} drawing - Anchored VWAP drawing data
+     * @param {Object} coordinateMapper - Coordinate mapping functions
+     * @param {number} paneWidth - Width of the chart pane in pixels
+     * @returns {Object|null} Drawing with screen points
+     */
+    projectToScreen(drawing, coordinateMapper, paneWidth) {
+        const { bars, startIndex, values } = this.computeVWAP(drawing.anchor.time);
+        if (values.length === 0) return null;
+
+        // screenToTime() is null past either end of the data
+        const fromTime = coordinateMapper.screenToTime(0);
+        const toTime = coordinateMapper.screenToTime(paneWidth);
+        const from = Math.max(startIndex, fromTime ? Utils.findBarIndexAtOrBefore(bars, fromTime) : 0);
+        const to = toTime ? Math.min(bars.length - 1, Utils.findBarIndexAtOrBefore(bars, toTime) + 1) : bars.length - 1;
+
+        const points = [];
+        for (let i = from; i <= to; i++) {
+            const point = values[i - startIndex];
+            if (!point) continue;
+
+            const x = coordinateMapper.timeToScreen(bars[i].time);
+            const y = coordinateMapper.priceToScreen(point.value);
+            if (this.isFiniteNumber(x) && this.isFiniteNumber(y)) {
+                points.push({ x, y });
+            }
+        }
+
+        return points.length > 0 ? { ...drawing, screenPoints: points } : null;
+    }
+
+    /**
+     * Check if point is near the VWAP line
+     * @param {Object} drawing - Projected anchored VWAP drawing
+     * @param {Object} point - Point to check {x, y}
+     * @param {number} tolerance - Distance tolerance in pixels
+     * @returns {boolean} True if point is near the line
+     */
+    isPointInside(drawing, point, tolerance = 5) {
+        const points = drawing.screenPoints || [];
+        if (points.length === 1) {
+            return Math.hypot(point.x - points[0].x, point.y - points[0].y) <= tolerance;
+        }
+
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            if (point.x < Math.min(a.x, b.x) - tolerance || point.x > Math.max(a.x, b.x) + tolerance) continue;
+            if (this.pointToLineDistance(point.x, point.y, a.x, a.y, b.x, b.y) <= tolerance) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Calculate distance from point to line segment
+     * @returns {number} Distance
+     */
+    pointToLineDistance(px, py, x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSq));
+        return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+    }
+
+    /**
+     * Convert anchored VWAP to JSON
+     * @param {Object} drawing - Anchored VWAP drawing data
+     * @returns {Object} Serializable object
+     */
+    toJSON(drawing) {
+        return {
+            type: drawing.type,
+            anchor: {
+                time: drawing.anchor.time,
+                price: drawing.anchor.price
+            },
+            options: drawing.options,
+            timestamp: drawing.timestamp
+        };
+    }
+
+    /**
+     * Create anchored VWAP from JSON data
+     * @param {Object} data - JSON data object
+     * @returns {Object} Anchored VWAP drawing data
+     */
+    fromJSON(data) {
+        return {
+            type: data.type,
+            anchor: {
+                time: data.anchor.time,
+                price: data.anchor.price
+            },
+            options: { ...this.options, ...data.options },
+            timestamp: data.timestamp || Date.now()
+        };
+    }
+
+    /**
+     * Validate anchored VWAP drawing data
+     * @param {Object} drawing - Drawing data object
+     * @returns {boolean} True if valid
+     */
+    isValidDrawing(drawing) {
+        if (!super.isValidDrawing(drawing)) return false;
+
+        return !!drawing.anchor &&
+               this.isFiniteNumber(drawing.anchor.time) &&
+               this.isFiniteNumber(drawing.anchor.price);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnchoredVWAPTool;
+} else if (typeof window !== 'undefined') {
+    window.AnchoredVWAPTool = AnchoredVWAPTool;
+}
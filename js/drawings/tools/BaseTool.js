@@ -229,6 +229,57 @@ class BaseTool {
         return false;
     }
 
+    /**
+     * Get the draggable handles of a drawing in chart space
+     * @param {Object} drawing - Drawing data object
+     * @returns {Array} Handles [{id, time, price}] (time may be null for full-width drawings)
+     */
+    getHandles(drawing) {
+        // Override in subclasses
+        return [];
+    }
+
+    /**
+     * Move a single handle to new chart coordinates (reshape)
+     * @param {Object} drawing - Drawing data object (mutated)
+     * @param {string} handleId - Handle id from getHandles()
+     * @param {Object} coords - Chart coordinates {time, price}
+     */
+    moveHandle(drawing, handleId, coords) {
+        // Override in subclasses
+    }
+
+    /**
+     * Move the whole drawing in time/price space
+     * @param {Object} drawing - Drawing data object (mutated)
+     * @param {number} deltaTime - Time offset in seconds
+     * @param {number} deltaPrice - Price offset
+     */
+    translateDrawing(drawing, deltaTime, deltaPrice) {
+        // Override in subclasses
+    }
+
+    /**
+     * Copy a drawing with the screen coordinates isPointInside() relies on
+     * @param {Object} drawing - Drawing data object
+     * @param {Object} coordinateMapper - Coordinate mapping functions
+     * @param {number} paneWidth - Width of the chart pane in pixels
+     * @returns {Object|null} Drawing with screen coordinates, or null if off-screen
+     */
+    projectToScreen(drawing, coordinateMapper, paneWidth) {
+        // Override in subclasses
+        return drawing;
+    }
+
+    /**
+     * Check whether a value is a finite number
+     * @param {*} value - Value to check
+     * @returns {boolean} True if finite number
+     */
+    isFiniteNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
     /**
      * Convert drawing to JSON for serialization
      * @param {Object} drawing - Drawing data object
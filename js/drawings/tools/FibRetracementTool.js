@@ -439,6 +439,86 @@ class FibRetracementTool extends BaseTool {
         return Math.sqrt(dx * dx + dy * dy);
     }
 
+    /**
+     * Get Fibonacci anchor handles
+     * @param {Object} drawing - Fibonacci drawing data
+     * @returns {Array} Handles [{id, time, price}]
+     */
+    getHandles(drawing) {
+        if (!drawing.startPoint || !drawing.endPoint) return [];
+
+        return [
+            { id: 'startPoint', time: drawing.startPoint.time, price: drawing.startPoint.price },
+            { id: 'endPoint', time: drawing.endPoint.time, price: drawing.endPoint.price }
+        ];
+    }
+
+    /**
+     * Move one anchor and recalculate the levels
+     * @param {Object} drawing - Fibonacci drawing data
+     * @param {string} handleId - 'startPoint' or 'endPoint'
+     * @param {Object} coords - Chart coordinates {time, price}
+     */
+    moveHandle(drawing, handleId, coords) {
+        if (handleId !== 'startPoint' && handleId !== 'endPoint') return;
+
+        const point = drawing[handleId];
+        drawing[handleId] = {
+            time: coords.time !== null && coords.time !== undefined ? coords.time : point.time,
+            price: this.isFiniteNumber(coords.price) ? coords.price : point.price
+        };
+        this.updateDerivedData(drawing);
+    }
+
+    /**
+     * Move both anchors and recalculate the levels
+     * @param {Object} drawing - Fibonacci drawing data
+     * @param {number} deltaTime - Time offset in seconds
+     * @param {number} deltaPrice - Price offset
+     */
+    translateDrawing(drawing, deltaTime, deltaPrice) {
+        ['startPoint', 'endPoint'].forEach(key => {
+            drawing[key] = {
+                time: drawing[key].time + deltaTime,
+                price: drawing[key].price + deltaPrice
+            };
+        });
+        this.updateDerivedData(drawing);
+    }
+
+    /**
+     * Recalculate levels and ranges after the anchors change
+     * @param {Object} drawing - Fibonacci drawing data
+     */
+    updateDerivedData(drawing) {
+        drawing.levels = this.calculateFibLevels(drawing.startPoint, drawing.endPoint, drawing.options);
+        drawing.priceRange = Math.abs(drawing.endPoint.price - drawing.startPoint.price);
+        drawing.priceDifference = drawing.endPoint.price - drawing.startPoint.price;
+        drawing.timeDifference = drawing.endPoint.time - drawing.startPoint.time;
+    }
+
+    /**
+     * Copy Fibonacci retracement with screen coordinates for hit testing
+     * @param {Object} drawing - Fibonacci drawing data
+     * @param {Object} coordinateMapper - Coordinate mapping functions
+     * @returns {Object|null} Drawing with screen coordinates
+     */
+    projectToScreen(drawing, coordinateMapper) {
+        const start = this.getScreenPoint(drawing.startPoint, coordinateMapper);
+        const end = this.getScreenPoint(drawing.endPoint, coordinateMapper);
+        if (!start || !end) return null;
+
+        return {
+            ...drawing,
+            startPoint: { ...drawing.startPoint, screenX: start.x, screenY: start.y },
+            endPoint: { ...drawing.endPoint, screenX: end.x, screenY: end.y },
+            levels: (drawing.levels || []).map(level => ({
+                ...level,
+                screenY: this.getPriceScreenY(level.price, coordinateMapper)
+            })).filter(level => this.isFiniteNumber(level.screenY))
+        };
+    }
+
     /**
      * Convert Fibonacci retracement to JSON
      * @param {Object} drawing - Fibonacci drawing data
@@ -464,12 +544,13 @@ class FibRetracementTool extends BaseTool {
     /**
      * Create Fibonacci retracement from JSON data
      * @param {Object} data - JSON data object
-     * @param {Function} coordinateMapper - Function to convert chart coordinates to screen coordinates
+     * @param {Object} coordinateMapper - Coordinate mapping functions (timeToScreen/priceToScreen)
      * @returns {Object} Fibonacci drawing data
      */
     fromJSON(data, coordinateMapper) {
-        const screenStart = coordinateMapper(data.startPoint.time, data.startPoint.price);
-        const screenEnd = coordinateMapper(data.endPoint.time, data.endPoint.price);
+        // Points outside the visible range have no screen position yet
+        const screenStart = this.getScreenPoint(data.startPoint, coordinateMapper) || {};
+        const screenEnd = this.getScreenPoint(data.endPoint, coordinateMapper) || {};
 
         const drawing = {
             type: data.type,
@@ -489,8 +570,8 @@ class FibRetracementTool extends BaseTool {
             timestamp: data.timestamp || Date.now()
         };
 
-        // Recalculate levels
-        drawing.levels = this.calculateFibLevels(drawing.startPoint, drawing.endPoint);
+        // Recalculate levels (and ranges) from the saved options
+        this.updateDerivedData(drawing);
 
         return drawing;
     }
@@ -247,6 +247,58 @@ class HorizontalLineTool extends BaseTool {
         return null;
     }
 
+    /**
+     * Get the horizontal line's single price handle
+     * @param {Object} drawing - Horizontal line drawing data
+     * @returns {Array} Handles [{id, time, price}] (time is null: drawn at pane center)
+     */
+    getHandles(drawing) {
+        return [{ id: 'price', time: null, price: drawing.price }];
+    }
+
+    /**
+     * Move the line to a new price
+     * @param {Object} drawing - Horizontal line drawing data
+     * @param {string} handleId - Handle id ('price')
+     * @param {Object} coords - Chart coordinates {time, price}
+     */
+    moveHandle(drawing, handleId, coords) {
+        if (handleId !== 'price' || !this.isFiniteNumber(coords.price)) return;
+
+        drawing.price = drawing.options.snapToPrice
+            ? Math.round(coords.price * 100) / 100
+            : coords.price;
+    }
+
+    /**
+     * Shift the line by a price offset (time has no effect on a horizontal line)
+     * @param {Object} drawing - Horizontal line drawing data
+     * @param {number} deltaTime - Time offset in seconds (ignored)
+     * @param {number} deltaPrice - Price offset
+     */
+    translateDrawing(drawing, deltaTime, deltaPrice) {
+        this.moveHandle(drawing, 'price', { price: drawing.price + deltaPrice });
+    }
+
+    /**
+     * Copy horizontal line with screen coordinates for hit testing
+     * @param {Object} drawing - Horizontal line drawing data
+     * @param {Object} coordinateMapper - Coordinate mapping functions
+     * @param {number} paneWidth - Width of the chart pane in pixels
+     * @returns {Object|null} Drawing with screen coordinates
+     */
+    projectToScreen(drawing, coordinateMapper, paneWidth) {
+        const screenY = coordinateMapper.priceToScreen(drawing.price);
+        if (!this.isFiniteNumber(screenY)) return null;
+
+        return {
+            ...drawing,
+            screenY,
+            startX: 0,
+            endX: paneWidth
+        };
+    }
+
     /**
      * Convert horizontal line to JSON
      * @param {Object} drawing - Horizontal line drawing data
@@ -264,7 +316,7 @@ class HorizontalLineTool extends BaseTool {
     /**
      * Create horizontal line from JSON data
      * @param {Object} data - JSON data object
-     * @param {Function} coordinateMapper - Function to convert chart coordinates to screen coordinates
+     * @param {Object} coordinateMapper - Coordinate mapping functions (timeToScreen/priceToScreen)
      * @param {Object} chartBounds - Current chart bounds
      * @returns {Object} Horizontal line drawing data
      */
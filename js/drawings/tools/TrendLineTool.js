@@ -305,6 +305,80 @@ class TrendLineTool extends BaseTool {
         return Math.sqrt(dx * dx + dy * dy);
     }
 
+    /**
+     * Get trend line endpoint handles
+     * @param {Object} drawing - Trend line drawing data
+     * @returns {Array} Handles [{id, time, price}]
+     */
+    getHandles(drawing) {
+        if (!drawing.startPoint || !drawing.endPoint) return [];
+
+        return [
+            { id: 'startPoint', time: drawing.startPoint.time, price: drawing.startPoint.price },
+            { id: 'endPoint', time: drawing.endPoint.time, price: drawing.endPoint.price }
+        ];
+    }
+
+    /**
+     * Move one endpoint of the trend line
+     * @param {Object} drawing - Trend line drawing data
+     * @param {string} handleId - 'startPoint' or 'endPoint'
+     * @param {Object} coords - Chart coordinates {time, price}
+     */
+    moveHandle(drawing, handleId, coords) {
+        if (handleId !== 'startPoint' && handleId !== 'endPoint') return;
+
+        const point = drawing[handleId];
+        drawing[handleId] = {
+            time: coords.time !== null && coords.time !== undefined ? coords.time : point.time,
+            price: this.isFiniteNumber(coords.price) ? coords.price : point.price
+        };
+        this.updateDifferences(drawing);
+    }
+
+    /**
+     * Move both endpoints of the trend line
+     * @param {Object} drawing - Trend line drawing data
+     * @param {number} deltaTime - Time offset in seconds
+     * @param {number} deltaPrice - Price offset
+     */
+    translateDrawing(drawing, deltaTime, deltaPrice) {
+        ['startPoint', 'endPoint'].forEach(key => {
+            drawing[key] = {
+                time: drawing[key].time + deltaTime,
+                price: drawing[key].price + deltaPrice
+            };
+        });
+        this.updateDifferences(drawing);
+    }
+
+    /**
+     * Recalculate the stored price/time differences after a change
+     * @param {Object} drawing - Trend line drawing data
+     */
+    updateDifferences(drawing) {
+        drawing.priceDifference = drawing.endPoint.price - drawing.startPoint.price;
+        drawing.timeDifference = drawing.endPoint.time - drawing.startPoint.time;
+    }
+
+    /**
+     * Copy trend line with screen coordinates for hit testing
+     * @param {Object} drawing - Trend line drawing data
+     * @param {Object} coordinateMapper - Coordinate mapping functions
+     * @returns {Object|null} Drawing with screen coordinates
+     */
+    projectToScreen(drawing, coordinateMapper) {
+        const start = this.convertToScreenCoords(drawing.startPoint, coordinateMapper);
+        const end = this.convertToScreenCoords(drawing.endPoint, coordinateMapper);
+        if (!start || !end) return null;
+
+        return {
+            ...drawing,
+            startPoint: { ...drawing.startPoint, screenX: start.x, screenY: start.y },
+            endPoint: { ...drawing.endPoint, screenX: end.x, screenY: end.y }
+        };
+    }
+
     /**
      * Convert trend line to JSON
      * @param {Object} drawing - Trend line drawing data
@@ -329,14 +403,15 @@ class TrendLineTool extends BaseTool {
     /**
      * Create trend line from JSON data
      * @param {Object} data - JSON data object
-     * @param {Function} coordinateMapper - Function to convert chart coordinates to screen coordinates
+     * @param {Object} coordinateMapper - Coordinate mapping functions (timeToScreen/priceToScreen)
      * @returns {Object} Trend line drawing data
      */
     fromJSON(data, coordinateMapper) {
-        const screenStart = coordinateMapper(data.startPoint.time, data.startPoint.price);
-        const screenEnd = coordinateMapper(data.endPoint.time, data.endPoint.price);
+        // Points outside the visible range have no screen position yet
+        const screenStart = this.convertToScreenCoords(data.startPoint, coordinateMapper) || {};
+        const screenEnd = this.convertToScreenCoords(data.endPoint, coordinateMapper) || {};
 
-        return {
+        const drawing = {
             type: data.type,
             startPoint: {
                 time: data.startPoint.time,
@@ -353,6 +428,9 @@ class TrendLineTool extends BaseTool {
             options: { ...this.options, ...data.options },
             timestamp: data.timestamp || Date.now()
         };
+
+        this.updateDifferences(drawing);
+        return drawing;
     }
 }
 
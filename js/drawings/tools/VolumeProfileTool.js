@@ -0,0 +1,253 @@
+/**
+ * VolumeProfileTool - Fixed-range volume profile dragged out between two times
+ * Extends BaseTool; the drawing stores the two points of the drag, and the profile of the
+ * bars between their times is computed from the chart's bars with VolumeProfile
+ */
+
+class VolumeProfileTool extends BaseTool {
+    /**
+     * @param {Object} options - Drawing option defaults
+     * @param {Function} getBars - Returns the bars on the chart (with volume)
+     */
+    constructor(options = {}, getBars = null) {
+        super('VolumeProfile', {
+            lineWidth: 1,
+            lineColor: '#FFCA28',
+            fillColor: 'rgba(255, 202, 40, 0.06)',
+            rowSize: VolumeProfile.DEFAULTS.rowSize,
+            rows: VolumeProfile.DEFAULTS.rows,
+            valueArea: VolumeProfile.DEFAULTS.valueArea,
+            ...options
+        });
+
+        this.getBars = getBars || (() => []);
+        this.cursor = 'crosshair';
+
+        // Profiles by bar range and settings, dropped whenever the chart gets a new bar array
+        this.cache = new Map();
+        this.cacheBars = null;
+        this.maxCached = 16;
+    }
+
+    /**
+     * Create initial volume profile drawing data
+     * @param {Object} coords - Starting coordinates
+     * @param {Object} options - Drawing options
+     * @returns {Object} Volume profile drawing data
+     */
+    createDrawing(coords, options) {
+        return {
+            type: 'VolumeProfile',
+            startPoint: { time: coords.time, price: coords.price },
+            endPoint: { time: coords.time, price: coords.price },
+            options: { ...this.options, ...options },
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Stretch the range to the pointer
+     * @param {Object} drawing - Volume profile drawing data
+     * @param {Object} coords - Current coordinates
+     */
+    updateDrawingData(drawing, coords) {
+        this.moveHandle(drawing, 'endPoint', coords);
+    }
+
+    /**
+     * Finalize volume profile drawing
+     * @param {Object} drawing - Volume profile drawing data
+     * @param {Object} coords - Final coordinates
+     */
+    finalizeDrawingData(drawing, coords) {
+        this.updateDrawingData(drawing, coords);
+    }
+
+    /**
+     * The primitive renders volume profiles; there is nothing to draw on a plain canvas
+     */
+    draw() {}
+
+    /**
+     * Profile of the bars between the drawing's times; a time between two bars (e.g. drawn
+     * on a lower timeframe) belongs to the bar at or before it
+     * @param {Object} drawing - Volume profile drawing data
+     * @returns {Object|null} Result of VolumeProfile.compute(), or null without volume
+     */
+    computeProfile(drawing) {
+        const bars = this.getBars() || [];
+        if (bars !== this.cacheBars) {
+            this.cache.clear();
+            this.cacheBars = bars;
+        }
+        if (bars.length === 0) return null;
+
+        const { rowSize, rows, valueArea } = drawing.options;
+        const startTime = Math.min(drawing.startPoint.time, drawing.endPoint.time);
+        const endTime = Math.max(drawing.startPoint.time, drawing.endPoint.time);
+        const from = Math.max(0, Utils.findBarIndexAtOrBefore(bars, startTime));
+        const to = Utils.findBarIndexAtOrBefore(bars, endTime);
+        if (to < from) return null;
+
+        // The last bar is replaced by every live update, so it is part of the key
+        const key = `${from}:${to}:${rowSize}:${rows}:${valueArea}`;
+        const cached = this.cache.get(key);
+        if (cached && cached.last === bars[to]) {
+            return cached.profile;
+        }
+
+        const profile = VolumeProfile.compute(bars, from, to, { rowSize, rows, valueArea });
+        this.cache.delete(key);
+        this.cache.set(key, { last: bars[to], profile });
+        if (this.cache.size > this.maxCached) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        return profile;
+    }
+
+    /**
+     * Get the range handles, on the bottom corners of the profile
+     * @param {Object} drawing - Volume profile drawing data
+     * @returns {Array} Handles [{id, time, price}]
+     */
+    getHandles(drawing) {
+        if (!this.isValidDrawing(drawing)) return [];
+
+        const profile = this.computeProfile(drawing);
+        return ['startPoint', 'endPoint'].map(id => ({
+            id,
+            time: drawing[id].time,
+            price: profile ? profile.rows[0].price : drawing[id].price
+        }));
+    }
+
+    /**
+     * Move one end of the range
+     * @param {Object} drawing - Volume profile drawing data
+     * @param {string} handleId - 'startPoint' or 'endPoint'
+     * @param {Object} coords - Chart coordinates {time, price}
+     */
+    moveHandle(drawing, handleId, coords) {
+        if (handleId !== 'startPoint' && handleId !== 'endPoint') return;
+
+        const point = drawing[handleId];
+        drawing[handleId] = {
+            time: coords.time !== null && coords.time !== undefined ? coords.time : point.time,
+            price: this.isFiniteNumber(coords.price) ? coords.price : point.price
+        };
+    }
+
+    /**
+     * Move the range in time (its prices come from the bars)
+     * @param {Object} drawing - Volume profile drawing data
+     * @param {number} deltaTime - Time offset in seconds
+     * @param {number} deltaPrice - Price offset
+     */
+    translateDrawing(drawing, deltaTime, deltaPrice) {
+        ['startPoint', 'endPoint'].forEach(key => {
+            drawing[key] = {
+                time: drawing[key].time + deltaTime,
+                price: drawing[key].price + deltaPrice
+            };
+        });
+    }
+
+    /**
+     * Copy volume profile with the screen box of its range for hit testing
+     * @param {Object} drawing - Volume profile drawing data
+     * @param {Object} coordinateMapper - Coordinate mapping functions
+     * @returns {Object|null} Drawing with screen coordinates
+     */
+    projectToScreen(drawing, coordinateMapper) {
+        const profile = this.computeProfile(drawing);
+        if (!profile) return null;
+
+        const x1 = coordinateMapper.timeToScreen(drawing.startPoint.time);
+        const x2 = coordinateMapper.timeToScreen(drawing.endPoint.time);
+        const top = coordinateMapper.priceToScreen(profile.rows[profile.rows.length - 1].price + profile.rowSize);
+        const bottom = coordinateMapper.priceToScreen(profile.rows[0].price);
+        if (![x1, x2, top, bottom].every(value => this.isFiniteNumber(value))) return null;
+
+        return {
+            ...drawing,
+            screenBox: {
+                left: Math.min(x1, x2),
+                right: Math.max(x1, x2),
+                top: Math.min(top, bottom),
+                bottom: Math.max(top, bottom)
+            }
+        };
+    }
+
+    /**
+     * Check if point is inside the profile's box
+     * @param {Object} drawing - Projected volume profile drawing
+     * @param {Object} point - Point to check {x, y}
+     * @param {number} tolerance - Distance tolerance in pixels
+     * @returns {boolean} True if point is inside
+     */
+    isPointInside(drawing, point, tolerance = 5) {
+        const box = drawing.screenBox;
+        if (!box) return false;
+
+        return point.x >= box.left - tolerance && point.x <= box.right + tolerance &&
+               point.y >= box.top - tolerance && point.y <= box.bottom + tolerance;
+    }
+
+    /**
+     * Convert volume profile to JSON
+     * @param {Object} drawing - Volume profile drawing data
+     * @returns {Object} Serializable object
+     */
+    toJSON(drawing) {
+        return {
+            type: drawing.type,
+            startPoint: {
+                time: drawing.startPoint.time,
+                price: drawing.startPoint.price
+            },
+            endPoint: {
+                time: drawing.endPoint.time,
+                price: drawing.endPoint.price
+            },
+            options: drawing.options,
+            timestamp: drawing.timestamp
+        };
+    }
+
+    /**
+     * Create volume profile from JSON data
+     * @param {Object} data - JSON data object
+     * @returns {Object} Volume profile drawing data
+     */
+    fromJSON(data) {
+        return {
+            type: data.type,
+            startPoint: { time: data.startPoint.time, price: data.startPoint.price },
+            endPoint: { time: data.endPoint.time, price: data.endPoint.price },
+            options: { ...this.options, ...data.options },
+            timestamp: data.timestamp || Date.now()
+        };
+    }
+
+    /**
+     * Validate volume profile drawing data
+     * @param {Object} drawing - Drawing data object
+     * @returns {boolean} True if valid
+     */
+    isValidDrawing(drawing) {
+        if (!super.isValidDrawing(drawing)) return false;
+
+        return ['startPoint', 'endPoint'].every(key =>
+            drawing[key] &&
+            this.isFiniteNumber(drawing[key].time) &&
+            this.isFiniteNumber(drawing[key].price));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VolumeProfileTool;
+} else if (typeof window !== 'undefined') {
+    window.VolumeProfileTool = VolumeProfileTool;
+}
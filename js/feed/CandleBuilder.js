@@ -0,0 +1,65 @@
+/**
+ * CandleBuilder - Aggregates trades into fixed-interval OHLCV candles
+ * Buckets are UTC-aligned like Resampler's, so live candles line up with loaded bars
+ */
+class CandleBuilder {
+    /**
+     * @param {number} intervalSeconds - Candle interval in seconds
+     */
+    constructor(intervalSeconds = 900) {
+        this.interval = intervalSeconds;
+        this.current = null;
+    }
+
+    /**
+     * Continue from an existing bar, so trades in its bucket extend it rather than restart it
+     * @param {Object|null} bar - Latest known bar
+     */
+    seed(bar) {
+        this.current = bar ? { ...bar, volume: bar.volume || 0 } : null;
+    }
+
+    /**
+     * Add a trade
+     * @param {Object} trade - { time (unix seconds), price, size }
+     * @returns {Object|null} { bar, closed } where bar is the updated current candle and
+     *          closed is the candle it replaced at a bucket boundary; null for late or invalid trades
+     */
+    addTrade(trade) {
+        if (!trade || !Number.isFinite(trade.time) || !(trade.price > 0)) return null;
+
+        const bucket = Resampler.bucketStart(trade.time, this.interval);
+        const size = Number.isFinite(trade.size) && trade.size > 0 ? trade.size : 0;
+
+        // Trades for a bucket that has already closed are ignored
+        if (this.current && bucket < this.current.time) return null;
+
+        let closed = null;
+        if (!this.current || bucket > this.current.time) {
+            closed = this.current;
+            this.current = {
+                time: bucket,
+                open: trade.price,
+                high: trade.price,
+                low: trade.price,
+                close: trade.price,
+                volume: 0
+            };
+        }
+
+        const bar = this.current;
+        if (trade.price > bar.high) bar.high = trade.price;
+        if (trade.price < bar.low) bar.low = trade.price;
+        bar.close = trade.price;
+        bar.volume += size;
+
+        return { bar: { ...bar }, closed: closed ? { ...closed } : null };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CandleBuilder;
+} else if (typeof window !== 'undefined') {
+    window.CandleBuilder = CandleBuilder;
+}
@@ -0,0 +1,275 @@
+/**
+ * LiveFeed - Builds live candles from a local WebSocket trade feed
+ *
+ * The server sends JSON messages (see tools/replay-feed.js for a stand-in):
+ *   { type: 'trade', time, price, size }   time in unix seconds or milliseconds
+ *   { type: 'backfill', bars }             bars after the 'since' time we subscribed with
+ *   { type: 'heartbeat' }
+ * On open the feed sends { type: 'subscribe', since } with the time of the latest bar, so
+ * bars missed while disconnected come back as a backfill.
+ *
+ * Emits 'live-feed-status' { status, url, attempt, delay } where status is 'offline',
+ * 'connecting', 'live' or 'reconnecting'; 'live-feed-backfill' { bars }; and
+ * 'live-bar' { bar, closed } for every trade (closed is the candle that just finished, if any)
+ */
+class LiveFeed {
+    /**
+     * @param {EventBus} eventBus - Application event bus
+     * @param {Object} options - { url, initialDelay, maxDelay, staleAfter, getInterval, getLastBar }
+     */
+    constructor(eventBus, options = {}) {
+        this.eventBus = eventBus;
+        this.options = {
+            url: LiveFeed.DEFAULT_URL,
+            // Reconnect backoff: initialDelay doubling up to maxDelay, in ms
+            initialDelay: 1000,
+            maxDelay: 30000,
+            // Reconnect when nothing arrives for this long, in ms
+            staleAfter: 30000,
+            getInterval: () => 900,
+            getLastBar: () => null,
+            ...options
+        };
+        this.socket = null;
+        this.status = 'offline';
+        this.attempt = 0;
+        this.active = false;
+        this.reconnectTimer = null;
+        this.staleTimer = null;
+        this.builder = new CandleBuilder(this.options.getInterval());
+    }
+
+    /**
+     * Only plain local WebSocket endpoints are accepted (the page CSP allows no others)
+     * @param {string} url - Candidate URL
+     * @returns {boolean} True for ws:// or wss:// on localhost
+     */
+    static isAllowedUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return (parsed.protocol === 'ws:' || parsed.protocol === 'wss:') &&
+                LiveFeed.LOCAL_HOSTS.includes(parsed.hostname);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getUrl() {
+        return this.options.url;
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    /**
+     * Start the feed; it keeps reconnecting until disconnect()
+     */
+    connect() {
+        if (!LiveFeed.isAllowedUrl(this.options.url)) {
+            throw new Error(`Live feed URL must be a local ws:// address: ${this.options.url}`);
+        }
+
+        this.active = true;
+        this.attempt = 0;
+        this.open();
+    }
+
+    /**
+     * Stop the feed and cancel any pending reconnect
+     */
+    disconnect() {
+        this.active = false;
+        this.clearTimers();
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close(1000, 'Closed by user');
+        }
+        this.setStatus('offline');
+    }
+
+    /**
+     * Change the feed URL, reconnecting if the feed is running
+     * @param {string} url - Local WebSocket URL
+     */
+    setUrl(url) {
+        if (!LiveFeed.isAllowedUrl(url)) {
+            throw new Error(`Live feed URL must be a local ws:// address: ${url}`);
+        }
+
+        this.options.url = url;
+        if (this.active) {
+            this.disconnect();
+            this.connect();
+        }
+    }
+
+    /**
+     * Continue the current candle from the latest known bar
+     */
+    reseed() {
+        this.builder = new CandleBuilder(this.options.getInterval());
+        this.builder.seed(this.options.getLastBar());
+    }
+
+    open() {
+        this.clearTimers();
+        this.setStatus(this.attempt > 0 ? 'reconnecting' : 'connecting');
+
+        let socket;
+        try {
+            socket = new WebSocket(this.options.url);
+        } catch (error) {
+            console.error('LiveFeed: Failed to open WebSocket:', error);
+            this.scheduleReconnect();
+            return;
+        }
+        this.socket = socket;
+
+        socket.onopen = () => {
+            if (socket !== this.socket) return;
+
+            this.attempt = 0;
+            this.reseed();
+            const lastBar = this.options.getLastBar();
+            socket.send(JSON.stringify({ type: 'subscribe', since: lastBar ? lastBar.time : 0 }));
+            this.setStatus('live');
+            this.touch();
+        };
+
+        socket.onmessage = (event) => {
+            if (socket !== this.socket) return;
+
+            this.touch();
+            this.handleMessage(event.data);
+        };
+
+        socket.onerror = () => {
+            console.warn(`LiveFeed: WebSocket error on ${this.options.url}`);
+        };
+
+        socket.onclose = () => {
+            if (socket !== this.socket) return;
+
+            this.socket = null;
+            if (this.active) {
+                this.scheduleReconnect();
+            } else {
+                this.setStatus('offline');
+            }
+        };
+    }
+
+    handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            console.warn('LiveFeed: Ignoring message that is not JSON');
+            return;
+        }
+        if (!message || typeof message !== 'object') return;
+
+        switch (message.type) {
+            case 'trade':
+            case 'tick':
+                this.handleTrade(message);
+                break;
+            case 'backfill':
+                this.handleBackfill(message.bars);
+                break;
+            case 'heartbeat':
+                break;
+            default:
+                console.warn(`LiveFeed: Unknown message type '${message.type}'`);
+        }
+    }
+
+    handleTrade(message) {
+        const time = Number(message.time);
+        const result = this.builder.addTrade({
+            // Millisecond timestamps are converted to seconds
+            time: time >= 1e11 ? time / 1000 : time,
+            price: Number(message.price),
+            size: Number(message.size)
+        });
+
+        if (result) {
+            this.eventBus.emit('live-bar', result);
+        }
+    }
+
+    handleBackfill(bars) {
+        if (!Array.isArray(bars)) return;
+
+        const valid = bars
+            .filter(bar => Utils.validateOHLC(bar))
+            .sort((a, b) => a.time - b.time);
+        if (valid.length > 0) {
+            console.log(`LiveFeed: Backfilled ${valid.length} bars`);
+            this.eventBus.emit('live-feed-backfill', { bars: valid });
+        }
+
+        // The backfilled bars are now the latest ones
+        this.reseed();
+    }
+
+    scheduleReconnect() {
+        this.clearTimers();
+
+        const base = Math.min(this.options.maxDelay, this.options.initialDelay * Math.pow(2, this.attempt));
+        // Jitter so several tabs do not reconnect in step
+        const delay = Math.round(base * (0.5 + Math.random() * 0.5));
+        this.attempt++;
+
+        this.setStatus('reconnecting', { delay });
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.active) this.open();
+        }, delay);
+    }
+
+    /**
+     * Restart the staleness timer; a silent connection is dropped and reconnected
+     */
+    touch() {
+        clearTimeout(this.staleTimer);
+        this.staleTimer = setTimeout(() => {
+            console.warn('LiveFeed: No messages received, reconnecting');
+            if (this.socket) {
+                const socket = this.socket;
+                this.socket = null;
+                socket.close();
+            }
+            if (this.active) this.scheduleReconnect();
+        }, this.options.staleAfter);
+    }
+
+    clearTimers() {
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.staleTimer);
+        this.reconnectTimer = null;
+        this.staleTimer = null;
+    }
+
+    setStatus(status, extra = {}) {
+        this.status = status;
+        this.eventBus.emit('live-feed-status', {
+            status,
+            url: this.options.url,
+            attempt: this.attempt,
+            ...extra
+        });
+    }
+}
+
+LiveFeed.DEFAULT_URL = 'ws://localhost:8765';
+LiveFeed.LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiveFeed;
+} else if (typeof window !== 'undefined') {
+    window.LiveFeed = LiveFeed;
+}
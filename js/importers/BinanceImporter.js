@@ -0,0 +1,57 @@
+/**
+ * BinanceImporter - Binance kline arrays as returned by /api/v3/klines:
+ * [openTime, "open", "high", "low", "close", "volume", closeTime, "quoteVolume", trades, ...]
+ * Open times are epoch milliseconds (microseconds in newer spot dumps)
+ */
+const BinanceImporter = {
+    id: 'binance-klines',
+    label: 'Binance klines',
+    extensions: ['.json'],
+
+    sniff: function(sample) {
+        // An array of arrays; one array per line is NDJSON
+        if (!/^\[\s*\[/.test(sample.trim())) return 0;
+
+        const rows = ImporterRegistry.sampleArrayRows(sample);
+        if (rows.length === 0) return 0;
+
+        const klines = rows.every(row =>
+            row.length >= 7 &&
+            /^\d{12,16}$/.test(row[0]) &&
+            /^\d{12,16}$/.test(row[6]) &&
+            row.slice(1, 6).every(field => Number.isFinite(parseFloat(field))));
+        return klines ? 0.95 : 0;
+    },
+
+    parse: function(text) {
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+
+        const rows = Array.isArray(payload) ? payload : (payload && payload.data);
+        if (!Array.isArray(rows)) {
+            throw new Error('Binance klines must be an array of kline arrays');
+        }
+
+        return rows.map(row => (Array.isArray(row) ? {
+            time: ImporterRegistry.epochToSeconds(row[0]),
+            open: parseFloat(row[1]),
+            high: parseFloat(row[2]),
+            low: parseFloat(row[3]),
+            close: parseFloat(row[4]),
+            volume: parseFloat(row[5]) || 0
+        } : null));
+    }
+};
+
+ImporterRegistry.register(BinanceImporter);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BinanceImporter;
+} else if (typeof window !== 'undefined') {
+    window.BinanceImporter = BinanceImporter;
+}
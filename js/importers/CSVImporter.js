@@ -0,0 +1,31 @@
+/**
+ * CSVImporter - Delimited text with a detected dialect (see CSVDialect)
+ * Files are streamed through DataProcessor's worker; parse() is the in-thread fallback
+ */
+const CSVImporter = {
+    id: 'csv',
+    label: 'CSV',
+    extensions: ['.csv', '.tsv', '.txt'],
+    streaming: true,
+
+    sniff: function(sample) {
+        const text = sample.trim();
+        if (!text || text[0] === '[' || text[0] === '{') return 0;
+
+        // CSV is the fallback for any text, so even an unsure detection scores a little
+        return CSVDialect.detect(sample).confidence === 'high' ? 0.6 : 0.2;
+    },
+
+    parse: function(text, options = {}) {
+        return DataProcessor.parseCSV(text, options.dialect || null);
+    }
+};
+
+ImporterRegistry.register(CSVImporter);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVImporter;
+} else if (typeof window !== 'undefined') {
+    window.CSVImporter = CSVImporter;
+}
@@ -0,0 +1,79 @@
+/**
+ * CoinbaseImporter - Coinbase Exchange candles, newest first:
+ * [time, low, high, open, close, volume] with time in epoch seconds.
+ * Also reads Advanced Trade responses: { candles: [{ start, low, high, open, close, volume }] }
+ */
+const CoinbaseImporter = {
+    id: 'coinbase-candles',
+    label: 'Coinbase candles',
+    extensions: ['.json'],
+
+    sniff: function(sample) {
+        const text = sample.trim();
+        if (/^\{\s*"candles"\s*:\s*\[\s*\{[^}]*"start"/.test(text)) return 0.9;
+        // An array of arrays; one array per line is NDJSON
+        if (!/^\[\s*\[/.test(text)) return 0;
+
+        const rows = ImporterRegistry.sampleArrayRows(sample)
+            .map(row => row.map(Number))
+            .filter(row => row.length === 6 && row.every(Number.isFinite));
+        if (rows.length === 0 || !rows.every(row => /^\d{9,10}$/.test(String(row[0])))) return 0;
+
+        // The generic [time, open, high, low, close] order shares the high column,
+        // so tell the two apart by which one gives valid bars and by the row order
+        const asCoinbase = rows.every(row => row[1] <= Math.min(row[3], row[4]) && row[2] >= Math.max(row[3], row[4]));
+        const asGeneric = rows.every(row => row[3] <= Math.min(row[1], row[4]) && row[2] >= Math.max(row[1], row[4]));
+        const newestFirst = rows.length > 1 && rows.every((row, i) => i === 0 || row[0] < rows[i - 1][0]);
+
+        if (!asCoinbase) return 0;
+        if (!asGeneric) return 0.9;
+        return newestFirst ? 0.7 : 0.3;
+    },
+
+    parse: function(text) {
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+
+        const rows = Array.isArray(payload) ? payload : (payload && payload.candles);
+        if (!Array.isArray(rows)) {
+            throw new Error('Coinbase candles must be an array or an object with a "candles" array');
+        }
+
+        return rows.map(row => {
+            if (Array.isArray(row)) {
+                return {
+                    time: ImporterRegistry.epochToSeconds(row[0]),
+                    open: parseFloat(row[3]),
+                    high: parseFloat(row[2]),
+                    low: parseFloat(row[1]),
+                    close: parseFloat(row[4]),
+                    volume: parseFloat(row[5]) || 0
+                };
+            }
+            if (row && typeof row === 'object') {
+                return {
+                    time: ImporterRegistry.epochToSeconds(row.start),
+                    open: parseFloat(row.open),
+                    high: parseFloat(row.high),
+                    low: parseFloat(row.low),
+                    close: parseFloat(row.close),
+                    volume: parseFloat(row.volume) || 0
+                };
+            }
+            return null;
+        });
+    }
+};
+
+ImporterRegistry.register(CoinbaseImporter);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CoinbaseImporter;
+} else if (typeof window !== 'undefined') {
+    window.CoinbaseImporter = CoinbaseImporter;
+}
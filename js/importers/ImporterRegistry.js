@@ -0,0 +1,151 @@
+/**
+ * ImporterRegistry - Pluggable bar importers picked by sniffing the start of a file
+ *
+ * An importer is { id, label, extensions, streaming?, sniff(sample, fileName), parse(text, options) }:
+ *   sniff returns a score from 0 (not this format) to 1 (certainly this format)
+ *   parse returns bars { time, open, high, low, close, volume } in any order
+ *   streaming importers (CSV) are parsed by DataProcessor's worker instead of parse()
+ */
+const ImporterRegistry = (() => {
+    const SAMPLE_BYTES = 64 * 1024;
+    const importers = new Map();
+
+    /**
+     * Add an importer; an importer with the same id is replaced
+     * @param {Object} importer - Importer definition
+     */
+    const register = (importer) => {
+        if (!importer || typeof importer.id !== 'string' ||
+            typeof importer.sniff !== 'function' || typeof importer.parse !== 'function') {
+            throw new Error('ImporterRegistry: Importers need an id, sniff() and parse()');
+        }
+        importers.set(importer.id, importer);
+    };
+
+    const get = (id) => importers.get(id) || null;
+
+    const list = () => Array.from(importers.values());
+
+    /**
+     * Pick the importer that scores highest for a sample; earlier registrations win ties
+     * @param {string} sample - Start of the file
+     * @param {string} fileName - File name, used for extension hints
+     * @returns {Object|null} Importer, or null if none recognises the sample
+     */
+    const detect = (sample, fileName = '') => {
+        let best = null;
+        let bestScore = 0;
+
+        importers.forEach(importer => {
+            let score = 0;
+            try {
+                score = importer.sniff(sample, fileName) || 0;
+            } catch (error) {
+                console.warn(`ImporterRegistry: ${importer.id} sniff failed:`, error);
+            }
+
+            if (hasExtension(fileName, importer.extensions)) {
+                score += 0.05;
+            }
+            if (score > bestScore) {
+                best = importer;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    };
+
+    /**
+     * Read the start of a local file for sniffing
+     * @param {File} file - Local file
+     * @returns {Promise<string>} Up to SAMPLE_BYTES of text
+     */
+    const readSample = (file) => file.slice(0, SAMPLE_BYTES).text();
+
+    /**
+     * Parse text with an importer and return valid bars sorted by time
+     * @param {Object} importer - Importer from detect() or get()
+     * @param {string} text - Whole file
+     * @param {Object} options - { timezone } passed to the importer
+     * @returns {Array} Bars
+     */
+    const parse = (importer, text, options = {}) => {
+        const rows = importer.parse(text, options);
+        const bars = [];
+        let skipped = 0;
+
+        rows.forEach((bar, index) => {
+            if (bar && Utils.validateOHLC(bar)) {
+                bars.push(bar);
+            } else {
+                skipped++;
+                if (skipped <= 5) {
+                    console.warn(`ImporterRegistry: Skipping invalid ${importer.label} row ${index + 1}:`, bar);
+                }
+            }
+        });
+
+        console.log(`ImporterRegistry: Parsed ${bars.length} bars as ${importer.label} (${skipped} skipped)`);
+
+        if (bars.length === 0) {
+            throw new Error(`No valid bars found in ${importer.label} data`);
+        }
+
+        // Exchange exports are often newest-first
+        return DataProcessor.normalizeData(bars);
+    };
+
+    const hasExtension = (fileName, extensions) => {
+        const name = String(fileName || '').toLowerCase();
+        return Array.isArray(extensions) && extensions.some(extension => name.endsWith(extension));
+    };
+
+    /**
+     * Split the first few innermost JSON arrays of a sample into their raw fields
+     * @param {string} sample - Start of a JSON file
+     * @param {number} limit - Rows to read
+     * @returns {Array<Array<string>>} Fields with quotes and whitespace removed
+     */
+    const sampleArrayRows = (sample, limit = 5) => {
+        const rows = [];
+        const pattern = /\[([^[\]]*)\]/g;
+        let match;
+        while (rows.length < limit && (match = pattern.exec(sample)) !== null) {
+            rows.push(match[1].split(',').map(field => field.trim().replace(/^"|"$/g, '')));
+        }
+        return rows;
+    };
+
+    /**
+     * Convert an epoch timestamp in seconds, milliseconds or microseconds to seconds
+     * @param {number|string} value - Epoch timestamp
+     * @returns {number} Unix seconds, or NaN
+     */
+    const epochToSeconds = (value) => {
+        const number = Number(value);
+        if (!Number.isFinite(number)) return NaN;
+        if (number >= 1e14) return Math.floor(number / 1e6);
+        if (number >= 1e11) return Math.floor(number / 1e3);
+        return Math.floor(number);
+    };
+
+    return {
+        register,
+        get,
+        list,
+        detect,
+        readSample,
+        parse,
+        sampleArrayRows,
+        epochToSeconds,
+        SAMPLE_BYTES
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImporterRegistry;
+}
+if (typeof window !== 'undefined') {
+    window.ImporterRegistry = ImporterRegistry;
+}
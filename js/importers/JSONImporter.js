@@ -0,0 +1,27 @@
+/**
+ * JSONImporter - Generic JSON bars: an array (or { data | bars | candles: [...] }) of
+ * objects with OHLCV fields or of [time, open, high, low, close, volume] arrays
+ */
+const JSONImporter = {
+    id: 'json',
+    label: 'JSON',
+    extensions: ['.json'],
+
+    sniff: function(sample) {
+        const text = sample.trim();
+        return text[0] === '[' || text[0] === '{' ? 0.5 : 0;
+    },
+
+    parse: function(text, options = {}) {
+        return DataProcessor.parseJSON(text, options);
+    }
+};
+
+ImporterRegistry.register(JSONImporter);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JSONImporter;
+} else if (typeof window !== 'undefined') {
+    window.JSONImporter = JSONImporter;
+}
@@ -0,0 +1,59 @@
+/**
+ * NDJSONImporter - One JSON bar per line (NDJSON / JSON Lines): objects with OHLCV
+ * fields under any CSV header alias, or [time, open, high, low, close, volume] arrays
+ */
+const NDJSONImporter = {
+    id: 'ndjson',
+    label: 'NDJSON',
+    extensions: ['.ndjson', '.jsonl'],
+
+    sniff: function(sample) {
+        const lines = sample.split('\n').map(line => line.trim()).filter(Boolean);
+        // The sample can end mid-line
+        if (lines.length > 1 && !sample.endsWith('\n')) {
+            lines.pop();
+        }
+        if (lines.length === 0) return 0;
+
+        const parsed = lines.slice(0, 5).every(line => {
+            try {
+                const value = JSON.parse(line);
+                return value !== null && typeof value === 'object';
+            } catch (error) {
+                return false;
+            }
+        });
+        if (!parsed) return 0;
+
+        // A single line is just as likely a one-line JSON document
+        return lines.length > 1 ? 0.9 : 0.4;
+    },
+
+    parse: function(text, options = {}) {
+        const timezone = options.timezone || CSVDialect.DEFAULT_TIMEZONE;
+        const bars = [];
+
+        text.split('\n').forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line) return;
+
+            try {
+                bars.push(DataProcessor.parseJSONBar(JSON.parse(line), timezone));
+            } catch (error) {
+                console.warn(`NDJSONImporter: Skipping line ${index + 1}: ${error.message}`);
+                bars.push(null);
+            }
+        });
+
+        return bars;
+    }
+};
+
+ImporterRegistry.register(NDJSONImporter);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NDJSONImporter;
+} else if (typeof window !== 'undefined') {
+    window.NDJSONImporter = NDJSONImporter;
+}
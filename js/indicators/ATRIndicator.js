@@ -0,0 +1,35 @@
+/**
+ * ATRIndicator - Average true range with Wilder's smoothing
+ */
+const ATRIndicator = {
+    id: 'atr',
+    name: 'Average True Range',
+    shortName: 'ATR',
+    target: 'pane',
+    precision: 2,
+    inputs: [
+        { name: 'period', label: 'Period', default: 14, min: 1, max: 500, integer: true }
+    ],
+    outputs: [
+        { name: 'atr', label: 'ATR', type: 'line', color: '#ef5350', lineWidth: 2 }
+    ],
+
+    init: function(params) {
+        return { previousClose: null, atr: IndicatorMath.rma(params.period) };
+    },
+
+    step: function(state, bar) {
+        const range = IndicatorMath.trueRange(bar, state.previousClose);
+        state.previousClose = bar.close;
+        return { atr: IndicatorMath.nextEMA(state.atr, range) };
+    }
+};
+
+IndicatorRegistry.register(ATRIndicator);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ATRIndicator;
+} else if (typeof window !== 'undefined') {
+    window.ATRIndicator = ATRIndicator;
+}
@@ -0,0 +1,42 @@
+/**
+ * BollingerBandsIndicator - SMA of the close with bands a multiple of the population
+ * standard deviation above and below
+ */
+const BollingerBandsIndicator = {
+    id: 'bb',
+    name: 'Bollinger Bands',
+    shortName: 'BB',
+    target: 'overlay',
+    inputs: [
+        { name: 'period', label: 'Period', default: 20, min: 2, max: 500, integer: true },
+        { name: 'multiplier', label: 'Std. deviations', default: 2, min: 0.1, max: 10, step: 0.1 }
+    ],
+    outputs: [
+        { name: 'upper', label: 'Upper', type: 'line', color: '#26a69a', lineWidth: 1 },
+        { name: 'middle', label: 'Basis', type: 'line', color: '#ffa726', lineWidth: 1 },
+        { name: 'lower', label: 'Lower', type: 'line', color: '#26a69a', lineWidth: 1 }
+    ],
+
+    init: function(params) {
+        return { sma: IndicatorMath.sma(params.period) };
+    },
+
+    step: function(state, bar, params) {
+        const middle = IndicatorMath.nextSMA(state.sma, bar.close);
+        if (middle === null) {
+            return { upper: null, middle: null, lower: null };
+        }
+
+        const width = IndicatorMath.deviation(state.sma, middle) * params.multiplier;
+        return { upper: middle + width, middle, lower: middle - width };
+    }
+};
+
+IndicatorRegistry.register(BollingerBandsIndicator);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BollingerBandsIndicator;
+} else if (typeof window !== 'undefined') {
+    window.BollingerBandsIndicator = BollingerBandsIndicator;
+}
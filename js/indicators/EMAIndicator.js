@@ -0,0 +1,32 @@
+/**
+ * EMAIndicator - Exponential moving average of the close, seeded with the SMA of its first bars
+ */
+const EMAIndicator = {
+    id: 'ema',
+    name: 'Exponential Moving Average',
+    shortName: 'EMA',
+    target: 'overlay',
+    inputs: [
+        { name: 'period', label: 'Period', default: 20, min: 1, max: 1000, integer: true }
+    ],
+    outputs: [
+        { name: 'ema', label: 'EMA', type: 'line', color: '#42a5f5', lineWidth: 2 }
+    ],
+
+    init: function(params) {
+        return { ema: IndicatorMath.ema(params.period) };
+    },
+
+    step: function(state, bar) {
+        return { ema: IndicatorMath.nextEMA(state.ema, bar.close) };
+    }
+};
+
+IndicatorRegistry.register(EMAIndicator);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EMAIndicator;
+} else if (typeof window !== 'undefined') {
+    window.EMAIndicator = EMAIndicator;
+}
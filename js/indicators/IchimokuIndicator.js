@@ -0,0 +1,81 @@
+/**
+ * IchimokuIndicator - Ichimoku Kinko Hyo: the conversion (Tenkan) and base (Kijun) lines
+ * as series, and the leading spans, their cloud and the lagging (Chikou) line drawn by
+ * IchimokuCloudPrimitive, which shifts them by the displacement in bars. Working in bars
+ * rather than time keeps the shift right on every (resampled) timeframe.
+ */
+
+const IchimokuIndicator = {
+    id: 'ichimoku',
+    name: 'Ichimoku Cloud',
+    shortName: 'Ichimoku',
+    target: 'overlay',
+    inputs: [
+        { name: 'conversion', label: 'Conversion period', default: 9, min: 1, max: 500, integer: true },
+        { name: 'base', label: 'Base period', default: 26, min: 1, max: 500, integer: true },
+        { name: 'spanB', label: 'Span B period', default: 52, min: 1, max: 500, integer: true },
+        { name: 'displacement', label: 'Displacement', default: 26, min: 1, max: 250, integer: true }
+    ],
+    outputs: [
+        { name: 'tenkan', label: 'Conversion', type: 'line', color: '#2962ff', lineWidth: 1 },
+        { name: 'kijun', label: 'Base', type: 'line', color: '#b71c1c', lineWidth: 1 },
+        { name: 'chikou', label: 'Lagging', type: 'custom', color: '#43a047', lineWidth: 1 },
+        { name: 'spanA', label: 'Span A', type: 'custom', color: '#26a69a', lineWidth: 1 },
+        { name: 'spanB', label: 'Span B', type: 'custom', color: '#ef5350', lineWidth: 1 },
+        { name: 'bullish', label: 'Bullish cloud', type: 'custom', color: '#26a69a' },
+        { name: 'bearish', label: 'Bearish cloud', type: 'custom', color: '#ef5350' }
+    ],
+
+    init: function(params) {
+        return {
+            conversion: IchimokuIndicator.createWindows(params.conversion),
+            base: IchimokuIndicator.createWindows(params.base),
+            spanB: IchimokuIndicator.createWindows(params.spanB)
+        };
+    },
+
+    /**
+     * Values belong to the bar they were computed on; the primitive plots spanA/spanB
+     * displacement bars later and chikou displacement bars earlier
+     */
+    step: function(state, bar) {
+        const tenkan = IchimokuIndicator.midpoint(state.conversion, bar);
+        const kijun = IchimokuIndicator.midpoint(state.base, bar);
+        return {
+            tenkan,
+            kijun,
+            spanA: tenkan !== null && kijun !== null ? (tenkan + kijun) / 2 : null,
+            spanB: IchimokuIndicator.midpoint(state.spanB, bar),
+            chikou: bar.close
+        };
+    },
+
+    createWindows: function(period) {
+        return {
+            highs: IndicatorMath.createWindow(period),
+            lows: IndicatorMath.createWindow(period)
+        };
+    },
+
+    /**
+     * Midpoint of the highest high and lowest low over a window, or null while it fills
+     */
+    midpoint: function(windows, bar) {
+        const highest = IndicatorMath.nextHighest(windows.highs, bar.high);
+        const lowest = IndicatorMath.nextLowest(windows.lows, bar.low);
+        return highest === null ? null : (highest + lowest) / 2;
+    },
+
+    createPrimitive: function(chart, instance) {
+        return new IchimokuCloudPrimitive(chart, instance);
+    }
+};
+
+IndicatorRegistry.register(IchimokuIndicator);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IchimokuIndicator;
+} else if (typeof window !== 'undefined') {
+    window.IchimokuIndicator = IchimokuIndicator;
+}
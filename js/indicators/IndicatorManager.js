@@ -0,0 +1,448 @@
+/**
+ * Indicator Manager - Runs IndicatorRegistry indicators on a BTCUSDChart
+ *
+ * Each indicator added gets one series per output, on the price scale or in a new pane, and
+ * its own primitive on the candles if it draws custom outputs (see IndicatorRegistry).
+ * setData() computes every bar; update() only steps the forming bar. The state after the
+ * last closed bar is kept, and the forming bar is computed from a copy of it, so a live
+ * update costs one step per indicator however long the series is.
+ *
+ * When a closed bar carries a buy/sell signal (a trend flip), 'indicator-flip' is emitted on
+ * the event bus with { key, id, label, signal, time, price }. Signals on the forming bar
+ * can still change, so they are only marked on the chart until the bar closes.
+ */
+class IndicatorManager {
+    constructor(chart, options = {}) {
+        this.chart = chart;
+        this.options = {
+            maxIndicators: 12,
+            // Height of an indicator pane relative to the price pane
+            paneStretchFactor: 0.3,
+            levelColor: 'rgba(136, 136, 136, 0.6)',
+            ...options
+        };
+        this.instances = new Map();
+        this.nextKey = 1;
+        this.bars = [];
+    }
+
+    /**
+     * Add an indicator to the chart
+     * @param {string} id - Registered indicator id
+     * @param {Array|Object} params - Parameters (see IndicatorRegistry.normalizeParams)
+     * @param {Object} styles - Output styles (see IndicatorRegistry.normalizeStyles)
+     * @returns {string} Key of the new indicator
+     * @throws {Error} If the indicator is unknown, the parameters are invalid or the chart is full
+     */
+    add(id, params = {}, styles = {}) {
+        const key = this.createInstance(id, params, styles);
+        this.emitChanged();
+        return key;
+    }
+
+    createInstance(id, params, styles) {
+        const definition = IndicatorRegistry.get(id);
+        if (!definition) {
+            throw new Error(`Unknown indicator '${id}'`);
+        }
+        if (this.instances.size >= this.options.maxIndicators) {
+            throw new Error(`At most ${this.options.maxIndicators} indicators can be shown`);
+        }
+
+        const normalized = IndicatorRegistry.normalizeParams(definition, params);
+        if (normalized.errors.length > 0) {
+            throw new Error(`${definition.name}: ${normalized.errors.join('; ')}`);
+        }
+
+        const instance = {
+            key: `${id}-${this.nextKey++}`,
+            definition,
+            params: normalized.params,
+            styles: IndicatorRegistry.normalizeStyles(definition, styles),
+            series: {},
+            primitive: null,
+            // Every bar's step() result, kept only for indicators with a primitive
+            values: null,
+            // Series markers plugin and the markers of closed bars, for signalMarkers indicators
+            markers: null,
+            signals: [],
+            committed: null,
+            lastBar: null
+        };
+
+        this.createSeries(instance);
+        this.instances.set(instance.key, instance);
+        this.compute(instance);
+        return instance.key;
+    }
+
+    /**
+     * Change an indicator's parameters and/or styles in place
+     * @param {string} key - Indicator key
+     * @param {Object} changes - { params, styles }
+     * @throws {Error} If the parameters are invalid
+     */
+    configure(key, changes = {}) {
+        const instance = this.instances.get(key);
+        if (!instance) return;
+
+        const { definition } = instance;
+        if (changes.params) {
+            const normalized = IndicatorRegistry.normalizeParams(definition, changes.params);
+            if (normalized.errors.length > 0) {
+                throw new Error(`${definition.name}: ${normalized.errors.join('; ')}`);
+            }
+            instance.params = normalized.params;
+        }
+        if (changes.styles) {
+            instance.styles = IndicatorRegistry.normalizeStyles(definition, changes.styles);
+        }
+
+        definition.outputs.forEach((output, index) => {
+            if (instance.series[output.name]) {
+                instance.series[output.name].applyOptions(this.getSeriesOptions(instance, output, index));
+            }
+        });
+        this.compute(instance);
+        this.emitChanged();
+    }
+
+    /**
+     * @param {string} key - Indicator key
+     * @returns {boolean} True if an indicator was removed
+     */
+    remove(key) {
+        const instance = this.instances.get(key);
+        if (!instance) return false;
+
+        this.removeSeries(instance);
+        this.instances.delete(key);
+        this.emitChanged();
+        return true;
+    }
+
+    clear() {
+        this.instances.forEach(instance => this.removeSeries(instance));
+        this.instances.clear();
+        this.emitChanged();
+    }
+
+    /**
+     * @returns {Array} { key, id, name, label, target, params, styles } for each indicator
+     */
+    list() {
+        return Array.from(this.instances.values()).map(instance => ({
+            key: instance.key,
+            id: instance.definition.id,
+            name: instance.definition.name,
+            label: IndicatorRegistry.formatLabel(instance.definition, instance.params),
+            target: instance.definition.target,
+            params: { ...instance.params },
+            styles: instance.styles
+        }));
+    }
+
+    /**
+     * @returns {Array} { id, params: [numbers], styles } for workspaces and links
+     */
+    getState() {
+        return Array.from(this.instances.values()).map(instance => ({
+            id: instance.definition.id,
+            params: IndicatorRegistry.paramsToArray(instance.definition, instance.params),
+            styles: instance.styles
+        }));
+    }
+
+    /**
+     * Replace all indicators with a saved set; entries that cannot be added are skipped
+     * @param {Array} entries - From getState() or DeepLink
+     * @returns {Object} { added: [key], rejected: [{ id, reason }] }
+     */
+    setState(entries = []) {
+        this.instances.forEach(instance => this.removeSeries(instance));
+        this.instances.clear();
+
+        const result = { added: [], rejected: [] };
+        entries.forEach(entry => {
+            try {
+                result.added.push(this.createInstance(entry.id, entry.params, entry.styles));
+            } catch (error) {
+                result.rejected.push({ id: entry.id, reason: error.message });
+            }
+        });
+
+        this.emitChanged();
+        return result;
+    }
+
+    /**
+     * Recompute every indicator for a new series of bars
+     * @param {Array} bars - Bars on the chart
+     */
+    setData(bars) {
+        this.bars = bars || [];
+        this.instances.forEach(instance => this.compute(instance));
+    }
+
+    /**
+     * Follow a bar passed to BTCUSDChart.updateData(): the forming bar is recomputed, and a
+     * newer bar first closes the previous one into the kept state
+     * @param {Object} bar - New or updated last bar
+     */
+    update(bar) {
+        this.instances.forEach(instance => {
+            const { definition, params } = instance;
+            if (!instance.lastBar || bar.time < instance.lastBar.time) return;
+
+            const closedBar = instance.lastBar;
+            const closed = bar.time > closedBar.time
+                ? definition.step(instance.committed, closedBar, params)
+                : null;
+            const values = definition.step(structuredClone(instance.committed), bar, params);
+            instance.lastBar = bar;
+
+            if (closed && closed.signal) {
+                this.emitFlip(instance, closedBar, closed.signal);
+            }
+            if (instance.markers) {
+                if (closed && closed.signal) {
+                    instance.signals.push(this.toMarker(instance, closedBar.time, closed.signal));
+                }
+                this.showSignals(instance, bar.time, values.signal);
+            }
+
+            Object.entries(instance.series).forEach(([name, series]) => {
+                const output = definition.outputs.find(candidate => candidate.name === name);
+                series.update(this.toPoint(instance, output, bar.time, values[name]));
+            });
+
+            if (instance.primitive) {
+                if (closed) {
+                    instance.values[instance.values.length - 1] = closed;
+                    instance.values.push(values);
+                } else {
+                    instance.values[instance.values.length - 1] = values;
+                }
+                instance.primitive.setValues(instance.values);
+            }
+        });
+    }
+
+    /**
+     * Run an indicator over all bars and put the result on its series
+     */
+    compute(instance) {
+        const { definition, params } = instance;
+        const bars = this.bars;
+        const outputs = definition.outputs.filter(output => instance.series[output.name]);
+        const points = {};
+        outputs.forEach(output => {
+            points[output.name] = [];
+        });
+        const all = instance.primitive ? [] : null;
+        const signals = [];
+
+        const push = (bar, values) => {
+            outputs.forEach(output => {
+                points[output.name].push(this.toPoint(instance, output, bar.time, values[output.name]));
+            });
+            if (all) all.push(values);
+            return values;
+        };
+
+        instance.committed = definition.init(params);
+        instance.lastBar = bars.length > 0 ? bars[bars.length - 1] : null;
+        for (let i = 0; i < bars.length - 1; i++) {
+            const values = push(bars[i], definition.step(instance.committed, bars[i], params));
+            if (instance.markers && values.signal) {
+                signals.push(this.toMarker(instance, bars[i].time, values.signal));
+            }
+        }
+        const forming = instance.lastBar
+            ? push(instance.lastBar, definition.step(structuredClone(instance.committed), instance.lastBar, params))
+            : null;
+
+        outputs.forEach(output => {
+            instance.series[output.name].setData(points[output.name]);
+        });
+        if (instance.primitive) {
+            instance.values = all;
+            instance.primitive.setValues(all);
+        }
+        if (instance.markers) {
+            instance.signals = signals;
+            this.showSignals(instance, instance.lastBar && instance.lastBar.time, forming && forming.signal);
+        }
+    }
+
+    /**
+     * @returns {Object} Series marker for a signal, colored like the output it names
+     */
+    toMarker(instance, time, signal) {
+        const buy = signal === 'buy';
+        return {
+            time,
+            position: buy ? 'belowBar' : 'aboveBar',
+            shape: buy ? 'arrowUp' : 'arrowDown',
+            color: instance.styles[instance.definition.signalMarkers[signal]].color,
+            text: buy ? 'Buy' : 'Sell'
+        };
+    }
+
+    /**
+     * Put the closed bars' signals, and the forming bar's if it has one, on the candles
+     */
+    showSignals(instance, time, signal) {
+        instance.markers.setMarkers(signal
+            ? instance.signals.concat(this.toMarker(instance, time, signal))
+            : instance.signals);
+    }
+
+    emitFlip(instance, bar, signal) {
+        if (window.eventBus) {
+            window.eventBus.emit('indicator-flip', {
+                key: instance.key,
+                id: instance.definition.id,
+                label: IndicatorRegistry.formatLabel(instance.definition, instance.params),
+                signal,
+                time: bar.time,
+                price: bar.close
+            });
+        }
+    }
+
+    /**
+     * @returns {Object} Series point; whitespace while the indicator has no value yet
+     */
+    toPoint(instance, output, time, value) {
+        if (value === null || value === undefined || !Number.isFinite(value)) {
+            return { time };
+        }
+        if (output.type === 'histogram' && output.negativeColor) {
+            return { time, value, color: value >= 0 ? instance.styles[output.name].color : output.negativeColor };
+        }
+        return { time, value };
+    }
+
+    getSeriesOptions(instance, output, index) {
+        const { definition } = instance;
+        const style = instance.styles[output.name];
+        const options = {
+            color: style.color,
+            title: index === 0 ? IndicatorRegistry.formatLabel(definition, instance.params) : '',
+            lastValueVisible: true,
+            priceLineVisible: false
+        };
+
+        if (output.type === 'line') {
+            options.lineWidth = style.lineWidth;
+            options.crosshairMarkerVisible = false;
+        }
+        if (output.dots) {
+            options.lineVisible = false;
+            options.pointMarkersVisible = true;
+            options.pointMarkersRadius = style.lineWidth;
+        }
+        if (definition.target === 'pane') {
+            const precision = definition.precision === undefined ? 2 : definition.precision;
+            options.priceFormat = {
+                type: 'custom',
+                minMove: Math.pow(10, -precision),
+                formatter: (value) => Utils.formatNumber(value, precision)
+            };
+        }
+        return options;
+    }
+
+    /**
+     * Add the output series, in a new pane for pane indicators, and the indicator's primitive
+     */
+    createSeries(instance) {
+        const { LineSeries, HistogramSeries } = window.LightweightCharts;
+        const chart = this.chart.getChart();
+        const { definition } = instance;
+        const paneIndex = definition.target === 'pane' ? chart.panes().length : 0;
+
+        definition.outputs.forEach((output, index) => {
+            if (output.type === 'custom') return;
+            instance.series[output.name] = chart.addSeries(
+                output.type === 'histogram' ? HistogramSeries : LineSeries,
+                this.getSeriesOptions(instance, output, index),
+                paneIndex
+            );
+        });
+
+        if (typeof definition.createPrimitive === 'function') {
+            instance.primitive = definition.createPrimitive(this.chart, instance);
+            this.chart.getCandlestickSeries().attachPrimitive(instance.primitive);
+        }
+        if (definition.signalMarkers) {
+            instance.markers = window.LightweightCharts.createSeriesMarkers(this.chart.getCandlestickSeries(), []);
+        }
+
+        const first = Object.values(instance.series)[0];
+        (definition.levels || []).forEach(level => {
+            first.createPriceLine({
+                price: level,
+                color: this.options.levelColor,
+                lineWidth: 1,
+                lineStyle: 2,
+                axisLabelVisible: false
+            });
+        });
+
+        if (definition.target === 'pane') {
+            const pane = chart.panes()[paneIndex];
+            if (pane && typeof pane.setStretchFactor === 'function') {
+                pane.setStretchFactor(this.options.paneStretchFactor);
+            }
+        }
+    }
+
+    /**
+     * Remove the output series, the primitive, the signal markers and any indicator pane left empty
+     */
+    removeSeries(instance) {
+        const chart = this.chart.getChart();
+        if (!chart) return;
+
+        Object.values(instance.series).forEach(series => chart.removeSeries(series));
+        instance.series = {};
+        if (instance.primitive) {
+            this.chart.getCandlestickSeries().detachPrimitive(instance.primitive);
+            instance.primitive = null;
+            instance.values = null;
+        }
+        if (instance.markers) {
+            instance.markers.detach();
+            instance.markers = null;
+            instance.signals = [];
+        }
+
+        const panes = chart.panes();
+        for (let index = panes.length - 1; index > 0; index--) {
+            if (panes[index].getSeries().length === 0) {
+                chart.removePane(index);
+            }
+        }
+    }
+
+    emitChanged() {
+        if (window.eventBus) {
+            window.eventBus.emit('indicators-changed', { indicators: this.list() });
+        }
+    }
+
+    destroy() {
+        this.instances.forEach(instance => this.removeSeries(instance));
+        this.instances.clear();
+        this.bars = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndicatorManager;
+} else if (typeof window !== 'undefined') {
+    window.IndicatorManager = IndicatorManager;
+}
@@ -0,0 +1,169 @@
+/**
+ * IndicatorMath - Incremental building blocks for indicators
+ *
+ * Each helper keeps its running state in a plain object (arrays and numbers only) so
+ * IndicatorManager can clone it with structuredClone and recompute just the forming bar.
+ * The next*() functions take one value, update the state and return the output, or null
+ * while the window is still filling. A null input is skipped and leaves the state alone,
+ * so helpers can be chained behind ones that are still warming up.
+ */
+const IndicatorMath = (() => {
+    /**
+     * Fixed-size window of the most recent values
+     * @param {number} size - Values to keep
+     */
+    const createWindow = (size) => ({ size, values: [] });
+
+    /**
+     * @returns {boolean} True once the window holds size values
+     */
+    const pushWindow = (buffer, value) => {
+        buffer.values.push(value);
+        if (buffer.values.length > buffer.size) {
+            buffer.values.shift();
+        }
+        return buffer.values.length === buffer.size;
+    };
+
+    const sma = (period) => ({ period, values: [], sum: 0 });
+
+    const nextSMA = (state, value) => {
+        if (value === null) return null;
+
+        state.values.push(value);
+        state.sum += value;
+        if (state.values.length > state.period) {
+            state.sum -= state.values.shift();
+        }
+        return state.values.length === state.period ? state.sum / state.period : null;
+    };
+
+    /**
+     * Population standard deviation of an SMA state's window around its mean
+     * @param {Object} state - State from sma()
+     * @param {number} mean - Value returned by nextSMA()
+     * @returns {number|null}
+     */
+    const deviation = (state, mean) => {
+        if (mean === null) return null;
+
+        let sum = 0;
+        for (let i = 0; i < state.values.length; i++) {
+            const diff = state.values[i] - mean;
+            sum += diff * diff;
+        }
+        return Math.sqrt(sum / state.values.length);
+    };
+
+    /**
+     * Exponential moving average seeded with the SMA of its first period values
+     * @param {number} period - Length
+     * @param {number} alpha - Smoothing factor (default 2 / (period + 1))
+     */
+    const ema = (period, alpha = 2 / (period + 1)) => ({ period, alpha, value: null, count: 0, sum: 0 });
+
+    /**
+     * Wilder's smoothing (RMA), used by RSI and ATR
+     * @param {number} period - Length
+     */
+    const rma = (period) => ema(period, 1 / period);
+
+    const nextEMA = (state, value) => {
+        if (value === null) return null;
+
+        if (state.count < state.period) {
+            state.count++;
+            state.sum += value;
+            if (state.count === state.period) {
+                state.value = state.sum / state.period;
+            }
+            return state.value;
+        }
+
+        state.value = value * state.alpha + state.value * (1 - state.alpha);
+        return state.value;
+    };
+
+    const wma = (period) => createWindow(period);
+
+    const nextWMA = (state, value) => {
+        if (value === null) return null;
+        if (!pushWindow(state, value)) return null;
+
+        let sum = 0;
+        for (let i = 0; i < state.values.length; i++) {
+            sum += state.values[i] * (i + 1);
+        }
+        return sum / (state.size * (state.size + 1) / 2);
+    };
+
+    /**
+     * Highest value in a window; nextLowest() is the same for the lowest
+     */
+    const nextHighest = (buffer, value) => (pushWindow(buffer, value) ? Math.max.apply(null, buffer.values) : null);
+
+    const nextLowest = (buffer, value) => (pushWindow(buffer, value) ? Math.min.apply(null, buffer.values) : null);
+
+    /**
+     * @param {Object} bar - { high, low, close }
+     * @param {number|null} previousClose - Close of the bar before, null for the first bar
+     * @returns {number} True range
+     */
+    const trueRange = (bar, previousClose) => {
+        if (previousClose === null || previousClose === undefined) {
+            return bar.high - bar.low;
+        }
+        return Math.max(bar.high - bar.low, Math.abs(bar.high - previousClose), Math.abs(bar.low - previousClose));
+    };
+
+    /**
+     * Volume-weighted average of the typical price (high + low + close) / 3 since the state
+     * was created, with the volume-weighted standard deviation around it
+     */
+    const vwap = () => ({ volume: 0, priceVolume: 0, squareVolume: 0 });
+
+    /**
+     * @param {Object} state - State from vwap()
+     * @param {Object} bar - { high, low, close, volume }
+     * @returns {Object|null} { value, deviation }, or null until some volume has traded
+     */
+    const nextVWAP = (state, bar) => {
+        const price = (bar.high + bar.low + bar.close) / 3;
+        const volume = bar.volume > 0 ? bar.volume : 0;
+
+        state.volume += volume;
+        state.priceVolume += price * volume;
+        state.squareVolume += price * price * volume;
+        if (state.volume === 0) return null;
+
+        const value = state.priceVolume / state.volume;
+        // Rounding can leave the variance a hair below zero
+        const variance = Math.max(0, state.squareVolume / state.volume - value * value);
+        return { value, deviation: Math.sqrt(variance) };
+    };
+
+    return {
+        createWindow,
+        pushWindow,
+        sma,
+        nextSMA,
+        deviation,
+        ema,
+        rma,
+        nextEMA,
+        wma,
+        nextWMA,
+        nextHighest,
+        nextLowest,
+        trueRange,
+        vwap,
+        nextVWAP
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndicatorMath;
+}
+if (typeof window !== 'undefined') {
+    window.IndicatorMath = IndicatorMath;
+}
@@ -0,0 +1,149 @@
+/**
+ * IndicatorRegistry - Pluggable technical indicators for BTCUSDChart
+ *
+ * An indicator is { id, name, shortName, target, inputs, outputs, levels?, precision?, validate?, init, step }:
+ *   target is 'overlay' (drawn on the price scale) or 'pane' (its own pane under the candles)
+ *   inputs are numeric parameters { name, label, default, min, max, step?, integer? }, or a
+ *   choice { name, label, default, options: [{ value, label }] } between fixed numbers
+ *   validate(params)? returns error messages for combinations of inputs that are each in range
+ *   outputs are series { name, label, type: 'line'|'histogram', color, lineWidth?, negativeColor?, dots? },
+ *   where a line with dots: true is drawn as points sized by its width, or type 'custom' for
+ *   values drawn by the indicator's own primitive (styled the same way)
+ *   levels are horizontal guide lines for pane indicators, e.g. RSI 30/70
+ *   init(params) returns the running state; step(state, bar, params) advances it by one bar
+ *   and returns { [output name]: value or null }, plus signal: 'buy'|'sell' on a bar where
+ *   the indicator's trend flips. The state must hold plain data only (see IndicatorMath) so
+ *   the forming bar can be recomputed from a copy.
+ *   signalMarkers? { buy, sell } marks signals on the candles in the color of the named outputs.
+ *   createPrimitive(chart, instance)? returns a series primitive for what line series cannot
+ *   draw, such as values shifted past the last bar; IndicatorManager attaches it to the
+ *   candles and calls its setValues(values) with every bar's step() result.
+ */
+const IndicatorRegistry = (() => {
+    const ID_PATTERN = /^[a-z][a-z0-9]{1,15}$/;
+    const TARGETS = ['overlay', 'pane'];
+    const OUTPUT_TYPES = ['line', 'histogram', 'custom'];
+    const LINE_WIDTHS = [1, 2, 3, 4];
+    const indicators = new Map();
+
+    /**
+     * Add an indicator; an indicator with the same id is replaced
+     * @param {Object} indicator - Indicator definition
+     */
+    const register = (indicator) => {
+        if (!indicator || !ID_PATTERN.test(indicator.id) || !TARGETS.includes(indicator.target) ||
+            !Array.isArray(indicator.inputs) || !Array.isArray(indicator.outputs) || indicator.outputs.length === 0 ||
+            typeof indicator.init !== 'function' || typeof indicator.step !== 'function') {
+            throw new Error('IndicatorRegistry: Indicators need an id, target, inputs, outputs, init() and step()');
+        }
+        if (indicator.outputs.some(output => !OUTPUT_TYPES.includes(output.type))) {
+            throw new Error(`IndicatorRegistry: ${indicator.id} has an output of unknown type`);
+        }
+        if (indicator.outputs.some(output => output.type === 'custom') && typeof indicator.createPrimitive !== 'function') {
+            throw new Error(`IndicatorRegistry: ${indicator.id} has custom outputs but no createPrimitive()`);
+        }
+        if (!indicator.outputs.some(output => output.type !== 'custom')) {
+            throw new Error(`IndicatorRegistry: ${indicator.id} needs at least one line or histogram output`);
+        }
+        if (indicator.signalMarkers && !['buy', 'sell'].every(signal =>
+            indicator.outputs.some(output => output.name === indicator.signalMarkers[signal]))) {
+            throw new Error(`IndicatorRegistry: ${indicator.id} signal markers must name an output for buy and sell`);
+        }
+        indicators.set(indicator.id, indicator);
+    };
+
+    const get = (id) => indicators.get(id) || null;
+
+    const list = () => Array.from(indicators.values());
+
+    /**
+     * Check parameters against an indicator's inputs, filling in defaults
+     * @param {Object} indicator - Indicator definition
+     * @param {Array|Object} params - Values in input order (as in links) or keyed by input name
+     * @returns {Object} { params: { [input name]: number }, errors: [string] }
+     */
+    const normalizeParams = (indicator, params = {}) => {
+        const values = {};
+        const errors = [];
+
+        indicator.inputs.forEach((input, index) => {
+            let value = Array.isArray(params) ? params[index] : params[input.name];
+            if (value === undefined || value === null || value === '') {
+                value = input.default;
+            }
+            value = Number(value);
+
+            if (!Number.isFinite(value)) {
+                errors.push(`${input.label} must be a number`);
+            } else if (input.options) {
+                if (!input.options.some(option => option.value === value)) {
+                    errors.push(`${input.label} must be one of ${input.options.map(option => option.label).join(', ')}`);
+                }
+            } else if (input.integer && !Number.isInteger(value)) {
+                errors.push(`${input.label} must be a whole number`);
+            } else if (value < input.min || value > input.max) {
+                errors.push(`${input.label} must be between ${input.min} and ${input.max}`);
+            }
+            values[input.name] = value;
+        });
+
+        if (errors.length === 0 && typeof indicator.validate === 'function') {
+            errors.push(...indicator.validate(values));
+        }
+
+        return { params: values, errors };
+    };
+
+    /**
+     * @returns {Array<number>} Parameter values in input order
+     */
+    const paramsToArray = (indicator, params) => indicator.inputs.map(input => params[input.name]);
+
+    /**
+     * Output colors and line widths, falling back to the indicator's defaults
+     * @param {Object} indicator - Indicator definition
+     * @param {Object} styles - { [output name]: { color, lineWidth } }
+     * @returns {Object} Styles for every output
+     */
+    const normalizeStyles = (indicator, styles = {}) => {
+        const result = {};
+        indicator.outputs.forEach(output => {
+            const style = (styles && styles[output.name]) || {};
+            result[output.name] = {
+                color: Sanitizer.sanitizeColor(style.color, output.color),
+                lineWidth: LINE_WIDTHS.includes(style.lineWidth) ? style.lineWidth : (output.lineWidth || 2)
+            };
+        });
+        return result;
+    };
+
+    /**
+     * @returns {string} Short label such as 'MACD 12 26 9'; choices show their label
+     */
+    const formatLabel = (indicator, params) => {
+        const values = indicator.inputs.map(input => {
+            const choice = input.options && input.options.find(option => option.value === params[input.name]);
+            return choice ? choice.label : params[input.name];
+        });
+        return [indicator.shortName || indicator.id.toUpperCase()].concat(values).join(' ');
+    };
+
+    return {
+        register,
+        get,
+        list,
+        normalizeParams,
+        paramsToArray,
+        normalizeStyles,
+        formatLabel,
+        ID_PATTERN,
+        LINE_WIDTHS
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndicatorRegistry;
+}
+if (typeof window !== 'undefined') {
+    window.IndicatorRegistry = IndicatorRegistry;
+}
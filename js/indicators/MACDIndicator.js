@@ -0,0 +1,56 @@
+/**
+ * MACDIndicator - Moving average convergence/divergence: fast EMA minus slow EMA of the
+ * close, an EMA signal line of that, and their difference as a histogram
+ */
+const MACDIndicator = {
+    id: 'macd',
+    name: 'MACD',
+    shortName: 'MACD',
+    target: 'pane',
+    precision: 2,
+    inputs: [
+        { name: 'fast', label: 'Fast period', default: 12, min: 1, max: 500, integer: true },
+        { name: 'slow', label: 'Slow period', default: 26, min: 2, max: 500, integer: true },
+        { name: 'signal', label: 'Signal period', default: 9, min: 1, max: 500, integer: true }
+    ],
+    outputs: [
+        { name: 'histogram', label: 'Histogram', type: 'histogram', color: '#26a69a', negativeColor: '#ef5350' },
+        { name: 'macd', label: 'MACD', type: 'line', color: '#42a5f5', lineWidth: 2 },
+        { name: 'signal', label: 'Signal', type: 'line', color: '#ffa726', lineWidth: 2 }
+    ],
+    levels: [0],
+
+    validate: function(params) {
+        return params.fast < params.slow ? [] : ['Fast period must be shorter than the slow period'];
+    },
+
+    init: function(params) {
+        return {
+            fast: IndicatorMath.ema(params.fast),
+            slow: IndicatorMath.ema(params.slow),
+            signal: IndicatorMath.ema(params.signal)
+        };
+    },
+
+    step: function(state, bar) {
+        const fast = IndicatorMath.nextEMA(state.fast, bar.close);
+        const slow = IndicatorMath.nextEMA(state.slow, bar.close);
+        const macd = fast === null || slow === null ? null : fast - slow;
+        const signal = IndicatorMath.nextEMA(state.signal, macd);
+
+        return {
+            macd,
+            signal,
+            histogram: macd === null || signal === null ? null : macd - signal
+        };
+    }
+};
+
+IndicatorRegistry.register(MACDIndicator);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MACDIndicator;
+} else if (typeof window !== 'undefined') {
+    window.MACDIndicator = MACDIndicator;
+}
@@ -0,0 +1,106 @@
+/**
+ * ParabolicSARIndicator - Wilder's parabolic stop and reverse, plotted as dots
+ * The stop closes in on the extreme point of the trend by an acceleration factor that
+ * grows with every new extreme; a bar trading through the stop reverses the trend and
+ * the new stop starts at the old extreme point.
+ */
+const ParabolicSARIndicator = {
+    id: 'psar',
+    name: 'Parabolic SAR',
+    shortName: 'SAR',
+    target: 'overlay',
+    inputs: [
+        { name: 'start', label: 'Start', default: 0.02, min: 0.001, max: 1, step: 0.001 },
+        { name: 'increment', label: 'Increment', default: 0.02, min: 0.001, max: 1, step: 0.001 },
+        { name: 'maximum', label: 'Maximum', default: 0.2, min: 0.001, max: 1, step: 0.001 }
+    ],
+    outputs: [
+        { name: 'sar', label: 'SAR', type: 'line', color: '#2962ff', lineWidth: 2, dots: true }
+    ],
+
+    validate: function(params) {
+        const errors = [];
+        if (params.start > params.maximum) {
+            errors.push('Start must not be above the maximum');
+        }
+        if (params.increment > params.maximum) {
+            errors.push('Increment must not be above the maximum');
+        }
+        return errors;
+    },
+
+    init: function() {
+        return {
+            // 1 in an uptrend, -1 in a downtrend, 0 until the second bar
+            trend: 0,
+            sar: null,
+            extreme: null,
+            factor: null,
+            // Highs and lows of the last two bars, most recent first
+            highs: [],
+            lows: [],
+            previousClose: null
+        };
+    },
+
+    step: function(state, bar, params) {
+        const values = { sar: null };
+
+        if (state.previousClose === null) {
+            // Nothing to stop against yet
+        } else if (state.trend === 0) {
+            const up = bar.close >= state.previousClose;
+            state.trend = up ? 1 : -1;
+            state.sar = up ? Math.min(bar.low, state.lows[0]) : Math.max(bar.high, state.highs[0]);
+            state.extreme = up ? Math.max(bar.high, state.highs[0]) : Math.min(bar.low, state.lows[0]);
+            state.factor = params.start;
+            values.sar = state.sar;
+        } else {
+            let sar = state.sar + state.factor * (state.extreme - state.sar);
+
+            if (state.trend === 1) {
+                // The stop never rises into the last two bars' range
+                sar = Math.min(sar, ...state.lows);
+                if (bar.low < sar) {
+                    state.trend = -1;
+                    sar = state.extreme;
+                    state.extreme = bar.low;
+                    state.factor = params.start;
+                    values.signal = 'sell';
+                } else if (bar.high > state.extreme) {
+                    state.extreme = bar.high;
+                    state.factor = Math.min(state.factor + params.increment, params.maximum);
+                }
+            } else {
+                sar = Math.max(sar, ...state.highs);
+                if (bar.high > sar) {
+                    state.trend = 1;
+                    sar = state.extreme;
+                    state.extreme = bar.high;
+                    state.factor = params.start;
+                    values.signal = 'buy';
+                } else if (bar.low < state.extreme) {
+                    state.extreme = bar.low;
+                    state.factor = Math.min(state.factor + params.increment, params.maximum);
+                }
+            }
+
+            state.sar = sar;
+            values.sar = sar;
+        }
+
+        state.highs = [bar.high].concat(state.highs).slice(0, 2);
+        state.lows = [bar.low].concat(state.lows).slice(0, 2);
+        state.previousClose = bar.close;
+        return values;
+    }
+};
+
+IndicatorRegistry.register(ParabolicSARIndicator);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParabolicSARIndicator;
+} else if (typeof window !== 'undefined') {
+    window.ParabolicSARIndicator = ParabolicSARIndicator;
+}
@@ -0,0 +1,50 @@
+/**
+ * RSIIndicator - Relative strength index of the close with Wilder's smoothing
+ */
+const RSIIndicator = {
+    id: 'rsi',
+    name: 'Relative Strength Index',
+    shortName: 'RSI',
+    target: 'pane',
+    precision: 2,
+    inputs: [
+        { name: 'period', label: 'Period', default: 14, min: 2, max: 500, integer: true }
+    ],
+    outputs: [
+        { name: 'rsi', label: 'RSI', type: 'line', color: '#ab47bc', lineWidth: 2 }
+    ],
+    levels: [30, 50, 70],
+
+    init: function(params) {
+        return {
+            previousClose: null,
+            gain: IndicatorMath.rma(params.period),
+            loss: IndicatorMath.rma(params.period)
+        };
+    },
+
+    step: function(state, bar) {
+        const previousClose = state.previousClose;
+        state.previousClose = bar.close;
+        if (previousClose === null) {
+            return { rsi: null };
+        }
+
+        const change = bar.close - previousClose;
+        const gain = IndicatorMath.nextEMA(state.gain, Math.max(change, 0));
+        const loss = IndicatorMath.nextEMA(state.loss, Math.max(-change, 0));
+        if (gain === null || loss === null) {
+            return { rsi: null };
+        }
+        return { rsi: loss === 0 ? 100 : 100 - 100 / (1 + gain / loss) };
+    }
+};
+
+IndicatorRegistry.register(RSIIndicator);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RSIIndicator;
+} else if (typeof window !== 'undefined') {
+    window.RSIIndicator = RSIIndicator;
+}
@@ -0,0 +1,32 @@
+/**
+ * SMAIndicator - Simple moving average of the close
+ */
+const SMAIndicator = {
+    id: 'sma',
+    name: 'Simple Moving Average',
+    shortName: 'SMA',
+    target: 'overlay',
+    inputs: [
+        { name: 'period', label: 'Period', default: 20, min: 1, max: 1000, integer: true }
+    ],
+    outputs: [
+        { name: 'sma', label: 'SMA', type: 'line', color: '#f5a623', lineWidth: 2 }
+    ],
+
+    init: function(params) {
+        return { sma: IndicatorMath.sma(params.period) };
+    },
+
+    step: function(state, bar) {
+        return { sma: IndicatorMath.nextSMA(state.sma, bar.close) };
+    }
+};
+
+IndicatorRegistry.register(SMAIndicator);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SMAIndicator;
+} else if (typeof window !== 'undefined') {
+    window.SMAIndicator = SMAIndicator;
+}
@@ -0,0 +1,53 @@
+/**
+ * StochasticIndicator - Where the close sits in the recent high-low range: %K smoothed with an
+ * SMA, and %D as an SMA of %K
+ */
+const StochasticIndicator = {
+    id: 'stoch',
+    name: 'Stochastic',
+    shortName: 'Stoch',
+    target: 'pane',
+    precision: 2,
+    inputs: [
+        { name: 'kPeriod', label: '%K period', default: 14, min: 1, max: 500, integer: true },
+        { name: 'kSmoothing', label: '%K smoothing', default: 3, min: 1, max: 100, integer: true },
+        { name: 'dPeriod', label: '%D period', default: 3, min: 1, max: 100, integer: true }
+    ],
+    outputs: [
+        { name: 'k', label: '%K', type: 'line', color: '#42a5f5', lineWidth: 2 },
+        { name: 'd', label: '%D', type: 'line', color: '#ffa726', lineWidth: 2 }
+    ],
+    levels: [20, 80],
+
+    init: function(params) {
+        return {
+            highs: IndicatorMath.createWindow(params.kPeriod),
+            lows: IndicatorMath.createWindow(params.kPeriod),
+            k: IndicatorMath.sma(params.kSmoothing),
+            d: IndicatorMath.sma(params.dPeriod)
+        };
+    },
+
+    step: function(state, bar) {
+        const highest = IndicatorMath.nextHighest(state.highs, bar.high);
+        const lowest = IndicatorMath.nextLowest(state.lows, bar.low);
+
+        let rawK = null;
+        if (highest !== null && lowest !== null) {
+            // A flat range has no position in it; call it the middle
+            rawK = highest === lowest ? 50 : (bar.close - lowest) / (highest - lowest) * 100;
+        }
+
+        const k = IndicatorMath.nextSMA(state.k, rawK);
+        return { k, d: IndicatorMath.nextSMA(state.d, k) };
+    }
+};
+
+IndicatorRegistry.register(StochasticIndicator);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StochasticIndicator;
+} else if (typeof window !== 'undefined') {
+    window.StochasticIndicator = StochasticIndicator;
+}
@@ -0,0 +1,78 @@
+/**
+ * SupertrendIndicator - ATR trailing stop under the price in an uptrend and over it in a
+ * downtrend. The bands sit multiplier x ATR from the bar's midpoint and only ratchet
+ * towards the price; a close through the active band flips the trend.
+ */
+const SupertrendIndicator = {
+    id: 'supertrend',
+    name: 'Supertrend',
+    shortName: 'Supertrend',
+    target: 'overlay',
+    inputs: [
+        { name: 'period', label: 'ATR period', default: 10, min: 1, max: 500, integer: true },
+        { name: 'multiplier', label: 'Multiplier', default: 3, min: 0.1, max: 20, step: 0.1 }
+    ],
+    outputs: [
+        { name: 'up', label: 'Uptrend', type: 'line', color: '#26a69a', lineWidth: 2 },
+        { name: 'down', label: 'Downtrend', type: 'line', color: '#ef5350', lineWidth: 2 }
+    ],
+    signalMarkers: { buy: 'up', sell: 'down' },
+
+    init: function(params) {
+        return {
+            atr: IndicatorMath.rma(params.period),
+            previousClose: null,
+            upper: null,
+            lower: null,
+            // 1 in an uptrend, -1 in a downtrend, 0 until the ATR is ready
+            direction: 0
+        };
+    },
+
+    step: function(state, bar, params) {
+        const atr = IndicatorMath.nextEMA(state.atr, IndicatorMath.trueRange(bar, state.previousClose));
+        const previousClose = state.previousClose;
+        state.previousClose = bar.close;
+        if (atr === null) {
+            return { up: null, down: null };
+        }
+
+        const middle = (bar.high + bar.low) / 2;
+        const upper = middle + params.multiplier * atr;
+        const lower = middle - params.multiplier * atr;
+        const previousDirection = state.direction;
+
+        if (previousDirection === 0) {
+            state.upper = upper;
+            state.lower = lower;
+            state.direction = bar.close > middle ? 1 : -1;
+        } else {
+            // A band only moves towards the price, unless the last close was already through it
+            state.upper = upper < state.upper || previousClose > state.upper ? upper : state.upper;
+            state.lower = lower > state.lower || previousClose < state.lower ? lower : state.lower;
+            if (previousDirection === 1 && bar.close < state.lower) {
+                state.direction = -1;
+            } else if (previousDirection === -1 && bar.close > state.upper) {
+                state.direction = 1;
+            }
+        }
+
+        const values = {
+            up: state.direction === 1 ? state.lower : null,
+            down: state.direction === -1 ? state.upper : null
+        };
+        if (previousDirection !== 0 && state.direction !== previousDirection) {
+            values.signal = state.direction === 1 ? 'buy' : 'sell';
+        }
+        return values;
+    }
+};
+
+IndicatorRegistry.register(SupertrendIndicator);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SupertrendIndicator;
+} else if (typeof window !== 'undefined') {
+    window.SupertrendIndicator = SupertrendIndicator;
+}
@@ -0,0 +1,63 @@
+/**
+ * VWAPIndicator - Session VWAP of the typical price, reset at each UTC day or week
+ * (weeks start Monday, as in Resampler), with bands 1, 2 and 3 volume-weighted
+ * standard deviations above and below. BTC trades around the clock, so the session
+ * is a calendar bucket rather than an exchange's opening hours.
+ */
+const VWAPIndicator = {
+    id: 'vwap',
+    name: 'VWAP',
+    shortName: 'VWAP',
+    target: 'overlay',
+    inputs: [
+        {
+            name: 'session',
+            label: 'Session',
+            default: 1,
+            options: [
+                { value: 1, label: 'Day' },
+                { value: 7, label: 'Week' }
+            ]
+        },
+        { name: 'bands', label: 'Bands', default: 3, min: 0, max: 3, integer: true }
+    ],
+    outputs: [
+        { name: 'vwap', label: 'VWAP', type: 'line', color: '#2962ff', lineWidth: 2 },
+        { name: 'upper1', label: '+1σ', type: 'line', color: '#4caf50', lineWidth: 1 },
+        { name: 'lower1', label: '-1σ', type: 'line', color: '#4caf50', lineWidth: 1 },
+        { name: 'upper2', label: '+2σ', type: 'line', color: '#ff9800', lineWidth: 1 },
+        { name: 'lower2', label: '-2σ', type: 'line', color: '#ff9800', lineWidth: 1 },
+        { name: 'upper3', label: '+3σ', type: 'line', color: '#ef5350', lineWidth: 1 },
+        { name: 'lower3', label: '-3σ', type: 'line', color: '#ef5350', lineWidth: 1 }
+    ],
+
+    init: function() {
+        return { session: null, vwap: IndicatorMath.vwap() };
+    },
+
+    step: function(state, bar, params) {
+        const session = Resampler.bucketStart(bar.time, params.session * Resampler.TIMEFRAMES['1D']);
+        if (session !== state.session) {
+            state.session = session;
+            state.vwap = IndicatorMath.vwap();
+        }
+
+        const result = IndicatorMath.nextVWAP(state.vwap, bar);
+        const values = { vwap: result ? result.value : null };
+        for (let band = 1; band <= 3; band++) {
+            const shown = result && band <= params.bands;
+            values[`upper${band}`] = shown ? result.value + result.deviation * band : null;
+            values[`lower${band}`] = shown ? result.value - result.deviation * band : null;
+        }
+        return values;
+    }
+};
+
+IndicatorRegistry.register(VWAPIndicator);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VWAPIndicator;
+} else if (typeof window !== 'undefined') {
+    window.VWAPIndicator = VWAPIndicator;
+}
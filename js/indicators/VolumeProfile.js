@@ -0,0 +1,145 @@
+/**
+ * VolumeProfile - Volume-by-price histogram of a run of bars
+ *
+ * Each bar's volume is spread evenly over its high-low range and split into rows of equal
+ * price height, aligned to multiples of the row size so the rows do not shift as the range
+ * scrolls. The point of control (POC) is the row with the most volume; the value area
+ * grows from it, one row at a time towards the larger neighbour, until it holds the
+ * requested share of the volume.
+ */
+const VolumeProfile = (() => {
+    const MAX_ROWS = 1000;
+    const DEFAULTS = {
+        rowSize: 0,
+        rows: 24,
+        valueArea: 70
+    };
+
+    /**
+     * Round up to 1, 2, 2.5 or 5 times a power of ten
+     * @param {number} value - Positive number
+     * @returns {number} Nice step size
+     */
+    const niceStep = (value) => {
+        const power = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 2.5, 5, 10].find(multiple => multiple * power >= value);
+        return step * power;
+    };
+
+    /**
+     * Row height for a price span: the given size (coarsened if it would make too many
+     * rows), or a nice step giving about options.rows rows when it is 0
+     */
+    const getRowSize = (span, options) => {
+        if (options.rowSize > 0) {
+            return span / options.rowSize > MAX_ROWS ? niceStep(span / MAX_ROWS) : options.rowSize;
+        }
+        return niceStep(Math.max(span, 1e-8) / Math.max(1, options.rows));
+    };
+
+    /**
+     * Build the profile of bars[from..to]
+     * @param {Array} bars - Time-sorted bars { open, high, low, close, volume }
+     * @param {number} from - First bar index
+     * @param {number} to - Last bar index (inclusive)
+     * @param {Object} options - { rowSize: price per row (0 = auto), rows: rows when automatic,
+     *   valueArea: percent of the volume in the value area }
+     * @returns {Object|null} { rowSize, rows: [{ price, volume, upVolume }], poc, pocPrice,
+     *   valueAreaHigh, valueAreaLow, maxVolume, totalVolume } with rows[i] covering
+     *   price..price + rowSize, or null when the bars hold no volume
+     */
+    const compute = (bars, from, to, options = {}) => {
+        const settings = { ...DEFAULTS, ...options };
+        from = Math.max(0, from);
+        to = Math.min(bars.length - 1, to);
+        if (from > to) return null;
+
+        let low = Infinity;
+        let high = -Infinity;
+        for (let i = from; i <= to; i++) {
+            if (bars[i].low < low) low = bars[i].low;
+            if (bars[i].high > high) high = bars[i].high;
+        }
+        if (!Number.isFinite(low) || !Number.isFinite(high)) return null;
+
+        const rowSize = getRowSize(high - low, settings);
+        const base = Math.floor(low / rowSize) * rowSize;
+        const count = Math.max(1, Math.min(MAX_ROWS, Math.floor((high - base) / rowSize) + 1));
+        const volume = new Float64Array(count);
+        const upVolume = new Float64Array(count);
+        const rowOf = (price) => Math.min(count - 1, Math.max(0, Math.floor((price - base) / rowSize)));
+
+        let totalVolume = 0;
+        for (let i = from; i <= to; i++) {
+            const bar = bars[i];
+            const barVolume = bar.volume > 0 ? bar.volume : 0;
+            if (barVolume === 0) continue;
+
+            totalVolume += barVolume;
+            const up = bar.close >= bar.open;
+            const first = rowOf(bar.low);
+            const last = rowOf(bar.high);
+            const range = bar.high - bar.low;
+
+            for (let row = first; row <= last; row++) {
+                // Share of the bar's range inside this row (all of it for a flat bar)
+                const share = range > 0
+                    ? (Math.min(bar.high, base + (row + 1) * rowSize) - Math.max(bar.low, base + row * rowSize)) / range
+                    : 1;
+                const rowVolume = barVolume * share;
+                volume[row] += rowVolume;
+                if (up) upVolume[row] += rowVolume;
+            }
+        }
+        if (totalVolume === 0) return null;
+
+        let poc = 0;
+        for (let row = 1; row < count; row++) {
+            if (volume[row] > volume[poc]) poc = row;
+        }
+
+        const target = totalVolume * Math.min(100, Math.max(0, settings.valueArea)) / 100;
+        let lowRow = poc;
+        let highRow = poc;
+        let inArea = volume[poc];
+        while (inArea < target && (lowRow > 0 || highRow < count - 1)) {
+            const above = highRow < count - 1 ? volume[highRow + 1] : -1;
+            const below = lowRow > 0 ? volume[lowRow - 1] : -1;
+            if (above >= below) {
+                inArea += volume[++highRow];
+            } else {
+                inArea += volume[--lowRow];
+            }
+        }
+
+        const rows = [];
+        for (let row = 0; row < count; row++) {
+            rows.push({ price: base + row * rowSize, volume: volume[row], upVolume: upVolume[row] });
+        }
+
+        return {
+            rowSize,
+            rows,
+            poc,
+            pocPrice: base + (poc + 0.5) * rowSize,
+            valueAreaHigh: base + (highRow + 1) * rowSize,
+            valueAreaLow: base + lowRow * rowSize,
+            maxVolume: volume[poc],
+            totalVolume
+        };
+    };
+
+    return {
+        compute,
+        niceStep,
+        DEFAULTS,
+        MAX_ROWS
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VolumeProfile;
+}
+if (typeof window !== 'undefined') {
+    window.VolumeProfile = VolumeProfile;
+}
@@ -0,0 +1,32 @@
+/**
+ * WMAIndicator - Linearly weighted moving average of the close, newest bar weighted highest
+ */
+const WMAIndicator = {
+    id: 'wma',
+    name: 'Weighted Moving Average',
+    shortName: 'WMA',
+    target: 'overlay',
+    inputs: [
+        { name: 'period', label: 'Period', default: 20, min: 1, max: 500, integer: true }
+    ],
+    outputs: [
+        { name: 'wma', label: 'WMA', type: 'line', color: '#ab47bc', lineWidth: 2 }
+    ],
+
+    init: function(params) {
+        return { wma: IndicatorMath.wma(params.period) };
+    },
+
+    step: function(state, bar) {
+        return { wma: IndicatorMath.nextWMA(state.wma, bar.close) };
+    }
+};
+
+IndicatorRegistry.register(WMAIndicator);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WMAIndicator;
+} else if (typeof window !== 'undefined') {
+    window.WMAIndicator = WMAIndicator;
+}
@@ -5,127 +5,1520 @@ class BTCUSDApp {
         this.chart = null;
         this.data = [];
         this.isInitialized = false;
-        this.dataFilePath = 'DATA/BTCUSD15.csv';
+        this.dataFilePath = BTCUSDApp.DEFAULT_DATA_PATH;
+        this.timeframe = '15m';
 
-        // Drawing support
+        // Local file being shown (drag-and-drop or file picker), null for the default data file
+        this.dataFile = null;
+        this.dataMenu = null;
+        this.dropZone = null;
+
+        // Base bars as loaded (sorted), the cleaned base series and the resampled series built from it
+        this.rawBaseData = [];
+        this.baseData = [];
+        this.baseTimeframe = '15m';
+        this.timeframeCache = null;
+        this.timeframeSwitcher = null;
+
+        // Data source the chart's base series was loaded from; reloading the same source
+        // only appends the bars added since
+        this.loadedDataPath = null;
+
+        // Latest DataQuality report for the base series and the gap shading drawn from it
+        this.qualityReport = null;
+        this.qualityPanel = null;
+        this.gapShading = null;
+
+        // Gap/outlier cleaning applied to the base series and the audit log of its last run
+        this.cleaningPolicy = DataProcessor.normalizeCleaningPolicy();
+        this.cleaningAudit = null;
+
+        // Live trade feed; bars that arrive while the page is hidden wait here by time
+        this.liveFeed = null;
+        this.liveFeedBadge = null;
+        this.pendingLiveBars = new Map();
+
+        // Bar replay and its header controls; replayPick is the chart click handler while
+        // the user is picking the start bar
+        this.replay = null;
+        this.replayControls = null;
+        this.replayPick = null;
+
+        // Header "Go to" date/range control
+        this.goToControl = null;
+
+        // Header share-link control
+        this.shareLinkControl = null;
+
+        // Header workspace switcher and the name of the workspace last saved or loaded
+        this.workspaceMenu = null;
+        this.activeWorkspace = null;
+
+        // CSV dialect chosen by the user for this file, and the sample it was mapped from
+        this.csvDialect = null;
+        this.csvSampleLines = [];
+
+        // Drawing support; drawingsRestored settles once the saved drawings are back on the chart
         this.toolbar = null;
         this.drawingManager = null;
+        this.drawingsRestored = Promise.resolve();
+
+        // Initialize application
+        this.init();
+    }
+
+    /**
+     * Initialize the application
+     */
+    async init() {
+        try {
+            console.log('Initializing BTCUSD Chart Application...');
+
+            // Check browser support
+            if (!Utils.checkBrowserSupport()) {
+                throw new Error('Your browser is not supported. Please use a modern browser.');
+            }
+
+            // Initialize drawing support first so it hears 'chart-drawing-ready'
+            this.initializeDrawingSupport();
+
+            // Header timeframe buttons
+            this.initializeTimeframeSwitcher();
+
+            // Header CSV mapping button
+            this.initializeCSVSettings();
+
+            // Local files from the Data menu or dropped onto the chart
+            this.initializeFileLoading();
+
+            // Initialize chart
+            this.initializeChart();
+
+            // Go-to control and the visible range in the info panel
+            this.initializeNavigation();
+
+            // Indicator add/remove/settings and the indicators from last time
+            await this.initializeIndicators();
+
+            // Data quality panel and gap shading
+            this.initializeDataQuality();
+
+            // Bar replay controls
+            this.initializeReplay();
+
+            // Load and display data
+            await this.loadCleaningPolicy();
+            await this.loadData();
+
+            // Workspace switcher and the chart layout from last time
+            await this.initializeWorkspaces();
+
+            // Restore the view from a shared link, if the page was opened with one
+            this.initializeDeepLinks();
+            await this.applyDeepLink(window.location.hash);
+
+            // Live feed badge; connects now if it was on last time
+            await this.initializeLiveFeed();
+
+            // Setup global error handling
+            this.setupErrorHandling();
+
+            this.isInitialized = true;
+            console.log('BTCUSD Chart Application initialized successfully');
+
+        } catch (error) {
+            console.error('Failed to initialize application:', error);
+            Utils.showError(`Application initialization failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Initialize the TradingView chart
+     */
+    initializeChart() {
+        try {
+            Utils.setLoading('Initializing chart...');
+
+            // Create chart instance
+            this.chart = new BTCUSDChart('chart-container', {
+                // Custom chart options can be added here
+                layout: {
+                    background: { type: 'solid', color: '#000000' }
+                },
+                grid: {
+                    vertLines: { color: 'rgba(42, 46, 57, 0.3)' },
+                    horzLines: { color: 'rgba(42, 46, 57, 0.3)' }
+                }
+            });
+
+            if (this.toolbar) {
+                this.toolbar.updateVolumeButton({ visible: this.chart.isVolumeVisible() });
+            }
+
+            console.log('Chart initialized successfully');
+
+        } catch (error) {
+            console.error('Failed to initialize chart:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load BTCUSD data from CSV file
+     */
+    async loadData() {
+        const startTime = performance.now();
+
+        try {
+            console.log('Loading BTCUSD data...');
+
+            const result = await this.readDataSource();
+            if (result.fromCache && this.loadedDataPath === this.dataFilePath && this.baseData.length > 0) {
+                this.appendBaseData(result.appended);
+            } else {
+                this.applyBaseData(result.data);
+            }
+            this.loadedDataPath = this.dataFilePath;
+
+            // Log performance metrics
+            const loadTime = performance.now() - startTime;
+            console.log(`Data loaded successfully in ${Math.round(loadTime)}ms`);
+            console.log(`Total data points: ${this.data.length}`);
+
+            // Hide loading indicator
+            Utils.hideLoading();
+
+        } catch (error) {
+            console.error('Failed to load data:', error);
+            Utils.hideLoading();
+            throw error;
+        }
+    }
+
+    /**
+     * Read the current data source: the default CSV or a local file
+     * CSV sources go through BarCache, keyed by the data path
+     * @returns {Promise<Object>} { data, appended, fromCache } as from DataProcessor.loadCachedCSVData
+     */
+    async readDataSource() {
+        // Use the mapping saved for this file if there is one
+        this.csvDialect = (await this.loadStoredDialect()) || this.csvDialect;
+
+        const options = {
+            dialect: this.csvDialect,
+            onDialect: (dialect, sampleLines) => {
+                this.csvDialect = dialect;
+                this.csvSampleLines = sampleLines || [];
+            }
+        };
+
+        // Only the streamed CSV importer goes through the bar cache
+        const importer = await DataProcessor.detectImporter(this.dataFile || this.dataFilePath);
+        if (!importer.streaming) {
+            const data = await DataProcessor.loadDataFile(this.dataFile, { ...options, importer });
+            return { data, appended: null, fromCache: false };
+        }
+
+        return DataProcessor.loadCachedCSVData(this.dataFile || this.dataFilePath, {
+            ...options,
+            cacheKey: this.dataFilePath
+        });
+    }
+
+    /**
+     * Validate and convert parsed bars, then show them as the chart's base series
+     * @param {Array} rawData - Parsed bars
+     * @param {Object} options - { fitContent: false to keep the current view }
+     */
+    applyBaseData(rawData, options = {}) {
+        // Validate data integrity
+        const validation = DataProcessor.validateDataIntegrity(rawData);
+        if (!validation.valid) {
+            console.warn('Data validation warnings:', validation.errors);
+            console.log(`${validation.validPoints} valid points, ${validation.invalidPoints} invalid points skipped`);
+        }
+
+        // Report on the rows as loaded, then put them in order for the chart
+        const report = DataQuality.analyze(rawData);
+        if (report.counts.order > 0 || report.counts.duplicate > 0) {
+            console.warn(`BTCUSDApp: Sorting data (${report.counts.order} out of order, ${report.counts.duplicate} duplicates)`);
+            rawData = DataProcessor.normalizeData(rawData);
+        }
+
+        // Convert to TradingView format
+        this.rawBaseData = DataProcessor.convertToTradingViewFormat(rawData);
+
+        // Local files can have any bar interval; name it after the matching timeframe
+        const interval = Resampler.detectInterval(this.rawBaseData) || Resampler.getSeconds('15m');
+        this.baseTimeframe = Resampler.getTimeframeForInterval(interval) || `${interval}s`;
+        this.cleanBaseData(interval);
+
+        const timeframes = Resampler.getAvailableTimeframes(interval);
+        if (!timeframes.includes(this.baseTimeframe)) {
+            timeframes.unshift(this.baseTimeframe);
+        }
+        if (!timeframes.includes(this.timeframe)) {
+            this.timeframe = this.baseTimeframe;
+            window.eventBus.emit('timeframe-changed', { timeframe: this.timeframe, previous: null });
+        }
+
+        // Higher timeframes are resampled from the base bars on first use
+        this.timeframeCache = Resampler.createCache(this.baseData, this.baseTimeframe);
+        if (this.timeframeSwitcher) {
+            this.timeframeSwitcher.setTimeframes(timeframes);
+        }
+        this.data = this.timeframeCache.get(this.timeframe);
+
+        // Set data to chart; a new dataset ends any replay
+        if (this.replay) {
+            this.replay.exit();
+        }
+        if (this.chart) {
+            this.chart.setData(this.data, options);
+        }
+
+        // Update chart information display
+        this.updateChartInfo();
+        this.setQualityReport(report);
+    }
+
+    /**
+     * Add bars to the end of the base series, updating the chart bar by bar so the view is kept
+     * @param {Array} rawBars - Parsed bars at or after the last base bar
+     * @param {Object} options - { quiet: true to skip the chart info and quality report, for live ticks }
+     */
+    appendBaseData(rawBars, options = {}) {
+        if (!rawBars || rawBars.length === 0) {
+            console.log('BTCUSDApp: No new bars');
+            return;
+        }
+
+        const bars = DataProcessor.convertToTradingViewFormat(rawBars);
+        const cleaned = this.cleanAppendedBars(bars);
+        const changed = this.timeframeCache.append(cleaned);
+        this.data = this.timeframeCache.get(this.timeframe);
+        this.cleaningAudit.outputCount = this.baseData.length;
+
+        // During replay the new bars are revealed when the replay reaches them
+        if (this.chart && !this.isReplaying()) {
+            (changed[this.timeframe] || []).forEach(bar => this.chart.updateData(bar));
+        }
+
+        if (!options.quiet) {
+            console.log(`BTCUSDApp: Appended ${bars.length} bars`);
+            this.updateChartInfo();
+            this.setQualityReport(DataQuality.analyze(this.rawBaseData));
+        }
+        window.eventBus.emit('bars-appended', { count: bars.length, timeframe: this.timeframe });
+    }
+
+    /**
+     * Build the base series from the raw bars with the current cleaning policy
+     * @param {number} interval - Base bar interval in seconds
+     */
+    cleanBaseData(interval) {
+        if (DataProcessor.isNoopCleaningPolicy(this.cleaningPolicy)) {
+            // Nothing to change; raw and base bars are the same array
+            this.baseData = this.rawBaseData;
+            this.cleaningAudit = DataProcessor.cleanData(this.rawBaseData, this.cleaningPolicy, { interval }).audit;
+        } else {
+            const result = DataProcessor.cleanData(this.rawBaseData, this.cleaningPolicy, { interval });
+            this.baseData = result.data;
+            this.cleaningAudit = result.audit;
+            console.log(`BTCUSDApp: Cleaning made ${result.audit.changes.length} changes`, result.audit.policy);
+        }
+
+        this.cleaningAudit.dataset = this.dataFilePath;
+        window.eventBus.emit('data-cleaning-applied', { audit: this.cleaningAudit });
+    }
+
+    /**
+     * Add bars to the raw series and clean them against the end of the base series
+     * @param {Array} bars - Time-sorted bars at or after the last raw bar
+     * @returns {Array} Cleaned bars to append to the base series
+     */
+    cleanAppendedBars(bars) {
+        if (this.rawBaseData !== this.baseData) {
+            while (this.rawBaseData.length > 0 && this.rawBaseData[this.rawBaseData.length - 1].time >= bars[0].time) {
+                this.rawBaseData.pop();
+            }
+            bars.forEach(bar => this.rawBaseData.push(bar));
+        }
+
+        if (DataProcessor.isNoopCleaningPolicy(this.cleaningPolicy) || !this.cleaningAudit) {
+            return bars;
+        }
+
+        // The last kept bar before the new ones lets gaps up to them be filled
+        const contextIndex = Utils.findBarIndexAtOrBefore(this.baseData, bars[0].time - 1);
+        const context = contextIndex >= 0 ? [this.baseData[contextIndex]] : [];
+        const result = DataProcessor.cleanData(context.concat(bars), this.cleaningPolicy, {
+            interval: this.cleaningAudit.interval,
+            wickStats: this.cleaningAudit.wickStats
+        });
+
+        this.cleaningAudit.changes.push(...result.audit.changes);
+        this.cleaningAudit.inputCount = this.rawBaseData.length;
+        window.eventBus.emit('data-cleaning-applied', { audit: this.cleaningAudit });
+
+        return context.length > 0 ? result.data.filter(bar => bar.time > context[0].time) : result.data;
+    }
+
+    /**
+     * Change the cleaning policy and rebuild the chart from the raw bars, keeping the view
+     * @param {Object} policy - Cleaning policy (see DataProcessor.CLEANING_DEFAULTS)
+     */
+    async setCleaningPolicy(policy) {
+        this.cleaningPolicy = DataProcessor.normalizeCleaningPolicy(policy);
+
+        try {
+            await AppStorage.set('settings', 'cleaning-policy', this.cleaningPolicy);
+        } catch (error) {
+            console.warn('BTCUSDApp: Failed to save cleaning policy:', error);
+        }
+
+        if (this.rawBaseData.length === 0) return;
+
+        const range = this.chart ? this.chart.getVisibleRange() : null;
+        this.cleanBaseData(Resampler.detectInterval(this.rawBaseData));
+        this.timeframeCache = Resampler.createCache(this.baseData, this.baseTimeframe);
+        this.data = this.timeframeCache.get(this.timeframe);
+
+        if (this.chart) {
+            this.showData({ fitContent: false });
+            this.chart.setVisibleRange(range);
+        }
+        this.updateChartInfo();
+    }
+
+    /**
+     * Restore the saved cleaning policy
+     */
+    async loadCleaningPolicy() {
+        try {
+            const stored = await AppStorage.get('settings', 'cleaning-policy');
+            if (stored) {
+                this.cleaningPolicy = DataProcessor.normalizeCleaningPolicy(stored);
+            }
+        } catch (error) {
+            console.warn('BTCUSDApp: Failed to load cleaning policy:', error);
+        }
+    }
+
+    /**
+     * Open a local CSV/JSON file, replacing the chart data or adding its bars
+     * @param {File} file - Local file
+     * @param {string} mode - 'replace' or 'add'
+     * @returns {Promise<boolean>} True if the file was loaded
+     */
+    async openDataFile(file, mode = 'replace') {
+        if (mode === 'add' && this.baseData.length > 0) {
+            return this.addDataFile(file);
+        }
+
+        const previous = {
+            dataFile: this.dataFile,
+            dataFilePath: this.dataFilePath,
+            csvDialect: this.csvDialect,
+            csvSampleLines: this.csvSampleLines
+        };
+
+        this.dataFile = file;
+        this.dataFilePath = `local:${file.name}`;
+        this.csvDialect = null;
+        this.csvSampleLines = [];
+
+        try {
+            Utils.hideError();
+            await this.loadData();
+        } catch (error) {
+            // Keep showing the previous data
+            Object.assign(this, previous);
+            console.error('Failed to open data file:', error);
+            return false;
+        }
+
+        this.rememberFile(file);
+        this.onDatasetChanged('replace');
+        return true;
+    }
+
+    /**
+     * Merge a local file's bars into the chart data
+     * @param {File} file - Local file with bars at the same interval
+     * @returns {Promise<boolean>} True if the bars were added
+     */
+    async addDataFile(file) {
+        try {
+            Utils.hideError();
+            const rawData = await DataProcessor.loadDataFile(file);
+            const added = DataProcessor.convertToTradingViewFormat(rawData);
+
+            const interval = Resampler.detectInterval(this.rawBaseData);
+            const addedInterval = Resampler.detectInterval(added);
+            if (interval && addedInterval && interval !== addedInterval) {
+                throw new Error(`${file.name} has ${addedInterval}s bars but the chart has ${interval}s bars`);
+            }
+
+            // Merge with the bars as loaded; cleaning is applied again to the result
+            const before = this.rawBaseData.length;
+            this.applyBaseData(DataProcessor.mergeData(this.rawBaseData, added), { fitContent: false });
+            console.log(`BTCUSDApp: Added ${file.name}: ${added.length} bars, ${this.rawBaseData.length - before} new`);
+
+            Utils.hideLoading();
+            this.rememberFile(file);
+            this.onDatasetChanged('add');
+            return true;
+
+        } catch (error) {
+            console.error('Failed to add data file:', error);
+            Utils.hideLoading();
+            Utils.showError(`Failed to add ${file.name}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Reopen a file from the recent files list
+     * @param {string} id - Recent file id
+     * @param {string} mode - 'replace' or 'add'
+     */
+    async openRecentFile(id, mode = 'replace') {
+        try {
+            const entry = await RecentFiles.get(id);
+            if (!RecentFiles.hasFile(entry)) {
+                Utils.showError('That file is no longer available. Please open it again.');
+                return false;
+            }
+            return this.openDataFile(entry.file, mode);
+        } catch (error) {
+            console.error('Failed to open recent file:', error);
+            Utils.showError('Failed to open recent file.');
+            return false;
+        }
+    }
+
+    /**
+     * Go back to the default data file
+     */
+    async openDefaultData() {
+        if (!this.dataFile) return true;
+
+        const previous = { dataFile: this.dataFile, dataFilePath: this.dataFilePath };
+        this.dataFile = null;
+        this.dataFilePath = BTCUSDApp.DEFAULT_DATA_PATH;
+        this.csvDialect = null;
+        this.csvSampleLines = [];
+
+        try {
+            await this.loadData();
+        } catch (error) {
+            Object.assign(this, previous);
+            return false;
+        }
+
+        this.onDatasetChanged('replace');
+        return true;
+    }
+
+    rememberFile(file) {
+        RecentFiles.add(file).catch((error) => {
+            console.warn('BTCUSDApp: Failed to remember recent file:', error);
+        });
+    }
+
+    /**
+     * Point drawings at the new dataset and tell the rest of the app
+     * @param {string} mode - 'replace' or 'add'
+     */
+    onDatasetChanged(mode) {
+        if (mode === 'replace' && this.drawingManager) {
+            this.drawingsRestored = this.drawingManager.setPersistenceContext(this.dataFilePath, this.timeframe);
+        }
+
+        this.updateDatasetLabel();
+        window.eventBus.emit('dataset-changed', {
+            dataset: this.dataFilePath,
+            name: this.dataFile ? this.dataFile.name : this.dataFilePath,
+            mode
+        });
+    }
+
+    updateDatasetLabel() {
+        const label = document.getElementById('dataset-name');
+        if (label) {
+            Sanitizer.setSafeText(label, this.dataFile ? this.dataFile.name : this.dataFilePath.split('/').pop());
+        }
+    }
+
+    /**
+     * Initialize the Data menu and chart drop zone
+     */
+    initializeFileLoading() {
+        if (!window.eventBus) return;
+
+        if (typeof DataMenu !== 'undefined') {
+            this.dataMenu = new DataMenu(window.eventBus, document.getElementById('data-menu-container'));
+        }
+        if (typeof FileDropZone !== 'undefined') {
+            this.dropZone = new FileDropZone(window.eventBus, document.getElementById('chart-container'));
+        }
+
+        window.eventBus.on('data-file-selected', ({ file, mode }) => {
+            this.openDataFile(file, mode);
+        });
+        window.eventBus.on('data-recent-selected', ({ id, mode }) => {
+            this.openRecentFile(id, mode);
+        });
+        window.eventBus.on('data-default-selected', () => {
+            this.openDefaultData();
+        });
+
+        this.updateDatasetLabel();
+    }
+
+    /**
+     * Initialize the live feed and its header badge
+     */
+    async initializeLiveFeed() {
+        if (typeof LiveFeed === 'undefined' || !window.eventBus) return;
+
+        let settings = {};
+        try {
+            settings = (await AppStorage.get('settings', 'live-feed')) || {};
+        } catch (error) {
+            console.warn('BTCUSDApp: Failed to load live feed settings:', error);
+        }
+
+        this.liveFeed = new LiveFeed(window.eventBus, {
+            url: LiveFeed.isAllowedUrl(settings.url) ? settings.url : LiveFeed.DEFAULT_URL,
+            getInterval: () => Resampler.getSeconds(this.baseTimeframe) || Resampler.detectInterval(this.rawBaseData) || 900,
+            getLastBar: () => this.baseData[this.baseData.length - 1] || null
+        });
+
+        if (typeof LiveFeedBadge !== 'undefined') {
+            this.liveFeedBadge = new LiveFeedBadge(window.eventBus, document.getElementById('live-feed-container'));
+        }
+
+        window.eventBus.on('live-bar', ({ bar, closed }) => this.applyLiveBar(bar, !!closed));
+        window.eventBus.on('live-feed-backfill', ({ bars }) => this.appendBaseData(bars));
+        window.eventBus.on('live-feed-toggle', () => this.toggleLiveFeed());
+        window.eventBus.on('live-feed-configure', () => this.configureLiveFeed());
+        window.eventBus.on('dataset-changed', () => this.liveFeed.reseed());
+
+        if (settings.enabled) {
+            this.toggleLiveFeed(true);
+        }
+    }
+
+    /**
+     * Start or stop the live feed and remember the choice
+     * @param {boolean} [enabled] - Desired state; toggles when omitted
+     */
+    toggleLiveFeed(enabled = !this.liveFeed.isActive()) {
+        try {
+            if (enabled) {
+                this.liveFeed.connect();
+            } else {
+                this.liveFeed.disconnect();
+            }
+        } catch (error) {
+            Utils.showError(error.message);
+            return;
+        }
+
+        this.saveLiveFeedSettings();
+    }
+
+    /**
+     * Ask for the live feed address
+     */
+    configureLiveFeed() {
+        const url = window.prompt('Local WebSocket feed address', this.liveFeed.getUrl());
+        if (url === null) return;
+
+        try {
+            this.liveFeed.setUrl(url.trim());
+        } catch (error) {
+            Utils.showError(error.message);
+            return;
+        }
+        this.saveLiveFeedSettings();
+    }
+
+    saveLiveFeedSettings() {
+        AppStorage.set('settings', 'live-feed', {
+            url: this.liveFeed.getUrl(),
+            enabled: this.liveFeed.isActive()
+        }).catch((error) => {
+            console.warn('BTCUSDApp: Failed to save live feed settings:', error);
+        });
+    }
+
+    /**
+     * Show a live candle update; the chart info and quality report refresh when a candle closes
+     * @param {Object} bar - Current candle
+     * @param {boolean} rolledOver - True if this trade started a new candle
+     */
+    applyLiveBar(bar, rolledOver) {
+        const last = this.baseData[this.baseData.length - 1];
+        if (!last || bar.time < last.time) return;
+
+        // Hidden tabs keep only the latest state of each candle and catch up when shown
+        if (document.hidden) {
+            this.pendingLiveBars.set(bar.time, bar);
+            return;
+        }
+
+        this.appendBaseData([bar], { quiet: !rolledOver });
+    }
+
+    /**
+     * Pause chart updates while the page is hidden and apply what arrived meanwhile on return
+     * @param {boolean} hidden - True if the page was hidden
+     */
+    handleVisibilityChange(hidden) {
+        if (hidden || this.pendingLiveBars.size === 0) return;
+
+        const bars = Array.from(this.pendingLiveBars.values()).sort((a, b) => a.time - b.time);
+        this.pendingLiveBars.clear();
+        this.appendBaseData(bars);
+    }
+
+    /**
+     * Initialize the data quality panel and the gap shading primitive
+     */
+    initializeDataQuality() {
+        if (!window.eventBus) return;
+
+        if (typeof DataQualityPanel !== 'undefined') {
+            this.qualityPanel = new DataQualityPanel(window.eventBus, document.getElementById('data-quality-container'));
+        }
+        if (typeof GapShadingPrimitive !== 'undefined' && this.chart && this.chart.candlestickSeries) {
+            this.gapShading = new GapShadingPrimitive(this.chart);
+            this.chart.candlestickSeries.attachPrimitive(this.gapShading);
+        }
+
+        window.eventBus.on('data-quality-issue-selected', ({ issue }) => {
+            this.showTimeRange(issue.time, issue.endTime || issue.time);
+        });
+        window.eventBus.on('gap-shading-toggled', ({ visible }) => {
+            if (this.gapShading) {
+                this.gapShading.setVisible(visible);
+                this.redrawChart();
+            }
+        });
+        window.eventBus.on('cleaning-policy-selected', ({ policy }) => {
+            this.setCleaningPolicy(policy);
+        });
+    }
+
+    /**
+     * Show a new data quality report in the panel and shade its gaps
+     * @param {Object} report - Result of DataQuality.analyze()
+     */
+    setQualityReport(report) {
+        this.qualityReport = report;
+
+        const total = DataQuality.countIssues(report);
+        if (total > 0) {
+            console.warn(`BTCUSDApp: ${total} data quality issues:`, report.counts);
+        }
+
+        if (this.gapShading) {
+            this.gapShading.setGaps(report.gaps);
+            this.redrawChart();
+        }
+        window.eventBus.emit('data-quality-report', { report });
+    }
+
+    /**
+     * Scroll the chart to a time span with some bars of context either side
+     * @param {number} from - Start time in unix seconds
+     * @param {number} to - End time in unix seconds
+     * @param {number} contextBars - Bars to show before and after the span
+     */
+    showTimeRange(from, to, contextBars = 40) {
+        if (!this.chart || typeof from !== 'number') return;
+
+        const interval = Resampler.getSeconds(this.timeframe) ||
+            Resampler.detectInterval(this.data) ||
+            Resampler.getSeconds('15m');
+        this.chart.setVisibleRange({
+            from: from - contextBars * interval,
+            to: to + contextBars * interval
+        });
+    }
+
+    /**
+     * Follow the toolbar's indicator requests and restore the indicators shown last time
+     */
+    async initializeIndicators() {
+        const indicators = this.chart ? this.chart.getIndicators() : null;
+        if (!indicators || !window.eventBus) return;
+
+        window.eventBus.on('indicator-add-requested', ({ id }) => {
+            try {
+                indicators.add(id);
+            } catch (error) {
+                Utils.showError(error.message);
+            }
+        });
+        window.eventBus.on('indicator-settings-requested', ({ key }) => this.editIndicator(key));
+        window.eventBus.on('indicator-remove-requested', ({ key }) => indicators.remove(key));
+        window.eventBus.on('indicators-changed', () => {
+            AppStorage.set('settings', 'indicators', indicators.getState()).catch((error) => {
+                console.warn('BTCUSDApp: Failed to save indicators:', error);
+            });
+        });
+
+        try {
+            const saved = await AppStorage.get('settings', 'indicators');
+            if (Array.isArray(saved)) {
+                this.restoreIndicators(saved, 'Saved');
+            }
+        } catch (error) {
+            console.warn('BTCUSDApp: Failed to restore indicators:', error);
+        }
+    }
+
+    /**
+     * Replace the indicators on the chart, reporting any that could not be added
+     * @param {Array} entries - { id, params, styles } from a workspace, link or saved settings
+     * @param {string} source - Where the entries came from, for the error message
+     */
+    restoreIndicators(entries, source) {
+        const indicators = this.chart ? this.chart.getIndicators() : null;
+        if (!indicators) return;
+
+        const result = indicators.setState(entries);
+        if (result.rejected.length > 0) {
+            console.warn(`BTCUSDApp: ${source} indicators skipped:`, result.rejected);
+            Utils.showError(`${source} indicator skipped: ${result.rejected[0].reason}`);
+        }
+    }
+
+    /**
+     * Open the settings dialog for an indicator on the chart
+     * @param {string} key - Indicator key
+     */
+    async editIndicator(key) {
+        const indicators = this.chart.getIndicators();
+        const current = indicators.list().find(indicator => indicator.key === key);
+        if (!current || typeof IndicatorSettingsDialog === 'undefined') return;
+
+        const result = await IndicatorSettingsDialog.show(IndicatorRegistry.get(current.id), current);
+        if (!result) return;
+
+        try {
+            indicators.configure(key, result);
+        } catch (error) {
+            Utils.showError(error.message);
+        }
+    }
+
+    /**
+     * Initialize the "Go to" control and keep the visible range shown in the info panel
+     */
+    initializeNavigation() {
+        if (!window.eventBus || !this.chart) return;
+
+        if (typeof GoToControl !== 'undefined') {
+            this.goToControl = new GoToControl(window.eventBus, document.getElementById('goto-container'));
+        }
+
+        window.eventBus.on('goto-date-selected', ({ time }) => this.goToDate(time));
+        window.eventBus.on('goto-range-selected', ({ preset }) => this.goToPreset(preset));
+
+        const timeScale = this.chart.getTimeScale();
+        if (timeScale) {
+            timeScale.subscribeVisibleTimeRangeChange(Utils.debounce(() => this.updateVisibleRangeInfo(), 100));
+        }
+    }
+
+    openGoTo() {
+        if (this.goToControl) {
+            this.goToControl.open();
+        }
+    }
+
+    /**
+     * Center the chart on a time, keeping the current zoom
+     * @param {number} time - Unix time in seconds; clamped to the bars on the chart
+     */
+    goToDate(time) {
+        const data = this.chart ? this.chart.getData() : null;
+        if (!data || data.length === 0) return;
+
+        const target = Math.min(Math.max(time, data[0].time), data[data.length - 1].time);
+        const range = this.chart.getVisibleRange();
+        const interval = Resampler.detectInterval(data) || Resampler.getSeconds('15m');
+        const halfWidth = range ? (range.to - range.from) / 2 : 100 * interval;
+
+        this.chart.setVisibleRange({ from: target - halfWidth, to: target + halfWidth });
+        console.log(`BTCUSDApp: Went to ${Utils.formatUTC(target)}`);
+    }
+
+    /**
+     * Fit the chart to a preset range ending at the last bar on the chart
+     * @param {string} preset - '1D', '1W', '1M', '3M', 'YTD', '1Y' or 'All'
+     */
+    goToPreset(preset) {
+        const data = this.chart ? this.chart.getData() : null;
+        if (!data || data.length === 0) return;
+
+        if (preset === 'All') {
+            this.chart.getTimeScale().fitContent();
+            return;
+        }
+
+        const range = Utils.getPresetRange(preset, data[0].time, data[data.length - 1].time);
+        if (range) {
+            this.chart.setVisibleRange(range);
+        }
+    }
+
+    /**
+     * Show the visible time range and its bar count in the info panel
+     */
+    updateVisibleRangeInfo() {
+        const range = this.chart ? this.chart.getVisibleRange() : null;
+        const data = this.chart ? this.chart.getData() : null;
+        if (!range || !data || data.length === 0) {
+            Utils.updateVisibleRange(null);
+            return;
+        }
+
+        const count = Utils.findBarIndexAtOrBefore(data, range.to) -
+            Utils.findBarIndexAtOrBefore(data, range.from - 1);
+        Utils.updateVisibleRange({ from: range.from, to: range.to, count });
+    }
+
+    /**
+     * Initialize the share-link control and follow links pasted into the address bar
+     */
+    initializeDeepLinks() {
+        if (typeof DeepLink === 'undefined' || !window.eventBus) return;
+
+        if (typeof ShareLinkControl !== 'undefined') {
+            this.shareLinkControl = new ShareLinkControl(window.eventBus, document.getElementById('share-container'));
+        }
+
+        window.eventBus.on('share-link-requested', ({ includeDrawings }) => this.shareLink(includeDrawings));
+        window.addEventListener('hashchange', () => this.applyDeepLink(window.location.hash));
+    }
+
+    /**
+     * Describe the current view for DeepLink.encode()
+     * @param {boolean} includeDrawings - Add the drawings on the chart
+     * @returns {Object} { timeframe, from, to, chartType, indicators, drawings }
+     */
+    getLinkState(includeDrawings) {
+        const range = this.chart ? this.chart.getVisibleRange() : null;
+        const indicators = this.chart ? this.chart.getIndicators() : null;
+        const state = {
+            timeframe: this.timeframe,
+            chartType: 'candles',
+            indicators: indicators ? indicators.getState() : []
+        };
+
+        if (range) {
+            state.from = range.from;
+            state.to = range.to;
+        }
+        if (includeDrawings && this.drawingManager) {
+            state.drawings = this.drawingManager.exportDrawings();
+        }
+        return state;
+    }
+
+    /**
+     * Put a link to the current view in the address bar and on the clipboard
+     * @param {boolean} includeDrawings - Add the drawings on the chart
+     */
+    async shareLink(includeDrawings) {
+        try {
+            const hash = await DeepLink.encode(this.getLinkState(includeDrawings));
+            window.history.replaceState(null, '', hash);
+
+            const url = window.location.href;
+            let copied = false;
+            try {
+                await navigator.clipboard.writeText(url);
+                copied = true;
+            } catch (error) {
+                console.warn('BTCUSDApp: Could not copy the link:', error);
+            }
+
+            window.eventBus.emit('share-link-ready', { url, copied });
+        } catch (error) {
+            console.error('BTCUSDApp: Failed to build link:', error);
+            window.eventBus.emit('share-link-failed', { message: error.message });
+        }
+    }
+
+    /**
+     * Restore the view described by a shared link; invalid parts are reported and skipped
+     * @param {string} hash - location.hash
+     */
+    async applyDeepLink(hash) {
+        if (typeof DeepLink === 'undefined') return;
 
-        // Initialize application
-        this.init();
+        let link;
+        try {
+            link = await DeepLink.decode(hash);
+        } catch (error) {
+            console.warn('BTCUSDApp: Failed to read link:', error);
+            return;
+        }
+        if (!link) return;
+
+        const { state, rejected } = link;
+        if (rejected.length > 0) {
+            console.warn('BTCUSDApp: Ignored link parameters:', rejected);
+            Utils.showError(`Ignored invalid link parameters: ${rejected.map(entry => entry.name).join(', ')}`);
+        }
+
+        this.exitReplay();
+
+        if (state.timeframe && state.timeframe !== this.timeframe) {
+            if (this.isTimeframeAvailable(state.timeframe)) {
+                this.setTimeframe(state.timeframe);
+            } else {
+                console.warn(`BTCUSDApp: Link timeframe '${state.timeframe}' is not available for this data`);
+            }
+        }
+
+        if (state.from !== undefined && this.chart) {
+            this.chart.setVisibleRange({ from: state.from, to: state.to });
+        }
+
+        if (state.indicators) {
+            this.restoreIndicators(state.indicators, 'Link');
+        }
+
+        if (state.drawings && this.drawingManager) {
+            // Saved drawings replace everything on restore, so add the link's after them,
+            // leaving out any already on the chart (e.g. the sharer's own)
+            await this.drawingsRestored;
+            const identity = (entry) => this.drawingManager.getDrawingIdentity(entry);
+            const present = new Set(this.drawingManager.exportDrawings().map(identity));
+            const drawings = state.drawings.filter(entry => !present.has(identity(entry)));
+            if (drawings.length > 0) {
+                const result = this.drawingManager.importDrawings(drawings);
+                if (result.rejected.length > 0) {
+                    Utils.showError(`Link drawings rejected: ${result.rejected[0].reason}`);
+                }
+            }
+        }
+
+        // Applied once: a reload should not add the link's drawings again
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+
+        window.eventBus.emit('deep-link-applied', { state });
     }
 
     /**
-     * Initialize the application
+     * @param {string} timeframe - Timeframe identifier
+     * @returns {boolean} True if the loaded data can be shown at this timeframe
      */
-    async init() {
+    isTimeframeAvailable(timeframe) {
+        if (timeframe === this.baseTimeframe) return true;
+        return Resampler.getAvailableTimeframes(Resampler.detectInterval(this.baseData)).includes(timeframe);
+    }
+
+    /**
+     * Initialize the workspace switcher and restore the chart layout saved last time
+     */
+    async initializeWorkspaces() {
+        if (typeof Workspaces === 'undefined' || !window.eventBus) return;
+
+        if (typeof WorkspaceMenu !== 'undefined') {
+            this.workspaceMenu = new WorkspaceMenu(window.eventBus, document.getElementById('workspace-container'));
+        }
+
+        window.eventBus.on('workspace-save-requested', ({ name }) => this.saveWorkspace(name));
+        window.eventBus.on('workspace-selected', ({ name }) => this.loadWorkspace(name));
+        window.eventBus.on('workspace-delete-requested', ({ name }) => this.deleteWorkspace(name));
+        window.eventBus.on('workspace-export-requested', () => this.exportWorkspace());
+        window.eventBus.on('workspace-import-selected', ({ file }) => this.importWorkspace(file));
+        window.eventBus.on('chart-layout-selected', ({ layout }) => {
+            if (this.chart) this.chart.applyLayoutOptions(layout);
+        });
+        window.eventBus.on('chart-layout-changed', ({ layout }) => {
+            AppStorage.set('settings', 'chart-layout', layout).catch((error) => {
+                console.warn('BTCUSDApp: Failed to save chart layout:', error);
+            });
+        });
+
         try {
-            console.log('Initializing BTCUSD Chart Application...');
+            const layout = await AppStorage.get('settings', 'chart-layout');
+            if (this.chart) this.chart.applyLayoutOptions(layout || {});
 
-            // Check browser support
-            if (!Utils.checkBrowserSupport()) {
-                throw new Error('Your browser is not supported. Please use a modern browser.');
-            }
+            const active = await AppStorage.get('settings', 'workspace-active');
+            this.setActiveWorkspace(typeof active === 'string' ? active : null, { persist: false });
+        } catch (error) {
+            console.warn('BTCUSDApp: Failed to restore chart layout:', error);
+        }
+    }
 
-            // Initialize chart
-            this.initializeChart();
+    /**
+     * @param {string|null} name - Workspace now on screen
+     * @param {Object} options - { persist: remember it for the next visit (default true) }
+     */
+    setActiveWorkspace(name, options = {}) {
+        this.activeWorkspace = name;
+        if (options.persist !== false) {
+            AppStorage.set('settings', 'workspace-active', name).catch((error) => {
+                console.warn('BTCUSDApp: Failed to save active workspace:', error);
+            });
+        }
+        window.eventBus.emit('workspaces-changed', { active: name });
+    }
 
-            // Initialize drawing support
-            this.initializeDrawingSupport();
+    /**
+     * Describe the current chart as a workspace for Workspaces.save()
+     * @param {string} name - Workspace name
+     * @returns {Object} Unvalidated workspace
+     */
+    captureWorkspace(name) {
+        const range = this.chart ? this.chart.getVisibleRange() : null;
+        return {
+            version: Workspaces.FORMAT_VERSION,
+            name,
+            dataSource: {
+                path: this.dataFilePath,
+                name: this.dataFile ? this.dataFile.name : null,
+                recentFileId: this.dataFile ? RecentFiles.fileId(this.dataFile) : null
+            },
+            timeframe: this.timeframe,
+            visibleRange: range ? { from: range.from, to: range.to } : null,
+            chart: this.chart.getLayoutOptions(),
+            toolbar: this.toolbar ? this.toolbar.getState() : null,
+            indicators: this.chart.getIndicators() ? this.chart.getIndicators().getState() : [],
+            drawings: this.drawingManager ? this.drawingManager.exportDrawings() : []
+        };
+    }
 
-            // Load and display data
-            await this.loadData();
+    /**
+     * Save the current chart under a name, replacing a workspace with the same name
+     * @param {string} name - Workspace name
+     */
+    async saveWorkspace(name) {
+        try {
+            const workspace = await Workspaces.save(this.captureWorkspace(name));
+            this.setActiveWorkspace(workspace.name);
+            console.log(`BTCUSDApp: Saved workspace '${workspace.name}'`);
+        } catch (error) {
+            console.error('BTCUSDApp: Failed to save workspace:', error);
+            Utils.showError(`Failed to save workspace: ${error.message}`);
+        }
+    }
 
-            // Setup global error handling
-            this.setupErrorHandling();
+    /**
+     * @param {string} name - Saved workspace to apply
+     */
+    async loadWorkspace(name) {
+        try {
+            const workspace = await Workspaces.get(name);
+            if (!workspace) {
+                Utils.showError(`Workspace "${name}" could not be read.`);
+                return;
+            }
+            await this.applyWorkspace(workspace);
+        } catch (error) {
+            console.error('BTCUSDApp: Failed to load workspace:', error);
+            Utils.showError(`Failed to load workspace: ${error.message}`);
+        }
+    }
 
-            this.isInitialized = true;
-            console.log('BTCUSD Chart Application initialized successfully');
+    /**
+     * @param {string} name - Saved workspace to delete
+     */
+    async deleteWorkspace(name) {
+        try {
+            await Workspaces.remove(name);
+            this.setActiveWorkspace(this.activeWorkspace === name ? null : this.activeWorkspace);
+        } catch (error) {
+            console.error('BTCUSDApp: Failed to delete workspace:', error);
+            Utils.showError('Failed to delete workspace.');
+        }
+    }
+
+    /**
+     * Download the current chart as a workspace file
+     */
+    exportWorkspace() {
+        try {
+            const result = Workspaces.validate(this.captureWorkspace(this.activeWorkspace || 'Workspace'));
+            if (!result.valid) {
+                throw new Error(result.errors.join('; '));
+            }
 
+            const blob = new Blob([Workspaces.toFileText(result.workspace)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = Sanitizer.sanitizeURL(url);
+            link.download = `btcusd-workspace-${result.workspace.name.replace(/[^A-Za-z0-9_-]+/g, '-')}.json`;
+            link.click();
+
+            setTimeout(() => URL.revokeObjectURL(url), 100);
         } catch (error) {
-            console.error('Failed to initialize application:', error);
-            Utils.showError(`Application initialization failed: ${error.message}`);
+            console.error('BTCUSDApp: Failed to export workspace:', error);
+            Utils.showError(`Failed to export workspace: ${error.message}`);
         }
     }
 
     /**
-     * Initialize the TradingView chart
+     * Save a workspace file and apply it
+     * @param {File} file - Workspace JSON file
      */
-    initializeChart() {
+    async importWorkspace(file) {
         try {
-            Utils.setLoading('Initializing chart...');
+            const result = Workspaces.parseFile(await file.text());
+            if (!result.valid) {
+                Utils.showError(`${file.name} is not a valid workspace: ${result.errors[0]}`);
+                return;
+            }
 
-            // Create chart instance
-            this.chart = new BTCUSDChart('chart-container', {
-                // Custom chart options can be added here
-                layout: {
-                    background: { type: 'solid', color: '#000000' }
-                },
-                grid: {
-                    vertLines: { color: 'rgba(42, 46, 57, 0.3)' },
-                    horzLines: { color: 'rgba(42, 46, 57, 0.3)' }
-                }
+            const workspace = await Workspaces.save(result.workspace);
+            await this.applyWorkspace(workspace);
+        } catch (error) {
+            console.error('BTCUSDApp: Failed to import workspace:', error);
+            Utils.showError(`Failed to import workspace: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open a workspace's data source
+     * @param {Object} source - { path, name, recentFileId }
+     * @returns {Promise<boolean>} True if the source is now on the chart
+     */
+    async openWorkspaceSource(source) {
+        if (source.path === this.dataFilePath) return true;
+        if (source.path === BTCUSDApp.DEFAULT_DATA_PATH) return this.openDefaultData();
+        if (source.recentFileId) return this.openRecentFile(source.recentFileId);
+        return false;
+    }
+
+    /**
+     * Bring back a workspace: data source, timeframe, chart layout, toolbar, indicators, drawings
+     * and view.
+     * If the data source is gone the rest is applied to the data on screen.
+     * @param {Object} workspace - Validated workspace
+     */
+    async applyWorkspace(workspace) {
+        this.exitReplay();
+
+        if (!(await this.openWorkspaceSource(workspace.dataSource))) {
+            const source = workspace.dataSource.name || workspace.dataSource.path;
+            Utils.showError(`Workspace "${workspace.name}": ${source} is not available, so it was applied to the data on screen.`);
+        }
+        // Restoring the dataset's own drawings must finish before the workspace's replace them
+        await this.drawingsRestored;
+
+        if (workspace.timeframe !== this.timeframe) {
+            if (this.isTimeframeAvailable(workspace.timeframe)) {
+                this.setTimeframe(workspace.timeframe);
+            } else {
+                console.warn(`BTCUSDApp: Workspace timeframe '${workspace.timeframe}' is not available for this data`);
+            }
+            // Nothing the switch did to the drawings may land after the workspace's replace them
+            await this.drawingsRestored;
+        }
+
+        if (this.chart) {
+            this.chart.applyLayoutOptions(workspace.chart);
+        }
+        if (this.toolbar && workspace.toolbar) {
+            this.toolbar.applyState(workspace.toolbar);
+        }
+        this.restoreIndicators(workspace.indicators, 'Workspace');
+
+        if (this.drawingManager) {
+            const result = this.drawingManager.replaceDrawings(workspace.drawings);
+            if (result.rejected.length > 0) {
+                Utils.showError(`Workspace drawings rejected: ${result.rejected[0].reason}`);
+            }
+        }
+
+        if (workspace.visibleRange && this.chart) {
+            this.chart.setVisibleRange(workspace.visibleRange);
+        }
+
+        this.setActiveWorkspace(workspace.name);
+        window.eventBus.emit('workspace-applied', { workspace });
+        console.log(`BTCUSDApp: Applied workspace '${workspace.name}'`);
+    }
+
+    /**
+     * Initialize bar replay and its header controls
+     */
+    initializeReplay() {
+        if (typeof BarReplay === 'undefined' || !window.eventBus || !this.chart) return;
+
+        this.replay = new BarReplay(window.eventBus, this.chart, {
+            getBaseData: () => this.baseData,
+            getBaseTimeframe: () => this.baseTimeframe,
+            getTimeframe: () => this.timeframe,
+            getSeries: (timeframe) => this.timeframeCache.get(timeframe)
+        });
+
+        if (typeof ReplayControls !== 'undefined') {
+            this.replayControls = new ReplayControls(window.eventBus, document.getElementById('replay-container'), {
+                speeds: BarReplay.SPEEDS
             });
+        }
 
-            console.log('Chart initialized successfully');
+        window.eventBus.on('replay-start-requested', ({ time }) => {
+            if (time === null) {
+                this.pickReplayStart();
+            } else {
+                this.startReplay(time);
+            }
+        });
+        window.eventBus.on('replay-toggle-play', () => this.replay.togglePlay());
+        window.eventBus.on('replay-step', () => {
+            this.replay.pause();
+            this.replay.step();
+        });
+        window.eventBus.on('replay-speed-selected', ({ speed }) => this.replay.setSpeed(speed));
+        window.eventBus.on('replay-exit', () => this.exitReplay());
+
+        // The data info follows the replay whenever it stops moving
+        window.eventBus.on('replay-state', ({ active, playing }) => {
+            if (active && !playing) {
+                this.updateChartInfo();
+            }
+        });
+    }
+
+    /**
+     * Hide the bars after a time and replay from there
+     * @param {number} time - Start time in unix seconds
+     */
+    startReplay(time) {
+        this.cancelReplayPick();
 
+        try {
+            this.replay.start(time);
         } catch (error) {
-            console.error('Failed to initialize chart:', error);
-            throw error;
+            console.error('BTCUSDApp: Failed to start replay:', error);
+            Utils.showError(`Failed to start replay: ${error.message}`);
         }
     }
 
     /**
-     * Load BTCUSD data from CSV file
+     * Start the replay at the next bar clicked on the chart (Escape cancels)
      */
-    async loadData() {
-        const startTime = performance.now();
+    pickReplayStart() {
+        if (!this.chart || this.replayPick) return;
+
+        this.replayPick = (param) => {
+            if (typeof param.time === 'number') {
+                this.startReplay(param.time);
+            }
+        };
+        this.chart.chart.subscribeClick(this.replayPick);
+
+        const container = document.getElementById('chart-container');
+        if (container) {
+            container.classList.add('replay-picking');
+        }
+    }
+
+    cancelReplayPick() {
+        if (!this.replayPick) return;
+
+        this.chart.chart.unsubscribeClick(this.replayPick);
+        this.replayPick = null;
+
+        const container = document.getElementById('chart-container');
+        if (container) {
+            container.classList.remove('replay-picking');
+        }
+    }
+
+    /**
+     * Leave replay mode and jump to the latest bar of the full data
+     */
+    exitReplay() {
+        this.cancelReplayPick();
+        if (!this.isReplaying()) return;
+
+        this.replay.exit();
+        if (this.chart) {
+            this.chart.setData(this.data, { fitContent: false });
+            this.chart.getTimeScale().scrollToRealTime();
+        }
+        this.updateChartInfo();
+    }
+
+    /**
+     * @returns {boolean} True while bar replay is active
+     */
+    isReplaying() {
+        return !!(this.replay && this.replay.isActive());
+    }
+
+    /**
+     * Put the current series on the chart, or the part revealed so far during bar replay
+     * @param {Object} options - Options for BTCUSDChart.setData
+     */
+    showData(options = {}) {
+        if (this.isReplaying()) {
+            this.replay.render();
+        } else {
+            this.chart.setData(this.data, options);
+        }
+    }
+
+    /**
+     * Ask the chart to repaint its primitives
+     */
+    redrawChart() {
+        if (this.chart && this.chart.chart) {
+            this.chart.chart.applyOptions({});
+        }
+    }
+
+    /**
+     * Switch the chart to another timeframe, keeping the visible range and drawings
+     * @param {string} timeframe - Timeframe identifier (e.g. '4h')
+     * @returns {boolean} True if the timeframe changed
+     */
+    setTimeframe(timeframe) {
+        if (timeframe === this.timeframe || !this.timeframeCache || !this.chart) return false;
+
+        if (!Resampler.getSeconds(timeframe) && timeframe !== this.baseTimeframe) {
+            console.warn(`BTCUSDApp: Unsupported timeframe '${timeframe}'`);
+            return false;
+        }
 
         try {
-            console.log('Loading BTCUSD data...');
+            const previous = this.timeframe;
+            const range = this.chart.getVisibleRange();
 
-            // Load data from CSV
-            const rawData = await DataProcessor.loadCSVData(this.dataFilePath);
+            this.data = this.timeframeCache.get(timeframe);
+            this.timeframe = timeframe;
 
-            // Validate data integrity
-            const validation = DataProcessor.validateDataIntegrity(rawData);
-            if (!validation.valid) {
-                console.warn('Data validation warnings:', validation.errors);
-                console.log(`${validation.validPoints} valid points, ${validation.invalidPoints} invalid points skipped`);
+            this.showData({ fitContent: false });
+            if (range) {
+                this.chart.setVisibleRange(range);
             }
 
-            // Convert to TradingView format
-            this.data = DataProcessor.convertToTradingViewFormat(rawData);
-
-            // Set data to chart
-            if (this.chart) {
-                this.chart.setData(this.data);
+            // Drawings are saved per dataset, so they stay on the chart as they are
+            if (this.drawingManager) {
+                this.drawingManager.setPersistenceTimeframe(timeframe);
+                this.drawingManager.scheduleRedraw();
             }
 
-            // Update chart information display
             this.updateChartInfo();
 
-            // Log performance metrics
-            const loadTime = performance.now() - startTime;
-            console.log(`Data loaded successfully in ${Math.round(loadTime)}ms`);
-            console.log(`Total data points: ${this.data.length}`);
+            window.eventBus.emit('timeframe-changed', { timeframe, previous });
+            console.log(`BTCUSDApp: Switched timeframe ${previous} -> ${timeframe} (${this.data.length} bars)`);
+            return true;
 
-            // Hide loading indicator
-            Utils.hideLoading();
+        } catch (error) {
+            console.error('Failed to switch timeframe:', error);
+            Utils.showError(`Failed to switch timeframe: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Settings key for the CSV dialect saved for the current data file
+     * @returns {string} Storage key
+     */
+    getDialectKey() {
+        return `csv-dialect::${this.dataFilePath}`;
+    }
+
+    /**
+     * Load the CSV dialect the user confirmed for the current data file
+     * @returns {Promise<Object|null>} Dialect, or null when none is saved or it is no longer valid
+     */
+    async loadStoredDialect() {
+        try {
+            const dialect = await AppStorage.get('settings', this.getDialectKey());
+            if (!dialect) return null;
 
+            const errors = CSVDialect.validateDialect(dialect);
+            if (errors.length > 0) {
+                console.warn('BTCUSDApp: Ignoring saved CSV mapping:', errors);
+                return null;
+            }
+            return CSVDialect.createDialect(dialect);
         } catch (error) {
-            console.error('Failed to load data:', error);
-            Utils.hideLoading();
-            throw error;
+            console.warn('BTCUSDApp: Failed to load saved CSV mapping:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Open the CSV mapping dialog for the current file and reload with the result
+     */
+    async editCSVMapping() {
+        if (typeof CSVMappingDialog === 'undefined' || this.csvSampleLines.length === 0) {
+            Utils.showError('Load a data file before changing its column mapping.');
+            return;
+        }
+
+        const dialect = await CSVMappingDialog.show({
+            dialect: this.csvDialect || CSVDialect.createDialect(),
+            issues: [],
+            headers: [],
+            sampleLines: this.csvSampleLines
+        }, { title: 'CSV import settings' });
+
+        if (!dialect) return;
+
+        try {
+            await AppStorage.set('settings', this.getDialectKey(), dialect);
+        } catch (error) {
+            console.warn('BTCUSDApp: Failed to save CSV mapping:', error);
+        }
+
+        this.csvDialect = dialect;
+        await this.refreshData();
+    }
+
+    /**
+     * Initialize the header CSV settings button
+     */
+    initializeCSVSettings() {
+        const button = document.getElementById('csv-settings-btn');
+        if (button) {
+            button.addEventListener('click', () => this.editCSVMapping());
         }
     }
 
+    /**
+     * Initialize the header timeframe switcher
+     */
+    initializeTimeframeSwitcher() {
+        if (typeof TimeframeSwitcher === 'undefined' || !window.eventBus) return;
+
+        this.timeframeSwitcher = new TimeframeSwitcher(
+            window.eventBus,
+            document.getElementById('timeframe-container'),
+            { active: this.timeframe }
+        );
+
+        window.eventBus.on('timeframe-selected', (timeframe) => {
+            this.setTimeframe(timeframe);
+        });
+    }
+
     /**
      * Update chart information display
      */
     updateChartInfo() {
         try {
-            const statistics = DataProcessor.getDataStatistics(this.data);
+            // During replay only the bars revealed so far are described
+            const data = this.isReplaying() ? this.chart.getData() : this.data;
+            const statistics = DataProcessor.getDataStatistics(data);
 
             if (statistics) {
                 Utils.updateChartInfo({
@@ -227,6 +1620,29 @@ class BTCUSDApp {
                 console.log('BTCUSDApp: Toolbar initialized');
             }
 
+            // Toolbar volume toggle
+            window.eventBus.on('toggle-volume', () => {
+                if (this.chart) {
+                    this.chart.applyLayoutOptions({ volumeVisible: !this.chart.isVolumeVisible() });
+                }
+            });
+
+            // Toolbar volume profile toggle
+            window.eventBus.on('toggle-volume-profile', () => {
+                if (this.chart) {
+                    this.chart.applyLayoutOptions({ volumeProfile: !this.chart.isVolumeProfileVisible() });
+                }
+            });
+
+            window.eventBus.on('drawing-limit-reached', ({ maxDrawings }) => {
+                Utils.showError(`The chart already has ${maxDrawings} drawings; remove some before drawing more`);
+            });
+
+            // Saved drawings that could not be shown stay saved; say so
+            window.eventBus.on('drawings-restore-failed', ({ count, rejected }) => {
+                Utils.showError(`${count} saved drawing${count === 1 ? '' : 's'} could not be shown and ${count === 1 ? 'was' : 'were'} kept: ${rejected[0].reason}`);
+            });
+
             // Wait for chart drawing support to be ready
             window.eventBus.on('chart-drawing-ready', (data) => {
                 this.drawingManager = data.drawingManager;
@@ -237,6 +1653,9 @@ class BTCUSDApp {
                     console.log('BTCUSDApp: Drawing manager connected to toolbar');
                 }
 
+                // Restore the drawings saved for this dataset/timeframe
+                this.drawingsRestored = this.drawingManager.setPersistenceContext(this.dataFilePath, this.timeframe);
+
                 console.log('BTCUSDApp: Drawing manager ready');
             });
         } catch (error) {
@@ -266,6 +1685,11 @@ class BTCUSDApp {
     }
 }
 
+/**
+ * Data file loaded on startup
+ */
+BTCUSDApp.DEFAULT_DATA_PATH = 'DATA/BTCUSD15.csv';
+
 // Initialize application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     // Create global app instance
@@ -284,6 +1708,29 @@ document.addEventListener('DOMContentLoaded', () => {
             event.preventDefault();
             window.BTCUSDApp.exportChart();
         }
+
+        // Alt+G: Go to a date or range
+        if (event.altKey && event.code === 'KeyG') {
+            event.preventDefault();
+            window.BTCUSDApp.openGoTo();
+        }
+
+        // Escape: Stop picking a replay start bar
+        if (event.key === 'Escape') {
+            window.BTCUSDApp.cancelReplayPick();
+        }
+
+        // Space / Right arrow: Play-pause and step the replay (not while typing or on a control)
+        const target = event.target.tagName;
+        if (window.BTCUSDApp.isReplaying() && !['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'].includes(target)) {
+            if (event.key === ' ') {
+                event.preventDefault();
+                window.eventBus.emit('replay-toggle-play');
+            } else if (event.key === 'ArrowRight' && !event.ctrlKey && !event.metaKey) {
+                event.preventDefault();
+                window.eventBus.emit('replay-step');
+            }
+        }
     });
 
     // Add performance monitoring
@@ -302,6 +1749,8 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('BTCUSD Chart Application loaded. Keyboard shortcuts:');
     console.log('- F5/Ctrl+R: Refresh data');
     console.log('- Ctrl+S: Export chart as image');
+    console.log('- Alt+G: Go to a date or range');
+    console.log('- Space / →: Play-pause / step bar replay');
 });
 
 // Handle page visibility changes
@@ -310,7 +1759,10 @@ document.addEventListener('visibilitychange', () => {
         console.log('Page hidden - pausing updates');
     } else {
         console.log('Page visible - resuming updates');
-        // Could implement data refresh here if needed
+    }
+
+    if (window.BTCUSDApp && typeof window.BTCUSDApp.handleVisibilityChange === 'function') {
+        window.BTCUSDApp.handleVisibilityChange(document.hidden);
     }
 });
 
@@ -0,0 +1,128 @@
+/**
+ * GapShadingPrimitive - Lightweight Charts primitive that shades missing-data gaps
+ * Draws a band behind the candles between the bars either side of each gap
+ */
+
+/**
+ * Renderer for the gap bands
+ */
+class GapShadingPaneRenderer {
+    constructor(primitive) {
+        this._primitive = primitive;
+    }
+
+    draw(target) {
+        this._primitive.drawGaps(target);
+    }
+}
+
+/**
+ * Pane view for gap shading, drawn under the series
+ */
+class GapShadingPaneView {
+    constructor(primitive) {
+        this._primitive = primitive;
+        this._renderer = new GapShadingPaneRenderer(primitive);
+    }
+
+    zOrder() {
+        return 'bottom';
+    }
+
+    renderer() {
+        return this._primitive.isVisible() ? this._renderer : null;
+    }
+}
+
+class GapShadingPrimitive {
+    /**
+     * @param {BTCUSDChart} chart - Chart wrapper, used to map gap times to coordinates
+     * @param {Object} options - { color, borderColor, visible }
+     */
+    constructor(chart, options = {}) {
+        this.chart = chart;
+        this.gaps = [];
+        this.options = {
+            color: 'rgba(255, 167, 38, 0.12)',
+            borderColor: 'rgba(255, 167, 38, 0.45)',
+            visible: true,
+            ...options
+        };
+        this._paneView = new GapShadingPaneView(this);
+    }
+
+    /**
+     * Required method for ISeriesPrimitive interface
+     */
+    paneViews() {
+        return [this._paneView];
+    }
+
+    /**
+     * Replace the shaded gaps
+     * @param {Array} gaps - { from, to } unix times of the bars either side of each gap
+     */
+    setGaps(gaps) {
+        this.gaps = Array.isArray(gaps) ? gaps : [];
+    }
+
+    setVisible(visible) {
+        this.options.visible = !!visible;
+    }
+
+    isVisible() {
+        return this.options.visible && this.gaps.length > 0;
+    }
+
+    /**
+     * Draw a band for every gap that overlaps the pane
+     * @param {CanvasRenderingTarget2D} target - Lightweight Charts rendering target
+     */
+    drawGaps(target) {
+        target.useMediaCoordinateSpace((mediaScope) => {
+            const { context: ctx, mediaSize } = mediaScope;
+
+            ctx.save();
+
+            try {
+                ctx.fillStyle = this.options.color;
+                ctx.strokeStyle = this.options.borderColor;
+                ctx.lineWidth = 1;
+
+                // Gaps after the last bar on the chart (e.g. during bar replay) are not shown
+                const data = this.chart.getData();
+                const lastTime = data && data.length > 0 ? data[data.length - 1].time : Infinity;
+
+                this.gaps.forEach(gap => {
+                    if (gap.from >= lastTime) return;
+
+                    const x1 = this.chart.timeToScreen(gap.from);
+                    const x2 = this.chart.timeToScreen(gap.to);
+                    if (x1 === null || x2 === null) return;
+
+                    const left = Math.min(x1, x2);
+                    const right = Math.max(x1, x2);
+                    // Skip gaps off screen or too narrow to see at this zoom
+                    if (right < 0 || left > mediaSize.width || right - left < 1) return;
+
+                    ctx.fillRect(left, 0, right - left, mediaSize.height);
+                    ctx.beginPath();
+                    ctx.moveTo(Math.round(left) + 0.5, 0);
+                    ctx.lineTo(Math.round(left) + 0.5, mediaSize.height);
+                    ctx.moveTo(Math.round(right) + 0.5, 0);
+                    ctx.lineTo(Math.round(right) + 0.5, mediaSize.height);
+                    ctx.stroke();
+                });
+            } finally {
+                ctx.restore();
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GapShadingPrimitive;
+} else if (typeof window !== 'undefined') {
+    window.GapShadingPrimitive = GapShadingPrimitive;
+}
@@ -0,0 +1,284 @@
+/**
+ * IchimokuCloudPrimitive - Lightweight Charts primitive for the parts of Ichimoku a line
+ * series cannot draw: the leading spans shifted forward past the last bar, the cloud
+ * filled between them (bullish where span A is above span B) and the lagging line
+ * shifted back. Positions are logical bar indexes, so the shift is always a whole number
+ * of bars whatever the timeframe.
+ */
+
+/**
+ * Renderer for the cloud, the spans and the lagging line
+ */
+class IchimokuCloudPaneRenderer {
+    constructor(primitive) {
+        this._primitive = primitive;
+    }
+
+    draw(target) {
+        this._primitive.drawCloud(target);
+    }
+}
+
+/**
+ * Pane view for the cloud, drawn under the candles
+ */
+class IchimokuCloudPaneView {
+    constructor(primitive) {
+        this._primitive = primitive;
+        this._renderer = new IchimokuCloudPaneRenderer(primitive);
+    }
+
+    zOrder() {
+        return 'bottom';
+    }
+
+    renderer() {
+        return this._primitive.values.length > 0 ? this._renderer : null;
+    }
+}
+
+class IchimokuCloudPrimitive {
+    /**
+     * @param {BTCUSDChart} chart - Chart wrapper
+     * @param {Object} instance - IndicatorManager instance; its params and styles are read
+     *   on every draw so settings changes apply without a new primitive
+     */
+    constructor(chart, instance) {
+        this.chart = chart;
+        this.instance = instance;
+        this.values = [];
+        this.series = null;
+        this.timeScale = null;
+        this.requestUpdate = null;
+        // Right offset before it was widened to show the leading spans, restored on detach
+        this.savedRightOffset = null;
+        this._paneView = new IchimokuCloudPaneView(this);
+    }
+
+    /**
+     * Called by Lightweight Charts when the primitive is attached to a series
+     */
+    attached({ chart, series, requestUpdate }) {
+        this.series = series;
+        this.timeScale = chart.timeScale();
+        this.requestUpdate = requestUpdate;
+        this.fitRightOffset();
+    }
+
+    detached() {
+        if (this.timeScale && this.savedRightOffset !== null) {
+            this.timeScale.applyOptions({ rightOffset: this.savedRightOffset });
+        }
+        this.savedRightOffset = null;
+        this.series = null;
+        this.timeScale = null;
+        this.requestUpdate = null;
+    }
+
+    /**
+     * Required method for ISeriesPrimitive interface
+     */
+    paneViews() {
+        return [this._paneView];
+    }
+
+    /**
+     * Replace the per-bar values
+     * @param {Array} values - IchimokuIndicator.step() result for every bar
+     */
+    setValues(values) {
+        this.values = Array.isArray(values) ? values : [];
+        this.fitRightOffset();
+        if (this.requestUpdate) {
+            this.requestUpdate();
+        }
+    }
+
+    getDisplacement() {
+        return this.instance.params.displacement;
+    }
+
+    /**
+     * Leave room after the last bar for the leading spans
+     */
+    fitRightOffset() {
+        if (!this.timeScale) return;
+
+        const rightOffset = this.timeScale.options().rightOffset;
+        if (rightOffset < this.getDisplacement()) {
+            if (this.savedRightOffset === null) {
+                this.savedRightOffset = rightOffset;
+            }
+            this.timeScale.applyOptions({ rightOffset: this.getDisplacement() });
+        }
+    }
+
+    /**
+     * Value of a field plotted at a logical index, after shifting it by its offset
+     * @param {string} name - 'spanA', 'spanB' or 'chikou'
+     * @param {number} index - Logical index on the candlestick series
+     * @param {number} shift - Bars the field is plotted after the bar it belongs to
+     * @returns {number|null}
+     */
+    valueAt(name, index, shift) {
+        const values = this.values[index - shift];
+        const value = values ? values[name] : null;
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    /**
+     * Keep the visible part of the shifted spans and lagging line in the price scale
+     */
+    autoscaleInfo(startLogical, endLogical) {
+        const displacement = this.getDisplacement();
+        let minValue = Infinity;
+        let maxValue = -Infinity;
+
+        for (let index = Math.floor(startLogical); index <= Math.ceil(endLogical); index++) {
+            [
+                this.valueAt('spanA', index, displacement),
+                this.valueAt('spanB', index, displacement),
+                this.valueAt('chikou', index, -displacement)
+            ].forEach(value => {
+                if (value === null) return;
+                if (value < minValue) minValue = value;
+                if (value > maxValue) maxValue = value;
+            });
+        }
+
+        return minValue <= maxValue ? { priceRange: { minValue, maxValue } } : null;
+    }
+
+    /**
+     * Draw the cloud, the leading spans and the lagging line over the visible range
+     * @param {CanvasRenderingTarget2D} target - Lightweight Charts rendering target
+     */
+    drawCloud(target) {
+        target.useMediaCoordinateSpace(({ context: ctx }) => {
+            if (!this.series || !this.timeScale) return;
+
+            const range = this.timeScale.getVisibleLogicalRange();
+            if (!range) return;
+
+            const displacement = this.getDisplacement();
+            const styles = this.instance.styles;
+            const from = Math.floor(range.from) - 1;
+            const to = Math.ceil(range.to) + 1;
+
+            // Screen points of both spans at each index, null where either is missing
+            const points = [];
+            for (let index = from; index <= to; index++) {
+                const a = this.valueAt('spanA', index, displacement);
+                const b = this.valueAt('spanB', index, displacement);
+                const x = this.timeScale.logicalToCoordinate(index);
+                const yA = a === null ? null : this.series.priceToCoordinate(a);
+                const yB = b === null ? null : this.series.priceToCoordinate(b);
+                points.push(x === null || yA === null || yB === null ? null : { x, yA, yB, bullish: a >= b });
+            }
+
+            ctx.save();
+
+            try {
+                this.fillCloud(ctx, points, true, styles.bullish.color);
+                this.fillCloud(ctx, points, false, styles.bearish.color);
+
+                this.strokeLine(ctx, points.map(point => point && { x: point.x, y: point.yA }), styles.spanA);
+                this.strokeLine(ctx, points.map(point => point && { x: point.x, y: point.yB }), styles.spanB);
+
+                const lagging = [];
+                for (let index = from; index <= to; index++) {
+                    const value = this.valueAt('chikou', index, -displacement);
+                    const x = this.timeScale.logicalToCoordinate(index);
+                    const y = value === null ? null : this.series.priceToCoordinate(value);
+                    lagging.push(x === null || y === null ? null : { x, y });
+                }
+                this.strokeLine(ctx, lagging, styles.chikou);
+            } finally {
+                ctx.restore();
+            }
+        });
+    }
+
+    /**
+     * Fill the stretches of cloud of one color; where the spans cross between two bars
+     * the stretch ends (or starts) at the crossing
+     * @param {CanvasRenderingContext2D} ctx - Canvas context (media coordinates)
+     * @param {Array} points - { x, yA, yB, bullish } per index, or null
+     * @param {boolean} bullish - Which stretches to fill
+     * @param {string} color - Fill color, drawn translucent
+     */
+    fillCloud(ctx, points, bullish, color) {
+        ctx.beginPath();
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const start = points[i];
+            const end = points[i + 1];
+            if (!start || !end) continue;
+
+            const startDiff = start.yB - start.yA;
+            const endDiff = end.yB - end.yA;
+            // Share of the way from start to end where the spans cross, if they do
+            const cross = startDiff * endDiff < 0 ? startDiff / (startDiff - endDiff) : null;
+            const crossX = cross === null ? null : start.x + (end.x - start.x) * cross;
+            const crossY = cross === null ? null : start.yA + (end.yA - start.yA) * cross;
+
+            if (cross === null) {
+                if (start.bullish !== bullish) continue;
+                ctx.moveTo(start.x, start.yA);
+                ctx.lineTo(end.x, end.yA);
+                ctx.lineTo(end.x, end.yB);
+                ctx.lineTo(start.x, start.yB);
+            } else if (start.bullish === bullish) {
+                ctx.moveTo(start.x, start.yA);
+                ctx.lineTo(crossX, crossY);
+                ctx.lineTo(start.x, start.yB);
+            } else {
+                ctx.moveTo(crossX, crossY);
+                ctx.lineTo(end.x, end.yA);
+                ctx.lineTo(end.x, end.yB);
+            }
+            ctx.closePath();
+        }
+
+        ctx.globalAlpha = 0.2;
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Stroke a polyline, breaking it at missing points
+     * @param {CanvasRenderingContext2D} ctx - Canvas context (media coordinates)
+     * @param {Array} points - { x, y } or null
+     * @param {Object} style - { color, lineWidth }
+     */
+    strokeLine(ctx, points, style) {
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = style.lineWidth;
+        ctx.setLineDash([]);
+        ctx.beginPath();
+
+        let started = false;
+        points.forEach(point => {
+            if (!point) {
+                started = false;
+                return;
+            }
+            if (started) {
+                ctx.lineTo(point.x, point.y);
+            } else {
+                ctx.moveTo(point.x, point.y);
+                started = true;
+            }
+        });
+
+        ctx.stroke();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IchimokuCloudPrimitive;
+} else if (typeof window !== 'undefined') {
+    window.IchimokuCloudPrimitive = IchimokuCloudPrimitive;
+}
@@ -0,0 +1,296 @@
+/**
+ * VolumeProfilePrimitive - Lightweight Charts primitive with a volume-by-price histogram
+ * of the visible bars along the right edge of the pane, with the point of control and
+ * value area high/low. The profile is recalculated when the visible logical range
+ * changes and when the bars under it change (live updates, replay, timeframe switches).
+ */
+
+/**
+ * Renderer for the visible-range profile
+ */
+class VolumeProfilePaneRenderer {
+    constructor(primitive) {
+        this._primitive = primitive;
+    }
+
+    draw(target) {
+        this._primitive.drawVisibleProfile(target);
+    }
+}
+
+/**
+ * Pane view for the profile, drawn under the candles
+ */
+class VolumeProfilePaneView {
+    constructor(primitive) {
+        this._primitive = primitive;
+        this._renderer = new VolumeProfilePaneRenderer(primitive);
+    }
+
+    zOrder() {
+        return 'bottom';
+    }
+
+    renderer() {
+        return this._primitive.isVisible() ? this._renderer : null;
+    }
+}
+
+/**
+ * Price axis label for the point of control
+ */
+class VolumeProfilePriceAxisView {
+    constructor(primitive) {
+        this._primitive = primitive;
+    }
+
+    coordinate() {
+        const profile = this._primitive.profile;
+        const y = profile && this._primitive.series ? this._primitive.series.priceToCoordinate(profile.pocPrice) : null;
+        return y === null ? -1 : y;
+    }
+
+    text() {
+        return this._primitive.profile ? `POC ${this._primitive.profile.pocPrice.toFixed(2)}` : '';
+    }
+
+    textColor() {
+        return '#000000';
+    }
+
+    backColor() {
+        return this._primitive.options.colors.poc;
+    }
+
+    visible() {
+        return this._primitive.isVisible();
+    }
+
+    tickVisible() {
+        return false;
+    }
+}
+
+class VolumeProfilePrimitive {
+    /**
+     * @param {BTCUSDChart} chart - Chart wrapper providing the bars
+     * @param {Object} options - { visible, rowSize, rows, valueArea, width, colors }
+     */
+    constructor(chart, options = {}) {
+        this.chart = chart;
+        this.options = {
+            visible: false,
+            ...VolumeProfile.DEFAULTS,
+            // Longest row as a share of the pane width
+            width: 0.25,
+            ...options,
+            colors: { ...VolumeProfilePrimitive.COLORS, ...options.colors }
+        };
+        this.profile = null;
+        this.series = null;
+        this.timeScale = null;
+        this.requestUpdate = null;
+        this.logicalRange = null;
+        // Bars array, length and last bar the profile was computed from
+        this.source = null;
+        this._paneView = new VolumeProfilePaneView(this);
+        this._priceAxisView = new VolumeProfilePriceAxisView(this);
+
+        this.handleRangeChange = (range) => {
+            this.logicalRange = range;
+            this.recalculate();
+        };
+    }
+
+    /**
+     * Called by Lightweight Charts when the primitive is attached to a series
+     */
+    attached({ chart, series, requestUpdate }) {
+        this.series = series;
+        this.requestUpdate = requestUpdate;
+        this.timeScale = chart.timeScale();
+        this.logicalRange = this.timeScale.getVisibleLogicalRange();
+        this.timeScale.subscribeVisibleLogicalRangeChange(this.handleRangeChange);
+        this.recalculate();
+    }
+
+    detached() {
+        if (this.timeScale) {
+            this.timeScale.unsubscribeVisibleLogicalRangeChange(this.handleRangeChange);
+        }
+        this.series = null;
+        this.timeScale = null;
+        this.requestUpdate = null;
+    }
+
+    /**
+     * Called before every redraw; picks up bars that changed without the range moving
+     */
+    updateAllViews() {
+        const bars = this.chart.getData() || [];
+        const source = this.source;
+        if (!source || source.bars !== bars || source.length !== bars.length || source.last !== bars[bars.length - 1]) {
+            this.recalculate();
+        }
+    }
+
+    /**
+     * Required method for ISeriesPrimitive interface
+     */
+    paneViews() {
+        return [this._paneView];
+    }
+
+    priceAxisViews() {
+        return [this._priceAxisView];
+    }
+
+    /**
+     * @param {Object} options - Any of { visible, rowSize, rows, valueArea, width }
+     */
+    setOptions(options = {}) {
+        this.options = {
+            ...this.options,
+            ...options,
+            colors: { ...this.options.colors, ...options.colors }
+        };
+        this.recalculate();
+        if (this.requestUpdate) {
+            this.requestUpdate();
+        }
+    }
+
+    getOptions() {
+        return { ...this.options };
+    }
+
+    isVisible() {
+        return this.options.visible && this.profile !== null;
+    }
+
+    /**
+     * Rebuild the profile of the bars in the visible logical range
+     */
+    recalculate() {
+        const bars = this.chart.getData() || [];
+        this.source = { bars, length: bars.length, last: bars[bars.length - 1] };
+
+        const range = this.logicalRange;
+        if (!this.options.visible || !range || bars.length === 0) {
+            this.profile = null;
+            return;
+        }
+
+        // Logical indexes are bar indexes on the candlestick series
+        this.profile = VolumeProfile.compute(bars, Math.ceil(range.from), Math.floor(range.to), this.options);
+    }
+
+    /**
+     * Draw the visible-range profile against the right edge with full-width POC and value area lines
+     * @param {CanvasRenderingTarget2D} target - Lightweight Charts rendering target
+     */
+    drawVisibleProfile(target) {
+        target.useMediaCoordinateSpace(({ context: ctx, mediaSize }) => {
+            if (!this.profile || !this.series) return;
+
+            const width = mediaSize.width * this.options.width;
+            ctx.save();
+
+            try {
+                VolumeProfilePrimitive.drawProfile(ctx, this.series, this.profile, {
+                    left: mediaSize.width - width,
+                    right: mediaSize.width,
+                    width,
+                    align: 'right',
+                    colors: this.options.colors
+                });
+            } finally {
+                ctx.restore();
+            }
+        });
+    }
+
+    /**
+     * Draw a profile's rows and its POC/VAH/VAL lines
+     * @param {CanvasRenderingContext2D} ctx - Canvas context (media coordinates)
+     * @param {Object} series - Series used to map prices to y
+     * @param {Object} profile - Result of VolumeProfile.compute()
+     * @param {Object} layout - { left, right: x span of the lines, width: longest row,
+     *   align: 'left' or 'right' edge the rows grow from, colors }
+     */
+    static drawProfile(ctx, series, profile, layout) {
+        const { left, right, width, align, colors } = layout;
+        const scale = width / profile.maxVolume;
+
+        profile.rows.forEach(row => {
+            if (row.volume <= 0) return;
+
+            const top = series.priceToCoordinate(row.price + profile.rowSize);
+            const bottom = series.priceToCoordinate(row.price);
+            if (top === null || bottom === null) return;
+
+            // Leave a pixel between rows once they are tall enough to show it
+            const height = Math.abs(bottom - top);
+            const y = Math.min(top, bottom);
+            const h = height > 3 ? height - 1 : Math.max(1, height);
+            const inValueArea = row.price >= profile.valueAreaLow && row.price < profile.valueAreaHigh;
+
+            const upLength = row.upVolume * scale;
+            const downLength = (row.volume - row.upVolume) * scale;
+            const upX = align === 'right' ? right - upLength : left;
+            const downX = align === 'right' ? upX - downLength : left + upLength;
+
+            ctx.fillStyle = inValueArea ? colors.up : colors.upOutside;
+            ctx.fillRect(upX, y, upLength, h);
+            ctx.fillStyle = inValueArea ? colors.down : colors.downOutside;
+            ctx.fillRect(downX, y, downLength, h);
+        });
+
+        const line = (price, color, dash) => {
+            const y = series.priceToCoordinate(price);
+            if (y === null) return;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.setLineDash(dash);
+            ctx.beginPath();
+            ctx.moveTo(left, Math.round(y) + 0.5);
+            ctx.lineTo(right, Math.round(y) + 0.5);
+            ctx.stroke();
+        };
+
+        line(profile.valueAreaHigh, colors.valueArea, [4, 4]);
+        line(profile.valueAreaLow, colors.valueArea, [4, 4]);
+        line(profile.pocPrice, colors.poc, []);
+
+        ctx.font = '10px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+        ctx.textBaseline = 'bottom';
+        ctx.textAlign = align === 'right' ? 'right' : 'left';
+        const labelX = align === 'right' ? right - 4 : left + 4;
+        [['VAH', profile.valueAreaHigh, colors.valueArea], ['POC', profile.pocPrice, colors.poc], ['VAL', profile.valueAreaLow, colors.valueArea]]
+            .forEach(([label, price, color]) => {
+                const y = series.priceToCoordinate(price);
+                if (y === null) return;
+                ctx.fillStyle = color;
+                ctx.fillText(label, labelX, y - 2);
+            });
+    }
+}
+
+/**
+ * Default profile colors: up/down volume inside and outside the value area
+ */
+VolumeProfilePrimitive.COLORS = {
+    up: 'rgba(38, 166, 154, 0.5)',
+    down: 'rgba(239, 83, 80, 0.5)',
+    upOutside: 'rgba(38, 166, 154, 0.2)',
+    downOutside: 'rgba(239, 83, 80, 0.2)',
+    poc: '#ffca28',
+    valueArea: 'rgba(136, 136, 136, 0.9)'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VolumeProfilePrimitive;
+} else if (typeof window !== 'undefined') {
+    window.VolumeProfilePrimitive = VolumeProfilePrimitive;
+}
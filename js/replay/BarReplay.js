@@ -0,0 +1,269 @@
+/**
+ * BarReplay - Replays the loaded bars from a chosen start time
+ *
+ * The chart is cut back to the bars up to the start time and then revealed one base bar at a
+ * time with series.update(), so on higher timeframes the forming candle builds up bar by bar
+ * instead of showing its final shape. The replay position is kept as a time, so it survives
+ * timeframe switches and rebuilt base series.
+ *
+ * Emits 'replay-state' { active, playing, speed, time, index, total } on every change and
+ * 'replay-bar' { bar, timeframe } for each revealed bar
+ */
+class BarReplay {
+    /**
+     * @param {EventBus} eventBus - Application event bus
+     * @param {BTCUSDChart} chart - Chart wrapper the replay draws into
+     * @param {Object} options - { speed, getBaseData, getBaseTimeframe, getTimeframe, getSeries }
+     */
+    constructor(eventBus, chart, options = {}) {
+        this.eventBus = eventBus;
+        this.chart = chart;
+        this.options = {
+            // Bars revealed per second while playing
+            speed: 1,
+            getBaseData: () => [],
+            getBaseTimeframe: () => '15m',
+            getTimeframe: () => '15m',
+            // Bars of a timeframe, resampled from the base series
+            getSeries: () => [],
+            ...options
+        };
+        this.speed = this.options.speed;
+        this.active = false;
+        this.playing = false;
+        this.time = null;
+        this.cursor = -1;
+        this.forming = null;
+        this.timer = null;
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    isPlaying() {
+        return this.playing;
+    }
+
+    /**
+     * Time of the latest revealed base bar
+     * @returns {number|null} Unix seconds, or null when not replaying
+     */
+    getTime() {
+        return this.active ? this.time : null;
+    }
+
+    /**
+     * Hide everything after a time and start replaying from there (paused)
+     * @param {number} time - Start time in unix seconds; the bar at or before it is the last shown
+     */
+    start(time) {
+        const base = this.options.getBaseData();
+        if (base.length < 2) {
+            throw new Error('Not enough bars to replay');
+        }
+
+        // Keep at least one bar before and one bar after the start
+        const index = Math.max(0, Math.min(Utils.findBarIndexAtOrBefore(base, time), base.length - 2));
+
+        this.stopTimer();
+        this.active = true;
+        this.playing = false;
+        this.time = base[index].time;
+        this.render();
+        this.chart.getTimeScale().scrollToRealTime();
+
+        console.log(`BarReplay: Started at ${Utils.formatDate(this.time)}`);
+    }
+
+    /**
+     * Redraw the chart with the bars up to the replay time on the current timeframe
+     */
+    render() {
+        if (!this.active) return;
+
+        const visible = this.getVisibleBars();
+        if (visible.length > 0) {
+            this.chart.setData(visible, { fitContent: false });
+        }
+        this.emitState();
+    }
+
+    /**
+     * Bars up to the replay time on the current timeframe, ending with the forming candle
+     * @returns {Array} OHLCV bars
+     */
+    getVisibleBars() {
+        const base = this.options.getBaseData();
+        this.cursor = Utils.findBarIndexAtOrBefore(base, this.time);
+        this.forming = null;
+        if (this.cursor < 0) return [];
+
+        const timeframe = this.options.getTimeframe();
+        if (timeframe === this.options.getBaseTimeframe()) {
+            return base.slice(0, this.cursor + 1);
+        }
+
+        // Closed candles come from the resampled series; the forming one from the base bars so far
+        const series = this.options.getSeries(timeframe);
+        const bucket = Resampler.bucketStart(this.time, Resampler.getSeconds(timeframe));
+        const closed = series.slice(0, Utils.findBarIndexAtOrBefore(series, bucket - 1) + 1);
+        const from = Utils.findBarIndexAtOrBefore(base, bucket - 1) + 1;
+        this.forming = Resampler.resample(base.slice(from, this.cursor + 1), timeframe)[0] || null;
+
+        return this.forming ? closed.concat([{ ...this.forming }]) : closed;
+    }
+
+    /**
+     * Reveal the next base bar
+     * @returns {boolean} True if a bar was revealed, false at the end of the data
+     */
+    step() {
+        if (!this.active) return false;
+
+        const base = this.options.getBaseData();
+        if (this.cursor >= base.length - 1) {
+            console.log('BarReplay: Reached the end of the data');
+            this.pause();
+            return false;
+        }
+
+        this.cursor++;
+        this.time = base[this.cursor].time;
+
+        const timeframe = this.options.getTimeframe();
+        const bar = this.advance(base[this.cursor], timeframe);
+        this.chart.updateData(bar);
+
+        this.eventBus.emit('replay-bar', { bar, timeframe });
+        this.emitState();
+        return true;
+    }
+
+    /**
+     * Fold a base bar into the candle shown on the current timeframe
+     * @param {Object} baseBar - Newly revealed base bar
+     * @param {string} timeframe - Chart timeframe
+     * @returns {Object} Bar to pass to the chart
+     */
+    advance(baseBar, timeframe) {
+        if (timeframe === this.options.getBaseTimeframe()) {
+            return baseBar;
+        }
+
+        const time = Resampler.bucketStart(baseBar.time, Resampler.getSeconds(timeframe));
+        const forming = this.forming;
+        if (forming && forming.time === time) {
+            this.forming = {
+                time,
+                open: forming.open,
+                high: Math.max(forming.high, baseBar.high),
+                low: Math.min(forming.low, baseBar.low),
+                close: baseBar.close,
+                volume: forming.volume + (baseBar.volume || 0)
+            };
+        } else {
+            this.forming = {
+                time,
+                open: baseBar.open,
+                high: baseBar.high,
+                low: baseBar.low,
+                close: baseBar.close,
+                volume: baseBar.volume || 0
+            };
+        }
+        return { ...this.forming };
+    }
+
+    play() {
+        if (!this.active || this.playing) return;
+
+        this.playing = true;
+        this.scheduleStep();
+        this.emitState();
+    }
+
+    pause() {
+        if (!this.playing) return;
+
+        this.playing = false;
+        this.stopTimer();
+        this.emitState();
+    }
+
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * @param {number} speed - Bars per second
+     */
+    setSpeed(speed) {
+        if (!(speed > 0)) return;
+
+        this.speed = speed;
+        if (this.playing) {
+            this.stopTimer();
+            this.scheduleStep();
+        }
+        this.emitState();
+    }
+
+    /**
+     * Leave replay mode; the caller puts the full data back on the chart
+     */
+    exit() {
+        if (!this.active) return;
+
+        this.stopTimer();
+        this.active = false;
+        this.playing = false;
+        this.time = null;
+        this.cursor = -1;
+        this.forming = null;
+
+        console.log('BarReplay: Stopped');
+        this.emitState();
+    }
+
+    scheduleStep() {
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (this.playing && this.step()) {
+                this.scheduleStep();
+            }
+        }, 1000 / this.speed);
+    }
+
+    stopTimer() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    emitState() {
+        this.eventBus.emit('replay-state', {
+            active: this.active,
+            playing: this.playing,
+            speed: this.speed,
+            time: this.time,
+            index: this.cursor,
+            total: this.options.getBaseData().length
+        });
+    }
+}
+
+/**
+ * Speeds offered by the replay controls, in bars per second
+ */
+BarReplay.SPEEDS = [1, 2, 5, 10, 25];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BarReplay;
+} else if (typeof window !== 'undefined') {
+    window.BarReplay = BarReplay;
+}
@@ -0,0 +1,213 @@
+// Timeframe resampling for BTCUSD Chart Application
+
+const Resampler = {
+    /**
+     * Supported timeframes and their bucket size in seconds
+     */
+    TIMEFRAMES: {
+        '1m': 60,
+        '5m': 300,
+        '15m': 900,
+        '30m': 1800,
+        '1h': 3600,
+        '4h': 14400,
+        '1D': 86400,
+        '1W': 604800
+    },
+
+    /**
+     * Unix time of the first Monday 00:00 UTC (1970-01-05), used to align weekly buckets
+     */
+    WEEK_ANCHOR: 345600,
+
+    /**
+     * Get the bucket size of a timeframe
+     * @param {string} timeframe - Timeframe identifier (e.g. '4h')
+     * @returns {number|null} Bucket size in seconds, or null if unknown
+     */
+    getSeconds: function(timeframe) {
+        return Object.prototype.hasOwnProperty.call(this.TIMEFRAMES, timeframe)
+            ? this.TIMEFRAMES[timeframe]
+            : null;
+    },
+
+    /**
+     * Find the timeframe whose bucket size matches an interval
+     * @param {number} seconds - Interval in seconds
+     * @returns {string|null} Timeframe identifier, or null if none matches
+     */
+    getTimeframeForInterval: function(seconds) {
+        return Object.keys(this.TIMEFRAMES).find(timeframe => this.TIMEFRAMES[timeframe] === seconds) || null;
+    },
+
+    /**
+     * List the timeframes that can be built from bars of a given interval
+     * @param {number} baseSeconds - Interval of the base bars in seconds
+     * @returns {Array<string>} Timeframe identifiers, smallest first
+     */
+    getAvailableTimeframes: function(baseSeconds) {
+        return Object.keys(this.TIMEFRAMES).filter(timeframe => {
+            const seconds = this.TIMEFRAMES[timeframe];
+            return seconds >= baseSeconds && seconds % baseSeconds === 0;
+        });
+    },
+
+    /**
+     * Detect the interval of a bar series from the most common gap between bars
+     * @param {Array} data - Time-sorted OHLCV data
+     * @returns {number|null} Interval in seconds, or null with fewer than two bars
+     */
+    detectInterval: function(data) {
+        if (!data || data.length < 2) return null;
+
+        const counts = new Map();
+        const sampleSize = Math.min(data.length, 1000);
+        for (let i = 1; i < sampleSize; i++) {
+            const gap = data[i].time - data[i - 1].time;
+            if (gap > 0) {
+                counts.set(gap, (counts.get(gap) || 0) + 1);
+            }
+        }
+
+        let interval = null;
+        let best = 0;
+        counts.forEach((count, gap) => {
+            if (count > best) {
+                best = count;
+                interval = gap;
+            }
+        });
+
+        return interval;
+    },
+
+    /**
+     * Get the UTC-aligned start of the bucket containing a time
+     * @param {number} time - Unix time in seconds
+     * @param {number} seconds - Bucket size in seconds
+     * @returns {number} Bucket start time
+     */
+    bucketStart: function(time, seconds) {
+        // Weeks start on Monday; every other bucket is aligned to the epoch
+        const anchor = seconds === this.TIMEFRAMES['1W'] ? this.WEEK_ANCHOR : 0;
+        return Math.floor((time - anchor) / seconds) * seconds + anchor;
+    },
+
+    /**
+     * Resample bars into a larger timeframe
+     * @param {Array} data - Time-sorted OHLCV base data
+     * @param {string} timeframe - Target timeframe identifier
+     * @returns {Array} Resampled OHLCV data
+     */
+    resample: function(data, timeframe) {
+        const seconds = this.getSeconds(timeframe);
+        if (!seconds) {
+            throw new Error(`Unsupported timeframe: ${timeframe}`);
+        }
+        if (!data || data.length === 0) return [];
+
+        const result = [];
+        let current = null;
+
+        for (let i = 0; i < data.length; i++) {
+            const bar = data[i];
+            const time = this.bucketStart(bar.time, seconds);
+
+            if (current && current.time === time) {
+                if (bar.high > current.high) current.high = bar.high;
+                if (bar.low < current.low) current.low = bar.low;
+                current.close = bar.close;
+                current.volume += bar.volume || 0;
+            } else {
+                current = {
+                    time: time,
+                    open: bar.open,
+                    high: bar.high,
+                    low: bar.low,
+                    close: bar.close,
+                    volume: bar.volume || 0
+                };
+                result.push(current);
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Add bars to the end of a cache's base series and bring every resampled series up to date
+     * @param {Map} cache - Timeframe -> bars
+     * @param {Array} baseData - Base series, extended in place
+     * @param {string} baseTimeframe - Timeframe of the base data
+     * @param {Array} bars - Time-sorted bars at or after the last base bar; a bar at the
+     *                       last base time replaces it
+     * @returns {Object} Timeframe -> bars that were added or changed, oldest first
+     */
+    appendToCache: function(cache, baseData, baseTimeframe, bars) {
+        const last = baseData[baseData.length - 1];
+        const added = last ? bars.filter(bar => bar.time >= last.time) : bars.slice();
+        const changed = {};
+        if (added.length === 0) return changed;
+
+        added.forEach(bar => {
+            const tail = baseData[baseData.length - 1];
+            if (tail && tail.time === bar.time) {
+                baseData[baseData.length - 1] = bar;
+            } else {
+                baseData.push(bar);
+            }
+        });
+        changed[baseTimeframe] = added;
+
+        // Rebuild each resampled series from the first bucket the new bars touch
+        cache.forEach((data, timeframe) => {
+            if (timeframe === baseTimeframe) return;
+
+            const bucket = this.bucketStart(added[0].time, this.getSeconds(timeframe));
+            while (data.length > 0 && data[data.length - 1].time >= bucket) {
+                data.pop();
+            }
+
+            const from = Utils.findBarIndexAtOrBefore(baseData, bucket - 1) + 1;
+            const rebuilt = this.resample(baseData.slice(from), timeframe);
+            rebuilt.forEach(bar => data.push(bar));
+            changed[timeframe] = rebuilt;
+        });
+
+        return changed;
+    },
+
+    /**
+     * Create a per-timeframe cache over one base series
+     * @param {Array} baseData - Time-sorted OHLCV base data
+     * @param {string} baseTimeframe - Timeframe of the base data
+     * @returns {Object} Cache with get(timeframe), has(timeframe), append(bars) and clear()
+     */
+    createCache: function(baseData, baseTimeframe) {
+        const cache = new Map([[baseTimeframe, baseData]]);
+
+        return {
+            get: (timeframe) => {
+                if (!cache.has(timeframe)) {
+                    const startTime = performance.now();
+                    cache.set(timeframe, this.resample(baseData, timeframe));
+                    console.log(`Resampler: Built ${timeframe} bars in ${Math.round(performance.now() - startTime)}ms`);
+                }
+                return cache.get(timeframe);
+            },
+            has: (timeframe) => cache.has(timeframe),
+            append: (bars) => this.appendToCache(cache, baseData, baseTimeframe, bars),
+            clear: () => {
+                cache.clear();
+                cache.set(baseTimeframe, baseData);
+            }
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Resampler;
+} else if (typeof window !== 'undefined') {
+    window.Resampler = Resampler;
+}
@@ -0,0 +1,300 @@
+/**
+ * Strict schema validation for imported drawing files.
+ * Checks types and finite numbers, clamps values to sane ranges, sanitizes colors
+ * through Sanitizer and returns either clean entries or a structured error list.
+ */
+const DrawingSchema = (() => {
+    const MAX_FILE_BYTES = 1024 * 1024;
+    const MAX_LABEL_LENGTH = 64;
+    const MAX_FIB_LEVELS = 20;
+
+    // Unix seconds between 1970 and 2100
+    const TIME_RANGE = { min: 0, max: 4102444800 };
+    const PRICE_RANGE = { min: -1e9, max: 1e9 };
+
+    const COMMON_OPTIONS = {
+        lineWidth: { type: 'number', min: 1, max: 10 },
+        lineColor: { type: 'color' },
+        fillColor: { type: 'color' },
+        snapToPrice: { type: 'boolean' },
+        label: { type: 'label' }
+    };
+
+    const TOOL_SCHEMAS = {
+        TrendLine: {
+            fields: { startPoint: 'point', endPoint: 'point' },
+            options: {
+                ...COMMON_OPTIONS,
+                lineStyle: { type: 'integer', min: 0, max: 4 },
+                extendLeft: { type: 'boolean' },
+                extendRight: { type: 'boolean' }
+            }
+        },
+        HorizontalLine: {
+            fields: { price: 'price' },
+            options: {
+                ...COMMON_OPTIONS,
+                lineStyle: { type: 'enum', values: ['solid', 'dashed', 'dotted'] },
+                extendLeft: { type: 'boolean' },
+                extendRight: { type: 'boolean' },
+                showPrice: { type: 'boolean' }
+            }
+        },
+        FibRetracement: {
+            fields: { startPoint: 'point', endPoint: 'point' },
+            options: {
+                ...COMMON_OPTIONS,
+                extendHorizontal: { type: 'boolean' },
+                showLabels: { type: 'boolean' },
+                showPercentage: { type: 'boolean' },
+                levels: { type: 'levels' },
+                levelColors: { type: 'levelColors' }
+            }
+        },
+        AnchoredVWAP: {
+            fields: { anchor: 'point' },
+            options: {
+                ...COMMON_OPTIONS,
+                bandColor: { type: 'color' },
+                bands: { type: 'integer', min: 0, max: 3 },
+                showPrice: { type: 'boolean' }
+            }
+        },
+        VolumeProfile: {
+            fields: { startPoint: 'point', endPoint: 'point' },
+            options: {
+                ...COMMON_OPTIONS,
+                rowSize: { type: 'number', min: 0, max: 1e6 },
+                rows: { type: 'integer', min: 4, max: 200 },
+                valueArea: { type: 'number', min: 10, max: 100 }
+            }
+        }
+    };
+
+    const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+    const sanitizeLabel = (value) => String(value)
+        .replace(/[\u0000-\u001f\u007f]/g, '')
+        .trim()
+        .slice(0, MAX_LABEL_LENGTH);
+
+    /**
+     * Validate a number, clamping it into range
+     */
+    const checkNumber = (value, range, path, errors) => {
+        if (!isFiniteNumber(value)) {
+            errors.push({ path, message: 'must be a finite number' });
+            return undefined;
+        }
+        return clamp(value, range.min, range.max);
+    };
+
+    const checkPoint = (value, path, errors) => {
+        if (!isPlainObject(value)) {
+            errors.push({ path, message: 'must be an object with time and price' });
+            return undefined;
+        }
+        const time = checkNumber(value.time, TIME_RANGE, `${path}.time`, errors);
+        const price = checkNumber(value.price, PRICE_RANGE, `${path}.price`, errors);
+        return { time, price };
+    };
+
+    const checkOption = (spec, value, path, errors) => {
+        switch (spec.type) {
+            case 'number':
+                return checkNumber(value, spec, path, errors);
+            case 'integer': {
+                const number = checkNumber(value, spec, path, errors);
+                return number === undefined ? undefined : Math.round(number);
+            }
+            case 'boolean':
+                if (typeof value !== 'boolean') {
+                    errors.push({ path, message: 'must be true or false' });
+                    return undefined;
+                }
+                return value;
+            case 'enum':
+                if (!spec.values.includes(value)) {
+                    errors.push({ path, message: `must be one of ${spec.values.join(', ')}` });
+                    return undefined;
+                }
+                return value;
+            case 'color': {
+                const color = Sanitizer.sanitizeColor(value, '');
+                if (!color) {
+                    errors.push({ path, message: 'is not a safe color' });
+                    return undefined;
+                }
+                return color;
+            }
+            case 'label':
+                if (typeof value !== 'string') {
+                    errors.push({ path, message: 'must be a string' });
+                    return undefined;
+                }
+                if (Sanitizer.hasXSSPayload(value)) {
+                    errors.push({ path, message: 'contains disallowed content' });
+                    return undefined;
+                }
+                return sanitizeLabel(value);
+            case 'levels':
+                if (!Array.isArray(value) || value.length === 0 || value.length > MAX_FIB_LEVELS) {
+                    errors.push({ path, message: `must be an array of 1-${MAX_FIB_LEVELS} numbers` });
+                    return undefined;
+                }
+                return value.map((level, i) => checkNumber(level, { min: -5, max: 5 }, `${path}[${i}]`, errors));
+            case 'levelColors': {
+                if (!isPlainObject(value)) {
+                    errors.push({ path, message: 'must be an object of level to color' });
+                    return undefined;
+                }
+                const colors = {};
+                Object.entries(value).slice(0, MAX_FIB_LEVELS).forEach(([level, color]) => {
+                    if (!isFiniteNumber(Number(level))) {
+                        errors.push({ path: `${path}.${level}`, message: 'key must be a numeric level' });
+                        return;
+                    }
+                    const safe = checkOption({ type: 'color' }, color, `${path}.${level}`, errors);
+                    if (safe !== undefined) colors[level] = safe;
+                });
+                return colors;
+            }
+            default:
+                return undefined;
+        }
+    };
+
+    /**
+     * Validate one { tool, data, timestamp } entry
+     * @returns {Object|undefined} Clean entry, or undefined when errors were added
+     */
+    const validateEntry = (entry, path, errors) => {
+        const before = errors.length;
+
+        if (!isPlainObject(entry)) {
+            errors.push({ path, message: 'must be an object' });
+            return undefined;
+        }
+
+        const schema = TOOL_SCHEMAS[entry.tool];
+        if (!schema) {
+            errors.push({ path: `${path}.tool`, message: `unknown tool '${String(entry.tool).slice(0, 40)}'` });
+            return undefined;
+        }
+
+        if (!isPlainObject(entry.data)) {
+            errors.push({ path: `${path}.data`, message: 'must be an object' });
+            return undefined;
+        }
+
+        const data = { type: entry.tool };
+        Object.entries(schema.fields).forEach(([field, kind]) => {
+            const fieldPath = `${path}.data.${field}`;
+            data[field] = kind === 'point'
+                ? checkPoint(entry.data[field], fieldPath, errors)
+                : checkNumber(entry.data[field], PRICE_RANGE, fieldPath, errors);
+        });
+
+        const options = {};
+        const rawOptions = entry.data.options === undefined ? {} : entry.data.options;
+        if (!isPlainObject(rawOptions)) {
+            errors.push({ path: `${path}.data.options`, message: 'must be an object' });
+        } else {
+            // Unknown option keys are dropped rather than passed to the renderer
+            Object.entries(schema.options).forEach(([key, spec]) => {
+                if (rawOptions[key] === undefined) return;
+                const value = checkOption(spec, rawOptions[key], `${path}.data.options.${key}`, errors);
+                if (value !== undefined) options[key] = value;
+            });
+        }
+        data.options = options;
+
+        let timestamp;
+        if (entry.timestamp !== undefined) {
+            timestamp = checkNumber(entry.timestamp, { min: 0, max: TIME_RANGE.max * 1000 }, `${path}.timestamp`, errors);
+        }
+        data.timestamp = timestamp;
+
+        return errors.length === before ? { tool: entry.tool, data, timestamp } : undefined;
+    };
+
+    /**
+     * Validate a list of serialized drawings
+     * @param {Array} entries - Array of { tool, data, timestamp }
+     * @param {Object} options - { maxDrawings: remaining capacity }
+     * @returns {Object} { valid, errors: [{index, path, message}], drawings }
+     */
+    const validateDrawings = (entries, options = {}) => {
+        const errors = [];
+
+        if (!Array.isArray(entries)) {
+            return { valid: false, errors: [{ index: null, path: 'drawings', message: 'must be an array' }], drawings: [] };
+        }
+
+        if (isFiniteNumber(options.maxDrawings) && entries.length > options.maxDrawings) {
+            return {
+                valid: false,
+                errors: [{
+                    index: null,
+                    path: 'drawings',
+                    message: `contains ${entries.length} drawings but only ${Math.max(0, options.maxDrawings)} more are allowed`
+                }],
+                drawings: []
+            };
+        }
+
+        const drawings = entries.map((entry, index) => {
+            const entryErrors = [];
+            const clean = validateEntry(entry, `drawings[${index}]`, entryErrors);
+            entryErrors.forEach((error) => errors.push({ index, ...error }));
+            return clean;
+        });
+
+        return errors.length === 0
+            ? { valid: true, errors: [], drawings }
+            : { valid: false, errors, drawings: [] };
+    };
+
+    /**
+     * Size-check and parse the text of a drawings file
+     * @param {string} text - File contents
+     * @returns {Object} { valid, errors, payload } where payload is the parsed JSON
+     */
+    const parseFile = (text) => {
+        if (typeof text !== 'string') {
+            return { valid: false, errors: [{ index: null, path: 'file', message: 'could not be read' }], payload: null };
+        }
+        if (text.length > MAX_FILE_BYTES) {
+            return {
+                valid: false,
+                errors: [{ index: null, path: 'file', message: `is larger than ${Math.round(MAX_FILE_BYTES / 1024)} KB` }],
+                payload: null
+            };
+        }
+
+        try {
+            return { valid: true, errors: [], payload: JSON.parse(text) };
+        } catch {
+            return { valid: false, errors: [{ index: null, path: 'file', message: 'is not valid JSON' }], payload: null };
+        }
+    };
+
+    return {
+        validateDrawings,
+        parseFile,
+        MAX_FILE_BYTES,
+        MAX_LABEL_LENGTH,
+        TOOLS: Object.keys(TOOL_SCHEMAS)
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DrawingSchema;
+}
+if (typeof window !== 'undefined') {
+    window.DrawingSchema = DrawingSchema;
+}
@@ -228,6 +228,42 @@ const Sanitizer = (() => {
         element.textContent = normalizeInput(value);
     };
 
+    /**
+     * Check untrusted name/value parameters (e.g. from a URL hash) against an allowlist.
+     * Unknown or repeated names, overlong values, values that fail their pattern and values
+     * carrying an XSS payload are rejected; nothing of a rejected parameter is kept.
+     * @param {Iterable} entries - [name, value] pairs, e.g. a URLSearchParams
+     * @param {Object} spec - name -> { pattern: RegExp, maxLength: number }
+     * @returns {Object} { values: name -> string, rejected: [{ name, reason }] }
+     */
+    const filterParams = (entries, spec = {}) => {
+        const values = {};
+        const rejected = [];
+        const seen = new Set();
+
+        for (const [rawName, rawValue] of entries) {
+            const name = sanitizeAttributeValue(rawName).slice(0, 32);
+            const value = normalizeInput(rawValue);
+            const rule = Object.prototype.hasOwnProperty.call(spec, name) ? spec[name] : null;
+
+            if (!rule) {
+                rejected.push({ name, reason: 'unknown parameter' });
+            } else if (seen.has(name)) {
+                rejected.push({ name, reason: 'repeated parameter' });
+                delete values[name];
+            } else if (value.length > (rule.maxLength || 256)) {
+                rejected.push({ name, reason: 'value too long' });
+            } else if (hasXSSPayload(value) || (rule.pattern && !rule.pattern.test(value))) {
+                rejected.push({ name, reason: 'invalid value' });
+            } else {
+                values[name] = value;
+            }
+            seen.add(name);
+        }
+
+        return { values, rejected };
+    };
+
     return {
         escapeHTML,
         sanitizeText: escapeHTML,
@@ -239,6 +275,7 @@ const Sanitizer = (() => {
         sanitizeColor,
         hasXSSPayload,
         setSafeText,
+        filterParams,
         COLOR_ALLOWLIST: new Set(COLOR_ALLOWLIST),
         XSS_PATTERNS: XSS_PATTERNS.slice()
     };
@@ -0,0 +1,327 @@
+/**
+ * CSV Mapping Dialog - Lets the user confirm or correct how a CSV file is read
+ * Shows the detected delimiter, header row, column mapping, timestamp format and
+ * source timezone next to a live preview of the first rows
+ */
+class CSVMappingDialog {
+    constructor(detection, options = {}) {
+        this.detection = detection;
+        this.options = {
+            title: 'Map CSV columns',
+            previewRows: 5,
+            ...options
+        };
+        this.dialect = CSVDialect.createDialect(detection.dialect);
+        this.overlay = null;
+        this.resolve = null;
+        this.controls = {};
+
+        this.handleKeyDown = (event) => {
+            if (event.key === 'Escape') {
+                event.stopPropagation();
+                this.close(null);
+            }
+        };
+    }
+
+    /**
+     * Show the dialog
+     * @param {Object} detection - Result of CSVDialect.detect()
+     * @param {Object} options - Dialog options
+     * @returns {Promise<Object|null>} Chosen dialect, or null if cancelled
+     */
+    static show(detection, options = {}) {
+        return new CSVMappingDialog(detection, options).open();
+    }
+
+    open() {
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this.render();
+            document.body.appendChild(this.overlay);
+            document.addEventListener('keydown', this.handleKeyDown, true);
+            this.controls.apply.focus();
+        });
+    }
+
+    close(result) {
+        document.removeEventListener('keydown', this.handleKeyDown, true);
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+
+        if (this.resolve) {
+            const resolve = this.resolve;
+            this.resolve = null;
+            resolve(result);
+        }
+    }
+
+    render() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay';
+
+        const dialog = document.createElement('div');
+        dialog.className = 'modal csv-mapping-dialog';
+        const safeAttrs = Sanitizer.filterAttributes({
+            'role': 'dialog',
+            'aria-modal': 'true',
+            'aria-label': this.options.title
+        });
+        Object.entries(safeAttrs).forEach(([key, value]) => {
+            dialog.setAttribute(key, value);
+        });
+
+        const title = document.createElement('h2');
+        title.className = 'modal-title';
+        Sanitizer.setSafeText(title, this.options.title);
+        dialog.appendChild(title);
+
+        if (this.detection.issues && this.detection.issues.length > 0) {
+            const issues = document.createElement('ul');
+            issues.className = 'modal-issues';
+            this.detection.issues.forEach(issue => {
+                const item = document.createElement('li');
+                Sanitizer.setSafeText(item, issue);
+                issues.appendChild(item);
+            });
+            dialog.appendChild(issues);
+        }
+
+        dialog.appendChild(this.createFormatSection());
+
+        this.controls.columns = document.createElement('div');
+        this.controls.columns.className = 'modal-grid';
+        dialog.appendChild(this.controls.columns);
+
+        this.controls.preview = document.createElement('table');
+        this.controls.preview.className = 'csv-preview';
+        dialog.appendChild(this.controls.preview);
+
+        dialog.appendChild(this.createButtons());
+        this.overlay.appendChild(dialog);
+
+        this.renderColumns();
+        this.update();
+    }
+
+    createFormatSection() {
+        const section = document.createElement('div');
+        section.className = 'modal-grid';
+
+        this.controls.delimiter = this.createSelect([
+            { value: '\t', label: 'Tab' },
+            { value: ',', label: 'Comma' },
+            { value: ';', label: 'Semicolon' }
+        ], this.dialect.delimiter);
+        this.controls.delimiter.addEventListener('change', () => {
+            this.dialect.delimiter = this.controls.delimiter.value;
+            this.renderColumns();
+            this.update();
+        });
+        section.appendChild(this.createField('Delimiter', this.controls.delimiter));
+
+        this.controls.hasHeader = document.createElement('input');
+        this.controls.hasHeader.type = 'checkbox';
+        this.controls.hasHeader.checked = this.dialect.hasHeader;
+        this.controls.hasHeader.addEventListener('change', () => {
+            this.dialect.hasHeader = this.controls.hasHeader.checked;
+            this.renderColumns();
+            this.update();
+        });
+        section.appendChild(this.createField('First row is a header', this.controls.hasHeader));
+
+        this.controls.timestampFormat = this.createSelect([
+            { value: 'datetime', label: 'YYYY-MM-DD HH:mm' },
+            { value: 'iso', label: 'ISO 8601' },
+            { value: 'epoch-s', label: 'Unix seconds' },
+            { value: 'epoch-ms', label: 'Unix milliseconds' }
+        ], this.dialect.timestampFormat);
+        this.controls.timestampFormat.addEventListener('change', () => {
+            this.dialect.timestampFormat = this.controls.timestampFormat.value;
+            this.update();
+        });
+        section.appendChild(this.createField('Timestamp format', this.controls.timestampFormat));
+
+        this.controls.timezone = document.createElement('input');
+        this.controls.timezone.type = 'text';
+        this.controls.timezone.value = this.dialect.timezone;
+        this.controls.timezone.setAttribute('list', 'csv-timezones');
+        this.controls.timezone.setAttribute('spellcheck', 'false');
+        this.controls.timezone.addEventListener('input', () => {
+            this.dialect.timezone = this.controls.timezone.value.trim();
+            this.update();
+        });
+        section.appendChild(this.createField('Source timezone', this.controls.timezone));
+        section.appendChild(this.createTimezoneList());
+
+        return section;
+    }
+
+    createTimezoneList() {
+        const list = document.createElement('datalist');
+        list.id = 'csv-timezones';
+
+        const zones = ['local', 'UTC'];
+        if (typeof Intl.supportedValuesOf === 'function') {
+            zones.push(...Intl.supportedValuesOf('timeZone'));
+        }
+        zones.forEach(zone => {
+            const option = document.createElement('option');
+            option.value = zone;
+            list.appendChild(option);
+        });
+
+        return list;
+    }
+
+    /**
+     * Rebuild the per-field column selects for the current delimiter/header setting
+     */
+    renderColumns() {
+        const container = this.controls.columns;
+        while (container.firstChild) {
+            container.removeChild(container.firstChild);
+        }
+
+        const firstRow = CSVDialect.splitLine(this.detection.sampleLines[0] || '', this.dialect.delimiter);
+        const choices = [{ value: '-1', label: '—' }].concat(firstRow.map((value, index) => ({
+            value: String(index),
+            label: `${index + 1}: ${String(value).slice(0, 24)}`
+        })));
+
+        this.controls.fields = {};
+        CSVDialect.FIELDS.forEach(field => {
+            const current = this.dialect.columns[field];
+            const select = this.createSelect(choices, String(current < firstRow.length ? current : -1));
+            select.addEventListener('change', () => {
+                this.dialect.columns[field] = parseInt(select.value, 10);
+                this.update();
+            });
+            this.dialect.columns[field] = parseInt(select.value, 10);
+            this.controls.fields[field] = select;
+
+            const required = CSVDialect.REQUIRED_FIELDS.includes(field);
+            const label = field.charAt(0).toUpperCase() + field.slice(1) + (required ? '' : ' (optional)');
+            container.appendChild(this.createField(label, select));
+        });
+    }
+
+    /**
+     * Refresh the preview and the Apply button for the current mapping
+     */
+    update() {
+        const errors = CSVDialect.validateDialect(this.dialect);
+        this.controls.apply.disabled = errors.length > 0;
+        this.controls.timezone.classList.toggle('invalid', !CSVDialect.isValidTimezone(this.dialect.timezone));
+
+        this.renderPreview(errors);
+    }
+
+    renderPreview(errors) {
+        const table = this.controls.preview;
+        while (table.firstChild) {
+            table.removeChild(table.firstChild);
+        }
+
+        const head = document.createElement('tr');
+        ['Time (UTC)', 'Open', 'High', 'Low', 'Close', 'Volume'].forEach(text => {
+            const cell = document.createElement('th');
+            Sanitizer.setSafeText(cell, text);
+            head.appendChild(cell);
+        });
+        table.appendChild(head);
+
+        if (errors.length > 0) {
+            table.appendChild(this.createMessageRow(errors.join('. ')));
+            return;
+        }
+
+        const parseRow = CSVDialect.createRowParser(this.dialect);
+        const lines = this.detection.sampleLines.slice(this.dialect.hasHeader ? 1 : 0, (this.dialect.hasHeader ? 1 : 0) + this.options.previewRows);
+
+        lines.forEach(line => {
+            const bar = parseRow(line);
+            if (typeof bar === 'string') {
+                table.appendChild(this.createMessageRow(`Skipped: ${bar}`));
+                return;
+            }
+
+            const row = document.createElement('tr');
+            [
+                new Date(bar.time * 1000).toISOString().replace('T', ' ').slice(0, 19),
+                bar.open, bar.high, bar.low, bar.close, bar.volume
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                Sanitizer.setSafeText(cell, String(value));
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+    }
+
+    createMessageRow(message) {
+        const row = document.createElement('tr');
+        row.className = 'csv-preview-error';
+        const cell = document.createElement('td');
+        cell.colSpan = 6;
+        Sanitizer.setSafeText(cell, message);
+        row.appendChild(cell);
+        return row;
+    }
+
+    createButtons() {
+        const buttons = document.createElement('div');
+        buttons.className = 'modal-buttons';
+
+        const cancel = document.createElement('button');
+        cancel.className = 'modal-btn';
+        Sanitizer.setSafeText(cancel, 'Cancel');
+        cancel.addEventListener('click', () => this.close(null));
+
+        this.controls.apply = document.createElement('button');
+        this.controls.apply.className = 'modal-btn primary';
+        Sanitizer.setSafeText(this.controls.apply, 'Apply');
+        this.controls.apply.addEventListener('click', () => {
+            if (CSVDialect.validateDialect(this.dialect).length === 0) {
+                this.close(CSVDialect.createDialect(this.dialect));
+            }
+        });
+
+        buttons.appendChild(cancel);
+        buttons.appendChild(this.controls.apply);
+        return buttons;
+    }
+
+    createSelect(choices, selected) {
+        const select = document.createElement('select');
+        choices.forEach(choice => {
+            const option = document.createElement('option');
+            option.value = choice.value;
+            Sanitizer.setSafeText(option, choice.label);
+            select.appendChild(option);
+        });
+        select.value = selected;
+        return select;
+    }
+
+    createField(labelText, control) {
+        const label = document.createElement('label');
+        label.className = 'modal-field';
+
+        const text = document.createElement('span');
+        Sanitizer.setSafeText(text, labelText);
+
+        label.appendChild(text);
+        label.appendChild(control);
+        return label;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVMappingDialog;
+} else if (typeof window !== 'undefined') {
+    window.CSVMappingDialog = CSVMappingDialog;
+}
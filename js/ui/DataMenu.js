@@ -0,0 +1,202 @@
+/**
+ * Data Menu - Header menu for opening local data files and recent files
+ * Emits 'data-file-selected' { file, mode }, 'data-recent-selected' { id, mode }
+ * and 'data-default-selected'
+ */
+class DataMenu {
+    constructor(eventBus, parent, options = {}) {
+        this.eventBus = eventBus;
+        this.parent = parent;
+        this.options = {
+            defaultLabel: 'BTCUSD 15m (sample)',
+            accept: '.csv,.tsv,.txt,.json,.ndjson,.jsonl,text/csv,text/plain,application/json',
+            ...options
+        };
+        this.container = null;
+        this.button = null;
+        this.menu = null;
+        this.fileInput = null;
+        this.pendingMode = 'replace';
+        this.isOpen = false;
+
+        this.handleDocumentClick = (event) => {
+            if (this.isOpen && !this.container.contains(event.target)) {
+                this.close();
+            }
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.createMenu();
+        this.bindEvents();
+    }
+
+    createMenu() {
+        this.container = document.createElement('div');
+        this.container.className = 'data-menu';
+
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'header-btn';
+        const safeAttrs = Sanitizer.filterAttributes({
+            'aria-haspopup': 'menu',
+            'aria-expanded': 'false',
+            'title': 'Open a local CSV or JSON file'
+        });
+        Object.entries(safeAttrs).forEach(([key, value]) => {
+            this.button.setAttribute(key, value);
+        });
+        Sanitizer.setSafeText(this.button, 'Data ▾');
+        this.button.addEventListener('click', () => this.toggle());
+
+        this.menu = document.createElement('div');
+        this.menu.className = 'data-menu-list';
+        this.menu.setAttribute('role', 'menu');
+        this.menu.style.display = 'none';
+
+        // Hidden file picker shared by "Open" and "Add"
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = this.options.accept;
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', () => this.handleFilePicked());
+
+        this.container.appendChild(this.button);
+        this.container.appendChild(this.menu);
+        this.container.appendChild(this.fileInput);
+
+        if (this.parent) {
+            this.parent.appendChild(this.container);
+        }
+    }
+
+    bindEvents() {
+        document.addEventListener('click', this.handleDocumentClick);
+
+        this.eventBus.on('recent-files-changed', () => {
+            if (this.isOpen) this.render();
+        });
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    async open() {
+        this.isOpen = true;
+        this.button.setAttribute('aria-expanded', 'true');
+        this.menu.style.display = 'block';
+        await this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.button.setAttribute('aria-expanded', 'false');
+        this.menu.style.display = 'none';
+    }
+
+    async render() {
+        let recent = [];
+        try {
+            recent = await RecentFiles.list();
+        } catch (error) {
+            console.warn('DataMenu: Failed to read recent files:', error);
+        }
+
+        while (this.menu.firstChild) {
+            this.menu.removeChild(this.menu.firstChild);
+        }
+
+        this.menu.appendChild(this.createItem('Open file…', () => this.pickFile('replace')));
+        this.menu.appendChild(this.createItem('Add file to chart…', () => this.pickFile('add')));
+        this.menu.appendChild(this.createItem(this.options.defaultLabel, () => {
+            this.eventBus.emit('data-default-selected');
+        }));
+
+        const title = document.createElement('div');
+        title.className = 'data-menu-title';
+        Sanitizer.setSafeText(title, 'Recent files');
+        this.menu.appendChild(title);
+
+        if (recent.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'data-menu-empty';
+            Sanitizer.setSafeText(empty, 'No recent files');
+            this.menu.appendChild(empty);
+            return;
+        }
+
+        recent.forEach(entry => {
+            const available = RecentFiles.hasFile(entry);
+            const detail = `${this.formatSize(entry.size)} · ${new Date(entry.openedAt).toLocaleDateString()}`;
+            const item = this.createItem(entry.name, () => {
+                this.eventBus.emit('data-recent-selected', { id: entry.id, mode: 'replace' });
+            }, available ? detail : 'No longer available');
+            item.disabled = !available;
+            this.menu.appendChild(item);
+        });
+    }
+
+    createItem(label, onSelect, detail = null) {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'data-menu-item';
+        item.setAttribute('role', 'menuitem');
+
+        const text = document.createElement('span');
+        Sanitizer.setSafeText(text, label);
+        item.appendChild(text);
+
+        if (detail) {
+            const small = document.createElement('small');
+            Sanitizer.setSafeText(small, detail);
+            item.appendChild(small);
+        }
+
+        item.addEventListener('click', () => {
+            this.close();
+            onSelect();
+        });
+        return item;
+    }
+
+    pickFile(mode) {
+        this.pendingMode = mode;
+        this.fileInput.value = '';
+        this.fileInput.click();
+    }
+
+    handleFilePicked() {
+        const file = this.fileInput.files && this.fileInput.files[0];
+        if (!file) return;
+
+        this.eventBus.emit('data-file-selected', { file, mode: this.pendingMode });
+    }
+
+    formatSize(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${bytes} B`;
+    }
+
+    destroy() {
+        document.removeEventListener('click', this.handleDocumentClick);
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        this.container = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataMenu;
+} else if (typeof window !== 'undefined') {
+    window.DataMenu = DataMenu;
+}
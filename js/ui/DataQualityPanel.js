@@ -0,0 +1,376 @@
+/**
+ * Data Quality Panel - Header dropdown listing the findings of DataQuality.analyze()
+ * and the cleaning policy controls. Listens for 'data-quality-report' { report } and
+ * 'data-cleaning-applied' { audit }. Emits 'data-quality-issue-selected' { issue } when an
+ * entry is clicked, 'gap-shading-toggled' { visible } and 'cleaning-policy-selected' { policy }
+ */
+class DataQualityPanel {
+    constructor(eventBus, parent, options = {}) {
+        this.eventBus = eventBus;
+        this.parent = parent;
+        this.options = {
+            // Entries rendered at once; the rest are summarized
+            maxEntries: 200,
+            shadeGaps: true,
+            ...options
+        };
+        this.report = null;
+        this.audit = null;
+        this.filter = 'all';
+        this.container = null;
+        this.button = null;
+        this.panel = null;
+        this.list = null;
+        this.isOpen = false;
+
+        this.handleDocumentClick = (event) => {
+            if (this.isOpen && !this.container.contains(event.target)) {
+                this.close();
+            }
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.createPanel();
+        this.bindEvents();
+    }
+
+    createPanel() {
+        this.container = document.createElement('div');
+        this.container.className = 'data-menu quality-menu';
+
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'header-btn';
+        const safeAttrs = Sanitizer.filterAttributes({
+            'aria-haspopup': 'dialog',
+            'aria-expanded': 'false',
+            'title': 'Gaps, duplicates, outliers and out-of-order bars in the loaded data'
+        });
+        Object.entries(safeAttrs).forEach(([key, value]) => {
+            this.button.setAttribute(key, value);
+        });
+        Sanitizer.setSafeText(this.button, 'Data quality');
+        this.button.addEventListener('click', () => this.toggle());
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'data-menu-list quality-panel';
+        this.panel.style.display = 'none';
+
+        const controls = document.createElement('div');
+        controls.className = 'quality-controls';
+
+        this.filterSelect = document.createElement('select');
+        this.filterSelect.addEventListener('change', () => {
+            this.filter = this.filterSelect.value;
+            this.renderList();
+        });
+
+        const shadeLabel = document.createElement('label');
+        this.shadeCheckbox = document.createElement('input');
+        this.shadeCheckbox.type = 'checkbox';
+        this.shadeCheckbox.checked = this.options.shadeGaps;
+        this.shadeCheckbox.addEventListener('change', () => {
+            this.eventBus.emit('gap-shading-toggled', { visible: this.shadeCheckbox.checked });
+        });
+        shadeLabel.appendChild(this.shadeCheckbox);
+        shadeLabel.appendChild(document.createTextNode(' Shade gaps'));
+
+        controls.appendChild(this.filterSelect);
+        controls.appendChild(shadeLabel);
+
+        this.summary = document.createElement('div');
+        this.summary.className = 'data-menu-title';
+
+        this.list = document.createElement('div');
+        this.list.className = 'quality-list';
+
+        this.panel.appendChild(controls);
+        this.panel.appendChild(this.summary);
+        this.panel.appendChild(this.list);
+        this.panel.appendChild(this.createCleaningSection());
+
+        this.container.appendChild(this.button);
+        this.container.appendChild(this.panel);
+
+        if (this.parent) {
+            this.parent.appendChild(this.container);
+        }
+    }
+
+    /**
+     * Gap policy, outlier threshold, apply and audit export controls
+     */
+    createCleaningSection() {
+        const section = document.createElement('div');
+
+        const title = document.createElement('div');
+        title.className = 'data-menu-title';
+        Sanitizer.setSafeText(title, 'Cleaning');
+        section.appendChild(title);
+
+        const gapRow = document.createElement('div');
+        gapRow.className = 'quality-controls';
+        const gapLabel = document.createElement('label');
+        Sanitizer.setSafeText(gapLabel, 'Gaps');
+        this.gapSelect = document.createElement('select');
+        [
+            ['leave', 'Leave gaps'],
+            ['forward-fill', 'Forward-fill flat bars'],
+            ['interpolate', 'Interpolate']
+        ].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            Sanitizer.setSafeText(option, label);
+            this.gapSelect.appendChild(option);
+        });
+        gapRow.appendChild(gapLabel);
+        gapRow.appendChild(this.gapSelect);
+
+        const outlierRow = document.createElement('div');
+        outlierRow.className = 'quality-controls';
+        const outlierLabel = document.createElement('label');
+        this.outlierCheckbox = document.createElement('input');
+        this.outlierCheckbox.type = 'checkbox';
+        outlierLabel.appendChild(this.outlierCheckbox);
+        outlierLabel.appendChild(document.createTextNode(' Drop wicks above'));
+        this.sigmaInput = document.createElement('input');
+        this.sigmaInput.type = 'number';
+        this.sigmaInput.min = '1';
+        this.sigmaInput.step = '0.5';
+        this.sigmaInput.className = 'quality-sigma';
+        const sigmaUnit = document.createElement('span');
+        Sanitizer.setSafeText(sigmaUnit, 'σ');
+        const sigmaGroup = document.createElement('span');
+        sigmaGroup.appendChild(this.sigmaInput);
+        sigmaGroup.appendChild(sigmaUnit);
+        outlierRow.appendChild(outlierLabel);
+        outlierRow.appendChild(sigmaGroup);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'quality-controls';
+        this.auditSummary = document.createElement('small');
+        const exportButton = document.createElement('button');
+        exportButton.type = 'button';
+        exportButton.className = 'modal-btn';
+        Sanitizer.setSafeText(exportButton, 'Export log');
+        exportButton.addEventListener('click', () => this.exportAudit());
+        const applyButton = document.createElement('button');
+        applyButton.type = 'button';
+        applyButton.className = 'modal-btn primary';
+        Sanitizer.setSafeText(applyButton, 'Apply');
+        applyButton.addEventListener('click', () => this.applyPolicy());
+        buttons.appendChild(this.auditSummary);
+        buttons.appendChild(exportButton);
+        buttons.appendChild(applyButton);
+
+        section.appendChild(gapRow);
+        section.appendChild(outlierRow);
+        section.appendChild(buttons);
+
+        this.setPolicyControls(DataProcessor.normalizeCleaningPolicy());
+        return section;
+    }
+
+    setPolicyControls(policy) {
+        this.gapSelect.value = policy.gaps;
+        this.outlierCheckbox.checked = policy.dropOutliers;
+        this.sigmaInput.value = String(policy.sigma);
+    }
+
+    applyPolicy() {
+        const policy = DataProcessor.normalizeCleaningPolicy({
+            ...(this.audit ? this.audit.policy : {}),
+            gaps: this.gapSelect.value,
+            dropOutliers: this.outlierCheckbox.checked,
+            sigma: parseFloat(this.sigmaInput.value)
+        });
+        this.setPolicyControls(policy);
+        this.eventBus.emit('cleaning-policy-selected', { policy });
+    }
+
+    /**
+     * Show the policy and change count of the latest cleaning run
+     * @param {Object} audit - Audit log from DataProcessor.cleanData()
+     */
+    setAudit(audit) {
+        this.audit = audit;
+        this.setPolicyControls(audit.policy);
+
+        const count = audit.changes.length;
+        Sanitizer.setSafeText(this.auditSummary, `${count.toLocaleString()} change${count === 1 ? '' : 's'}`);
+    }
+
+    /**
+     * Download the audit log of the latest cleaning run as JSON
+     */
+    exportAudit() {
+        if (!this.audit) return;
+
+        try {
+            const blob = new Blob([JSON.stringify(this.audit, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = Sanitizer.sanitizeURL(url);
+            link.download = `btcusd-cleaning-log-${Date.now()}.json`;
+            link.click();
+
+            setTimeout(() => URL.revokeObjectURL(url), 100);
+        } catch (error) {
+            console.error('DataQualityPanel: Failed to export cleaning log:', error);
+        }
+    }
+
+    bindEvents() {
+        document.addEventListener('click', this.handleDocumentClick);
+
+        this.eventBus.on('data-quality-report', ({ report }) => this.setReport(report));
+        this.eventBus.on('data-cleaning-applied', ({ audit }) => this.setAudit(audit));
+    }
+
+    /**
+     * Show a new report
+     * @param {Object} report - Result of DataQuality.analyze()
+     */
+    setReport(report) {
+        this.report = report;
+
+        const total = DataQuality.countIssues(report);
+        Sanitizer.setSafeText(this.button, total > 0 ? `Data quality (${total.toLocaleString()})` : 'Data quality ✓');
+        this.button.classList.toggle('has-issues', total > 0);
+
+        this.renderFilter();
+        this.render();
+    }
+
+    renderFilter() {
+        while (this.filterSelect.firstChild) {
+            this.filterSelect.removeChild(this.filterSelect.firstChild);
+        }
+
+        const counts = this.report ? this.report.counts : {};
+        const addOption = (value, label) => {
+            const option = document.createElement('option');
+            option.value = value;
+            Sanitizer.setSafeText(option, label);
+            this.filterSelect.appendChild(option);
+        };
+
+        addOption('all', `All issues (${DataQuality.countIssues(this.report).toLocaleString()})`);
+        Object.entries(DataQuality.ISSUE_TYPES).forEach(([type, label]) => {
+            if (counts[type]) {
+                addOption(type, `${label} (${counts[type].toLocaleString()})`);
+            }
+        });
+
+        if (this.filter !== 'all' && !counts[this.filter]) {
+            this.filter = 'all';
+        }
+        this.filterSelect.value = this.filter;
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.button.setAttribute('aria-expanded', 'true');
+        this.panel.style.display = 'block';
+        this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.button.setAttribute('aria-expanded', 'false');
+        this.panel.style.display = 'none';
+    }
+
+    render() {
+        if (!this.isOpen) return;
+
+        const report = this.report;
+        if (!report) {
+            Sanitizer.setSafeText(this.summary, 'No data loaded');
+        } else {
+            const interval = report.interval
+                ? `${Resampler.getTimeframeForInterval(report.interval) || `${report.interval}s`} bars`
+                : 'unknown interval';
+            Sanitizer.setSafeText(this.summary, `${report.barCount.toLocaleString()} rows · ${interval}`);
+        }
+        this.renderList();
+    }
+
+    renderList() {
+        while (this.list.firstChild) {
+            this.list.removeChild(this.list.firstChild);
+        }
+
+        const issues = this.report
+            ? this.report.issues.filter(issue => this.filter === 'all' || issue.type === this.filter)
+            : [];
+
+        if (issues.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'data-menu-empty';
+            Sanitizer.setSafeText(empty, this.report ? 'No issues found' : 'No data loaded');
+            this.list.appendChild(empty);
+            return;
+        }
+
+        issues.slice(0, this.options.maxEntries).forEach(issue => {
+            this.list.appendChild(this.createEntry(issue));
+        });
+
+        if (issues.length > this.options.maxEntries) {
+            const more = document.createElement('div');
+            more.className = 'data-menu-empty';
+            Sanitizer.setSafeText(more, `…and ${(issues.length - this.options.maxEntries).toLocaleString()} more`);
+            this.list.appendChild(more);
+        }
+    }
+
+    createEntry(issue) {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'data-menu-item quality-item';
+        item.setAttribute('data-type', issue.type);
+        item.disabled = typeof issue.time !== 'number';
+
+        const label = document.createElement('span');
+        const when = typeof issue.time === 'number' ? Utils.formatDate(issue.time) : 'Unknown time';
+        Sanitizer.setSafeText(label, `${DataQuality.ISSUE_TYPES[issue.type]} · ${when}`);
+
+        const detail = document.createElement('small');
+        Sanitizer.setSafeText(detail, issue.message);
+
+        item.appendChild(label);
+        item.appendChild(detail);
+        item.addEventListener('click', () => {
+            this.eventBus.emit('data-quality-issue-selected', { issue });
+        });
+        return item;
+    }
+
+    destroy() {
+        document.removeEventListener('click', this.handleDocumentClick);
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        this.container = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataQualityPanel;
+} else if (typeof window !== 'undefined') {
+    window.DataQualityPanel = DataQualityPanel;
+}
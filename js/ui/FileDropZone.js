@@ -0,0 +1,143 @@
+/**
+ * File Drop Zone - Accepts CSV/JSON files dropped onto the chart
+ * While a file is dragged over the target it shows two zones: replace the data
+ * or add the file's bars to it. Emits 'data-file-selected' { file, mode }
+ */
+class FileDropZone {
+    constructor(eventBus, target) {
+        this.eventBus = eventBus;
+        this.target = target;
+        this.overlay = null;
+        this.dragDepth = 0;
+
+        this.handleDragEnter = this.handleDragEnter.bind(this);
+        this.handleDragOver = this.handleDragOver.bind(this);
+        this.handleDragLeave = this.handleDragLeave.bind(this);
+        this.handleDrop = this.handleDrop.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        if (!this.target) return;
+
+        this.createOverlay();
+        this.target.addEventListener('dragenter', this.handleDragEnter);
+        this.target.addEventListener('dragover', this.handleDragOver);
+        this.target.addEventListener('dragleave', this.handleDragLeave);
+        this.target.addEventListener('drop', this.handleDrop);
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'drop-overlay';
+        this.overlay.style.display = 'none';
+
+        [
+            { mode: 'replace', label: 'Drop to open', hint: 'Replaces the chart data' },
+            { mode: 'add', label: 'Drop to add', hint: 'Merges bars into the chart' }
+        ].forEach(zone => {
+            const element = document.createElement('div');
+            element.className = 'drop-zone';
+            element.setAttribute('data-mode', zone.mode);
+
+            const label = document.createElement('strong');
+            Sanitizer.setSafeText(label, zone.label);
+            const hint = document.createElement('span');
+            Sanitizer.setSafeText(hint, zone.hint);
+
+            element.appendChild(label);
+            element.appendChild(hint);
+            this.overlay.appendChild(element);
+        });
+
+        this.target.appendChild(this.overlay);
+    }
+
+    /**
+     * @returns {boolean} True if the drag carries files
+     */
+    hasFiles(event) {
+        const types = event.dataTransfer ? Array.from(event.dataTransfer.types || []) : [];
+        return types.includes('Files');
+    }
+
+    /**
+     * Find the drop zone under the pointer
+     * @returns {string} 'replace' or 'add'
+     */
+    getMode(event) {
+        const zone = event.target && event.target.closest ? event.target.closest('.drop-zone') : null;
+        return zone ? zone.getAttribute('data-mode') : 'replace';
+    }
+
+    handleDragEnter(event) {
+        if (!this.hasFiles(event)) return;
+
+        event.preventDefault();
+        this.dragDepth++;
+        this.overlay.style.display = 'flex';
+    }
+
+    handleDragOver(event) {
+        if (!this.hasFiles(event)) return;
+
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+
+        const mode = this.getMode(event);
+        this.overlay.querySelectorAll('.drop-zone').forEach(zone => {
+            zone.classList.toggle('active', zone.getAttribute('data-mode') === mode);
+        });
+    }
+
+    handleDragLeave(event) {
+        if (!this.hasFiles(event)) return;
+
+        this.dragDepth = Math.max(0, this.dragDepth - 1);
+        if (this.dragDepth === 0) {
+            this.hide();
+        }
+    }
+
+    handleDrop(event) {
+        if (!this.hasFiles(event)) return;
+
+        event.preventDefault();
+        const mode = this.getMode(event);
+        this.hide();
+
+        const file = event.dataTransfer.files && event.dataTransfer.files[0];
+        if (!file) return;
+
+        if (event.dataTransfer.files.length > 1) {
+            console.warn('FileDropZone: Only the first dropped file is loaded');
+        }
+
+        this.eventBus.emit('data-file-selected', { file, mode });
+    }
+
+    hide() {
+        this.dragDepth = 0;
+        this.overlay.style.display = 'none';
+    }
+
+    destroy() {
+        if (!this.target) return;
+
+        this.target.removeEventListener('dragenter', this.handleDragEnter);
+        this.target.removeEventListener('dragover', this.handleDragOver);
+        this.target.removeEventListener('dragleave', this.handleDragLeave);
+        this.target.removeEventListener('drop', this.handleDrop);
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileDropZone;
+} else if (typeof window !== 'undefined') {
+    window.FileDropZone = FileDropZone;
+}
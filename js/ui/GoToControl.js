@@ -0,0 +1,159 @@
+/**
+ * Go To Control - Header dropdown for jumping to a date or a preset range
+ * Emits 'goto-date-selected' { time } to center the chart on a time and
+ * 'goto-range-selected' { preset } for the preset buttons (1D ... All)
+ */
+class GoToControl {
+    constructor(eventBus, parent, options = {}) {
+        this.eventBus = eventBus;
+        this.parent = parent;
+        this.options = {
+            presets: ['1D', '1W', '1M', '3M', 'YTD', '1Y', 'All'],
+            ...options
+        };
+        this.container = null;
+        this.button = null;
+        this.panel = null;
+        this.dateInput = null;
+        this.isOpen = false;
+
+        this.handleDocumentClick = (event) => {
+            if (this.isOpen && !this.container.contains(event.target)) {
+                this.close();
+            }
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.createControl();
+        document.addEventListener('click', this.handleDocumentClick);
+    }
+
+    createControl() {
+        this.container = document.createElement('div');
+        this.container.className = 'data-menu goto-control';
+
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'header-btn';
+        const safeAttrs = Sanitizer.filterAttributes({
+            'aria-haspopup': 'dialog',
+            'aria-expanded': 'false',
+            'title': 'Go to a date or range (Alt+G)'
+        });
+        Object.entries(safeAttrs).forEach(([key, value]) => {
+            this.button.setAttribute(key, value);
+        });
+        Sanitizer.setSafeText(this.button, 'Go to');
+        this.button.addEventListener('click', () => this.toggle());
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'data-menu-list goto-panel';
+        this.panel.style.display = 'none';
+
+        const dateTitle = document.createElement('div');
+        dateTitle.className = 'data-menu-title';
+        Sanitizer.setSafeText(dateTitle, 'Date (UTC)');
+
+        const dateRow = document.createElement('div');
+        dateRow.className = 'quality-controls';
+        this.dateInput = document.createElement('input');
+        this.dateInput.type = 'datetime-local';
+        this.dateInput.className = 'goto-date';
+        this.dateInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.goToDate();
+            } else if (event.key === 'Escape') {
+                this.close();
+            }
+        });
+        const goButton = document.createElement('button');
+        goButton.type = 'button';
+        goButton.className = 'modal-btn primary';
+        Sanitizer.setSafeText(goButton, 'Go');
+        goButton.addEventListener('click', () => this.goToDate());
+        dateRow.appendChild(this.dateInput);
+        dateRow.appendChild(goButton);
+
+        const rangeTitle = document.createElement('div');
+        rangeTitle.className = 'data-menu-title';
+        Sanitizer.setSafeText(rangeTitle, 'Range');
+
+        const presets = document.createElement('div');
+        presets.className = 'goto-presets';
+        this.options.presets.forEach(preset => {
+            const presetButton = document.createElement('button');
+            presetButton.type = 'button';
+            presetButton.className = 'timeframe-btn';
+            presetButton.setAttribute('data-preset', preset);
+            Sanitizer.setSafeText(presetButton, preset);
+            presetButton.addEventListener('click', () => {
+                this.close();
+                this.eventBus.emit('goto-range-selected', { preset });
+            });
+            presets.appendChild(presetButton);
+        });
+
+        this.panel.appendChild(dateTitle);
+        this.panel.appendChild(dateRow);
+        this.panel.appendChild(rangeTitle);
+        this.panel.appendChild(presets);
+
+        this.container.appendChild(this.button);
+        this.container.appendChild(this.panel);
+
+        if (this.parent) {
+            this.parent.appendChild(this.container);
+        }
+    }
+
+    goToDate() {
+        const time = Utils.parseUTCInput(this.dateInput.value);
+        if (time === null) {
+            this.dateInput.focus();
+            return;
+        }
+
+        this.close();
+        this.eventBus.emit('goto-date-selected', { time });
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.button.setAttribute('aria-expanded', 'true');
+        this.panel.style.display = 'block';
+        this.dateInput.focus();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.button.setAttribute('aria-expanded', 'false');
+        this.panel.style.display = 'none';
+    }
+
+    destroy() {
+        document.removeEventListener('click', this.handleDocumentClick);
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        this.container = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GoToControl;
+} else if (typeof window !== 'undefined') {
+    window.GoToControl = GoToControl;
+}
@@ -0,0 +1,260 @@
+/**
+ * Indicator Settings Dialog - Edits an indicator's inputs and the color and line width
+ * of each of its outputs
+ */
+class IndicatorSettingsDialog {
+    constructor(definition, settings = {}, options = {}) {
+        this.definition = definition;
+        this.params = IndicatorRegistry.normalizeParams(definition, settings.params || {}).params;
+        this.styles = IndicatorRegistry.normalizeStyles(definition, settings.styles || {});
+        this.options = {
+            title: `${definition.name} settings`,
+            ...options
+        };
+        this.overlay = null;
+        this.resolve = null;
+        this.controls = { inputs: {}, colors: {}, widths: {} };
+
+        this.handleKeyDown = (event) => {
+            if (event.key === 'Escape') {
+                event.stopPropagation();
+                this.close(null);
+            } else if (event.key === 'Enter' && event.target.tagName === 'INPUT') {
+                event.preventDefault();
+                this.apply();
+            }
+        };
+    }
+
+    /**
+     * Show the dialog
+     * @param {Object} definition - Indicator from IndicatorRegistry
+     * @param {Object} settings - Current { params, styles }
+     * @param {Object} options - Dialog options
+     * @returns {Promise<Object|null>} New { params, styles }, or null if cancelled
+     */
+    static show(definition, settings = {}, options = {}) {
+        return new IndicatorSettingsDialog(definition, settings, options).open();
+    }
+
+    open() {
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this.render();
+            document.body.appendChild(this.overlay);
+            document.addEventListener('keydown', this.handleKeyDown, true);
+
+            const first = Object.values(this.controls.inputs)[0];
+            (first || this.controls.apply).focus();
+        });
+    }
+
+    close(result) {
+        document.removeEventListener('keydown', this.handleKeyDown, true);
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+
+        if (this.resolve) {
+            const resolve = this.resolve;
+            this.resolve = null;
+            resolve(result);
+        }
+    }
+
+    render() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay';
+
+        const dialog = document.createElement('div');
+        dialog.className = 'modal indicator-settings-dialog';
+        const safeAttrs = Sanitizer.filterAttributes({
+            'role': 'dialog',
+            'aria-modal': 'true',
+            'aria-label': this.options.title
+        });
+        Object.entries(safeAttrs).forEach(([key, value]) => {
+            dialog.setAttribute(key, value);
+        });
+
+        const title = document.createElement('h2');
+        title.className = 'modal-title';
+        Sanitizer.setSafeText(title, this.options.title);
+        dialog.appendChild(title);
+
+        if (this.definition.inputs.length > 0) {
+            dialog.appendChild(this.createInputSection());
+        }
+        dialog.appendChild(this.createStyleSection());
+
+        this.controls.errors = document.createElement('ul');
+        this.controls.errors.className = 'modal-issues';
+        dialog.appendChild(this.controls.errors);
+
+        dialog.appendChild(this.createButtons());
+        this.overlay.appendChild(dialog);
+
+        this.update();
+    }
+
+    createInputSection() {
+        const section = document.createElement('div');
+        section.className = 'modal-grid';
+
+        this.definition.inputs.forEach(input => {
+            const control = input.options ? this.createChoice(input) : this.createNumber(input);
+            control.value = String(this.params[input.name]);
+            control.addEventListener('input', () => this.update());
+
+            this.controls.inputs[input.name] = control;
+            section.appendChild(this.createField(input.label, control));
+        });
+
+        return section;
+    }
+
+    createNumber(input) {
+        const control = document.createElement('input');
+        control.type = 'number';
+        control.min = String(input.min);
+        control.max = String(input.max);
+        control.step = String(input.step || (input.integer ? 1 : 'any'));
+        return control;
+    }
+
+    createChoice(input) {
+        const control = document.createElement('select');
+        input.options.forEach(choice => {
+            const option = document.createElement('option');
+            option.value = String(choice.value);
+            Sanitizer.setSafeText(option, choice.label);
+            control.appendChild(option);
+        });
+        return control;
+    }
+
+    createStyleSection() {
+        const section = document.createElement('div');
+        section.className = 'modal-grid';
+
+        this.definition.outputs.forEach(output => {
+            const style = this.styles[output.name];
+
+            const color = document.createElement('input');
+            color.type = 'color';
+            // The color picker only takes #rrggbb
+            color.value = /^#[0-9a-f]{6}$/i.test(style.color) ? style.color : output.color;
+            this.controls.colors[output.name] = color;
+            section.appendChild(this.createField(`${output.label} color`, color));
+
+            // Custom outputs drawn as lines by the indicator's primitive declare a lineWidth
+            if (output.type === 'line' || (output.type === 'custom' && output.lineWidth)) {
+                const width = document.createElement('select');
+                IndicatorRegistry.LINE_WIDTHS.forEach(lineWidth => {
+                    const option = document.createElement('option');
+                    option.value = String(lineWidth);
+                    Sanitizer.setSafeText(option, `${lineWidth}px`);
+                    width.appendChild(option);
+                });
+                width.value = String(style.lineWidth);
+                this.controls.widths[output.name] = width;
+                section.appendChild(this.createField(`${output.label} width`, width));
+            }
+        });
+
+        return section;
+    }
+
+    /**
+     * @returns {Object} { params, styles, errors } from the form
+     */
+    read() {
+        const values = {};
+        Object.entries(this.controls.inputs).forEach(([name, control]) => {
+            values[name] = control.value;
+        });
+        const { params, errors } = IndicatorRegistry.normalizeParams(this.definition, values);
+
+        const styles = {};
+        this.definition.outputs.forEach(output => {
+            const width = this.controls.widths[output.name];
+            styles[output.name] = {
+                color: this.controls.colors[output.name].value,
+                lineWidth: width ? parseInt(width.value, 10) : undefined
+            };
+        });
+
+        return { params, styles: IndicatorRegistry.normalizeStyles(this.definition, styles), errors };
+    }
+
+    /**
+     * Mark invalid inputs and list what is wrong
+     */
+    update() {
+        const { errors } = this.read();
+
+        this.definition.inputs.forEach(input => {
+            const control = this.controls.inputs[input.name];
+            const single = IndicatorRegistry.normalizeParams(this.definition, { [input.name]: control.value });
+            control.classList.toggle('invalid', single.errors.length > 0);
+        });
+
+        const list = this.controls.errors;
+        while (list.firstChild) {
+            list.removeChild(list.firstChild);
+        }
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            Sanitizer.setSafeText(item, error);
+            list.appendChild(item);
+        });
+
+        this.controls.apply.disabled = errors.length > 0;
+    }
+
+    apply() {
+        const { params, styles, errors } = this.read();
+        if (errors.length === 0) {
+            this.close({ params, styles });
+        }
+    }
+
+    createButtons() {
+        const buttons = document.createElement('div');
+        buttons.className = 'modal-buttons';
+
+        const cancel = document.createElement('button');
+        cancel.className = 'modal-btn';
+        Sanitizer.setSafeText(cancel, 'Cancel');
+        cancel.addEventListener('click', () => this.close(null));
+
+        this.controls.apply = document.createElement('button');
+        this.controls.apply.className = 'modal-btn primary';
+        Sanitizer.setSafeText(this.controls.apply, 'Apply');
+        this.controls.apply.addEventListener('click', () => this.apply());
+
+        buttons.appendChild(cancel);
+        buttons.appendChild(this.controls.apply);
+        return buttons;
+    }
+
+    createField(labelText, control) {
+        const label = document.createElement('label');
+        label.className = 'modal-field';
+
+        const text = document.createElement('span');
+        Sanitizer.setSafeText(text, labelText);
+
+        label.appendChild(text);
+        label.appendChild(control);
+        return label;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndicatorSettingsDialog;
+} else if (typeof window !== 'undefined') {
+    window.IndicatorSettingsDialog = IndicatorSettingsDialog;
+}
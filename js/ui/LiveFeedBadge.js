@@ -0,0 +1,99 @@
+/**
+ * Live Feed Badge - Header badge showing the live feed connection status
+ * Listens for 'live-feed-status'. Clicking the badge emits 'live-feed-toggle';
+ * the settings button emits 'live-feed-configure'
+ */
+class LiveFeedBadge {
+    constructor(eventBus, parent) {
+        this.eventBus = eventBus;
+        this.parent = parent;
+        this.container = null;
+        this.badge = null;
+        this.label = null;
+
+        this.init();
+    }
+
+    init() {
+        this.createBadge();
+        this.eventBus.on('live-feed-status', (state) => this.update(state));
+        this.update({ status: 'offline' });
+    }
+
+    createBadge() {
+        this.container = document.createElement('div');
+        this.container.className = 'live-feed';
+
+        this.badge = document.createElement('button');
+        this.badge.type = 'button';
+        this.badge.className = 'header-btn live-badge';
+        this.badge.setAttribute('data-status', 'offline');
+
+        const dot = document.createElement('span');
+        dot.className = 'live-dot';
+        this.label = document.createElement('span');
+
+        this.badge.appendChild(dot);
+        this.badge.appendChild(this.label);
+        this.badge.addEventListener('click', () => this.eventBus.emit('live-feed-toggle'));
+
+        const settings = document.createElement('button');
+        settings.type = 'button';
+        settings.className = 'header-btn';
+        const safeAttrs = Sanitizer.filterAttributes({
+            'title': 'Live feed address',
+            'aria-label': 'Live feed address'
+        });
+        Object.entries(safeAttrs).forEach(([key, value]) => {
+            settings.setAttribute(key, value);
+        });
+        Sanitizer.setSafeText(settings, '⚙');
+        settings.addEventListener('click', () => this.eventBus.emit('live-feed-configure'));
+
+        this.container.appendChild(this.badge);
+        this.container.appendChild(settings);
+
+        if (this.parent) {
+            this.parent.appendChild(this.container);
+        }
+    }
+
+    /**
+     * @param {Object} state - { status, url, attempt, delay } from LiveFeed
+     */
+    update(state) {
+        const labels = {
+            offline: 'Live: off',
+            connecting: 'Live: connecting…',
+            live: 'Live',
+            reconnecting: 'Live: reconnecting…'
+        };
+        const status = labels[state.status] ? state.status : 'offline';
+
+        this.badge.setAttribute('data-status', status);
+        Sanitizer.setSafeText(this.label, labels[status]);
+
+        let title = status === 'offline' ? 'Connect to the live feed' : 'Disconnect from the live feed';
+        if (state.url) {
+            title += ` (${state.url})`;
+        }
+        if (status === 'reconnecting' && state.delay) {
+            title += ` - retry ${state.attempt} in ${Math.round(state.delay / 1000)}s`;
+        }
+        this.badge.setAttribute('title', Sanitizer.filterAttributes({ title }).title || '');
+    }
+
+    destroy() {
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        this.container = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiveFeedBadge;
+} else if (typeof window !== 'undefined') {
+    window.LiveFeedBadge = LiveFeedBadge;
+}
@@ -0,0 +1,218 @@
+/**
+ * Replay Controls - Header controls for bar replay
+ * The Replay button opens a start picker (date or a click on the chart); while replaying it is
+ * replaced by play/pause, step, speed and exit controls. Listens for 'replay-state'.
+ * Emits 'replay-start-requested' { time } (time null to pick a bar on the chart),
+ * 'replay-toggle-play', 'replay-step', 'replay-speed-selected' { speed } and 'replay-exit'
+ */
+class ReplayControls {
+    constructor(eventBus, parent, options = {}) {
+        this.eventBus = eventBus;
+        this.parent = parent;
+        this.options = {
+            speeds: [1, 2, 5, 10, 25],
+            ...options
+        };
+        this.container = null;
+        this.startButton = null;
+        this.panel = null;
+        this.playback = null;
+        this.isOpen = false;
+
+        this.handleDocumentClick = (event) => {
+            if (this.isOpen && !this.container.contains(event.target)) {
+                this.close();
+            }
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.createControls();
+        this.bindEvents();
+        this.update({ active: false });
+    }
+
+    createControls() {
+        this.container = document.createElement('div');
+        this.container.className = 'data-menu replay-controls';
+
+        this.startButton = document.createElement('button');
+        this.startButton.type = 'button';
+        this.startButton.className = 'header-btn';
+        const safeAttrs = Sanitizer.filterAttributes({
+            'aria-haspopup': 'dialog',
+            'aria-expanded': 'false',
+            'title': 'Replay the chart bar by bar from a past date'
+        });
+        Object.entries(safeAttrs).forEach(([key, value]) => {
+            this.startButton.setAttribute(key, value);
+        });
+        Sanitizer.setSafeText(this.startButton, 'Replay');
+        this.startButton.addEventListener('click', () => this.toggle());
+
+        this.container.appendChild(this.startButton);
+        this.container.appendChild(this.createStartPanel());
+        this.container.appendChild(this.createPlayback());
+
+        if (this.parent) {
+            this.parent.appendChild(this.container);
+        }
+    }
+
+    /**
+     * Dropdown with the start date and the pick-on-chart option
+     */
+    createStartPanel() {
+        this.panel = document.createElement('div');
+        this.panel.className = 'data-menu-list replay-panel';
+        this.panel.style.display = 'none';
+
+        const title = document.createElement('div');
+        title.className = 'data-menu-title';
+        Sanitizer.setSafeText(title, 'Start replay at (UTC)');
+
+        const dateRow = document.createElement('div');
+        dateRow.className = 'quality-controls';
+        this.dateInput = document.createElement('input');
+        this.dateInput.type = 'datetime-local';
+        this.dateInput.className = 'replay-date';
+        const startButton = document.createElement('button');
+        startButton.type = 'button';
+        startButton.className = 'modal-btn primary';
+        Sanitizer.setSafeText(startButton, 'Start');
+        startButton.addEventListener('click', () => this.startAtDate());
+        dateRow.appendChild(this.dateInput);
+        dateRow.appendChild(startButton);
+
+        const pickRow = document.createElement('div');
+        pickRow.className = 'quality-controls';
+        const pickButton = document.createElement('button');
+        pickButton.type = 'button';
+        pickButton.className = 'modal-btn';
+        Sanitizer.setSafeText(pickButton, 'Pick a bar on the chart');
+        pickButton.addEventListener('click', () => {
+            this.close();
+            this.eventBus.emit('replay-start-requested', { time: null });
+        });
+        pickRow.appendChild(pickButton);
+
+        this.panel.appendChild(title);
+        this.panel.appendChild(dateRow);
+        this.panel.appendChild(pickRow);
+        return this.panel;
+    }
+
+    /**
+     * Play/pause, step, speed and exit, shown while replaying
+     */
+    createPlayback() {
+        this.playback = document.createElement('div');
+        this.playback.className = 'replay-playback';
+
+        this.timeLabel = document.createElement('span');
+        this.timeLabel.className = 'replay-time';
+
+        this.playButton = this.createButton('', 'Play/pause (Space)', () => this.eventBus.emit('replay-toggle-play'));
+        const stepButton = this.createButton('▸|', 'Next bar (→)', () => this.eventBus.emit('replay-step'));
+
+        this.speedSelect = document.createElement('select');
+        this.speedSelect.className = 'replay-speed';
+        this.speedSelect.setAttribute('title', 'Bars per second');
+        this.options.speeds.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = String(speed);
+            Sanitizer.setSafeText(option, `${speed}×`);
+            this.speedSelect.appendChild(option);
+        });
+        this.speedSelect.addEventListener('change', () => {
+            this.eventBus.emit('replay-speed-selected', { speed: Number(this.speedSelect.value) });
+        });
+
+        const exitButton = this.createButton('Exit', 'Back to the full data', () => this.eventBus.emit('replay-exit'));
+
+        this.playback.appendChild(this.timeLabel);
+        this.playback.appendChild(this.playButton);
+        this.playback.appendChild(stepButton);
+        this.playback.appendChild(this.speedSelect);
+        this.playback.appendChild(exitButton);
+        return this.playback;
+    }
+
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'header-btn';
+        button.setAttribute('title', Sanitizer.filterAttributes({ title }).title || '');
+        Sanitizer.setSafeText(button, text);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    bindEvents() {
+        document.addEventListener('click', this.handleDocumentClick);
+        this.eventBus.on('replay-state', (state) => this.update(state));
+    }
+
+    startAtDate() {
+        const time = Utils.parseUTCInput(this.dateInput.value);
+        if (time === null) {
+            this.dateInput.focus();
+            return;
+        }
+
+        this.close();
+        this.eventBus.emit('replay-start-requested', { time });
+    }
+
+    /**
+     * @param {Object} state - 'replay-state' payload from BarReplay
+     */
+    update(state) {
+        this.startButton.style.display = state.active ? 'none' : '';
+        this.playback.style.display = state.active ? 'flex' : 'none';
+        if (!state.active) return;
+
+        this.close();
+        Sanitizer.setSafeText(this.playButton, state.playing ? '❚❚' : '▶');
+        Sanitizer.setSafeText(this.timeLabel, typeof state.time === 'number' ? Utils.formatUTC(state.time) : '');
+        this.speedSelect.value = String(state.speed);
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.startButton.setAttribute('aria-expanded', 'true');
+        this.panel.style.display = 'block';
+        this.dateInput.focus();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.startButton.setAttribute('aria-expanded', 'false');
+        this.panel.style.display = 'none';
+    }
+
+    destroy() {
+        document.removeEventListener('click', this.handleDocumentClick);
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        this.container = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReplayControls;
+} else if (typeof window !== 'undefined') {
+    window.ReplayControls = ReplayControls;
+}
@@ -0,0 +1,148 @@
+/**
+ * Share Link Control - Header dropdown that builds a link to the current chart view
+ * Emits 'share-link-requested' { includeDrawings } and shows the result of
+ * 'share-link-ready' { url, copied } or 'share-link-failed' { message }
+ */
+class ShareLinkControl {
+    constructor(eventBus, parent) {
+        this.eventBus = eventBus;
+        this.parent = parent;
+        this.container = null;
+        this.button = null;
+        this.panel = null;
+        this.isOpen = false;
+
+        this.handleDocumentClick = (event) => {
+            if (this.isOpen && !this.container.contains(event.target)) {
+                this.close();
+            }
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.createControl();
+        this.bindEvents();
+    }
+
+    createControl() {
+        this.container = document.createElement('div');
+        this.container.className = 'data-menu share-control';
+
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'header-btn';
+        const safeAttrs = Sanitizer.filterAttributes({
+            'aria-haspopup': 'dialog',
+            'aria-expanded': 'false',
+            'title': 'Copy a link to this view'
+        });
+        Object.entries(safeAttrs).forEach(([key, value]) => {
+            this.button.setAttribute(key, value);
+        });
+        Sanitizer.setSafeText(this.button, 'Share');
+        this.button.addEventListener('click', () => this.toggle());
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'data-menu-list share-panel';
+        this.panel.style.display = 'none';
+
+        const title = document.createElement('div');
+        title.className = 'data-menu-title';
+        Sanitizer.setSafeText(title, 'Link to this view');
+
+        const optionsRow = document.createElement('div');
+        optionsRow.className = 'quality-controls';
+        const drawingsLabel = document.createElement('label');
+        this.drawingsCheckbox = document.createElement('input');
+        this.drawingsCheckbox.type = 'checkbox';
+        this.drawingsCheckbox.checked = true;
+        drawingsLabel.appendChild(this.drawingsCheckbox);
+        drawingsLabel.appendChild(document.createTextNode(' Include drawings'));
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.className = 'modal-btn primary';
+        Sanitizer.setSafeText(copyButton, 'Copy link');
+        copyButton.addEventListener('click', () => {
+            Sanitizer.setSafeText(this.status, 'Building link…');
+            this.eventBus.emit('share-link-requested', { includeDrawings: this.drawingsCheckbox.checked });
+        });
+        optionsRow.appendChild(drawingsLabel);
+        optionsRow.appendChild(copyButton);
+
+        const linkRow = document.createElement('div');
+        linkRow.className = 'quality-controls';
+        this.linkInput = document.createElement('input');
+        this.linkInput.type = 'text';
+        this.linkInput.readOnly = true;
+        this.linkInput.className = 'share-link';
+        this.linkInput.addEventListener('focus', () => this.linkInput.select());
+        linkRow.appendChild(this.linkInput);
+
+        this.status = document.createElement('div');
+        this.status.className = 'data-menu-empty';
+
+        this.panel.appendChild(title);
+        this.panel.appendChild(optionsRow);
+        this.panel.appendChild(linkRow);
+        this.panel.appendChild(this.status);
+
+        this.container.appendChild(this.button);
+        this.container.appendChild(this.panel);
+
+        if (this.parent) {
+            this.parent.appendChild(this.container);
+        }
+    }
+
+    bindEvents() {
+        document.addEventListener('click', this.handleDocumentClick);
+
+        this.eventBus.on('share-link-ready', ({ url, copied }) => {
+            this.linkInput.value = url;
+            Sanitizer.setSafeText(this.status, copied
+                ? `Copied (${url.length.toLocaleString()} characters)`
+                : 'Copy the link above');
+        });
+        this.eventBus.on('share-link-failed', ({ message }) => {
+            Sanitizer.setSafeText(this.status, message);
+        });
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.button.setAttribute('aria-expanded', 'true');
+        this.panel.style.display = 'block';
+        Sanitizer.setSafeText(this.status, '');
+    }
+
+    close() {
+        this.isOpen = false;
+        this.button.setAttribute('aria-expanded', 'false');
+        this.panel.style.display = 'none';
+    }
+
+    destroy() {
+        document.removeEventListener('click', this.handleDocumentClick);
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        this.container = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShareLinkControl;
+} else if (typeof window !== 'undefined') {
+    window.ShareLinkControl = ShareLinkControl;
+}
@@ -0,0 +1,112 @@
+/**
+ * Timeframe Switcher - Header buttons for choosing the chart timeframe
+ * Emits 'timeframe-selected' and follows 'timeframe-changed' to show the active timeframe
+ */
+class TimeframeSwitcher {
+    constructor(eventBus, parent, options = {}) {
+        this.eventBus = eventBus;
+        this.parent = parent;
+        this.options = {
+            timeframes: ['15m', '30m', '1h', '4h', '1D', '1W'],
+            active: '15m',
+            ...options
+        };
+        this.container = null;
+        this.activeTimeframe = this.options.active;
+
+        this.init();
+    }
+
+    init() {
+        this.createSwitcher();
+        this.bindEvents();
+    }
+
+    createSwitcher() {
+        this.container = document.createElement('div');
+        this.container.className = 'timeframe-switcher';
+
+        const safeAttrs = Sanitizer.filterAttributes({
+            'aria-label': 'Chart timeframe',
+            'role': 'group'
+        });
+
+        Object.entries(safeAttrs).forEach(([key, value]) => {
+            this.container.setAttribute(key, value);
+        });
+
+        this.renderButtons();
+
+        if (this.parent) {
+            this.parent.appendChild(this.container);
+        }
+    }
+
+    renderButtons() {
+        while (this.container.firstChild) {
+            this.container.removeChild(this.container.firstChild);
+        }
+
+        this.options.timeframes.forEach(timeframe => {
+            const button = document.createElement('button');
+            button.className = 'timeframe-btn';
+            button.setAttribute('data-timeframe', timeframe);
+            button.setAttribute('title', `Switch to ${timeframe}`);
+            Sanitizer.setSafeText(button, timeframe);
+
+            button.addEventListener('click', () => this.selectTimeframe(timeframe));
+            this.container.appendChild(button);
+        });
+
+        this.updateActive(this.activeTimeframe);
+    }
+
+    bindEvents() {
+        this.eventBus.on('timeframe-changed', (data) => {
+            this.updateActive(data.timeframe);
+        });
+    }
+
+    /**
+     * Replace the offered timeframes (e.g. after loading data with a different interval)
+     * @param {Array<string>} timeframes - Timeframe identifiers
+     */
+    setTimeframes(timeframes) {
+        this.options.timeframes = timeframes;
+        this.renderButtons();
+    }
+
+    selectTimeframe(timeframe) {
+        if (timeframe === this.activeTimeframe) return;
+        this.eventBus.emit('timeframe-selected', timeframe);
+    }
+
+    updateActive(timeframe) {
+        this.activeTimeframe = timeframe;
+        this.container.querySelectorAll('.timeframe-btn').forEach(button => {
+            const active = button.getAttribute('data-timeframe') === timeframe;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+    }
+
+    setDisabled(disabled) {
+        this.container.querySelectorAll('.timeframe-btn').forEach(button => {
+            button.disabled = !!disabled;
+        });
+    }
+
+    destroy() {
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        this.container = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimeframeSwitcher;
+} else if (typeof window !== 'undefined') {
+    window.TimeframeSwitcher = TimeframeSwitcher;
+}
@@ -9,6 +9,8 @@ class Toolbar {
         this.container = null;
         this.currentTool = null;
         this.isVisible = true;
+        this.position = null;
+        this.theme = null;
 
         // Tool configurations with safe defaults
         this.tools = [
@@ -32,6 +34,20 @@ class Toolbar {
                 icon: '📊',
                 shortcut: 'F',
                 color: '#9B59B6'
+            },
+            {
+                id: 'avwap',
+                name: 'Anchored VWAP',
+                icon: '⚓',
+                shortcut: 'A',
+                color: '#E040FB'
+            },
+            {
+                id: 'vprofile',
+                name: 'Range Profile',
+                icon: '▥',
+                shortcut: 'R',
+                color: '#FFCA28'
             }
         ];
 
@@ -102,6 +118,11 @@ class Toolbar {
         // Actions section
         this.createActionSection(content);
 
+        // Indicators section
+        if (typeof IndicatorRegistry !== 'undefined') {
+            this.createIndicatorSection(content);
+        }
+
         this.container.appendChild(content);
     }
 
@@ -180,7 +201,10 @@ class Toolbar {
             { id: 'clear', name: 'Clear All', icon: '🗑️', shortcut: 'C' },
             { id: 'undo', name: 'Undo', icon: '↶', shortcut: 'Z' },
             { id: 'redo', name: 'Redo', icon: '↷', shortcut: 'Y' },
-            { id: 'export', name: 'Export', icon: '💾', shortcut: 'E' }
+            { id: 'export', name: 'Export', icon: '💾', shortcut: 'E' },
+            { id: 'import', name: 'Import', icon: '📂', shortcut: 'I' },
+            { id: 'volume', name: 'Volume', icon: '📊', shortcut: 'V' },
+            { id: 'profile', name: 'Profile', icon: '▤', shortcut: 'P' }
         ];
 
         const buttonsContainer = document.createElement('div');
@@ -192,9 +216,102 @@ class Toolbar {
         });
 
         actionGroup.appendChild(buttonsContainer);
+
+        // Hidden file picker used by the Import action
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json,application/json';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', () => this.handleImportFile());
+        actionGroup.appendChild(this.fileInput);
+
         container.appendChild(actionGroup);
     }
 
+    createIndicatorSection(container) {
+        const indicatorGroup = document.createElement('div');
+        indicatorGroup.className = 'tool-group';
+
+        // Group title
+        const groupTitle = document.createElement('div');
+        groupTitle.className = 'tool-group-title';
+        Sanitizer.setSafeText(groupTitle, 'Indicators');
+        indicatorGroup.appendChild(groupTitle);
+
+        // Indicator picker and Add button
+        const addRow = document.createElement('div');
+        addRow.className = 'indicator-add';
+
+        this.indicatorSelect = document.createElement('select');
+        this.indicatorSelect.className = 'indicator-select';
+        this.indicatorSelect.setAttribute('aria-label', 'Indicator');
+        IndicatorRegistry.list().forEach(indicator => {
+            const option = document.createElement('option');
+            option.value = indicator.id;
+            Sanitizer.setSafeText(option, indicator.name);
+            this.indicatorSelect.appendChild(option);
+        });
+
+        const addButton = document.createElement('button');
+        addButton.className = 'indicator-btn';
+        addButton.setAttribute('title', 'Add indicator');
+        Sanitizer.setSafeText(addButton, 'Add');
+        addButton.addEventListener('click', () => {
+            this.eventBus.emit('indicator-add-requested', { id: this.indicatorSelect.value });
+        });
+
+        addRow.appendChild(this.indicatorSelect);
+        addRow.appendChild(addButton);
+        indicatorGroup.appendChild(addRow);
+
+        // Indicators on the chart, filled from 'indicators-changed'
+        this.indicatorList = document.createElement('div');
+        this.indicatorList.className = 'indicator-list';
+        indicatorGroup.appendChild(this.indicatorList);
+
+        container.appendChild(indicatorGroup);
+    }
+
+    updateIndicatorList(indicators) {
+        if (!this.indicatorList) return;
+
+        while (this.indicatorList.firstChild) {
+            this.indicatorList.removeChild(this.indicatorList.firstChild);
+        }
+
+        indicators.forEach(indicator => {
+            const row = document.createElement('div');
+            row.className = 'indicator-row';
+
+            const label = document.createElement('span');
+            label.className = 'indicator-label';
+            Sanitizer.setSafeText(label, indicator.label);
+
+            const settings = document.createElement('button');
+            settings.className = 'indicator-btn';
+            settings.setAttribute('title', `${indicator.name} settings`);
+            settings.setAttribute('aria-label', `${indicator.name} settings`);
+            Sanitizer.setSafeText(settings, '⚙');
+            settings.addEventListener('click', () => {
+                this.eventBus.emit('indicator-settings-requested', { key: indicator.key });
+            });
+
+            const remove = document.createElement('button');
+            remove.className = 'indicator-btn';
+            remove.setAttribute('title', `Remove ${indicator.name}`);
+            remove.setAttribute('aria-label', `Remove ${indicator.name}`);
+            Sanitizer.setSafeText(remove, '×');
+            remove.addEventListener('click', () => {
+                this.eventBus.emit('indicator-remove-requested', { key: indicator.key });
+            });
+
+            row.appendChild(label);
+            row.appendChild(settings);
+            row.appendChild(remove);
+            this.indicatorList.appendChild(row);
+        });
+    }
+
     createActionButton(action) {
         const button = document.createElement('button');
         button.className = 'action-btn';
@@ -243,6 +360,23 @@ class Toolbar {
             this.container.classList.remove('state-drawing');
         });
 
+        this.eventBus.on('drawing-history-changed', (state) => {
+            this.updateHistoryButtons(state);
+        });
+        this.updateHistoryButtons({ canUndo: false, canRedo: false });
+
+        this.eventBus.on('volume-visibility-changed', (state) => {
+            this.updateVolumeButton(state);
+        });
+
+        this.eventBus.on('chart-layout-changed', ({ layout }) => {
+            this.updateProfileButton(layout);
+        });
+
+        this.eventBus.on('indicators-changed', ({ indicators }) => {
+            this.updateIndicatorList(indicators);
+        });
+
         // Handle visibility changes
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
@@ -254,12 +388,25 @@ class Toolbar {
     bindKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
             // Only trigger shortcuts when not focused on input elements
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
                 return;
             }
 
             const key = e.key.toUpperCase();
 
+            // Ctrl/Cmd+Z undo, Ctrl/Cmd+Y or Ctrl/Cmd+Shift+Z redo
+            if (e.ctrlKey || e.metaKey) {
+                if (key === 'Z' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.handleAction('undo');
+                } else if (key === 'Y' || (key === 'Z' && e.shiftKey)) {
+                    e.preventDefault();
+                    this.handleAction('redo');
+                }
+                // Leave other modifier combos (Ctrl+S, Ctrl+R, ...) to the browser/app
+                return;
+            }
+
             // Tool shortcuts
             const tool = this.tools.find(t => t.shortcut === key);
             if (tool) {
@@ -286,6 +433,18 @@ class Toolbar {
                     e.preventDefault();
                     this.handleAction('export');
                     break;
+                case 'I':
+                    e.preventDefault();
+                    this.handleAction('import');
+                    break;
+                case 'V':
+                    e.preventDefault();
+                    this.handleAction('volume');
+                    break;
+                case 'P':
+                    e.preventDefault();
+                    this.handleAction('profile');
+                    break;
             }
         });
     }
@@ -342,24 +501,71 @@ class Toolbar {
             case 'export':
                 this.exportDrawings();
                 break;
+            case 'import':
+                this.importDrawings();
+                break;
+            case 'volume':
+                this.toggleVolume();
+                break;
+            case 'profile':
+                this.toggleVolumeProfile();
+                break;
         }
     }
 
     clearAllDrawings() {
-        if (confirm('Clear all drawings? This cannot be undone.')) {
-            this.drawingManager.clearAll();
-            this.eventBus.emit('toolbar:cleared');
-        }
+        // Clearing is recorded in the drawing history, so Undo restores it
+        this.eventBus.emit('clear-all-drawings');
+        this.eventBus.emit('toolbar:cleared');
     }
 
     undo() {
+        this.eventBus.emit('undo-drawing');
         this.eventBus.emit('toolbar:undo');
     }
 
     redo() {
+        this.eventBus.emit('redo-drawing');
         this.eventBus.emit('toolbar:redo');
     }
 
+    toggleVolume() {
+        this.eventBus.emit('toggle-volume');
+        this.eventBus.emit('toolbar:volume-toggled');
+    }
+
+    toggleVolumeProfile() {
+        this.eventBus.emit('toggle-volume-profile');
+    }
+
+    updateProfileButton(layout) {
+        const profileButton = this.container.querySelector('[data-action="profile"]');
+        if (profileButton) {
+            profileButton.classList.toggle('active', !!layout.volumeProfile);
+            profileButton.setAttribute('aria-pressed', String(!!layout.volumeProfile));
+        }
+    }
+
+    updateVolumeButton(state) {
+        const volumeButton = this.container.querySelector('[data-action="volume"]');
+        if (volumeButton) {
+            volumeButton.classList.toggle('active', !!state.visible);
+            volumeButton.setAttribute('aria-pressed', String(!!state.visible));
+        }
+    }
+
+    updateHistoryButtons(state) {
+        const undoButton = this.container.querySelector('[data-action="undo"]');
+        const redoButton = this.container.querySelector('[data-action="redo"]');
+
+        if (undoButton) {
+            undoButton.disabled = !state.canUndo;
+        }
+        if (redoButton) {
+            redoButton.disabled = !state.canRedo;
+        }
+    }
+
     exportDrawings() {
         try {
             const drawings = this.drawingManager.exportDrawings();
@@ -385,6 +591,55 @@ class Toolbar {
         }
     }
 
+    importDrawings() {
+        if (!this.drawingManager) {
+            alert('Drawing support is not ready yet.');
+            return;
+        }
+
+        // Reset so picking the same file twice still fires 'change'
+        this.fileInput.value = '';
+        this.fileInput.click();
+    }
+
+    async handleImportFile() {
+        const file = this.fileInput.files && this.fileInput.files[0];
+        if (!file) return;
+
+        try {
+            // Check the size before reading anything into memory
+            if (file.size > DrawingSchema.MAX_FILE_BYTES) {
+                this.reportImportErrors([{ reason: `file is larger than ${Math.round(DrawingSchema.MAX_FILE_BYTES / 1024)} KB` }]);
+                return;
+            }
+
+            const parsed = DrawingSchema.parseFile(await file.text());
+            if (!parsed.valid) {
+                this.reportImportErrors(parsed.errors.map(error => ({ reason: `${error.path} ${error.message}` })));
+                return;
+            }
+
+            const result = this.drawingManager.importDrawings(parsed.payload);
+            if (result.rejected.length > 0) {
+                this.reportImportErrors(result.rejected);
+            }
+
+            this.eventBus.emit('toolbar:imported', result);
+        } catch (error) {
+            console.error('Import failed:', error);
+            alert('Import failed. Please try again.');
+        }
+    }
+
+    reportImportErrors(errors) {
+        const details = errors
+            .slice(0, 5)
+            .map(error => `- ${error.reason}`)
+            .join('\n');
+        const more = errors.length > 5 ? `\n…and ${errors.length - 5} more` : '';
+        alert(`Import rejected, no drawings were added:\n${details}${more}`);
+    }
+
     toggle() {
         if (this.isVisible) {
             this.hide();
@@ -431,6 +686,7 @@ class Toolbar {
         const validPositions = ['position-top-left', 'position-top-right', 'position-bottom-left', 'position-bottom-right'];
         if (validPositions.includes(position)) {
             this.container.classList.add(position);
+            this.position = position;
         }
     }
 
@@ -441,9 +697,32 @@ class Toolbar {
         // Add new theme class if valid
         if (theme === 'light' || theme === 'dark') {
             this.container.classList.add(`theme-${theme}`);
+            this.theme = theme;
         }
     }
 
+    /**
+     * @returns {Object} { position, theme, visible } as saved in a workspace
+     */
+    getState() {
+        return {
+            position: this.position || null,
+            theme: this.theme || null,
+            visible: this.isVisible
+        };
+    }
+
+    /**
+     * Restore a state from getState(); missing values are left as they are
+     * @param {Object} state - { position, theme, visible }
+     */
+    applyState(state = {}) {
+        if (state.position) this.setPosition(state.position);
+        if (state.theme) this.setTheme(state.theme);
+        if (state.visible === true) this.show();
+        if (state.visible === false) this.hide();
+    }
+
     destroy() {
         if (this.container && this.container.parentNode) {
             this.container.parentNode.removeChild(this.container);
@@ -0,0 +1,345 @@
+/**
+ * Workspace Menu - Header switcher for saved workspaces and the chart layout settings
+ * Lists Workspaces.list() and emits 'workspace-selected' { name }, 'workspace-save-requested'
+ * { name }, 'workspace-delete-requested' { name }, 'workspace-export-requested',
+ * 'workspace-import-selected' { file } and 'chart-layout-selected' { layout }.
+ * Follows 'workspaces-changed' { active } and 'chart-layout-changed' { layout }
+ */
+class WorkspaceMenu {
+    constructor(eventBus, parent, options = {}) {
+        this.eventBus = eventBus;
+        this.parent = parent;
+        this.options = {
+            priceScaleModes: [
+                [0, 'Linear'],
+                [1, 'Logarithmic'],
+                [2, 'Percent'],
+                [3, 'Indexed to 100']
+            ],
+            // Price per volume profile row; 0 lets the profile pick a step for about 24 rows
+            profileRowSizes: [
+                [0, 'Auto'],
+                [10, '$10'],
+                [25, '$25'],
+                [50, '$50'],
+                [100, '$100'],
+                [250, '$250'],
+                [500, '$500'],
+                [1000, '$1,000']
+            ],
+            ...options
+        };
+        this.active = null;
+        this.container = null;
+        this.button = null;
+        this.menu = null;
+        this.list = null;
+        this.isOpen = false;
+
+        this.handleDocumentClick = (event) => {
+            if (this.isOpen && !this.container.contains(event.target)) {
+                this.close();
+            }
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.createMenu();
+        this.bindEvents();
+        this.updateButton();
+    }
+
+    createMenu() {
+        this.container = document.createElement('div');
+        this.container.className = 'data-menu workspace-menu';
+
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'header-btn';
+        const safeAttrs = Sanitizer.filterAttributes({
+            'aria-haspopup': 'dialog',
+            'aria-expanded': 'false',
+            'title': 'Switch, save, export or import chart workspaces'
+        });
+        Object.entries(safeAttrs).forEach(([key, value]) => {
+            this.button.setAttribute(key, value);
+        });
+        this.button.addEventListener('click', () => this.toggle());
+
+        this.menu = document.createElement('div');
+        this.menu.className = 'data-menu-list workspace-panel';
+        this.menu.style.display = 'none';
+
+        const listTitle = document.createElement('div');
+        listTitle.className = 'data-menu-title';
+        Sanitizer.setSafeText(listTitle, 'Workspaces');
+        this.list = document.createElement('div');
+
+        const saveRow = document.createElement('div');
+        saveRow.className = 'quality-controls';
+        this.nameInput = document.createElement('input');
+        this.nameInput.type = 'text';
+        this.nameInput.className = 'workspace-name';
+        this.nameInput.maxLength = Workspaces.MAX_NAME_LENGTH;
+        this.nameInput.placeholder = 'Workspace name';
+        this.nameInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.save();
+            }
+        });
+        const saveButton = document.createElement('button');
+        saveButton.type = 'button';
+        saveButton.className = 'modal-btn primary';
+        Sanitizer.setSafeText(saveButton, 'Save');
+        saveButton.addEventListener('click', () => this.save());
+        saveRow.appendChild(this.nameInput);
+        saveRow.appendChild(saveButton);
+
+        const fileRow = document.createElement('div');
+        fileRow.className = 'quality-controls';
+        const exportButton = document.createElement('button');
+        exportButton.type = 'button';
+        exportButton.className = 'modal-btn';
+        Sanitizer.setSafeText(exportButton, 'Export…');
+        exportButton.addEventListener('click', () => this.eventBus.emit('workspace-export-requested'));
+        const importButton = document.createElement('button');
+        importButton.type = 'button';
+        importButton.className = 'modal-btn';
+        Sanitizer.setSafeText(importButton, 'Import…');
+        importButton.addEventListener('click', () => {
+            this.fileInput.value = '';
+            this.fileInput.click();
+        });
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json,application/json';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files && this.fileInput.files[0];
+            if (file) {
+                this.close();
+                this.eventBus.emit('workspace-import-selected', { file });
+            }
+        });
+        fileRow.appendChild(exportButton);
+        fileRow.appendChild(importButton);
+        fileRow.appendChild(this.fileInput);
+
+        this.menu.appendChild(listTitle);
+        this.menu.appendChild(this.list);
+        this.menu.appendChild(saveRow);
+        this.menu.appendChild(fileRow);
+        this.menu.appendChild(this.createLayoutSection());
+
+        this.container.appendChild(this.button);
+        this.container.appendChild(this.menu);
+
+        if (this.parent) {
+            this.parent.appendChild(this.container);
+        }
+    }
+
+    /**
+     * Theme and price scale selects
+     */
+    createLayoutSection() {
+        const section = document.createElement('div');
+
+        const title = document.createElement('div');
+        title.className = 'data-menu-title';
+        Sanitizer.setSafeText(title, 'Chart');
+        section.appendChild(title);
+
+        const themeRow = document.createElement('div');
+        themeRow.className = 'quality-controls';
+        const themeLabel = document.createElement('label');
+        Sanitizer.setSafeText(themeLabel, 'Theme');
+        this.themeSelect = this.createSelect(Workspaces.THEMES.map(theme => [theme, theme[0].toUpperCase() + theme.slice(1)]));
+        this.themeSelect.addEventListener('change', () => {
+            this.eventBus.emit('chart-layout-selected', { layout: { theme: this.themeSelect.value } });
+        });
+        themeRow.appendChild(themeLabel);
+        themeRow.appendChild(this.themeSelect);
+
+        const scaleRow = document.createElement('div');
+        scaleRow.className = 'quality-controls';
+        const scaleLabel = document.createElement('label');
+        Sanitizer.setSafeText(scaleLabel, 'Price scale');
+        this.scaleSelect = this.createSelect(this.options.priceScaleModes);
+        this.scaleSelect.addEventListener('change', () => {
+            this.eventBus.emit('chart-layout-selected', { layout: { priceScaleMode: Number(this.scaleSelect.value) } });
+        });
+        scaleRow.appendChild(scaleLabel);
+        scaleRow.appendChild(this.scaleSelect);
+
+        const profileRow = document.createElement('div');
+        profileRow.className = 'quality-controls';
+        const profileLabel = document.createElement('label');
+        Sanitizer.setSafeText(profileLabel, 'Profile rows');
+        this.profileSelect = this.createSelect(this.options.profileRowSizes);
+        this.profileSelect.addEventListener('change', () => {
+            this.eventBus.emit('chart-layout-selected', { layout: { profileRowSize: Number(this.profileSelect.value) } });
+        });
+        profileRow.appendChild(profileLabel);
+        profileRow.appendChild(this.profileSelect);
+
+        section.appendChild(themeRow);
+        section.appendChild(scaleRow);
+        section.appendChild(profileRow);
+        return section;
+    }
+
+    createSelect(options) {
+        const select = document.createElement('select');
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = String(value);
+            Sanitizer.setSafeText(option, label);
+            select.appendChild(option);
+        });
+        return select;
+    }
+
+    bindEvents() {
+        document.addEventListener('click', this.handleDocumentClick);
+
+        this.eventBus.on('workspaces-changed', ({ active }) => {
+            this.active = active || null;
+            this.updateButton();
+            if (this.isOpen) this.render();
+        });
+        this.eventBus.on('chart-layout-changed', ({ layout }) => {
+            this.themeSelect.value = layout.theme;
+            this.scaleSelect.value = String(layout.priceScaleMode);
+            this.setProfileRowSize(layout.profileRowSize || 0);
+        });
+    }
+
+    /**
+     * Show the profile row size, adding an option for a size that is not in the list
+     * (e.g. from an imported workspace)
+     */
+    setProfileRowSize(rowSize) {
+        const value = String(rowSize);
+        if (!Array.from(this.profileSelect.options).some(option => option.value === value)) {
+            const option = document.createElement('option');
+            option.value = value;
+            Sanitizer.setSafeText(option, `$${rowSize}`);
+            this.profileSelect.appendChild(option);
+        }
+        this.profileSelect.value = value;
+    }
+
+    updateButton() {
+        Sanitizer.setSafeText(this.button, this.active ? `Workspace: ${this.active} ▾` : 'Workspace ▾');
+    }
+
+    save() {
+        const name = Workspaces.normalizeName(this.nameInput.value);
+        if (!name) {
+            this.nameInput.focus();
+            return;
+        }
+
+        this.close();
+        this.eventBus.emit('workspace-save-requested', { name });
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    async open() {
+        this.isOpen = true;
+        this.button.setAttribute('aria-expanded', 'true');
+        this.menu.style.display = 'block';
+        this.nameInput.value = this.active || '';
+        await this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.button.setAttribute('aria-expanded', 'false');
+        this.menu.style.display = 'none';
+    }
+
+    async render() {
+        let workspaces = [];
+        try {
+            workspaces = await Workspaces.list();
+        } catch (error) {
+            console.warn('WorkspaceMenu: Failed to read workspaces:', error);
+        }
+
+        while (this.list.firstChild) {
+            this.list.removeChild(this.list.firstChild);
+        }
+
+        if (workspaces.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'data-menu-empty';
+            Sanitizer.setSafeText(empty, 'No saved workspaces');
+            this.list.appendChild(empty);
+            return;
+        }
+
+        workspaces.forEach(workspace => this.list.appendChild(this.createEntry(workspace)));
+    }
+
+    createEntry(workspace) {
+        const row = document.createElement('div');
+        row.className = 'workspace-row';
+
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'data-menu-item';
+        item.classList.toggle('active', workspace.name === this.active);
+
+        const label = document.createElement('span');
+        Sanitizer.setSafeText(label, workspace.name);
+        const detail = document.createElement('small');
+        const source = workspace.dataSource.name || workspace.dataSource.path.split('/').pop();
+        Sanitizer.setSafeText(detail, `${source} · ${workspace.timeframe} · ${new Date(workspace.savedAt).toLocaleDateString()}`);
+        item.appendChild(label);
+        item.appendChild(detail);
+        item.addEventListener('click', () => {
+            this.close();
+            this.eventBus.emit('workspace-selected', { name: workspace.name });
+        });
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'workspace-remove';
+        remove.setAttribute('title', 'Delete workspace');
+        Sanitizer.setSafeText(remove, '×');
+        remove.addEventListener('click', () => {
+            this.eventBus.emit('workspace-delete-requested', { name: workspace.name });
+        });
+
+        row.appendChild(item);
+        row.appendChild(remove);
+        return row;
+    }
+
+    destroy() {
+        document.removeEventListener('click', this.handleDocumentClick);
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        this.container = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkspaceMenu;
+} else if (typeof window !== 'undefined') {
+    window.WorkspaceMenu = WorkspaceMenu;
+}
@@ -16,12 +16,12 @@ const Utils = {
 
     /**
      * Format date string for display
-     * @param {string} dateString - Date string in YYYY-MM-DD HH:mm format
+     * @param {string|number} dateString - Date string in YYYY-MM-DD HH:mm format, or unix time in seconds
      * @returns {string} Formatted date string
      */
     formatDate: function(dateString) {
         try {
-            const date = new Date(dateString);
+            const date = typeof dateString === 'number' ? new Date(dateString * 1000) : new Date(dateString);
             return date.toLocaleDateString('en-US', {
                 year: 'numeric',
                 month: 'short',
@@ -34,6 +34,71 @@ const Utils = {
         }
     },
 
+    /**
+     * Read a datetime-local input value as UTC, like the chart's time axis
+     * @param {string} value - 'YYYY-MM-DDTHH:mm' (seconds optional)
+     * @returns {number|null} Unix time in seconds, or null if the value is not a date
+     */
+    parseUTCInput: function(value) {
+        if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(value || '')) return null;
+
+        const time = Date.parse(`${value.length === 16 ? `${value}:00` : value}Z`) / 1000;
+        return Number.isFinite(time) ? time : null;
+    },
+
+    /**
+     * Format a time as UTC for display next to datetime-local inputs
+     * @param {number} time - Unix time in seconds
+     * @returns {string} 'YYYY-MM-DD HH:mm UTC'
+     */
+    formatUTC: function(time) {
+        return `${new Date(time * 1000).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+    },
+
+    /**
+     * Time range for a navigation preset, ending at the last bar
+     * @param {string} preset - '1D', '1W', '1M', '3M', 'YTD', '1Y' or 'All'
+     * @param {number} firstTime - Time of the first bar (unix seconds)
+     * @param {number} lastTime - Time of the last bar (unix seconds)
+     * @returns {Object|null} { from, to } in unix seconds, or null for an unknown preset
+     */
+    getPresetRange: function(preset, firstTime, lastTime) {
+        const end = new Date(lastTime * 1000);
+        let from;
+
+        switch (preset) {
+            case '1D':
+                from = lastTime - 86400;
+                break;
+            case '1W':
+                from = lastTime - 7 * 86400;
+                break;
+            case '1M':
+            case '3M': {
+                const start = new Date(end);
+                start.setUTCMonth(start.getUTCMonth() - (preset === '1M' ? 1 : 3));
+                from = start.getTime() / 1000;
+                break;
+            }
+            case 'YTD':
+                from = Date.UTC(end.getUTCFullYear(), 0, 1) / 1000;
+                break;
+            case '1Y': {
+                const start = new Date(end);
+                start.setUTCFullYear(start.getUTCFullYear() - 1);
+                from = start.getTime() / 1000;
+                break;
+            }
+            case 'All':
+                from = firstTime;
+                break;
+            default:
+                return null;
+        }
+
+        return { from: Math.max(firstTime, from), to: lastTime };
+    },
+
     /**
      * Debounce function to limit rapid function calls
      * @param {Function} func - Function to debounce
@@ -73,6 +138,54 @@ const Utils = {
         return { min, max };
     },
 
+    /**
+     * Find the index of the bar with an exact time in time-sorted data
+     * @param {Array} data - Array of bars sorted by time
+     * @param {number} time - Bar time (unix seconds)
+     * @returns {number} Index, or -1 if not found
+     */
+    findBarIndex: function(data, time) {
+        let low = 0;
+        let high = data.length - 1;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            const midTime = data[mid].time;
+            if (midTime === time) return mid;
+            if (midTime < time) {
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return -1;
+    },
+
+    /**
+     * Find the index of the last bar starting at or before a time
+     * @param {Array} data - Array of bars sorted by time
+     * @param {number} time - Unix time in seconds
+     * @returns {number} Index, or -1 if the time is before the first bar
+     */
+    findBarIndexAtOrBefore: function(data, time) {
+        let low = 0;
+        let high = data.length - 1;
+        let result = -1;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (data[mid].time <= time) {
+                result = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return result;
+    },
+
     /**
      * Validate OHLC data object
      * @param {Object} item - OHLC data object
@@ -167,6 +280,19 @@ const Utils = {
         }
     },
 
+    /**
+     * Show the visible time range in the chart info panel
+     * @param {Object|null} range - { from, to, count } with times in unix seconds
+     */
+    updateVisibleRange: function(range) {
+        const visibleRange = document.getElementById('visible-range');
+        if (!visibleRange) return;
+
+        visibleRange.textContent = range
+            ? `${this.formatDate(range.from)} - ${this.formatDate(range.to)} (${range.count.toLocaleString()} bars)`
+            : '-';
+    },
+
     /**
      * Check if browser supports required features
      * @returns {boolean} True if supported, false otherwise
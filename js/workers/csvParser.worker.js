@@ -0,0 +1,267 @@
+/**
+ * CSV parser worker - Streams a CSV file and parses it off the main thread
+ *
+ * Messages in:
+ *   { type: 'parse', url | file, dialect?, timezone? }   dialect skips detection
+ *   { type: 'mapping', dialect }                  answer to 'needs-mapping' (null cancels)
+ * Messages out:
+ *   { type: 'needs-mapping', detection }          detection was unsure; waits for 'mapping'
+ *   { type: 'progress', loaded, total, rows }
+ *   { type: 'done', count, lines, skipped, dialect, sampleLines, columns: { time, open, high, low, close, volume },
+ *     source: { size, etag, lastModified, tailHash } }   validators for BarCache
+ *   { type: 'cancelled' }
+ *   { type: 'error', message }
+ *
+ * Columns are Float64Arrays whose buffers are transferred, not copied.
+ */
+
+importScripts('../csvDialect.js', '../barCache.js');
+
+const COLUMN_NAMES = ['time', 'open', 'high', 'low', 'close', 'volume'];
+const INITIAL_CAPACITY = 65536;
+// Rough size of one "2019-12-03 06:15\t...\t...\n" row, used to pre-size columns
+const BYTES_PER_ROW = 48;
+const PROGRESS_INTERVAL_MS = 100;
+// Text gathered before detecting the dialect
+const DETECTION_SAMPLE_BYTES = 64 * 1024;
+const MAX_REPORTED_WARNINGS = 5;
+
+/**
+ * Growable set of typed-array columns
+ */
+class ColumnBuffer {
+    constructor(capacity) {
+        this.capacity = Math.max(capacity, 1024);
+        this.count = 0;
+        this.columns = {};
+        COLUMN_NAMES.forEach(name => {
+            this.columns[name] = new Float64Array(this.capacity);
+        });
+    }
+
+    push(time, open, high, low, close, volume) {
+        if (this.count === this.capacity) {
+            this.grow();
+        }
+        const i = this.count++;
+        this.columns.time[i] = time;
+        this.columns.open[i] = open;
+        this.columns.high[i] = high;
+        this.columns.low[i] = low;
+        this.columns.close[i] = close;
+        this.columns.volume[i] = volume;
+    }
+
+    grow() {
+        this.capacity *= 2;
+        COLUMN_NAMES.forEach(name => {
+            const next = new Float64Array(this.capacity);
+            next.set(this.columns[name]);
+            this.columns[name] = next;
+        });
+    }
+
+    /**
+     * Trim columns to the parsed row count
+     * @returns {Object} Columns sized exactly to count
+     */
+    finish() {
+        const result = {};
+        COLUMN_NAMES.forEach(name => {
+            result[name] = this.columns[name].slice(0, this.count);
+        });
+        return result;
+    }
+}
+
+/**
+ * Resolves when the main thread answers a 'needs-mapping' request
+ */
+let resolveMapping = null;
+
+function requestMapping(detection) {
+    return new Promise((resolve) => {
+        resolveMapping = resolve;
+        self.postMessage({
+            type: 'needs-mapping',
+            detection: {
+                dialect: detection.dialect,
+                confidence: detection.confidence,
+                issues: detection.issues,
+                headers: detection.headers,
+                sampleLines: detection.sampleLines
+            }
+        });
+    });
+}
+
+/**
+ * Work out the dialect from the start of the file, asking the main thread when unsure
+ * @returns {Promise<Object>} { dialect, detection } where dialect is null if the user cancelled
+ */
+async function resolveDialect(sampleText, options) {
+    // Detection also provides the sample lines the main thread keeps for later remapping
+    const detection = CSVDialect.detect(sampleText, { timezone: options.timezone });
+
+    if (options.dialect) {
+        return { dialect: options.dialect, detection };
+    }
+    if (detection.confidence === 'high') {
+        return { dialect: detection.dialect, detection };
+    }
+
+    return { dialect: await requestMapping(detection), detection };
+}
+
+/**
+ * Open a byte stream for a URL or a local File
+ * @returns {Promise<Object>} { stream, total, etag, lastModified } where total is 0 when unknown
+ */
+async function openSource(source) {
+    if (source.file) {
+        return {
+            stream: source.file.stream(),
+            total: source.file.size,
+            etag: null,
+            lastModified: source.file.lastModified ? String(source.file.lastModified) : null
+        };
+    }
+
+    const response = await fetch(source.url);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch data file: ${response.status} ${response.statusText}`);
+    }
+    return {
+        stream: response.body,
+        total: parseInt(response.headers.get('Content-Length'), 10) || 0,
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified')
+    };
+}
+
+/**
+ * Keep the last BarCache.TAIL_BYTES bytes seen in a stream
+ */
+function appendTail(tail, chunk) {
+    const size = BarCache.TAIL_BYTES;
+    if (chunk.byteLength >= size) {
+        return chunk.slice(chunk.byteLength - size);
+    }
+    const keep = Math.min(tail.byteLength, size - chunk.byteLength);
+    const next = new Uint8Array(keep + chunk.byteLength);
+    next.set(tail.subarray(tail.byteLength - keep));
+    next.set(chunk, keep);
+    return next;
+}
+
+async function parse(source, options) {
+    const { stream, total, etag, lastModified } = await openSource(source);
+    const buffer = new ColumnBuffer(total ? Math.ceil(total / BYTES_PER_ROW) : INITIAL_CAPACITY);
+    const decoder = new TextDecoder();
+    const reader = stream.getReader();
+
+    let loaded = 0;
+    let lines = 0;
+    let skipped = 0;
+    let remainder = '';
+    let lastProgress = 0;
+    let dialect = null;
+    let sampleLines = [];
+    let parseRow = null;
+    let headerPending = false;
+    let tail = new Uint8Array(0);
+
+    const handleLine = (rawLine) => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        if (headerPending) {
+            headerPending = false;
+            return;
+        }
+
+        lines++;
+        const bar = parseRow(line);
+        if (typeof bar === 'string') {
+            skipped++;
+            if (skipped <= MAX_REPORTED_WARNINGS) {
+                console.warn(`csvParser.worker: Skipping line ${lines}: ${bar}`);
+            }
+            return;
+        }
+        buffer.push(bar.time, bar.open, bar.high, bar.low, bar.close, bar.volume);
+    };
+
+    const startParsing = (chosen) => {
+        dialect = chosen;
+        parseRow = CSVDialect.createRowParser(dialect);
+        headerPending = dialect.hasHeader;
+    };
+
+    for (;;) {
+        const { done, value } = await reader.read();
+
+        if (done) {
+            remainder += decoder.decode();
+        } else {
+            loaded += value.byteLength;
+            tail = appendTail(tail, value);
+            remainder += decoder.decode(value, { stream: true });
+        }
+
+        // Hold text back until there is enough of it to detect the dialect
+        if (!dialect) {
+            if (!done && remainder.length < DETECTION_SAMPLE_BYTES) continue;
+            if (remainder.trim().length === 0) {
+                throw new Error('CSV file is empty or could not be read');
+            }
+
+            const resolved = await resolveDialect(remainder, options);
+            if (!resolved.dialect) {
+                reader.cancel();
+                self.postMessage({ type: 'cancelled' });
+                return;
+            }
+            sampleLines = resolved.detection.sampleLines;
+            startParsing(resolved.dialect);
+        }
+
+        // Lines can straddle chunks; keep the partial tail for the next chunk
+        const parts = remainder.split('\n');
+        remainder = done ? '' : parts.pop();
+        parts.forEach(handleLine);
+
+        if (done) break;
+
+        const now = Date.now();
+        if (now - lastProgress >= PROGRESS_INTERVAL_MS) {
+            lastProgress = now;
+            self.postMessage({ type: 'progress', loaded, total, rows: buffer.count });
+        }
+    }
+
+    const columns = buffer.finish();
+    const sourceInfo = { size: loaded, etag, lastModified, tailHash: BarCache.hashBytes(tail) };
+    self.postMessage(
+        { type: 'done', count: buffer.count, lines, skipped, dialect, sampleLines, columns, source: sourceInfo },
+        COLUMN_NAMES.map(name => columns[name].buffer)
+    );
+}
+
+self.onmessage = (event) => {
+    const message = event.data || {};
+
+    if (message.type === 'mapping' && resolveMapping) {
+        const resolve = resolveMapping;
+        resolveMapping = null;
+        resolve(message.dialect || null);
+        return;
+    }
+
+    if (message.type !== 'parse') return;
+
+    const source = { url: message.url, file: message.file };
+    parse(source, { dialect: message.dialect, timezone: message.timezone }).catch((error) => {
+        self.postMessage({ type: 'error', message: error.message });
+    });
+};
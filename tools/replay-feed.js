@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+/**
+ * Replay feed - Development stand-in for a live trade feed
+ *
+ * Replays the bars of a CSV file as trades over a local WebSocket, re-timed so the first
+ * replayed bar starts at the current 15m boundary and sped up by --speed. Uses only Node's
+ * standard library; the WebSocket handling covers what the chart's LiveFeed needs.
+ *
+ *   node tools/replay-feed.js [--file DATA/BTCUSD15.csv] [--port 8765] [--speed 60]
+ *                             [--start 0] [--timezone UTC]
+ *
+ * Protocol (JSON text frames):
+ *   client -> { type: 'subscribe', since }     since: time of the last bar the client has (unix s)
+ *   server -> { type: 'backfill', bars }       replayed bars after since, the forming bar last
+ *   server -> { type: 'trade', time, price, size }   time in unix ms
+ *   server -> { type: 'heartbeat', time }      every 10s
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const CSVDialect = require('../js/csvDialect.js');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const HEARTBEAT_MS = 10000;
+const TICK_MS = 100;
+
+function parseArgs(argv) {
+    const options = {
+        file: 'DATA/BTCUSD15.csv',
+        port: 8765,
+        speed: 60,
+        start: 0,
+        timezone: 'UTC'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in options) || i + 1 >= argv.length) {
+            throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+        }
+        const value = argv[++i];
+        options[name] = typeof options[name] === 'number' ? Number(value) : value;
+    }
+
+    if (!(options.speed > 0)) throw new Error('--speed must be positive');
+    return options;
+}
+
+/**
+ * Read bars from a CSV file with the chart's dialect detection
+ */
+function loadBars(file, timezone) {
+    const text = fs.readFileSync(path.resolve(file), 'utf8');
+    const detection = CSVDialect.detect(text.slice(0, 64 * 1024), { timezone });
+    if (detection.confidence !== 'high') {
+        console.warn('replay-feed: Unsure about the CSV layout:', detection.issues.join('; '));
+    }
+
+    const parseRow = CSVDialect.createRowParser(detection.dialect);
+    const lines = text.split('\n');
+    const bars = [];
+    for (let i = detection.dialect.hasHeader ? 1 : 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line) continue;
+        const bar = parseRow(line);
+        if (typeof bar !== 'string') bars.push(bar);
+    }
+    return bars.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Turn a bar into trades: open, the nearer extreme, the other extreme, close,
+ * with a few intermediate prices, spread over the bar's duration
+ * @returns {Array} { offset (0..1 of the bar), price, size }
+ */
+function barToTrades(bar) {
+    const highFirst = Math.abs(bar.high - bar.open) < Math.abs(bar.open - bar.low);
+    const route = highFirst
+        ? [bar.open, bar.high, bar.low, bar.close]
+        : [bar.open, bar.low, bar.high, bar.close];
+
+    const prices = [];
+    route.forEach((price, index) => {
+        if (index > 0) {
+            const previous = route[index - 1];
+            prices.push(previous + (price - previous) / 3, previous + (price - previous) * 2 / 3);
+        }
+        prices.push(price);
+    });
+
+    const size = (bar.volume || 0) / prices.length;
+    return prices.map((price, index) => ({
+        offset: index / prices.length,
+        price: Math.round(price * 100) / 100,
+        size
+    }));
+}
+
+/**
+ * Replay clock and bar builder shared by all clients
+ */
+class Replay {
+    constructor(bars, options) {
+        this.bars = bars;
+        this.interval = 900;
+        this.speed = options.speed;
+        this.index = Math.max(0, Math.min(options.start, bars.length - 1));
+        this.startIndex = this.index;
+        this.virtualStart = Math.floor(Date.now() / 1000 / this.interval) * this.interval;
+        this.realStart = Date.now();
+        this.completed = [];
+        this.current = null;
+        this.pending = [];
+        this.listeners = new Set();
+    }
+
+    now() {
+        return this.virtualStart * 1000 + (Date.now() - this.realStart) * this.speed;
+    }
+
+    /**
+     * Emit every trade whose virtual time has passed
+     */
+    step() {
+        const now = this.now();
+
+        for (;;) {
+            if (this.pending.length === 0) {
+                if (this.index >= this.bars.length) return;
+                const barTime = this.virtualStart + (this.index - this.startIndex) * this.interval;
+                this.pending = barToTrades(this.bars[this.index]).map(trade => ({
+                    time: Math.floor((barTime + trade.offset * this.interval) * 1000),
+                    price: trade.price,
+                    size: trade.size
+                }));
+                this.index++;
+            }
+
+            if (this.pending[0].time > now) return;
+            this.emitTrade(this.pending.shift());
+        }
+    }
+
+    emitTrade(trade) {
+        const bucket = Math.floor(trade.time / 1000 / this.interval) * this.interval;
+        if (!this.current || this.current.time !== bucket) {
+            if (this.current) this.completed.push(this.current);
+            this.current = { time: bucket, open: trade.price, high: trade.price, low: trade.price, close: trade.price, volume: 0 };
+        }
+        this.current.high = Math.max(this.current.high, trade.price);
+        this.current.low = Math.min(this.current.low, trade.price);
+        this.current.close = trade.price;
+        this.current.volume += trade.size;
+
+        this.listeners.forEach(listener => listener({ type: 'trade', ...trade }));
+    }
+
+    barsSince(since) {
+        const bars = this.completed.filter(bar => bar.time > since);
+        if (this.current && this.current.time > since) bars.push({ ...this.current });
+        return bars;
+    }
+}
+
+/**
+ * Encode a server-to-client text frame (unmasked)
+ */
+function encodeFrame(text, opcode = 0x1) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode complete client frames from a buffer
+ * @returns {Object} { frames: [{ opcode, payload }], rest }
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length - offset < headerLength + maskLength + length) break;
+
+        const mask = masked ? buffer.slice(offset + headerLength, offset + headerLength + 4) : null;
+        const payload = Buffer.from(buffer.slice(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+
+        frames.push({ opcode, payload });
+        offset += headerLength + maskLength + length;
+    }
+
+    return { frames, rest: buffer.slice(offset) };
+}
+
+function handleConnection(socket, replay) {
+    let buffer = Buffer.alloc(0);
+    const send = (message) => {
+        if (!socket.destroyed) socket.write(encodeFrame(JSON.stringify(message)));
+    };
+
+    const listener = (message) => send(message);
+    const heartbeat = setInterval(() => send({ type: 'heartbeat', time: replay.now() }), HEARTBEAT_MS);
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        replay.listeners.delete(listener);
+    };
+
+    socket.on('data', (chunk) => {
+        const decoded = decodeFrames(Buffer.concat([buffer, chunk]));
+        buffer = decoded.rest;
+
+        decoded.frames.forEach(({ opcode, payload }) => {
+            if (opcode === 0x8) {
+                socket.end(encodeFrame('', 0x8));
+                cleanup();
+                return;
+            }
+            if (opcode === 0x9) {
+                socket.write(Buffer.concat([Buffer.from([0x8a, payload.length]), payload]));
+                return;
+            }
+            if (opcode !== 0x1) return;
+
+            let message;
+            try {
+                message = JSON.parse(payload.toString('utf8'));
+            } catch (error) {
+                return;
+            }
+
+            if (message.type === 'subscribe') {
+                const since = Number(message.since) || 0;
+                send({ type: 'backfill', bars: replay.barsSince(since) });
+                replay.listeners.add(listener);
+                console.log(`replay-feed: Client subscribed (backfill after ${since})`);
+            }
+        });
+    });
+
+    socket.on('close', cleanup);
+    socket.on('error', cleanup);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const bars = loadBars(options.file, options.timezone);
+    if (bars.length === 0) {
+        throw new Error(`No bars found in ${options.file}`);
+    }
+
+    const replay = new Replay(bars, options);
+    setInterval(() => replay.step(), TICK_MS);
+
+    const server = http.createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('WebSocket only\n');
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+        handleConnection(socket, replay);
+    });
+
+    // Local development only
+    server.listen(options.port, '127.0.0.1', () => {
+        console.log(`replay-feed: Replaying ${bars.length} bars from ${options.file} at ${options.speed}x on ws://localhost:${options.port}`);
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`replay-feed: ${error.message}`);
+    process.exit(1);
+}